@@ -1,12 +1,13 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import RepoCard from './components/RepoCard';
 import MVPTrigger from './components/MVPTrigger';
 import BlueprintCard from './components/BlueprintCard';
 import IntentReview from './components/IntentReview';
-import { Repository, ScaffoldData, ProjectArchitecture, GeneratedProject, IntentAnalysis, DeepPatternAnalysis } from './types';
-import { generateSearchStrategies, rankReposWithGemini, extractPatterns, generateMVPPlan, generateScaffold, generateArchitecture, generateProjectConfig, deepPatternMining, generateEnhancedArchitecture } from './utils/gemini';
+import HistorySidebar from './components/HistorySidebar';
+import { Repository, SearchFilters, ScaffoldData, ProjectArchitecture, EnhancedGeneratedProject, GeneratedFile, FileChange, GenerationProgress, IntentAnalysis, DeepPatternAnalysis, GenerationOptions, ClarificationAnswer, Session, SessionStage } from './types';
+import { generateSearchStrategies, rankReposWithGemini, extractPatterns, generateMVPPlan, generateScaffold, generateArchitecture, streamEnhancedProject, deepPatternMining, generateEnhancedArchitecture, refineIntent, regenerateProject, createSession, updateSession, getSession, forkSession, SessionUpdate } from './utils/gemini';
 import { fetchCandidates, RateLimitError } from './utils/github';
-import { MOCK_REPOS } from './constants';
+import { History } from 'lucide-react';
 
 const App: React.FC = () => {
   const [idea, setIdea] = useState<string>('');
@@ -15,7 +16,7 @@ const App: React.FC = () => {
   const [searchStatus, setSearchStatus] = useState<string>('');
   const [error, setError] = useState<string | null>(null);
   const [hasSearched, setHasSearched] = useState<boolean>(false);
-  const [isDemoMode, setIsDemoMode] = useState<boolean>(false);
+  const [isDemoMode, setIsDemoMode] = useState<boolean>(false); // Server is replaying recorded responses
   const [mvpMode, setMvpMode] = useState<boolean>(false);
 
   // Phase C/D: Analysis & Blueprint State
@@ -26,26 +27,131 @@ const App: React.FC = () => {
   // Phase E: Scaffolding State
   const [isScaffolding, setIsScaffolding] = useState<boolean>(false);
   const [scaffoldData, setScaffoldData] = useState<ScaffoldData | null>(null); // Legacy
-  const [generatedProject, setGeneratedProject] = useState<GeneratedProject | null>(null); // New Phase 3
-  const [generationProgress, setGenerationProgress] = useState<{
-    phase: string;
-    current: number;
-    total: number;
-  }>({ phase: '', current: 0, total: 0 });
+  const [generatedProject, setGeneratedProject] = useState<EnhancedGeneratedProject | null>(null); // New Phase 3
+  const [generatedArchitecture, setGeneratedArchitecture] = useState<ProjectArchitecture | null>(null); // What generatedProject was built from
+  const [isRegenerating, setIsRegenerating] = useState<boolean>(false);
+  const [regenerationDiff, setRegenerationDiff] = useState<FileChange[] | null>(null);
+  const [generationProgress, setGenerationProgress] = useState<GenerationProgress>({ phase: '', current: 0, total: 0 });
+  const [liveFiles, setLiveFiles] = useState<GeneratedFile[]>([]); // Files streamed in so far
 
   // Phase 1: Intent Analysis State
   const [intentAnalysis, setIntentAnalysis] = useState<IntentAnalysis | null>(null);
   const [showIntentReview, setShowIntentReview] = useState<boolean>(false);
+  const [isRefining, setIsRefining] = useState<boolean>(false);
 
   // Phase 2.4: Deep Pattern Mining State
   const [deepPatterns, setDeepPatterns] = useState<DeepPatternAnalysis | null>(null);
 
+  // Sessions: the current run is saved on the server as it progresses
+  const [session, setSession] = useState<{ id: string; stage: SessionStage } | null>(null);
+  const [showHistory, setShowHistory] = useState<boolean>(false);
+  const [historyKey, setHistoryKey] = useState<number>(0);
+  const savedRef = useRef<SessionUpdate>({}); // what the server holds for the session, field by field
+
   const mvpSectionRef = useRef<HTMLDivElement>(null);
 
   // State for optional GitHub Token
   const [githubToken, setGithubToken] = useState<string>('');
   const [showTokenInput, setShowTokenInput] = useState<boolean>(false);
 
+  // Search filters & paging: every candidate fetched so far is reranked together
+  const [searchFilters, setSearchFilters] = useState<SearchFilters>({ excludeArchived: true });
+  const [showFilters, setShowFilters] = useState<boolean>(false);
+  const [candidatePool, setCandidatePool] = useState<Repository[]>([]);
+  const [searchCursors, setSearchCursors] = useState<Record<string, string>>({});
+  const [isLoadingMore, setIsLoadingMore] = useState<boolean>(false);
+  const [topN, setTopN] = useState<number>(5); // How many reranked repos to show
+
+  // Detect replay mode (PIPELINE_MODE=replay) so the UI can flag canned results
+  useEffect(() => {
+    fetch('/api/health')
+      .then(res => res.json())
+      .then(health => setIsDemoMode(health.pipelineMode === 'replay'))
+      .catch(() => setIsDemoMode(false));
+  }, []);
+
+  // Save the run as it progresses; debounced so bursts of updates make one request,
+  // which carries only the fields that differ from what the server holds
+  const sessionId = session?.id;
+  useEffect(() => {
+    if (!sessionId) return;
+    const timer = setTimeout(() => {
+      const current: SessionUpdate = {
+        intentAnalysis,
+        searchFilters,
+        repos: repos.length > 0 ? repos : null,
+        deepPatterns,
+        blueprint,
+        architecture,
+        generatedProject,
+        generatedArchitecture
+      };
+      const changed = Object.fromEntries(
+        Object.entries(current).filter(([field, value]) => (value ?? null) !== (savedRef.current[field as keyof SessionUpdate] ?? null))
+      ) as SessionUpdate;
+      if (Object.keys(changed).length === 0) return;
+
+      updateSession(sessionId, changed)
+        .then(saved => {
+          if (saved.id !== sessionId) return;
+          savedRef.current = { ...savedRef.current, ...changed };
+          setSession({ id: saved.id, stage: saved.stage });
+        })
+        .catch(e => console.error("Session save failed:", e));
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [sessionId, intentAnalysis, searchFilters, repos, deepPatterns, blueprint, architecture, generatedProject, generatedArchitecture]);
+
+  const updateFilter = <K extends keyof SearchFilters>(key: K, value: SearchFilters[K]) => {
+    setSearchFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Layers 2 + 3: first page of candidates for the strategies, reranked against the idea
+  const searchAndRank = async (strategies: string[]) => {
+    setSearchStatus('>> NETWORK: SCANNING GITHUB SECTORS');
+    const page = await fetchCandidates(strategies, githubToken, searchFilters);
+    console.log('Candidates found:', page.repos.length);
+
+    if (page.repos.length === 0) {
+      throw new Error("TARGET NOT FOUND.");
+    }
+
+    setSearchStatus('>> AI: ANALYZING TACTICAL RELEVANCE');
+    const rankedRepos = await rankReposWithGemini(idea, page.repos, { topN, token: githubToken });
+
+    setCandidatePool(page.repos);
+    setSearchCursors(page.cursors);
+    setRepos(rankedRepos);
+  };
+
+  const handleLoadMore = async () => {
+    if (!intentAnalysis || Object.keys(searchCursors).length === 0) return;
+
+    setIsLoadingMore(true);
+    setError(null);
+    try {
+      const page = await fetchCandidates(intentAnalysis.searchStrategies, githubToken, searchFilters, searchCursors);
+      const known = new Set(candidatePool.map(repo => repo.html_url));
+      const pool = [...candidatePool, ...page.repos.filter(repo => !known.has(repo.html_url))];
+      console.log('Candidate pool:', pool.length);
+
+      const rankedRepos = await rankReposWithGemini(idea, pool, { topN, token: githubToken });
+      setCandidatePool(pool);
+      setSearchCursors(page.cursors);
+      setRepos(rankedRepos);
+    } catch (err: any) {
+      console.error("Error loading more candidates:", err);
+
+      if (err instanceof RateLimitError) {
+        setError("GITHUB RATE LIMIT EXCEEDED. ADD A TOKEN OR RUN THE SERVER IN REPLAY MODE.");
+      } else {
+        setError(err.message || "SYSTEM FAILURE. RETRY.");
+      }
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
   const handleFindRepos = async () => {
     if (!idea.trim()) return;
 
@@ -53,16 +159,33 @@ const App: React.FC = () => {
     setSearchStatus('');
     setError(null);
     setHasSearched(true);
-    setIsDemoMode(false);
+    setIntentAnalysis(null);
+    setDeepPatterns(null);
     setRepos([]);
+    setCandidatePool([]);
+    setSearchCursors({});
     setMvpMode(false);
     setBlueprint(null);
     setArchitecture(null);
     setScaffoldData(null);
     setGeneratedProject(null);
+    setGeneratedArchitecture(null);
+    setRegenerationDiff(null);
     setGenerationProgress({ phase: '', current: 0, total: 0 });
+    setLiveFiles([]);
     setShowIntentReview(false);
 
+    // Every search is a new run, except a fork that has not been run yet
+    try {
+      const saved = session?.stage === 'idea' ? await updateSession(session.id, { idea }) : await createSession({ idea });
+      savedRef.current = {};
+      setSession({ id: saved.id, stage: saved.stage });
+      setHistoryKey(key => key + 1);
+    } catch (e) {
+      console.error("Session could not be created:", e);
+      setSession(null);
+    }
+
     try {
       // PHASE 1: Intent Analysis (NEW)
       setSearchStatus('>> AI: ANALYZING PROJECT INTENT');
@@ -83,8 +206,10 @@ const App: React.FC = () => {
       setIntentAnalysis(intentResult);
       console.log('Intent Analysis:', intentResult);
 
-      // Show feasibility warning if needed (with safe property access)
-      if (intentResult?.feasibility?.score !== undefined && intentResult.feasibility.score < 7) {
+      // Pause for review on a low score or open questions (with safe property access)
+      const needsReview = (intentResult?.feasibility?.score !== undefined && intentResult.feasibility.score < 7)
+        || (intentResult?.clarifyingQuestions?.length ?? 0) > 0;
+      if (needsReview) {
         setShowIntentReview(true);
         setIsLoading(false);
         setSearchStatus('');
@@ -98,28 +223,14 @@ const App: React.FC = () => {
         throw new Error('Intent analysis did not return valid search strategies');
       }
 
-      // Phase 2: Layer 1 - Use enhanced search strategies from intent analysis
-      setSearchStatus('>> NETWORK: SCANNING GITHUB SECTORS');
-      const candidates = await fetchCandidates(intentResult.searchStrategies, githubToken);
-      console.log('Candidates found:', candidates.length);
-
-      if (candidates.length === 0) {
-        throw new Error("TARGET NOT FOUND.");
-      }
-
-      // Phase 3: Layer 3 - Semantic Reranking
-      setSearchStatus('>> AI: ANALYZING TACTICAL RELEVANCE');
-      const rankedRepos = await rankReposWithGemini(idea, candidates);
-
-      setRepos(rankedRepos);
+      // Phase 2: Layer 1 - Use enhanced search strategies from intent analysis, then rerank
+      await searchAndRank(intentResult.searchStrategies);
 
     } catch (err: any) {
       console.error("Error processing request:", err);
 
       if (err instanceof RateLimitError) {
-        setIsDemoMode(true);
-        setRepos(MOCK_REPOS);
-        setError("API RATE LIMIT EXCEEDED. ENGAGING SIMULATION MODE.");
+        setError("GITHUB RATE LIMIT EXCEEDED. ADD A TOKEN OR RUN THE SERVER IN REPLAY MODE.");
       } else {
         setError(err.message || "SYSTEM FAILURE. RETRY.");
       }
@@ -135,6 +246,8 @@ const App: React.FC = () => {
     setArchitecture(null);
     setScaffoldData(null);
     setGeneratedProject(null);
+    setGeneratedArchitecture(null);
+    setRegenerationDiff(null);
 
     setTimeout(() => {
       mvpSectionRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
@@ -147,7 +260,7 @@ const App: React.FC = () => {
 
       // Run Phase 2.4 Deep Analysis + Phase C Pattern Extraction in parallel
       const [deepAnalysis, basicAnalysis] = await Promise.all([
-        deepPatternMining(idea, repos),  // NEW: Phase 2.4
+        deepPatternMining(idea, repos, githubToken),  // NEW: Phase 2.4
         extractPatterns(idea, repos)      // EXISTING: Phase C
       ]);
 
@@ -179,34 +292,41 @@ const App: React.FC = () => {
     }
   };
 
-  const handleContinueAfterReview = async () => {
+  const handleRefineIntent = async (answers: ClarificationAnswer[], features?: IntentAnalysis['features']) => {
     if (!intentAnalysis) return;
 
+    setIsRefining(true);
+    setError(null);
+    try {
+      const refined = await refineIntent(idea, intentAnalysis, answers, features);
+      setIntentAnalysis(refined);
+      console.log('Refined Intent:', refined);
+    } catch (err: any) {
+      console.error("Intent refinement failed:", err);
+      setError(err.message || "REFINEMENT FAILED. RETRY.");
+    } finally {
+      setIsRefining(false);
+    }
+  };
+
+  const handleContinueAfterReview = async (features: IntentAnalysis['features']) => {
+    if (!intentAnalysis) return;
+
+    // The tiers as the user left them carry on to the architecture
+    const reviewed = { ...intentAnalysis, features };
+    setIntentAnalysis(reviewed);
     setShowIntentReview(false);
     setIsLoading(true);
     setSearchStatus('');
 
     try {
       // Continue with search using strategies from intent analysis
-      setSearchStatus('>> NETWORK: SCANNING GITHUB SECTORS');
-      const candidates = await fetchCandidates(intentAnalysis.searchStrategies, githubToken);
-      console.log('Candidates found:', candidates.length);
-
-      if (candidates.length === 0) {
-        throw new Error("TARGET NOT FOUND.");
-      }
-
-      setSearchStatus('>> AI: ANALYZING TACTICAL RELEVANCE');
-      const rankedRepos = await rankReposWithGemini(idea, candidates);
-
-      setRepos(rankedRepos);
+      await searchAndRank(reviewed.searchStrategies);
     } catch (err: any) {
       console.error("Error processing request:", err);
 
       if (err instanceof RateLimitError) {
-        setIsDemoMode(true);
-        setRepos(MOCK_REPOS);
-        setError("API RATE LIMIT EXCEEDED. ENGAGING SIMULATION MODE.");
+        setError("GITHUB RATE LIMIT EXCEEDED. ADD A TOKEN OR RUN THE SERVER IN REPLAY MODE.");
       } else {
         setError(err.message || "SYSTEM FAILURE. RETRY.");
       }
@@ -221,7 +341,7 @@ const App: React.FC = () => {
     setIntentAnalysis(null);
   };
 
-  const handleGenerateScaffold = async () => {
+  const handleGenerateScaffold = async (options: GenerationOptions = {}) => {
     if (!architecture) {
       // Fallback for legacy flow if architecture failed
       if (blueprint) {
@@ -237,28 +357,68 @@ const App: React.FC = () => {
     }
 
     setIsScaffolding(true);
+    setLiveFiles([]);
+    setGenerationProgress({ phase: 'Initializing', current: 0, total: 0 });
     try {
       console.log(">> INITIATING ENHANCED PROJECT GENERATION...");
 
-      const estimatedFiles = 10
-        + (architecture.pages?.length || 0)
-        + (architecture.components?.length || 0)
-        + (architecture.stateManagement?.globalStores?.length || 0)
-        + 5;
-
-      setGenerationProgress({
-        phase: 'Initializing',
-        current: 0,
-        total: estimatedFiles
-      });
+      const project = await streamEnhancedProject(architecture, (event) => {
+        switch (event.type) {
+          case 'plan':
+            setGenerationProgress(prev => ({ ...prev, total: event.total }));
+            break;
+          case 'file':
+            setLiveFiles(prev => [...prev, { path: event.path, content: event.content }]);
+            setGenerationProgress(prev => ({
+              ...prev,
+              phase: `Generating ${event.tier} tier`,
+              current: prev.current + 1,
+              lastFile: event.path,
+              failed: (prev.failed || 0) + (event.status === 'failed' ? 1 : 0)
+            }));
+            break;
+          case 'typecheck':
+            setGenerationProgress(prev => ({
+              ...prev,
+              phase: event.compiles ? 'Type-check passed' : `Type-check: ${event.errorCount} errors${event.round > 0 ? ` after fix-up ${event.round}` : ''}`
+            }));
+            break;
+          case 'fix':
+            setLiveFiles(prev => prev.map(file => file.path === event.path ? { path: event.path, content: event.content } : file));
+            setGenerationProgress(prev => ({ ...prev, phase: 'Repairing generated files', lastFile: event.path }));
+            break;
+          case 'link':
+            setGenerationProgress(prev => ({
+              ...prev,
+              phase: event.unresolved.length === 0 ? 'Imports linked' : `Imports linked (${event.unresolved.length} unresolved)`
+            }));
+            break;
+          case 'tests':
+            setGenerationProgress(prev => ({
+              ...prev,
+              phase: event.passed === null
+                ? `Tests not run (${event.skipped})`
+                : `Tests: ${event.fileCount - event.failedFiles}/${event.fileCount} files pass`
+            }));
+            break;
+          case 'complete':
+            setGenerationProgress(prev => ({
+              ...prev,
+              phase: `Complete (${event.typeCheck.compiles === null
+                ? 'not type-checked'
+                : event.typeCheck.compiles ? 'compiles' : 'does not compile'}${event.tests.passed === null
+                ? ''
+                : `, ${event.tests.fileCount - event.tests.failedFiles}/${event.tests.fileCount} test files pass`})`,
+              current: event.totalFiles,
+              total: event.totalFiles
+            }));
+            break;
+        }
+      }, options);
 
-      const project = await generateProjectConfig(architecture);
       setGeneratedProject(project);
-      setGenerationProgress({
-        phase: 'Complete',
-        current: estimatedFiles,
-        total: estimatedFiles
-      });
+      setGeneratedArchitecture(architecture);
+      setRegenerationDiff(null);
       console.log(">> CONFIG GENERATED:", project);
     } catch (e) {
       console.error("Scaffolding failed:", e);
@@ -267,6 +427,76 @@ const App: React.FC = () => {
     }
   };
 
+  // Puts the app back where the saved run stopped
+  const restoreSession = (saved: Session) => {
+    const searchFilters = saved.searchFilters ?? { excludeArchived: true };
+    savedRef.current = { ...saved, searchFilters };
+    setSession({ id: saved.id, stage: saved.stage });
+    setIdea(saved.idea);
+    setIntentAnalysis(saved.intentAnalysis ?? null);
+    setSearchFilters(searchFilters);
+    setRepos(saved.repos ?? []);
+    setCandidatePool(saved.repos ?? []);
+    setSearchCursors({});
+    setDeepPatterns(saved.deepPatterns ?? null);
+    setBlueprint(saved.blueprint ?? null);
+    setArchitecture(saved.architecture ?? null);
+    setScaffoldData(null);
+    setGeneratedProject(saved.generatedProject ?? null);
+    setGeneratedArchitecture(saved.generatedArchitecture ?? null);
+    setRegenerationDiff(null);
+    setGenerationProgress({ phase: '', current: 0, total: 0 });
+    setLiveFiles([]);
+    setError(null);
+    setHasSearched(saved.stage !== 'idea');
+    setShowIntentReview(saved.stage === 'intent');
+    setMvpMode(Boolean(saved.architecture || saved.blueprint));
+  };
+
+  const handleOpenSession = async (id: string) => {
+    try {
+      restoreSession(await getSession(id));
+      setShowHistory(false);
+    } catch (e) {
+      console.error("Session could not be opened:", e);
+      setError("SESSION COULD NOT BE LOADED.");
+    }
+  };
+
+  const handleForkSession = async (id: string, forkIdea: string, upTo: SessionStage) => {
+    try {
+      const fork = await forkSession(id, { idea: forkIdea, upTo });
+      setHistoryKey(key => key + 1);
+      await handleOpenSession(fork.id);
+    } catch (e) {
+      console.error("Session could not be forked:", e);
+      setError("FORK FAILED. RETRY.");
+    }
+  };
+
+  // The deleted run stays on screen but is no longer saved
+  const handleSessionDeleted = (id: string) => {
+    if (session?.id === id) setSession(null);
+  };
+
+  // Regenerates what changed since generation, plus any files asked for explicitly
+  const handleRegenerate = async (request: { paths?: string[]; instructions?: string }) => {
+    if (!generatedProject || !generatedArchitecture || !architecture) return;
+
+    setIsRegenerating(true);
+    try {
+      const result = await regenerateProject(generatedProject, generatedArchitecture, architecture, request);
+      setGeneratedProject(result.project);
+      setGeneratedArchitecture(architecture);
+      setRegenerationDiff(result.diff);
+      console.log(">> REGENERATED:", result.regenerated, result.diff);
+    } catch (e) {
+      console.error("Regeneration failed:", e);
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
   return (
     <div className={`min-h-screen bg-black text-white overflow-x-hidden font-sans flex flex-col transition-all duration-700 ease-in-out ${!hasSearched ? 'justify-center' : 'pt-16 pb-20'}`}>
 
@@ -277,6 +507,22 @@ const App: React.FC = () => {
         <div className="absolute bottom-0 left-0 w-full h-[1px] bg-gradient-to-r from-transparent via-electricBlue/20 to-transparent"></div>
       </div>
 
+      <button
+        onClick={() => setShowHistory(!showHistory)}
+        className="fixed top-4 left-4 z-30 flex items-center gap-2 px-3 py-2 text-[10px] font-mono uppercase tracking-widest text-gray-500 hover:text-white border border-gray-800 hover:border-electricBlue bg-black/60 backdrop-blur-sm transition-colors"
+      >
+        <History size={14} /> History
+      </button>
+      <HistorySidebar
+        isOpen={showHistory}
+        activeSessionId={session?.id ?? null}
+        refreshKey={historyKey}
+        onClose={() => setShowHistory(false)}
+        onOpen={handleOpenSession}
+        onFork={handleForkSession}
+        onDeleted={handleSessionDeleted}
+      />
+
       <main className="relative z-10 max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 flex flex-col items-center w-full">
 
         {/* Hero Section */}
@@ -312,12 +558,20 @@ const App: React.FC = () => {
                     <span className="w-2 h-2 bg-electricBlue rounded-full animate-pulse"></span>
                     GEMINI LINK: ONLINE
                   </div>
-                  <button
-                    onClick={() => setShowTokenInput(!showTokenInput)}
-                    className="text-[10px] font-mono text-gray-500 hover:text-white underline decoration-dotted underline-offset-4 text-left transition-colors uppercase"
-                  >
-                    {showTokenInput ? '[-H] SECURE COMMS' : '[+T] SECURE COMMS'}
-                  </button>
+                  <div className="flex gap-4">
+                    <button
+                      onClick={() => setShowTokenInput(!showTokenInput)}
+                      className="text-[10px] font-mono text-gray-500 hover:text-white underline decoration-dotted underline-offset-4 text-left transition-colors uppercase"
+                    >
+                      {showTokenInput ? '[-H] SECURE COMMS' : '[+T] SECURE COMMS'}
+                    </button>
+                    <button
+                      onClick={() => setShowFilters(!showFilters)}
+                      className="text-[10px] font-mono text-gray-500 hover:text-white underline decoration-dotted underline-offset-4 text-left transition-colors uppercase"
+                    >
+                      {showFilters ? '[-F] SCAN FILTERS' : '[+F] SCAN FILTERS'}
+                    </button>
+                  </div>
                 </div>
 
                 <button
@@ -355,6 +609,104 @@ const App: React.FC = () => {
             </div>
           )}
 
+          {/* Search Filters (Tactical Dropdown) */}
+          {showFilters && (
+            <div className="mt-2 p-4 bg-nightDark border-l-2 border-electricBlue animate-fade-in grid grid-cols-2 md:grid-cols-3 gap-4 font-mono text-xs">
+              <label className="flex flex-col gap-1 text-electricBlue uppercase">
+                Language
+                <input
+                  type="text"
+                  value={searchFilters.language ?? ''}
+                  onChange={(e) => updateFilter('language', e.target.value || undefined)}
+                  placeholder="TypeScript"
+                  className="bg-black border border-gray-800 focus:border-electricBlue px-3 py-2 text-white focus:outline-none normal-case"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-electricBlue uppercase">
+                Min Stars
+                <input
+                  type="number"
+                  min={0}
+                  value={searchFilters.minStars ?? ''}
+                  onChange={(e) => updateFilter('minStars', e.target.value === '' ? undefined : Number(e.target.value))}
+                  placeholder="100"
+                  className="bg-black border border-gray-800 focus:border-electricBlue px-3 py-2 text-white focus:outline-none"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-electricBlue uppercase">
+                Pushed After
+                <input
+                  type="date"
+                  value={searchFilters.pushedAfter ?? ''}
+                  onChange={(e) => updateFilter('pushedAfter', e.target.value || undefined)}
+                  className="bg-black border border-gray-800 focus:border-electricBlue px-3 py-2 text-white focus:outline-none"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-electricBlue uppercase">
+                License
+                <input
+                  type="text"
+                  value={searchFilters.license ?? ''}
+                  onChange={(e) => updateFilter('license', e.target.value || undefined)}
+                  placeholder="mit"
+                  className="bg-black border border-gray-800 focus:border-electricBlue px-3 py-2 text-white focus:outline-none normal-case"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-electricBlue uppercase">
+                Sort
+                <select
+                  value={searchFilters.sort ?? 'stars'}
+                  onChange={(e) => updateFilter('sort', e.target.value as SearchFilters['sort'])}
+                  className="bg-black border border-gray-800 focus:border-electricBlue px-3 py-2 text-white focus:outline-none"
+                >
+                  <option value="stars">Stars</option>
+                  <option value="updated">Recently updated</option>
+                  <option value="best-match">Best match</option>
+                </select>
+              </label>
+              <label className="flex flex-col gap-1 text-electricBlue uppercase">
+                Top Results
+                <input
+                  type="number"
+                  min={1}
+                  max={20}
+                  value={topN}
+                  onChange={(e) => setTopN(Math.min(20, Math.max(1, Number(e.target.value) || 1)))}
+                  className="bg-black border border-gray-800 focus:border-electricBlue px-3 py-2 text-white focus:outline-none"
+                />
+              </label>
+              <div className="flex flex-col gap-2 justify-end text-gray-400 uppercase">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(searchFilters.excludeArchived)}
+                    onChange={(e) => updateFilter('excludeArchived', e.target.checked)}
+                    className="accent-electricBlue"
+                  />
+                  Skip archived
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(searchFilters.excludeForks)}
+                    onChange={(e) => updateFilter('excludeForks', e.target.checked)}
+                    className="accent-electricBlue"
+                  />
+                  Skip forks
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer" title="Repos indexed with server/index-corpus.js">
+                  <input
+                    type="checkbox"
+                    checked={!searchFilters.sources || searchFilters.sources.includes('local')}
+                    onChange={(e) => updateFilter('sources', e.target.checked ? undefined : ['github'])}
+                    className="accent-electricBlue"
+                  />
+                  Local corpus
+                </label>
+              </div>
+            </div>
+          )}
+
           {/* Status Bar (System Log Style) */}
           {searchStatus && (
             <div className="mt-4 w-full flex justify-center">
@@ -371,7 +723,7 @@ const App: React.FC = () => {
                 ${isDemoMode ? 'bg-red-900/20 border-red-600 text-red-400' : 'bg-red-900/20 border-red-600 text-red-500'}
              `}>
               <span className="font-bold text-lg">!</span>
-              <span>{error || "SIMULATION MODE ACTIVE"}</span>
+              <span>{error || "REPLAY MODE ACTIVE: SERVING RECORDED RESPONSES"}</span>
             </div>
           )}
         </div>
@@ -380,7 +732,9 @@ const App: React.FC = () => {
         {showIntentReview && intentAnalysis && (
           <IntentReview
             analysis={intentAnalysis}
+            isRefining={isRefining}
             onContinue={handleContinueAfterReview}
+            onRefine={handleRefineIntent}
             onRevise={handleReviseIdea}
           />
         )}
@@ -401,6 +755,25 @@ const App: React.FC = () => {
                 <RepoCard key={repo.id} repo={repo} />
               ))}
             </div>
+
+            {Object.keys(searchCursors).length > 0 && !mvpMode && (
+              <div className="flex flex-col items-center gap-2 mt-8">
+                <button
+                  onClick={handleLoadMore}
+                  disabled={isLoadingMore}
+                  className={`px-8 py-2 font-black text-xs uppercase tracking-widest skew-x-[-10deg] border transition-all duration-200
+                    ${isLoadingMore
+                      ? 'border-gray-800 text-gray-600 cursor-wait'
+                      : 'border-electricBlue text-electricBlue hover:bg-electricBlue hover:text-black'
+                    }`}
+                >
+                  <span className="block skew-x-[10deg]">{isLoadingMore ? 'SCANNING...' : 'SCAN DEEPER'}</span>
+                </button>
+                <span className="text-[10px] font-mono text-gray-600 uppercase">
+                  Best {repos.length} of {candidatePool.length} candidates
+                </span>
+              </div>
+            )}
           </div>
         )}
 
@@ -427,8 +800,15 @@ const App: React.FC = () => {
               scaffoldData={scaffoldData}
               generatedProject={generatedProject}
               architecture={architecture}
+              generatedArchitecture={generatedArchitecture}
               generationProgress={generationProgress}
+              liveFiles={liveFiles}
               onGenerateScaffold={handleGenerateScaffold}
+              onArchitectureChange={setArchitecture}
+              hasArchitectureChanges={Boolean(generatedProject) && architecture !== generatedArchitecture}
+              isRegenerating={isRegenerating}
+              regenerationDiff={regenerationDiff}
+              onRegenerate={handleRegenerate}
             />
           </div>
         )}
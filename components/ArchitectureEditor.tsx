@@ -0,0 +1,349 @@
+import React, { useEffect, useState } from 'react';
+import { ProjectArchitecture } from '../types';
+import {
+  ArchitectureIssue,
+  STATE_APPROACHES,
+  AUTH_PROVIDERS,
+  RELATIONSHIP_TYPES,
+  COMPONENT_CATEGORIES,
+  ArchTable,
+  addPage,
+  removePage,
+  updatePage,
+  addComponent,
+  removeComponent,
+  updateComponent,
+  addTable,
+  removeTable,
+  updateTable,
+  autoFixArchitecture
+} from '../utils/architecture';
+import { AlertTriangle, CheckCircle, Plus, Trash2, Wand2, X } from 'lucide-react';
+
+interface ArchitectureEditorProps {
+  architecture: ProjectArchitecture;
+  issues: ArchitectureIssue[];
+  disabled: boolean;
+  onChange: (architecture: ProjectArchitecture) => void;
+}
+
+const inputClass = 'bg-black border border-gray-800 focus:border-electricBlue px-2 py-1 text-xs font-mono text-white focus:outline-none disabled:opacity-50';
+const iconButtonClass = 'text-gray-600 hover:text-red-400 transition-colors disabled:opacity-30';
+const addButtonClass = 'flex items-center gap-1 px-3 py-1 text-[10px] font-mono uppercase tracking-widest border border-gray-700 text-gray-400 hover:border-electricBlue hover:text-electricBlue transition-colors disabled:opacity-30';
+
+// Names and routes are referenced elsewhere; renames apply on blur or Enter, not per keystroke
+const CommitInput: React.FC<{ value: string; disabled: boolean; className?: string; onCommit: (value: string) => void }> = ({ value, disabled, className, onCommit }) => {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+  const commit = () => {
+    if (draft.trim() && draft.trim() !== value) onCommit(draft.trim());
+    else setDraft(value);
+  };
+  return (
+    <input
+      value={draft}
+      disabled={disabled}
+      onChange={e => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={e => { if (e.key === 'Enter') commit(); }}
+      className={`${inputClass} ${className || ''}`}
+    />
+  );
+};
+
+const Section: React.FC<{ title: string; count?: number; action?: React.ReactNode; children: React.ReactNode }> = ({ title, count, action, children }) => (
+  <div className="mb-8">
+    <div className="flex items-center justify-between mb-3">
+      <h3 className="text-sm font-bold text-electricBlue uppercase tracking-wider">
+        {title}{count !== undefined && <span className="text-gray-600"> ({count})</span>}
+      </h3>
+      {action}
+    </div>
+    <div className="space-y-2">{children}</div>
+  </div>
+);
+
+const ArchitectureEditor: React.FC<ArchitectureEditorProps> = ({ architecture: arch, issues, disabled, onChange }) => {
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity === 'warning');
+  const componentNames = arch.components.map(component => component.name);
+  const tableNames = arch.databaseSchema.map(table => table.table);
+
+  const setTableColumns = (index: number, columns: ArchTable['columns']) => onChange(updateTable(arch, index, { columns }));
+  const setTableRelationships = (index: number, relationships: NonNullable<ArchTable['relationships']>) =>
+    onChange(updateTable(arch, index, { relationships }));
+
+  return (
+    <div className="p-8 md:p-12 text-gray-300 animate-fade-in">
+      {/* Validation */}
+      <div className={`mb-8 p-4 border rounded ${errors.length > 0 ? 'border-red-500/40 bg-red-500/5' : warnings.length > 0 ? 'border-yellow-500/40 bg-yellow-500/5' : 'border-green-500/30 bg-green-500/5'}`}>
+        <div className="flex items-center justify-between">
+          <span className="flex items-center gap-2 text-xs font-mono uppercase tracking-widest">
+            {issues.length === 0
+              ? <><CheckCircle size={14} className="text-green-500" /> Architecture is consistent</>
+              : <><AlertTriangle size={14} className={errors.length > 0 ? 'text-red-400' : 'text-yellow-500'} /> {errors.length} errors · {warnings.length} warnings</>}
+          </span>
+          {issues.length > 0 && (
+            <button type="button" disabled={disabled} onClick={() => onChange(autoFixArchitecture(arch))} className={addButtonClass} title="Drop dangling imports and edges, list every route once">
+              <Wand2 size={12} /> Auto-fix
+            </button>
+          )}
+        </div>
+        {issues.length > 0 && (
+          <ul className="mt-3 space-y-1">
+            {issues.map((issue, idx) => (
+              <li key={idx} className={`text-xs font-mono ${issue.severity === 'error' ? 'text-red-400' : 'text-yellow-500'}`}>
+                [{issue.section}] {issue.message}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Stack choices */}
+      <Section title="Stack">
+        <div className="grid grid-cols-2 gap-4">
+          <label className="flex flex-col gap-1 text-[10px] font-mono uppercase text-gray-500">
+            State Management
+            <select
+              value={arch.stateManagement.approach}
+              disabled={disabled}
+              onChange={e => onChange({ ...arch, stateManagement: { ...arch.stateManagement, approach: e.target.value as typeof arch.stateManagement.approach } })}
+              className={inputClass}
+            >
+              {STATE_APPROACHES.map(approach => <option key={approach} value={approach}>{approach}</option>)}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-[10px] font-mono uppercase text-gray-500">
+            Auth Provider
+            <select
+              value={arch.authentication.provider}
+              disabled={disabled}
+              onChange={e => onChange({ ...arch, authentication: { ...arch.authentication, provider: e.target.value as typeof arch.authentication.provider } })}
+              className={inputClass}
+            >
+              {AUTH_PROVIDERS.map(provider => <option key={provider} value={provider}>{provider}</option>)}
+            </select>
+          </label>
+        </div>
+      </Section>
+
+      {/* Pages */}
+      <Section
+        title="Pages"
+        count={arch.pages.length}
+        action={<button type="button" disabled={disabled} onClick={() => onChange(addPage(arch))} className={addButtonClass}><Plus size={12} /> Page</button>}
+      >
+        {arch.pages.map((page, index) => (
+          <div key={`${page.name}-${index}`} className="p-3 bg-black/30 border border-gray-800 space-y-2">
+            <div className="flex items-center gap-2">
+              <CommitInput value={page.name} disabled={disabled} className="w-48" onCommit={name => onChange(updatePage(arch, index, { name }))} />
+              <CommitInput value={page.route} disabled={disabled} className="flex-1" onCommit={route => onChange(updatePage(arch, index, { route }))} />
+              <label className="flex items-center gap-1 text-[10px] font-mono uppercase text-gray-500">
+                <input
+                  type="checkbox"
+                  checked={Boolean(page.isProtected)}
+                  disabled={disabled}
+                  onChange={e => onChange(updatePage(arch, index, { isProtected: e.target.checked }))}
+                  className="accent-electricBlue"
+                />
+                Protected
+              </label>
+              <button type="button" disabled={disabled} onClick={() => onChange(removePage(arch, index))} className={iconButtonClass} title="Remove page">
+                <Trash2 size={14} />
+              </button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              {page.imports.map(name => (
+                <span key={name} className={`flex items-center gap-1 px-2 py-0.5 text-[10px] font-mono border ${componentNames.includes(name) ? 'border-gray-700 text-gray-400' : 'border-red-500/60 text-red-400'}`}>
+                  {name}
+                  <button type="button" disabled={disabled} onClick={() => onChange(updatePage(arch, index, { imports: page.imports.filter(item => item !== name) }))}>
+                    <X size={10} />
+                  </button>
+                </span>
+              ))}
+              <select
+                value=""
+                disabled={disabled}
+                onChange={e => e.target.value && onChange(updatePage(arch, index, { imports: [...page.imports, e.target.value] }))}
+                className={inputClass}
+              >
+                <option value="">+ import</option>
+                {componentNames.filter(name => !page.imports.includes(name)).map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </div>
+          </div>
+        ))}
+      </Section>
+
+      {/* Components */}
+      <Section
+        title="Components"
+        count={arch.components.length}
+        action={<button type="button" disabled={disabled} onClick={() => onChange(addComponent(arch))} className={addButtonClass}><Plus size={12} /> Component</button>}
+      >
+        {arch.components.map((component, index) => (
+          <div key={`${component.name}-${index}`} className="p-3 bg-black/30 border border-gray-800 space-y-2">
+            <div className="flex items-center gap-2">
+              <CommitInput value={component.name} disabled={disabled} className="w-48" onCommit={name => onChange(updateComponent(arch, index, { name }))} />
+              <select
+                value={component.category || ''}
+                disabled={disabled}
+                onChange={e => onChange(updateComponent(arch, index, { category: (e.target.value || undefined) as typeof component.category }))}
+                className={inputClass}
+              >
+                <option value="">category</option>
+                {COMPONENT_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+              </select>
+              <label className="flex items-center gap-1 text-[10px] font-mono uppercase text-gray-500">
+                <input
+                  type="checkbox"
+                  checked={component.isAtomic}
+                  disabled={disabled}
+                  onChange={e => onChange(updateComponent(arch, index, { isAtomic: e.target.checked }))}
+                  className="accent-electricBlue"
+                />
+                Atomic
+              </label>
+              <input
+                value={component.description}
+                disabled={disabled}
+                onChange={e => onChange(updateComponent(arch, index, { description: e.target.value }))}
+                placeholder="description"
+                className={`${inputClass} flex-1`}
+              />
+              <button type="button" disabled={disabled} onClick={() => onChange(removeComponent(arch, index))} className={iconButtonClass} title="Remove component">
+                <Trash2 size={14} />
+              </button>
+            </div>
+            <div className="pl-4 space-y-1">
+              {(component.props || []).map((prop, propIndex) => {
+                const setProp = (patch: Partial<typeof prop>) => onChange(updateComponent(arch, index, {
+                  props: (component.props || []).map((item, i) => (i === propIndex ? { ...item, ...patch } : item))
+                }));
+                return (
+                  <div key={propIndex} className="flex items-center gap-2">
+                    <input value={prop.name} disabled={disabled} onChange={e => setProp({ name: e.target.value })} placeholder="prop" className={`${inputClass} w-40`} />
+                    <input value={prop.type} disabled={disabled} onChange={e => setProp({ type: e.target.value })} placeholder="type" className={`${inputClass} flex-1`} />
+                    <label className="flex items-center gap-1 text-[10px] font-mono uppercase text-gray-500">
+                      <input type="checkbox" checked={prop.required} disabled={disabled} onChange={e => setProp({ required: e.target.checked })} className="accent-electricBlue" />
+                      Required
+                    </label>
+                    <button
+                      type="button"
+                      disabled={disabled}
+                      onClick={() => onChange(updateComponent(arch, index, { props: (component.props || []).filter((_, i) => i !== propIndex) }))}
+                      className={iconButtonClass}
+                    >
+                      <X size={12} />
+                    </button>
+                  </div>
+                );
+              })}
+              <button
+                type="button"
+                disabled={disabled}
+                onClick={() => onChange(updateComponent(arch, index, { props: [...(component.props || []), { name: '', type: 'string', required: false }] }))}
+                className="text-[10px] font-mono uppercase text-gray-500 hover:text-electricBlue"
+              >
+                + prop
+              </button>
+            </div>
+          </div>
+        ))}
+      </Section>
+
+      {/* Database */}
+      <Section
+        title="Database"
+        count={arch.databaseSchema.length}
+        action={<button type="button" disabled={disabled} onClick={() => onChange(addTable(arch))} className={addButtonClass}><Plus size={12} /> Table</button>}
+      >
+        {arch.databaseSchema.map((table, index) => (
+          <div key={`${table.table}-${index}`} className="p-3 bg-black/30 border border-gray-800 space-y-2">
+            <div className="flex items-center gap-2">
+              <CommitInput value={table.table} disabled={disabled} className="w-64" onCommit={name => onChange(updateTable(arch, index, { table: name }))} />
+              <span className="flex-1" />
+              <button type="button" disabled={disabled} onClick={() => onChange(removeTable(arch, index))} className={iconButtonClass} title="Remove table">
+                <Trash2 size={14} />
+              </button>
+            </div>
+            <div className="pl-4 space-y-1">
+              {table.columns.map((column, columnIndex) => {
+                const setColumn = (patch: Partial<typeof column>) =>
+                  setTableColumns(index, table.columns.map((item, i) => (i === columnIndex ? { ...item, ...patch } : item)));
+                return (
+                  <div key={columnIndex} className="flex items-center gap-2">
+                    <input value={column.name} disabled={disabled} onChange={e => setColumn({ name: e.target.value })} placeholder="column" className={`${inputClass} w-40`} />
+                    <input value={column.type} disabled={disabled} onChange={e => setColumn({ type: e.target.value })} placeholder="type" className={`${inputClass} w-32`} />
+                    <label className="flex items-center gap-1 text-[10px] font-mono uppercase text-gray-500">
+                      <input type="checkbox" checked={Boolean(column.isPrimary)} disabled={disabled} onChange={e => setColumn({ isPrimary: e.target.checked })} className="accent-electricBlue" />
+                      PK
+                    </label>
+                    <label className="flex items-center gap-1 text-[10px] font-mono uppercase text-gray-500">
+                      <input type="checkbox" checked={Boolean(column.isRequired)} disabled={disabled} onChange={e => setColumn({ isRequired: e.target.checked })} className="accent-electricBlue" />
+                      Required
+                    </label>
+                    <input value={column.defaultValue || ''} disabled={disabled} onChange={e => setColumn({ defaultValue: e.target.value || undefined })} placeholder="default" className={`${inputClass} flex-1`} />
+                    <button type="button" disabled={disabled} onClick={() => setTableColumns(index, table.columns.filter((_, i) => i !== columnIndex))} className={iconButtonClass}>
+                      <X size={12} />
+                    </button>
+                  </div>
+                );
+              })}
+              <button
+                type="button"
+                disabled={disabled}
+                onClick={() => setTableColumns(index, [...table.columns, { name: '', type: 'text', isRequired: false }])}
+                className="text-[10px] font-mono uppercase text-gray-500 hover:text-electricBlue"
+              >
+                + column
+              </button>
+            </div>
+            <div className="pl-4 space-y-1">
+              {(table.relationships || []).map((rel, relIndex) => {
+                const setRel = (patch: Partial<typeof rel>) =>
+                  setTableRelationships(index, (table.relationships || []).map((item, i) => (i === relIndex ? { ...item, ...patch } : item)));
+                return (
+                  <div key={relIndex} className="flex items-center gap-2">
+                    <select value={rel.type} disabled={disabled} onChange={e => setRel({ type: e.target.value as typeof rel.type })} className={inputClass}>
+                      {RELATIONSHIP_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                    <select value={rel.table} disabled={disabled} onChange={e => setRel({ table: e.target.value })} className={inputClass}>
+                      {!tableNames.includes(rel.table) && <option value={rel.table}>{rel.table} (missing)</option>}
+                      {tableNames.filter(name => name !== table.table).map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                    <input value={rel.foreignKey} disabled={disabled} onChange={e => setRel({ foreignKey: e.target.value })} placeholder="foreign key" className={`${inputClass} flex-1`} />
+                    <button
+                      type="button"
+                      disabled={disabled}
+                      onClick={() => setTableRelationships(index, (table.relationships || []).filter((_, i) => i !== relIndex))}
+                      className={iconButtonClass}
+                    >
+                      <X size={12} />
+                    </button>
+                  </div>
+                );
+              })}
+              {tableNames.length > 1 && (
+                <button
+                  type="button"
+                  disabled={disabled}
+                  onClick={() => setTableRelationships(index, [
+                    ...(table.relationships || []),
+                    { type: 'many-to-one', table: tableNames.find(name => name !== table.table)!, foreignKey: '' }
+                  ])}
+                  className="text-[10px] font-mono uppercase text-gray-500 hover:text-electricBlue"
+                >
+                  + relationship
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </Section>
+    </div>
+  );
+};
+
+export default ArchitectureEditor;
@@ -1,8 +1,11 @@
-import React, { useState, useEffect } from 'react';
-import { ScaffoldData, GeneratedProject, TreeNode, FileNode, ProjectArchitecture } from '../types';
+import React, { useState, useEffect, useMemo } from 'react';
+import { ScaffoldData, GeneratedProject, TreeNode, FileNode, ProjectArchitecture, GenerationProgress, GenerationOptions, SqlDialect, FileChange } from '../types';
 import FileTreeViewer from './FileTreeViewer';
 import CodeViewer from './CodeViewer';
 import ProjectDownloader from './ProjectDownloader';
+import GitPublisher from './GitPublisher';
+import ArchitectureEditor from './ArchitectureEditor';
+import { validateArchitecture } from '../utils/architecture';
 import { Layers, Code, Box, Cpu } from 'lucide-react';
 
 interface BlueprintCardProps {
@@ -12,12 +15,16 @@ interface BlueprintCardProps {
   scaffoldData: ScaffoldData | null;
   generatedProject: GeneratedProject | null;
   architecture: ProjectArchitecture | null;
-  generationProgress: {
-    phase: string;
-    current: number;
-    total: number;
-  };
-  onGenerateScaffold: () => void;
+  generatedArchitecture: ProjectArchitecture | null; // what generatedProject was built from
+  generationProgress: GenerationProgress;
+  liveFiles: FileNode[];
+  onGenerateScaffold: (options: GenerationOptions) => void;
+  onArchitectureChange: (architecture: ProjectArchitecture) => void;
+  // Incremental regeneration of an already generated project
+  hasArchitectureChanges: boolean;
+  isRegenerating: boolean;
+  regenerationDiff: FileChange[] | null;
+  onRegenerate: (request: { paths?: string[]; instructions?: string }) => void;
 }
 
 const MOCK_PROJECT_STRUCTURE: TreeNode[] = [
@@ -31,6 +38,48 @@ const MOCK_PROJECT_STRUCTURE: TreeNode[] = [
   { name: "package.json", type: "file", content: "{}" }
 ];
 
+// Convert flat FileNode list to recursive TreeNode structure
+const buildTree = (files: FileNode[]): TreeNode[] => {
+    const root: TreeNode[] = [];
+    files.forEach(file => {
+        const parts = file.path.split('/');
+        let currentLevel = root;
+        parts.forEach((part, index) => {
+            const isFile = index === parts.length - 1;
+            let existingNode = currentLevel.find(n => n.name === part);
+            if (!existingNode) {
+                 existingNode = {
+                    name: part,
+                    type: isFile ? 'file' : 'folder',
+                    children: isFile ? undefined : [],
+                    content: isFile ? file.content : undefined,
+                    path: isFile ? file.path : undefined
+                };
+                currentLevel.push(existingNode);
+            }
+            if (!isFile && existingNode.children) {
+                currentLevel = existingNode.children;
+            }
+        });
+    });
+    return root;
+};
+
+const findFile = (nodes: TreeNode[], path: string): TreeNode | null => {
+    for (const node of nodes) {
+        if (node.path === path) return node;
+        const found = node.children ? findFile(node.children, path) : null;
+        if (found) return found;
+    }
+    return null;
+};
+
+const CHANGE_STYLES: Record<FileChange['status'], string> = {
+    added: 'text-green-400',
+    modified: 'text-yellow-400',
+    removed: 'text-red-400'
+};
+
 const BlueprintCard: React.FC<BlueprintCardProps> = ({ 
   isLoading, 
   content, 
@@ -38,47 +87,36 @@ const BlueprintCard: React.FC<BlueprintCardProps> = ({
   scaffoldData,
   generatedProject,
   architecture,
+  generatedArchitecture,
   generationProgress,
-  onGenerateScaffold
+  liveFiles,
+  onGenerateScaffold,
+  onArchitectureChange,
+  hasArchitectureChanges,
+  isRegenerating,
+  regenerationDiff,
+  onRegenerate
 }) => {
   const [activeTab, setActiveTab] = useState<'architecture' | 'code'>('architecture');
   const [selectedFile, setSelectedFile] = useState<TreeNode | null>(null);
   const [treeData, setTreeData] = useState<TreeNode[]>(MOCK_PROJECT_STRUCTURE);
+  const [includeBackend, setIncludeBackend] = useState(false);
+  const [sqlDialect, setSqlDialect] = useState<SqlDialect>('postgres');
+  const [architectureView, setArchitectureView] = useState<'overview' | 'edit'>('overview');
+
+  // Errors block generation until they are fixed in the editor
+  const architectureIssues = useMemo(() => (architecture ? validateArchitecture(architecture) : []), [architecture]);
+  const architectureErrors = architectureIssues.filter(issue => issue.severity === 'error').length;
 
-  // Convert flat FileNode list to recursive TreeNode structure
   useEffect(() => {
     if (generatedProject && generatedProject.files) {
-        const buildTree = (files: FileNode[]): TreeNode[] => {
-            const root: TreeNode[] = [];
-            files.forEach(file => {
-                const parts = file.path.split('/');
-                let currentLevel = root;
-                parts.forEach((part, index) => {
-                    const isFile = index === parts.length - 1;
-                    let existingNode = currentLevel.find(n => n.name === part);
-                    if (!existingNode) {
-                         existingNode = {
-                            name: part,
-                            type: isFile ? 'file' : 'folder',
-                            children: isFile ? undefined : [],
-                            content: isFile ? file.content : undefined
-                        };
-                        currentLevel.push(existingNode);
-                    }
-                    if (!isFile && existingNode.children) {
-                        currentLevel = existingNode.children;
-                    }
-                });
-            });
-            return root;
-        };
-
         const newTree = buildTree(generatedProject.files);
         setTreeData(newTree);
         
-        // Auto-select package.json if it exists
+        // Keep the open file across regenerations, otherwise auto-select package.json
+        const current = selectedFile?.path ? findFile(newTree, selectedFile.path) : null;
         const pkgJson = newTree.find(n => n.name === 'package.json');
-        if (pkgJson) setSelectedFile(pkgJson);
+        if (current || pkgJson) setSelectedFile(current || pkgJson || null);
         
         // Auto switch to code tab when done
         setActiveTab('code');
@@ -95,7 +133,17 @@ const BlueprintCard: React.FC<BlueprintCardProps> = ({
       }
   }, [scaffoldData, generatedProject]);
 
-  if (isLoading || isScaffolding) {
+  // Let the file tree fill in while the generation stream is still running
+  useEffect(() => {
+      if (isScaffolding && liveFiles.length > 0) {
+          setTreeData(buildTree(liveFiles));
+          setActiveTab('code');
+      }
+  }, [isScaffolding, liveFiles]);
+
+  const isStreaming = isScaffolding && liveFiles.length > 0;
+
+  if (isLoading || (isScaffolding && !isStreaming)) {
     const fileEstimate = architecture 
         ? (architecture.components?.length || 0) + (architecture.pages?.length || 0) + 10 
         : 15;
@@ -141,7 +189,60 @@ const BlueprintCard: React.FC<BlueprintCardProps> = ({
     );
   }
 
-  if (!content && !generatedProject) return null;
+  if (!content && !architecture && !generatedProject && !isStreaming) return null;
+
+  const renderGenerationProgress = () => {
+      const { phase, current, total, lastFile, failed } = generationProgress;
+      const progressPercent = total > 0 ? Math.min(100, Math.round((current / total) * 100)) : 0;
+      return (
+          <div className="px-6 py-4 border-b border-gray-800 bg-black/40 animate-fade-in">
+              <div className="flex items-center justify-between text-[10px] font-mono uppercase tracking-widest mb-2">
+                  <span className="text-electricBlue">{phase || 'Generating Files'}</span>
+                  <span className="text-gray-500">
+                      {current} / {total} files
+                      {failed ? <span className="text-red-500 ml-2">{failed} failed</span> : null}
+                  </span>
+              </div>
+              <div className="h-1 bg-gray-800 rounded overflow-hidden">
+                  <div
+                    className="h-full bg-electricBlue transition-all"
+                    style={{ width: `${progressPercent}%` }}
+                  ></div>
+              </div>
+              {lastFile && (
+                  <p className="mt-2 text-[10px] font-mono text-gray-600 truncate">&gt;&gt; {lastFile}</p>
+              )}
+          </div>
+      );
+  };
+
+  const renderArchitectureTab = () => {
+    if (!architecture) return renderArchitectureView();
+    const view = content ? architectureView : 'edit';
+    return (
+        <>
+            <div className="flex gap-4 px-8 md:px-12 pt-6 text-[10px] font-mono uppercase tracking-widest">
+                {content && (['overview', 'edit'] as const).map(option => (
+                    <button
+                        key={option}
+                        onClick={() => setArchitectureView(option)}
+                        className={view === option ? 'text-electricBlue' : 'text-gray-500 hover:text-gray-300'}
+                    >
+                        {option === 'overview' ? 'Overview' : `Edit${architectureIssues.length > 0 ? ` (${architectureIssues.length} issues)` : ''}`}
+                    </button>
+                ))}
+            </div>
+            {view === 'overview' ? renderArchitectureView() : (
+                <ArchitectureEditor
+                    architecture={architecture}
+                    issues={architectureIssues}
+                    disabled={isScaffolding || isRegenerating}
+                    onChange={onArchitectureChange}
+                />
+            )}
+        </>
+    );
+  };
 
   const renderArchitectureView = () => {
     if (!content) return null;
@@ -204,6 +305,30 @@ const BlueprintCard: React.FC<BlueprintCardProps> = ({
                           <Box size={14} /> Project Files
                       </h4>
                   </div>
+                  {regenerationDiff && (
+                      <div className="p-2 border-b border-gray-800">
+                          <p className="px-2 py-1 text-[10px] font-mono uppercase tracking-widest text-gray-500">
+                              Last regeneration: {regenerationDiff.length} {regenerationDiff.length === 1 ? 'file' : 'files'} changed
+                          </p>
+                          {regenerationDiff.map(change => (
+                              <button
+                                  key={change.path}
+                                  onClick={() => {
+                                      const node = findFile(treeData, change.path);
+                                      if (node) setSelectedFile(node);
+                                  }}
+                                  disabled={change.status === 'removed'}
+                                  title={change.reason}
+                                  className="w-full flex items-center gap-2 px-2 py-0.5 text-left text-[10px] font-mono hover:bg-white/5 disabled:cursor-default"
+                              >
+                                  <span className={`font-bold ${CHANGE_STYLES[change.status]}`}>{change.status[0].toUpperCase()}</span>
+                                  <span className={`flex-1 truncate ${change.status === 'removed' ? 'line-through text-gray-600' : 'text-gray-400'}`}>{change.path}</span>
+                                  <span className="text-green-400/70">+{change.linesAdded}</span>
+                                  <span className="text-red-400/70">-{change.linesRemoved}</span>
+                              </button>
+                          ))}
+                      </div>
+                  )}
                   <div className="p-2">
                     <FileTreeViewer 
                         data={treeData} 
@@ -219,6 +344,10 @@ const BlueprintCard: React.FC<BlueprintCardProps> = ({
                       <CodeViewer 
                         filename={selectedFile.name} 
                         code={selectedFile.content || "// Select a file to view content"} 
+                        onRegenerate={generatedProject && selectedFile.path && !isScaffolding
+                          ? (instructions => onRegenerate({ paths: [selectedFile.path!], instructions: instructions || undefined }))
+                          : undefined}
+                        isRegenerating={isRegenerating}
                       />
                   ) : (
                       <div className="flex flex-col items-center justify-center h-full text-gray-600">
@@ -274,18 +403,73 @@ const BlueprintCard: React.FC<BlueprintCardProps> = ({
                 </div>
             </div>
 
+            {isStreaming && renderGenerationProgress()}
+
             {/* Content Body */}
             <div>
-                {activeTab === 'architecture' && renderArchitectureView()}
+                {activeTab === 'architecture' && renderArchitectureTab()}
                 {activeTab === 'code' && renderCodeExplorer()}
             </div>
 
             {/* Footer Actions */}
             <div className="bg-gray-900/80 p-4 border-t border-gray-800 flex justify-end gap-4 z-20 relative">
                 {generatedProject ? (
-                    <ProjectDownloader project={generatedProject} />
+                    <>
+                        {architectureErrors > 0 && (
+                            <button
+                                onClick={() => { setActiveTab('architecture'); setArchitectureView('edit'); }}
+                                className="self-center text-[10px] font-mono uppercase tracking-widest text-red-400 hover:text-red-300"
+                            >
+                                {architectureErrors} architecture {architectureErrors === 1 ? 'error' : 'errors'}
+                            </button>
+                        )}
+                        {(hasArchitectureChanges || isRegenerating) && (
+                            <button
+                                onClick={() => onRegenerate({})}
+                                disabled={isRegenerating || architectureErrors > 0}
+                                className="relative px-6 py-2 font-black text-xs uppercase tracking-widest transition-all duration-200 skew-x-[-10deg] border border-electricBlue text-electricBlue hover:bg-electricBlue hover:text-black disabled:border-gray-700 disabled:text-gray-500 disabled:cursor-wait"
+                            >
+                                <span className="block skew-x-[10deg]">
+                                    {isRegenerating ? 'REGENERATING...' : 'REGENERATE CHANGES'}
+                                </span>
+                            </button>
+                        )}
+                        <GitPublisher project={generatedProject} architecture={generatedArchitecture} />
+                        <ProjectDownloader project={generatedProject} />
+                    </>
                 ) : (
                     <>
+                        {architecture && (
+                            <div className="flex items-center gap-4 mr-auto text-xs font-mono uppercase tracking-widest text-gray-400">
+                                {architecture.apiEndpoints.length > 0 && (
+                                    <label className="flex items-center gap-2 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={includeBackend}
+                                            onChange={e => setIncludeBackend(e.target.checked)}
+                                            disabled={isScaffolding}
+                                            className="accent-electricBlue"
+                                        />
+                                        Include Express API ({architecture.apiEndpoints.length} endpoints)
+                                    </label>
+                                )}
+                                {/* Supabase and the Express API run on Postgres */}
+                                {architecture.databaseSchema.length > 0 && !includeBackend && architecture.authentication.provider !== 'Supabase' && (
+                                    <label className="flex items-center gap-2">
+                                        SQL
+                                        <select
+                                            value={sqlDialect}
+                                            onChange={e => setSqlDialect(e.target.value as SqlDialect)}
+                                            disabled={isScaffolding}
+                                            className="bg-black border border-gray-700 px-2 py-1 text-gray-300"
+                                        >
+                                            <option value="postgres">Postgres</option>
+                                            <option value="sqlite">SQLite</option>
+                                        </select>
+                                    </label>
+                                )}
+                            </div>
+                        )}
                         <button 
                             disabled={isScaffolding}
                             className="relative px-6 py-2 font-black text-xs uppercase tracking-widest transition-all duration-200 skew-x-[-10deg] border border-gray-600 text-gray-400 hover:border-white hover:text-white disabled:opacity-50"
@@ -294,9 +478,17 @@ const BlueprintCard: React.FC<BlueprintCardProps> = ({
                                     Download Spec
                             </span>
                         </button>
+                        {architectureErrors > 0 && (
+                            <button
+                                onClick={() => { setActiveTab('architecture'); setArchitectureView('edit'); }}
+                                className="self-center text-[10px] font-mono uppercase tracking-widest text-red-400 hover:text-red-300"
+                            >
+                                {architectureErrors} architecture {architectureErrors === 1 ? 'error' : 'errors'}
+                            </button>
+                        )}
                         <button 
-                            onClick={onGenerateScaffold}
-                            disabled={isScaffolding}
+                            onClick={() => onGenerateScaffold(includeBackend ? { backend: 'express' } : { database: sqlDialect })}
+                            disabled={isScaffolding || architectureErrors > 0}
                             className="relative px-8 py-2 font-black text-xs uppercase tracking-widest transition-all duration-200 skew-x-[-10deg] bg-electricBlue text-black hover:bg-white hover:text-electricBlue hover:shadow-blue-glow disabled:bg-gray-700 disabled:text-gray-500 disabled:cursor-wait"
                         >
                             <span className="block skew-x-[10deg]">
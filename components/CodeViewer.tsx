@@ -1,13 +1,18 @@
 import React, { useState } from 'react';
-import { Copy, Check, Terminal } from 'lucide-react';
+import { Copy, Check, Terminal, RefreshCw } from 'lucide-react';
 
 interface CodeViewerProps {
   filename: string;
   code: string;
+  // Regenerate this file on the server, with optional extra instructions
+  onRegenerate?: (instructions: string) => void;
+  isRegenerating?: boolean;
 }
 
-export default function CodeViewer({ filename, code }: CodeViewerProps) {
+export default function CodeViewer({ filename, code, onRegenerate, isRegenerating = false }: CodeViewerProps) {
   const [copied, setCopied] = useState(false);
+  const [showRegenerate, setShowRegenerate] = useState(false);
+  const [instructions, setInstructions] = useState('');
 
   const handleCopy = () => {
     navigator.clipboard.writeText(code);
@@ -15,6 +20,12 @@ export default function CodeViewer({ filename, code }: CodeViewerProps) {
     setTimeout(() => setCopied(false), 2000);
   };
 
+  const handleRegenerate = () => {
+    onRegenerate?.(instructions.trim());
+    setShowRegenerate(false);
+    setInstructions('');
+  };
+
   return (
     <div className="flex flex-col h-full bg-nightDark/50 border-l border-gray-800">
       <div className="flex items-center justify-between px-4 py-3 bg-black/40 border-b border-gray-800 backdrop-blur-sm">
@@ -22,24 +33,57 @@ export default function CodeViewer({ filename, code }: CodeViewerProps) {
           <Terminal size={14} className="text-electricBlue" />
           <span className="text-xs font-mono font-bold tracking-wide text-gray-300">{filename}</span>
         </div>
-        <button 
-          onClick={handleCopy}
-          className="group flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-800 transition-colors"
-          title="Copy code"
-        >
-          {copied ? (
-            <>
-              <Check size={14} className="text-green-500" />
-              <span className="text-[10px] text-green-500 font-mono">COPIED</span>
-            </>
-          ) : (
-            <>
-              <Copy size={14} className="text-gray-500 group-hover:text-white" />
-              <span className="text-[10px] text-gray-500 group-hover:text-white font-mono">COPY</span>
-            </>
+        <div className="flex items-center gap-1">
+          {onRegenerate && (
+            <button
+              onClick={() => setShowRegenerate(!showRegenerate)}
+              disabled={isRegenerating}
+              className="group flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-800 transition-colors disabled:cursor-wait"
+              title="Regenerate this file"
+            >
+              <RefreshCw size={14} className={isRegenerating ? 'text-electricBlue animate-spin' : 'text-gray-500 group-hover:text-white'} />
+              <span className={`text-[10px] font-mono ${isRegenerating ? 'text-electricBlue' : 'text-gray-500 group-hover:text-white'}`}>
+                {isRegenerating ? 'REGENERATING' : 'REGENERATE'}
+              </span>
+            </button>
           )}
-        </button>
+          <button 
+            onClick={handleCopy}
+            className="group flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-800 transition-colors"
+            title="Copy code"
+          >
+            {copied ? (
+              <>
+                <Check size={14} className="text-green-500" />
+                <span className="text-[10px] text-green-500 font-mono">COPIED</span>
+              </>
+            ) : (
+              <>
+                <Copy size={14} className="text-gray-500 group-hover:text-white" />
+                <span className="text-[10px] text-gray-500 group-hover:text-white font-mono">COPY</span>
+              </>
+            )}
+          </button>
+        </div>
       </div>
+      {showRegenerate && !isRegenerating && (
+        <div className="flex items-center gap-2 px-4 py-2 bg-black/60 border-b border-gray-800">
+          <input
+            autoFocus
+            value={instructions}
+            onChange={e => setInstructions(e.target.value)}
+            onKeyDown={e => e.key === 'Enter' && handleRegenerate()}
+            placeholder="Extra instructions (optional), e.g. add a loading skeleton"
+            className="flex-1 bg-transparent border border-gray-800 focus:border-electricBlue outline-none px-2 py-1 text-xs font-mono text-gray-300"
+          />
+          <button
+            onClick={handleRegenerate}
+            className="px-3 py-1 text-[10px] font-mono font-bold uppercase border border-electricBlue text-electricBlue hover:bg-electricBlue hover:text-black transition-colors"
+          >
+            Run
+          </button>
+        </div>
+      )}
       <div className="flex-1 overflow-auto p-0">
         <div className="min-h-full p-4 font-mono text-xs md:text-sm text-gray-300 leading-relaxed bg-nightDark/20">
             <pre className="whitespace-pre-wrap break-words">
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { GitBranch, Loader2, ExternalLink, X } from 'lucide-react';
+import { GeneratedProject, ProjectArchitecture, PublishMode, PublishResult } from '../types';
+import { publishProject } from '../utils/gemini';
+
+interface GitPublisherProps {
+  project: GeneratedProject;
+  architecture: ProjectArchitecture | null; // what the project was built from; sorts files into tier commits
+}
+
+const GitPublisher: React.FC<GitPublisherProps> = ({ project, architecture }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [remote, setRemote] = useState('');
+  const [mode, setMode] = useState<PublishMode>('new');
+  const [branch, setBranch] = useState('');
+  const [base, setBase] = useState('');
+  const [token, setToken] = useState('');
+  const [status, setStatus] = useState<'idle' | 'pushing'>('idle');
+  const [result, setResult] = useState<PublishResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const handlePublish = async () => {
+    setStatus('pushing');
+    setError(null);
+    setResult(null);
+    try {
+      // Empty fields fall back to the server's GIT_REMOTE and default branches
+      setResult(await publishProject(project, architecture, {
+        remote: remote.trim() || undefined,
+        mode,
+        branch: branch.trim() || undefined,
+        base: mode === 'branch' && base.trim() ? base.trim() : undefined,
+        token: token.trim() || undefined
+      }));
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setStatus('idle');
+    }
+  };
+
+  const inputClass = 'w-full bg-black border border-gray-700 focus:border-electricBlue outline-none px-2 py-1 text-xs font-mono text-gray-300';
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative px-6 py-2 font-black text-xs uppercase tracking-widest transition-all duration-200 skew-x-[-10deg] border border-electricBlue text-electricBlue hover:bg-electricBlue hover:text-black"
+      >
+        <span className="skew-x-[10deg] flex items-center gap-2">
+          <GitBranch size={14} /> PUSH TO GIT
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute bottom-full right-0 mb-3 w-96 bg-black border border-gray-800 p-4 flex flex-col gap-3 shadow-lg">
+          <div className="flex items-center justify-between">
+            <h4 className="text-xs font-bold text-gray-400 uppercase tracking-widest">Publish to Git</h4>
+            <button onClick={() => setIsOpen(false)} className="text-gray-500 hover:text-white" title="Close">
+              <X size={14} />
+            </button>
+          </div>
+
+          <input
+            value={remote}
+            onChange={e => setRemote(e.target.value)}
+            placeholder="Remote URL (empty: server's GIT_REMOTE)"
+            className={inputClass}
+          />
+          <input
+            type="password"
+            value={token}
+            onChange={e => setToken(e.target.value)}
+            placeholder="Token (needed unless the server holds one for this host)"
+            className={inputClass}
+          />
+          <div className="flex gap-4 text-[10px] font-mono uppercase text-gray-400">
+            {(['new', 'branch'] as PublishMode[]).map(option => (
+              <label key={option} className="flex items-center gap-1 cursor-pointer">
+                <input type="radio" checked={mode === option} onChange={() => setMode(option)} className="accent-electricBlue" />
+                {option === 'new' ? 'New repository' : 'Branch for review'}
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <input
+              value={branch}
+              onChange={e => setBranch(e.target.value)}
+              placeholder={mode === 'new' ? 'Branch (main)' : 'Branch (ideatorepo/<project>)'}
+              className={inputClass}
+            />
+            {mode === 'branch' && (
+              <input value={base} onChange={e => setBase(e.target.value)} placeholder="Base (default branch)" className={inputClass} />
+            )}
+          </div>
+
+          <button
+            onClick={handlePublish}
+            disabled={status === 'pushing'}
+            className="self-end px-4 py-1 text-[10px] font-mono font-bold uppercase border border-electricBlue text-electricBlue hover:bg-electricBlue hover:text-black transition-colors disabled:border-gray-700 disabled:text-gray-500 disabled:cursor-wait flex items-center gap-2"
+          >
+            {status === 'pushing' && <Loader2 size={12} className="animate-spin" />}
+            {status === 'pushing' ? 'Pushing...' : 'Push'}
+          </button>
+
+          {error && <p className="text-[10px] font-mono text-red-400 break-words">{error}</p>}
+          {result && (
+            <div className="text-[10px] font-mono text-gray-400 flex flex-col gap-1">
+              <p className="text-green-400 uppercase">
+                Pushed {result.commits.length} {result.commits.length === 1 ? 'commit' : 'commits'} to {result.branch}
+              </p>
+              {result.commits.map(commit => (
+                <p key={commit.sha} className="truncate">
+                  <span className="text-electricBlue">{commit.sha.slice(0, 7)}</span> {commit.subject}
+                </p>
+              ))}
+              {result.compareUrl && (
+                <a href={result.compareUrl} target="_blank" rel="noreferrer" className="mt-1 flex items-center gap-1 text-electricBlue hover:text-white uppercase">
+                  <ExternalLink size={12} /> Compare with {result.base}
+                </a>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GitPublisher;
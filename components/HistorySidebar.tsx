@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { SessionStage, SessionSummary } from '../types';
+import { listSessions, deleteSession, sessionExportUrl, projectArchiveUrl } from '../utils/gemini';
+import { Archive, Download, GitBranch, History, Trash2, X } from 'lucide-react';
+
+interface HistorySidebarProps {
+    isOpen: boolean;
+    activeSessionId: string | null;
+    refreshKey: number; // bump to reload the list after the active session changes
+    onClose: () => void;
+    onOpen: (sessionId: string) => void;
+    onFork: (sessionId: string, idea: string, upTo: SessionStage) => void;
+    onDeleted: (sessionId: string) => void;
+}
+
+const STAGE_LABELS: Record<SessionStage, string> = {
+    idea: 'Idea',
+    intent: 'Intent',
+    search: 'Repos',
+    patterns: 'Patterns',
+    architecture: 'Architecture',
+    project: 'Project'
+};
+
+const STAGES = Object.keys(STAGE_LABELS) as SessionStage[];
+
+const formatDate = (iso: string) => new Date(iso).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+
+const HistorySidebar: React.FC<HistorySidebarProps> = ({ isOpen, activeSessionId, refreshKey, onClose, onOpen, onFork, onDeleted }) => {
+    const [sessions, setSessions] = useState<SessionSummary[]>([]);
+    const [error, setError] = useState<string | null>(null);
+    const [forking, setForking] = useState<{ id: string; idea: string; upTo: SessionStage } | null>(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        listSessions()
+            .then(list => {
+                setSessions(list);
+                setError(null);
+            })
+            .catch(() => setError('History unavailable'));
+    }, [isOpen, refreshKey]);
+
+    const handleDelete = async (session: SessionSummary) => {
+        if (!window.confirm(`Delete "${session.idea.slice(0, 60)}"?`)) return;
+        try {
+            await deleteSession(session.id);
+            setSessions(prev => prev.filter(item => item.id !== session.id));
+            onDeleted(session.id);
+        } catch {
+            setError('Delete failed');
+        }
+    };
+
+    // A changed idea starts over from the idea; an unchanged one keeps everything
+    const startFork = (session: SessionSummary) => {
+        setForking(forking?.id === session.id ? null : { id: session.id, idea: session.idea, upTo: session.stage });
+    };
+
+    const submitFork = (session: SessionSummary) => {
+        if (!forking?.idea.trim()) return;
+        onFork(session.id, forking.idea.trim(), forking.idea.trim() === session.idea ? forking.upTo : 'idea');
+        setForking(null);
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <aside className="fixed top-0 left-0 h-full w-80 z-40 bg-black/95 border-r border-gray-800 backdrop-blur-md flex flex-col animate-fade-in">
+            <div className="flex items-center justify-between px-4 py-4 border-b border-gray-800">
+                <h4 className="text-xs font-bold text-gray-400 uppercase tracking-widest flex items-center gap-2">
+                    <History size={14} className="text-electricBlue" /> Mission History
+                </h4>
+                <button onClick={onClose} className="text-gray-500 hover:text-white" title="Close">
+                    <X size={16} />
+                </button>
+            </div>
+
+            {error && <p className="px-4 py-2 text-[10px] font-mono uppercase text-red-400">{error}</p>}
+
+            <div className="flex-1 overflow-y-auto custom-scrollbar">
+                {sessions.length === 0 && !error && (
+                    <p className="px-4 py-8 text-center text-[10px] font-mono uppercase tracking-widest text-gray-600">No past runs yet</p>
+                )}
+                {sessions.map(session => (
+                    <div
+                        key={session.id}
+                        className={`px-4 py-3 border-b border-gray-900 border-l-2 ${session.id === activeSessionId ? 'border-l-electricBlue bg-electricBlue/5' : 'border-l-transparent hover:bg-white/5'}`}
+                    >
+                        <button onClick={() => onOpen(session.id)} className="w-full text-left">
+                            <p className="text-xs text-gray-200 line-clamp-2">{session.idea}</p>
+                            <div className="mt-1 flex items-center gap-2 text-[10px] font-mono uppercase text-gray-500">
+                                <span className="px-1 border border-electricBlue/40 text-electricBlue">{STAGE_LABELS[session.stage]}</span>
+                                {session.projectName && <span className="truncate">{session.projectName}</span>}
+                                <span className="ml-auto whitespace-nowrap">{formatDate(session.updatedAt)}</span>
+                            </div>
+                            {session.forkedFrom && (
+                                <p className="mt-1 text-[10px] font-mono text-gray-600">forked from {session.forkedFrom.slice(0, 8)}</p>
+                            )}
+                        </button>
+
+                        <div className="mt-2 flex gap-3 text-[10px] font-mono uppercase">
+                            <button onClick={() => startFork(session)} className="flex items-center gap-1 text-gray-500 hover:text-white">
+                                <GitBranch size={12} /> Fork
+                            </button>
+                            <a href={sessionExportUrl(session.id)} download className="flex items-center gap-1 text-gray-500 hover:text-white">
+                                <Download size={12} /> Export
+                            </a>
+                            {session.fileCount > 0 && (
+                                <a href={projectArchiveUrl(session.id)} download className="flex items-center gap-1 text-gray-500 hover:text-white" title="Project files with IDEATOREPO_MANIFEST.json">
+                                    <Archive size={12} /> Zip
+                                </a>
+                            )}
+                            <button onClick={() => handleDelete(session)} className="flex items-center gap-1 text-gray-500 hover:text-red-400">
+                                <Trash2 size={12} /> Delete
+                            </button>
+                        </div>
+
+                        {forking?.id === session.id && (
+                            <div className="mt-2 flex flex-col gap-2">
+                                <textarea
+                                    value={forking.idea}
+                                    onChange={e => setForking({ ...forking, idea: e.target.value })}
+                                    className="w-full h-16 bg-nightDark border border-gray-800 focus:border-electricBlue outline-none p-2 text-xs text-gray-300 resize-none"
+                                />
+                                {forking.idea.trim() === session.idea ? (
+                                    <label className="flex items-center gap-2 text-[10px] font-mono uppercase text-gray-500">
+                                        Keep up to
+                                        <select
+                                            value={forking.upTo}
+                                            onChange={e => setForking({ ...forking, upTo: e.target.value as SessionStage })}
+                                            className="bg-black border border-gray-700 px-1 text-gray-300"
+                                        >
+                                            {STAGES.slice(0, STAGES.indexOf(session.stage) + 1).map(stage => (
+                                                <option key={stage} value={stage}>{STAGE_LABELS[stage]}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                ) : (
+                                    <p className="text-[10px] font-mono uppercase text-gray-600">New idea: starts from intent analysis</p>
+                                )}
+                                <button
+                                    onClick={() => submitFork(session)}
+                                    className="self-end px-3 py-1 text-[10px] font-mono font-bold uppercase border border-electricBlue text-electricBlue hover:bg-electricBlue hover:text-black transition-colors"
+                                >
+                                    Fork
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </aside>
+    );
+};
+
+export default HistorySidebar;
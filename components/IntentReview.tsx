@@ -1,15 +1,57 @@
-import React from 'react';
-import { IntentAnalysis } from '../types';
-import { AlertTriangle, CheckCircle, Clock, Target } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { IntentAnalysis, ClarificationAnswer, ClarificationField, FeatureTier } from '../types';
+import { AlertTriangle, CheckCircle, ChevronDown, ChevronUp, Clock, History, Target } from 'lucide-react';
 
 interface IntentReviewProps {
     analysis: IntentAnalysis;
-    onContinue: () => void;
+    isRefining: boolean;
+    onContinue: (features: IntentAnalysis['features']) => void;
+    onRefine: (answers: ClarificationAnswer[], features?: IntentAnalysis['features']) => void;
     onRevise: () => void;
 }
 
-const IntentReview: React.FC<IntentReviewProps> = ({ analysis, onContinue, onRevise }) => {
-    const { feasibility, classification, features, clarification } = analysis;
+const TIERS: { tier: FeatureTier; label: string }[] = [
+    { tier: 'mustHave', label: 'Must-Have' },
+    { tier: 'shouldHave', label: 'Should-Have' },
+    { tier: 'niceToHave', label: 'Nice-to-Have' }
+];
+
+type Draft = Partial<Record<ClarificationField, { value: string; note: string }>>;
+
+const tierKey = (features: IntentAnalysis['features']) =>
+    TIERS.map(({ tier }) => features[tier].map(feature => feature.name).join('|')).join('/');
+
+const IntentReview: React.FC<IntentReviewProps> = ({ analysis, isRefining, onContinue, onRefine, onRevise }) => {
+    const { feasibility, classification, clarification } = analysis;
+    const questions = analysis.clarifyingQuestions ?? [];
+    const revisions = analysis.revisions ?? [];
+
+    // Local edits; every new revision starts from the server's version
+    const [features, setFeatures] = useState(analysis.features);
+    const [draft, setDraft] = useState<Draft>({});
+    useEffect(() => {
+        setFeatures(analysis.features);
+        setDraft({});
+    }, [analysis]);
+
+    const moved = tierKey(features) !== tierKey(analysis.features);
+    const answers: ClarificationAnswer[] = questions
+        .filter(question => draft[question.field]?.value)
+        .map(question => ({ field: question.field, value: draft[question.field]!.value, note: draft[question.field]!.note || undefined }));
+
+    const updateDraft = (field: ClarificationField, patch: Partial<{ value: string; note: string }>) => {
+        setDraft(prev => ({ ...prev, [field]: { value: '', note: '', ...prev[field], ...patch } }));
+    };
+
+    const moveFeature = (from: FeatureTier, index: number, step: 1 | -1) => {
+        const to = TIERS[TIERS.findIndex(({ tier }) => tier === from) + step]?.tier;
+        if (!to) return;
+        setFeatures(prev => ({
+            ...prev,
+            [from]: prev[from].filter((_, i) => i !== index),
+            [to]: [...prev[to], prev[from][index]]
+        }));
+    };
 
     return (
         <div className="w-full max-w-4xl mx-auto p-8 bg-nightDark border border-electricBlue/30 rounded-xl animate-fade-in">
@@ -62,22 +104,87 @@ const IntentReview: React.FC<IntentReviewProps> = ({ analysis, onContinue, onRev
                 </div>
             </div>
 
-            {/* Must-Have Features */}
-            <div className="mb-8">
-                <h3 className="text-sm font-bold text-electricBlue uppercase mb-3">
-                    Must-Have Features ({features.mustHave.length})
-                </h3>
-                <div className="space-y-2">
-                    {features.mustHave.map((feature, idx) => (
-                        <div key={idx} className="flex items-start gap-3 p-3 bg-black/20 border-l-2 border-electricBlue">
-                            <span className="text-electricBlue font-mono text-xs mt-1">●</span>
-                            <div>
-                                <p className="text-white font-semibold">{feature.name}</p>
-                                <p className="text-xs text-gray-400 mt-1">{feature.reason}</p>
+            {/* Clarifying Questions */}
+            {questions.length > 0 && (
+                <div className="mb-8">
+                    <h3 className="text-sm font-bold text-electricBlue uppercase mb-3">
+                        Clarify ({questions.length})
+                    </h3>
+                    <div className="space-y-3">
+                        {questions.map(question => (
+                            <div key={question.field} className="p-4 bg-black/30 border border-gray-800 rounded">
+                                <p className="text-white font-semibold">{question.question}</p>
+                                <p className="text-xs text-gray-500 mt-1">{question.why}</p>
+                                <div className="flex flex-wrap gap-2 mt-3">
+                                    {question.options.map(option => (
+                                        <button
+                                            key={option}
+                                            type="button"
+                                            onClick={() => updateDraft(question.field, { value: option })}
+                                            className={`px-3 py-1 text-xs font-mono uppercase border transition-colors ${draft[question.field]?.value === option
+                                                    ? 'border-electricBlue bg-electricBlue text-black'
+                                                    : 'border-gray-700 text-gray-400 hover:border-electricBlue hover:text-white'
+                                                }`}
+                                        >
+                                            {option}
+                                            {clarification[question.field] === option && ' (guess)'}
+                                        </button>
+                                    ))}
+                                </div>
+                                <input
+                                    type="text"
+                                    value={draft[question.field]?.note ?? ''}
+                                    onChange={(e) => updateDraft(question.field, { note: e.target.value })}
+                                    placeholder="Details (optional)"
+                                    maxLength={300}
+                                    className="mt-3 w-full bg-black border border-gray-800 focus:border-electricBlue px-3 py-2 text-sm text-white focus:outline-none"
+                                />
                             </div>
-                        </div>
-                    ))}
+                        ))}
+                    </div>
                 </div>
+            )}
+
+            {/* Feature Tiers */}
+            <div className="mb-8 space-y-6">
+                {TIERS.map(({ tier, label }, tierIndex) => (
+                    <div key={tier}>
+                        <h3 className="text-sm font-bold text-electricBlue uppercase mb-3">
+                            {label} Features ({features[tier].length})
+                        </h3>
+                        <div className="space-y-2">
+                            {features[tier].map((feature, idx) => (
+                                <div key={feature.name} className="flex items-start gap-3 p-3 bg-black/20 border-l-2 border-electricBlue">
+                                    <span className="text-electricBlue font-mono text-xs mt-1">●</span>
+                                    <div className="flex-1">
+                                        <p className="text-white font-semibold">{feature.name}</p>
+                                        <p className="text-xs text-gray-400 mt-1">{feature.reason}</p>
+                                    </div>
+                                    <div className="flex flex-col">
+                                        <button
+                                            type="button"
+                                            onClick={() => moveFeature(tier, idx, -1)}
+                                            disabled={tierIndex === 0}
+                                            title={tierIndex > 0 ? `Move to ${TIERS[tierIndex - 1].label}` : undefined}
+                                            className="text-gray-500 hover:text-electricBlue disabled:opacity-20"
+                                        >
+                                            <ChevronUp size={16} />
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => moveFeature(tier, idx, 1)}
+                                            disabled={tierIndex === TIERS.length - 1}
+                                            title={tierIndex < TIERS.length - 1 ? `Move to ${TIERS[tierIndex + 1].label}` : undefined}
+                                            className="text-gray-500 hover:text-electricBlue disabled:opacity-20"
+                                        >
+                                            <ChevronDown size={16} />
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                ))}
             </div>
 
             {/* Concerns & Recommendations */}
@@ -115,19 +222,46 @@ const IntentReview: React.FC<IntentReviewProps> = ({ analysis, onContinue, onRev
                 </div>
             )}
 
+            {/* Revision History */}
+            {revisions.length > 0 && (
+                <div className="mb-8 p-4 bg-black/30 border border-gray-800 rounded">
+                    <h4 className="flex items-center gap-2 text-sm font-bold text-gray-400 uppercase mb-2">
+                        <History size={14} /> Revisions
+                    </h4>
+                    <ol className="space-y-2">
+                        {revisions.map(revision => (
+                            <li key={revision.revision} className="text-xs font-mono text-gray-400">
+                                <span className="text-electricBlue">#{revision.revision}</span>{' '}
+                                score {revision.feasibility.before} → {revision.feasibility.after}
+                                {revision.changes.length > 0 && <span className="text-gray-500"> · {revision.changes.join(' · ')}</span>}
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            )}
+
             {/* Actions */}
             <div className="flex gap-4">
                 <button
                     onClick={onRevise}
-                    className="flex-1 px-6 py-3 font-bold text-sm uppercase tracking-wider bg-gray-800 text-white hover:bg-gray-700 transition-colors"
+                    disabled={isRefining}
+                    className="flex-1 px-6 py-3 font-bold text-sm uppercase tracking-wider bg-gray-800 text-white hover:bg-gray-700 transition-colors disabled:opacity-50"
                 >
                     Revise Idea
                 </button>
                 <button
-                    onClick={onContinue}
-                    className="flex-1 px-6 py-3 font-bold text-sm uppercase tracking-wider bg-electricBlue text-black hover:bg-white hover:shadow-blue-glow transition-all skew-x-[-10deg]"
+                    onClick={() => onRefine(answers, moved ? features : undefined)}
+                    disabled={isRefining || (answers.length === 0 && !moved)}
+                    className="flex-1 px-6 py-3 font-bold text-sm uppercase tracking-wider border border-electricBlue text-electricBlue hover:bg-electricBlue hover:text-black transition-colors disabled:opacity-30 disabled:hover:bg-transparent disabled:hover:text-electricBlue"
+                >
+                    {isRefining ? 'Refining...' : 'Refine Analysis'}
+                </button>
+                <button
+                    onClick={() => onContinue(features)}
+                    disabled={isRefining}
+                    className="flex-1 px-6 py-3 font-bold text-sm uppercase tracking-wider bg-electricBlue text-black hover:bg-white hover:shadow-blue-glow transition-all skew-x-[-10deg] disabled:opacity-50"
                 >
-                    <span className="skew-x-[10deg]">Continue Anyway</span>
+                    <span className="skew-x-[10deg]">{feasibility.score >= 7 ? 'Continue' : 'Continue Anyway'}</span>
                 </button>
             </div>
         </div>
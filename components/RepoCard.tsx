@@ -1,10 +1,28 @@
 import React from 'react';
-import { Repository } from '../types';
+import { Repository, RankingSignal } from '../types';
 
 interface RepoCardProps {
   repo: Repository;
 }
 
+const SIGNAL_STYLES: Record<RankingSignal, { label: string; bar: string }> = {
+  semantic: { label: 'IDEA MATCH', bar: 'bg-electricBlue' },
+  readme: { label: 'README MATCH', bar: 'bg-cyan-400' },
+  popularity: { label: 'STARS', bar: 'bg-yellow-500' },
+  recency: { label: 'ACTIVITY', bar: 'bg-green-500' },
+  license: { label: 'LICENSE', bar: 'bg-purple-500' }
+};
+
+// "3D AGO" style age of the last push
+const pushedAgo = (pushedAt: string | null): string => {
+  if (!pushedAt) return 'NEVER';
+  const days = Math.floor((Date.now() - new Date(pushedAt).getTime()) / 86_400_000);
+  if (days < 1) return 'TODAY';
+  if (days < 30) return `${days}D AGO`;
+  if (days < 365) return `${Math.floor(days / 30)}MO AGO`;
+  return `${Math.floor(days / 365)}Y AGO`;
+};
+
 const RepoCard: React.FC<RepoCardProps> = ({ repo }) => {
   return (
     <div className="group relative flex flex-col justify-between p-6 bg-nightDark border border-gray-800 hover:border-electricBlue transition-all duration-200 hover:shadow-[0_0_20px_rgba(59,130,246,0.15)] rounded-lg">
@@ -27,7 +45,12 @@ const RepoCard: React.FC<RepoCardProps> = ({ repo }) => {
             <h3 className="text-lg font-bold text-white uppercase tracking-tight group-hover:text-electricBlue transition-colors duration-200">
               {repo.name}
             </h3>
-            <p className="text-[10px] font-mono text-gray-500 uppercase">//{repo.owner.login}</p>
+            <p className="text-[10px] font-mono text-gray-500 uppercase">
+              //{repo.owner.login}
+              {repo.archived && <span className="ml-2 px-1 text-red-400 border border-red-900">ARCHIVED</span>}
+              {repo.recalled && <span className="ml-2 px-1 text-electricBlue border border-electricBlue/40" title="Matched from previously indexed repos">INDEXED</span>}
+              {repo.source === 'local' && <span className="ml-2 px-1 text-green-400 border border-green-900" title="From the local repository corpus">LOCAL</span>}
+            </p>
           </div>
         </div>
         <div className="flex items-center space-x-1 text-gray-400 font-mono text-xs bg-black px-2 py-1 border border-gray-800">
@@ -41,6 +64,45 @@ const RepoCard: React.FC<RepoCardProps> = ({ repo }) => {
         {repo.description}
       </p>
 
+      {/* Activity signals */}
+      <div className="grid grid-cols-2 gap-x-4 gap-y-1 mb-4 text-[10px] font-mono uppercase text-gray-500">
+        <span title={repo.pushed_at ?? undefined}>PUSHED <span className="text-gray-300">{pushedAgo(repo.pushed_at)}</span></span>
+        <span>FORKS <span className="text-gray-300">{repo.forks_count.toLocaleString()}</span></span>
+        <span>OPEN ISSUES <span className="text-gray-300">{repo.open_issues_count.toLocaleString()}</span></span>
+        <span>LICENSE <span className="text-gray-300">{repo.license ?? 'NONE'}</span></span>
+      </div>
+
+      {/* Ranking breakdown: each signal's share of the score */}
+      {repo.ranking && (
+        <div className="mb-4 font-mono text-[10px] uppercase">
+          <div className="flex justify-between text-gray-500 mb-1">
+            <span>RANK <span className="text-electricBlue">#{repo.ranking.rank}</span></span>
+            <span>SCORE <span className="text-white">{Math.round(repo.ranking.score * 100)}</span>/100</span>
+          </div>
+          <div className="flex h-1.5 bg-gray-900 mb-2">
+            {repo.ranking.signals.filter(entry => entry.contribution > 0).map(entry => (
+              <div
+                key={entry.signal}
+                className={SIGNAL_STYLES[entry.signal].bar}
+                style={{ width: `${entry.contribution * 100}%` }}
+                title={`${SIGNAL_STYLES[entry.signal].label}: +${Math.round(entry.contribution * 100)}`}
+              />
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-x-4 gap-y-0.5 text-gray-500">
+            {repo.ranking.signals.map(entry => (
+              <span key={entry.signal} className="flex items-center gap-1" title={`weight ${Math.round(entry.weight * 100)}%`}>
+                <span className={`w-1.5 h-1.5 ${SIGNAL_STYLES[entry.signal].bar}`}></span>
+                {SIGNAL_STYLES[entry.signal].label}
+                <span className="text-gray-300 ml-auto">
+                  {entry.value == null ? 'N/A' : `+${Math.round(entry.contribution * 100)}`}
+                </span>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Footer info */}
       <div className="mt-auto">
         <div className="flex flex-wrap gap-2 mb-4">
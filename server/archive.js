@@ -0,0 +1,223 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import JSZip from 'jszip';
+
+// -----------------------------------------------------------------------------
+// PROJECT ARCHIVES
+// -----------------------------------------------------------------------------
+// /api/projects/:id/archive streams a stored project (a completed job or a
+// session's generated project) as a zip or a gzipped tarball. Files sit at the
+// archive root, like the client-side download, next to IDEATOREPO_MANIFEST.json:
+//
+//   source         where the project came from: { type: 'job' | 'session', id }
+//   idea           the idea the pipeline started from (null if unknown)
+//   architecture   the architecture the files were generated from
+//   files          path, size, SHA-256 and the model that wrote each file
+//                  (null for static and templated files)
+//   generationLog  the batches of the generation run
+//
+// `npm run verify-archive -- <dir>` checks an extracted project against it.
+
+export const MANIFEST_FILE = 'IDEATOREPO_MANIFEST.json';
+
+export const ARCHIVE_FORMATS = {
+  zip: { extension: 'zip', contentType: 'application/zip' },
+  'tar.gz': { extension: 'tar.gz', contentType: 'application/gzip' }
+};
+
+// Never part of what a manifest covers: installs, git metadata, the manifest
+const IGNORED_DIRS = new Set(['node_modules', '.git']);
+
+export class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Project paths as they go in the archive; anything escaping the root is refused
+export function archivePath(filePath) {
+  const normalized = path.posix.normalize(String(filePath).replace(/\\/g, '/').replace(/^\/+/, ''));
+  if (!normalized || normalized === '.' || normalized.startsWith('../') || normalized === '..') {
+    throw new ArchiveError(`Refusing to archive a path outside the project: ${filePath}`);
+  }
+  return normalized;
+}
+
+/**
+ * The manifest for a project. `project` is a generated project ({ name, stack?,
+ * backend?, files, generationLog }); a file's `model` is the codegen model
+ * that wrote it.
+ */
+export function buildManifest(project, { idea = null, architecture = null, source = null } = {}) {
+  const files = project.files
+    .map(file => ({ ...file, path: archivePath(file.path) }))
+    .filter(file => file.path !== MANIFEST_FILE);
+
+  return {
+    format: 'ideatorepo-manifest',
+    version: 1,
+    createdAt: new Date().toISOString(),
+    source,
+    name: project.name ?? architecture?.projectName ?? null,
+    stack: project.stack ?? null,
+    backend: project.backend ?? null,
+    idea,
+    architecture,
+    files: files.map(file => ({
+      path: file.path,
+      size: Buffer.byteLength(file.content),
+      sha256: sha256(file.content),
+      model: file.model ?? null
+    })),
+    generationLog: project.generationLog ?? []
+  };
+}
+
+// --- tar (ustar) --------------------------------------------------------------
+
+const BLOCK = 512;
+
+function octal(value, width) {
+  return `${value.toString(8).padStart(width - 1, '0')}\0`;
+}
+
+function tarHeader({ name, prefix = '', size, type = '0', mtime }) {
+  const header = Buffer.alloc(BLOCK);
+  header.write(name, 0, 100);
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(mtime, 12), 136);
+  header.write(' '.repeat(8), 148); // checksum is computed with this field as spaces
+  header.write(type, 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+}
+
+// ustar fits 100 bytes of name plus a 155-byte directory prefix; longer paths
+// get a pax header carrying the full path
+function nameFields(filePath) {
+  if (Buffer.byteLength(filePath) <= 100) return { name: filePath };
+  for (let slash = filePath.indexOf('/'); slash !== -1; slash = filePath.indexOf('/', slash + 1)) {
+    const prefix = filePath.slice(0, slash);
+    const name = filePath.slice(slash + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) return { name, prefix };
+  }
+  return null;
+}
+
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body) + 1;
+  while (String(length).length + Buffer.byteLength(body) !== length) length = String(length).length + Buffer.byteLength(body);
+  return Buffer.from(`${length}${body}`);
+}
+
+const padding = (size) => Buffer.alloc((BLOCK - (size % BLOCK)) % BLOCK);
+
+function* tarChunks(entries) {
+  const mtime = Math.floor(Date.now() / 1000);
+  for (const entry of entries) {
+    const content = Buffer.from(entry.content);
+    let fields = nameFields(entry.path);
+    if (!fields) {
+      const pax = paxRecord('path', entry.path);
+      yield tarHeader({ name: 'PaxHeader', size: pax.length, type: 'x', mtime });
+      yield pax;
+      yield padding(pax.length);
+      fields = { name: entry.path.slice(-100) };
+    }
+    yield tarHeader({ ...fields, size: content.length, mtime });
+    yield content;
+    yield padding(content.length);
+  }
+  yield Buffer.alloc(BLOCK * 2);
+}
+
+/**
+ * Streams the project and its manifest as `format` (a key of ARCHIVE_FORMATS).
+ * Returns a Readable.
+ */
+export function archiveStream(project, manifest, format) {
+  const entries = [
+    ...project.files
+      .map(file => ({ path: archivePath(file.path), content: file.content }))
+      .filter(file => file.path !== MANIFEST_FILE),
+    { path: MANIFEST_FILE, content: `${JSON.stringify(manifest, null, 2)}\n` }
+  ];
+
+  if (format === 'zip') {
+    const zip = new JSZip();
+    entries.forEach(entry => zip.file(entry.path, entry.content));
+    return zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' });
+  }
+  if (format === 'tar.gz') {
+    return Readable.from(tarChunks(entries)).pipe(zlib.createGzip());
+  }
+  throw new ArchiveError(`format must be one of ${Object.keys(ARCHIVE_FORMATS).join(', ')}`);
+}
+
+// --- verification -------------------------------------------------------------
+
+function listFiles(root, dir = root) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return IGNORED_DIRS.has(entry.name) ? [] : listFiles(root, full);
+    return entry.isFile() ? [path.relative(root, full).split(path.sep).join('/')] : [];
+  });
+}
+
+/**
+ * Checks an extracted project in `dir` against its IDEATOREPO_MANIFEST.json.
+ * Returns { manifest, valid, checked, missing, modified, untracked }. Files not
+ * in the manifest (.env, build output) are listed as untracked but do not make
+ * the project invalid; node_modules and .git are not looked at.
+ */
+export function verifyProject(dir) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    throw new ArchiveError(`Cannot read ${MANIFEST_FILE} in ${dir}: ${error.message}`);
+  }
+  if (manifest?.format !== 'ideatorepo-manifest' || !Array.isArray(manifest.files)) {
+    throw new ArchiveError(`${MANIFEST_FILE} is not an ideatorepo manifest`);
+  }
+
+  const missing = [];
+  const modified = [];
+  for (const file of manifest.files) {
+    const target = path.join(dir, archivePath(file.path));
+    if (!fs.existsSync(target)) {
+      missing.push(file.path);
+      continue;
+    }
+    const content = fs.readFileSync(target);
+    if (content.length !== file.size || sha256(content) !== file.sha256) modified.push(file.path);
+  }
+
+  const listed = new Set([MANIFEST_FILE, ...manifest.files.map(file => file.path)]);
+  const untracked = listFiles(dir).filter(filePath => !listed.has(filePath));
+
+  return {
+    manifest,
+    valid: missing.length === 0 && modified.length === 0,
+    checked: manifest.files.length,
+    missing,
+    modified,
+    untracked
+  };
+}
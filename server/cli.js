@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { configureLogging } from './logging.js';
+
+// -----------------------------------------------------------------------------
+// IDEATOREPO CLI
+// -----------------------------------------------------------------------------
+//   ideatorepo intent "<idea>"                                        IntentAnalysis
+//   ideatorepo search --intent intent.json [--filters filters.json]   Repository[]
+//   ideatorepo rerank --idea "<idea>" --repos repos.json [--top N]    Repository[]
+//   ideatorepo analyze --idea "<idea>" --repos ranked.json            DeepPatternAnalysis
+//   ideatorepo architect --idea "<idea>" --intent intent.json --patterns patterns.json
+//                                                                     EnhancedArchitecture
+//   ideatorepo generate --architecture architecture.json [--dir ./app]
+//                       [--backend express] [--database sqlite]       EnhancedGeneratedProject
+//   ideatorepo run "<idea>" --out ./dir                               all of the above
+//
+// Each stage runs what the UI's endpoint for it runs and writes the result as
+// JSON to --out, or to stdout without it; progress goes to stderr. `run` chains the
+// stages and writes intent.json, repos.json, ranked.json, patterns.json,
+// architecture.json and project.json to --out, with the project's files in
+// <out>/project/. Clarifying questions are listed but not asked; the UI is the
+// place to refine an intent.
+//
+// --server URL (or IDEATOREPO_SERVER) talks to a running server over HTTP.
+// Without it the CLI imports server/index.js, with the same .env, DATA_DIR and
+// LLM_* settings, and calls its stage functions directly. The server's log
+// lines then go to stderr, limited to warnings unless --verbose is set. --token
+// is the GitHub token for search, rerank and analyze (the server falls back to
+// GITHUB_TOKEN).
+
+dotenv.config({ quiet: true });
+
+// Run directly (or through the npm bin link), this is the CLI; tests import its helpers
+const IS_MAIN = Boolean(process.argv[1]) && fs.realpathSync(path.resolve(process.argv[1])) === fileURLToPath(import.meta.url);
+
+const BOOLEAN_FLAGS = new Set(['verbose', 'help']);
+
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+function parseArgs(argv) {
+  const args = { positional: [], flags: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!flag) {
+      args.positional.push(argv[i]);
+    } else if (BOOLEAN_FLAGS.has(flag[1])) {
+      args.flags[flag[1]] = true;
+    } else {
+      const value = flag[2] ?? argv[++i];
+      if (value === undefined) throw new CliError(`--${flag[1]} needs a value`);
+      args.flags[flag[1]] = value;
+    }
+  }
+  return args;
+}
+
+const note = (message) => process.stderr.write(`${message}\n`);
+
+function readJSON(file, what) {
+  if (!file) throw new CliError(`--${what} <file> is required`);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Cannot read ${what} from ${file}: ${error.message}`);
+  }
+}
+
+function writeJSON(file, data) {
+  const text = `${JSON.stringify(data, null, 2)}\n`;
+  if (!file) {
+    process.stdout.write(text);
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, text);
+  note(`Wrote ${file}`);
+}
+
+function writeProjectFiles(dir, files) {
+  const root = path.resolve(dir);
+  for (const file of files) {
+    const target = path.resolve(root, file.path.replace(/^\/+/, ''));
+    const relative = path.relative(root, target);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new CliError(`Refusing to write outside ${dir}: ${file.path}`);
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, file.content);
+  }
+  note(`Wrote ${files.length} project files to ${dir}`);
+}
+
+// --- pipeline access ----------------------------------------------------------
+// A backend runs the six stages: over HTTP against a running server, or in
+// this process. Both answer what the server's endpoints answer.
+
+async function connect({ server, verbose }) {
+  const remote = server || process.env.IDEATOREPO_SERVER;
+  if (remote) return httpBackend(remote.replace(/\/+$/, ''));
+
+  // stdout carries only the stage's JSON
+  configureLogging({
+    level: process.env.LOG_LEVEL || (verbose ? 'INFO' : 'WARN'),
+    sink: line => process.stderr.write(`${line}\n`)
+  });
+  const pipeline = await import('./index.js');
+  await pipeline.llmReady;
+  return localBackend(pipeline);
+}
+
+function httpBackend(base) {
+  const client = createClient(base);
+  return {
+    intent: (idea) => client.post('/api/intent-analysis', { idea }),
+    search: (request) => client.post('/api/search', request),
+    rerank: (request) => client.post('/api/rerank', request),
+    analyze: (request) => client.post('/api/deep-analysis', request),
+    architect: (request) => client.post('/api/enhanced-architecture', request),
+    generate: (request, onEvent) => client.stream('/api/generate-project-enhanced/stream', request, onEvent)
+  };
+}
+
+function createClient(base) {
+  const request = async (route, body) => {
+    let response;
+    try {
+      response = await fetch(`${base}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new CliError(`Cannot reach ${base}: ${error.cause?.message || error.message}`);
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const reason = data.details ? `${data.error}: ${data.details}` : data.error || response.statusText;
+      throw new CliError(`${route} failed (${response.status}): ${reason}`);
+    }
+    return response;
+  };
+
+  return {
+    async post(route, body) {
+      return (await request(route, body)).json();
+    },
+
+    // Server-Sent Events, one onEvent({ type, ...data }) per event
+    async stream(route, body, onEvent) {
+      const response = await request(route, body);
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const raw = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf('\n\n');
+
+          let type = 'message';
+          let data = '';
+          raw.split('\n').forEach(line => {
+            if (line.startsWith('event:')) type = line.slice(6).trim();
+            if (line.startsWith('data:')) data += line.slice(5).trim();
+          });
+          if (data) onEvent({ type, ...JSON.parse(data) });
+        }
+      }
+    }
+  };
+}
+
+function localBackend(pipeline) {
+  // A stage's refusal reads like the endpoint's error would
+  const stage = (name, call) => async (...args) => {
+    try {
+      return await call(...args);
+    } catch (error) {
+      if (!(error instanceof pipeline.StageError)) throw error;
+      throw new CliError(`${name} failed (${error.status}): ${error.details ? `${error.message}: ${error.details}` : error.message}`);
+    }
+  };
+
+  return {
+    intent: stage('intent', idea => pipeline.analyzeIntent(idea)),
+    search: stage('search', async request => (await pipeline.searchRepos(request)).repos),
+    rerank: stage('rerank', async request => (await pipeline.rerankRepos(request)).repos),
+    analyze: stage('analyze', request => pipeline.analyzePatterns(request)),
+    architect: stage('architect', request => pipeline.designArchitecture(request)),
+    generate: stage('generate', (request, onEvent) => pipeline.streamGeneration(request.architecture, request.options, {
+      send: (type, data) => onEvent({ type, ...data })
+    }))
+  };
+}
+
+// --- stages -------------------------------------------------------------------
+
+async function intent(backend, idea) {
+  note('Analyzing intent...');
+  return backend.intent(idea);
+}
+
+async function search(backend, intentAnalysis, { filters, token }) {
+  const queries = intentAnalysis?.searchStrategies;
+  if (!Array.isArray(queries) || queries.length === 0) throw new CliError('The intent analysis has no searchStrategies');
+  note(`Searching ${queries.length} queries...`);
+  return backend.search({ queries, filters, token });
+}
+
+async function rerank(backend, idea, repos, { top, token }) {
+  if (!Array.isArray(repos)) throw new CliError('repos must be a Repository[] array');
+  note(`Reranking ${repos.length} repos...`);
+  const topN = top === undefined ? undefined : Number(top);
+  const ranked = await backend.rerank({ idea, candidates: repos, topN, token });
+
+  // Keep the server's order; recalled repos only exist in the response
+  const byId = new Map(repos.map(repo => [repo.id, repo]));
+  return ranked.map(repo => ({ ...(byId.get(repo.id) ?? repo), ranking: repo.ranking, recalled: repo.recalled }));
+}
+
+async function analyze(backend, idea, repos, { token }) {
+  if (!Array.isArray(repos) || repos.length === 0) throw new CliError('analyze needs at least one repo');
+  note(`Mining patterns from ${repos.length} repos...`);
+  return backend.analyze({ userIdea: idea, repos, token });
+}
+
+async function architect(backend, idea, intentAnalysis, deepPatterns) {
+  note('Designing the architecture...');
+  return backend.architect({ idea, intentAnalysis, deepPatterns });
+}
+
+// Streams generation so long runs report progress; the project is assembled
+// from the events the same way the UI does it (utils/gemini.ts)
+async function generate(backend, architecture, options) {
+  if (!architecture || typeof architecture !== 'object') throw new CliError('architecture must be an EnhancedArchitecture object');
+  const files = [];
+  let project = null;
+
+  await backend.generate({ architecture, options }, event => {
+    switch (event.type) {
+      case 'plan':
+        note(`Generating ${event.total} files...`);
+        break;
+      case 'file':
+        files.push({ path: event.path, content: event.content, model: event.model });
+        break;
+      case 'fix': {
+        const fixed = files.find(file => file.path === event.path);
+        if (fixed) Object.assign(fixed, { content: event.content, model: event.model });
+        break;
+      }
+      case 'batch':
+        note(`  ${event.phase}: ${event.count} ${event.count === 1 ? 'file' : 'files'}, ${event.status}`);
+        break;
+      case 'typecheck':
+        note(`  Type-check round ${event.round}: ${event.compiles ? 'compiles' : `${event.errorCount} errors`}`);
+        break;
+      case 'tests':
+        note(event.skipped ? `  Tests: skipped, ${event.skipped}` : `  Tests: ${event.fileCount - event.failedFiles}/${event.fileCount} files pass`);
+        break;
+      case 'complete': {
+        const { type, totalFiles, diagnostics, ...summary } = event;
+        project = {
+          ...summary,
+          files: files.map(file => (diagnostics[file.path] ? { ...file, diagnostics: diagnostics[file.path] } : file))
+        };
+        break;
+      }
+      case 'error':
+        throw new CliError(event.details ? `${event.error}: ${event.details}` : event.error);
+    }
+  });
+
+  if (!project) throw new CliError('The generation stream ended before completion');
+  return project;
+}
+
+// --- commands -----------------------------------------------------------------
+
+const ideaOf = (args, { positional = false } = {}) => {
+  const idea = (positional ? args.positional[1] : args.flags.idea)?.trim();
+  if (!idea) throw new CliError(positional ? 'The idea is required, e.g. ideatorepo run "a habit tracker"' : '--idea "<idea>" is required');
+  return idea;
+};
+
+const generationOptions = (flags) => ({
+  ...(flags.backend && { backend: flags.backend }),
+  ...(flags.database && { database: flags.database })
+});
+
+const COMMANDS = {
+  intent: async (backend, args) => writeJSON(args.flags.out, await intent(backend, ideaOf(args, { positional: true }))),
+
+  search: async (backend, args) => writeJSON(args.flags.out, await search(backend, readJSON(args.flags.intent, 'intent'), {
+    filters: args.flags.filters ? readJSON(args.flags.filters, 'filters') : undefined,
+    token: args.flags.token
+  })),
+
+  rerank: async (backend, args) => writeJSON(args.flags.out, await rerank(backend, ideaOf(args), readJSON(args.flags.repos, 'repos'), {
+    top: args.flags.top,
+    token: args.flags.token
+  })),
+
+  analyze: async (backend, args) => writeJSON(args.flags.out, await analyze(backend, ideaOf(args), readJSON(args.flags.repos, 'repos'), {
+    token: args.flags.token
+  })),
+
+  architect: async (backend, args) => writeJSON(args.flags.out, await architect(
+    backend,
+    ideaOf(args),
+    args.flags.intent ? readJSON(args.flags.intent, 'intent') : null,
+    args.flags.patterns ? readJSON(args.flags.patterns, 'patterns') : null
+  )),
+
+  generate: async (backend, args) => {
+    const project = await generate(backend, readJSON(args.flags.architecture, 'architecture'), generationOptions(args.flags));
+    if (args.flags.dir) writeProjectFiles(args.flags.dir, project.files);
+    writeJSON(args.flags.out, project);
+  },
+
+  run: async (backend, args) => {
+    const idea = ideaOf(args, { positional: true });
+    const out = args.flags.out;
+    if (!out) throw new CliError('--out <dir> is required');
+    const { token } = args.flags;
+    const filters = args.flags.filters ? readJSON(args.flags.filters, 'filters') : undefined;
+
+    const intentAnalysis = await intent(backend, idea);
+    writeJSON(path.join(out, 'intent.json'), intentAnalysis);
+    (intentAnalysis.clarifyingQuestions || []).forEach(question => note(`  Open question: ${question.question}`));
+
+    const repos = await search(backend, intentAnalysis, { filters, token });
+    writeJSON(path.join(out, 'repos.json'), repos);
+    if (repos.length === 0) throw new CliError('The search found no repositories');
+
+    const ranked = await rerank(backend, idea, repos, { top: args.flags.top, token });
+    writeJSON(path.join(out, 'ranked.json'), ranked);
+
+    const deepPatterns = await analyze(backend, idea, ranked, { token });
+    writeJSON(path.join(out, 'patterns.json'), deepPatterns);
+
+    const architecture = await architect(backend, idea, intentAnalysis, deepPatterns);
+    writeJSON(path.join(out, 'architecture.json'), architecture);
+
+    const project = await generate(backend, architecture, generationOptions(args.flags));
+    writeProjectFiles(path.join(out, 'project'), project.files);
+    writeJSON(path.join(out, 'project.json'), project);
+  }
+};
+
+const USAGE = `Usage: ideatorepo <command> [options]
+
+  intent "<idea>"                          analyze an idea
+  search --intent <file>                   find candidate repos for its search strategies
+  rerank --idea "<idea>" --repos <file>    rank candidates (--top N)
+  analyze --idea "<idea>" --repos <file>   mine patterns from ranked repos
+  architect --idea "<idea>" --intent <file> --patterns <file>
+  generate --architecture <file>           generate the project (--dir <dir> writes its files)
+  run "<idea>" --out <dir>                 all of the above
+
+Options:
+  --out <file>           write the result here instead of stdout (run: a directory)
+  --server <url>         use a running server (default: IDEATOREPO_SERVER, else in-process)
+  --token <token>        GitHub token for search, rerank and analyze
+  --filters <file>       SearchFilters JSON for search and run
+  --backend express      also generate an API server (generate, run)
+  --database <dialect>   postgres or sqlite (generate, run)
+  --verbose              show the pipeline's info logs when running in-process`;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = COMMANDS[args.positional[0]];
+  if (args.flags.help || !command) {
+    (command || args.flags.help ? console.log : console.error)(USAGE);
+    process.exitCode = command || args.flags.help ? 0 : 1;
+    return;
+  }
+
+  await command(await connect(args.flags), args);
+}
+
+export { CliError, writeProjectFiles };
+
+if (IS_MAIN) {
+  main().catch(error => {
+    console.error(`ideatorepo: ${error.message}`);
+    process.exit(1);
+  });
+}
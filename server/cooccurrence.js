@@ -0,0 +1,164 @@
+// -----------------------------------------------------------------------------
+// DEPENDENCY CO-OCCURRENCE
+// -----------------------------------------------------------------------------
+// Plain statistics over the manifests mining.js read from the reranked repos,
+// no model involved:
+//
+//   packages   how many repos declare each package, and which version ranges
+//   pairs      packages declared together more often than chance predicts
+//              (support, confidence and lift over the repos of that ecosystem,
+//              so a Go repo does not dilute npm pairs)
+//
+// Deep analysis takes its dependency frequencies and pairedPackages from these
+// numbers. The architecture carries them on to generation, where
+// alignVersions() moves the stack template's versions to the ones similar
+// projects declare.
+
+const MAX_PACKAGES = 150;
+const MAX_PAIR_CANDIDATES = 60;
+const MAX_PAIRS = 15;
+const MIN_PAIR_COUNT = 2;
+
+const FREQUENCIES = [[0.9, 'Always'], [0.6, 'Very Common'], [0.3, 'Common'], [0, 'Occasional']];
+
+/** Share of repos (0-1) -> DeepPatternAnalysis frequency label. */
+export const frequencyFor = (share) => FREQUENCIES.find(([min]) => share >= min)[1];
+
+const round = (value) => Math.round(value * 100) / 100;
+const pairKey = (packages) => packages.map(pkg => String(pkg).toLowerCase()).sort().join(' + ');
+
+/**
+ * Package and pair statistics over the snapshots that could be read.
+ * Returns DependencyStats (see types.ts).
+ */
+export function analyzeDependencies(snapshots) {
+  const read = snapshots.filter(snapshot => snapshot.available);
+  const total = read.length;
+
+  const usage = new Map();
+  read.forEach(snapshot => {
+    snapshot.dependencies.forEach(dep => {
+      const id = `${dep.ecosystem}:${dep.name}`;
+      if (!usage.has(id)) usage.set(id, { name: dep.name, ecosystem: dep.ecosystem, repos: new Set(), versions: new Map() });
+      const entry = usage.get(id);
+      entry.repos.add(snapshot.repo);
+      if (dep.version) entry.versions.set(dep.version, (entry.versions.get(dep.version) || 0) + 1);
+    });
+  });
+
+  const packages = [...usage.values()]
+    .map(entry => ({
+      name: entry.name,
+      ecosystem: entry.ecosystem,
+      count: entry.repos.size,
+      share: round(entry.repos.size / total),
+      frequency: frequencyFor(entry.repos.size / total),
+      repos: [...entry.repos],
+      versions: [...entry.versions]
+        .map(([range, count]) => ({ range, count }))
+        .sort((a, b) => b.count - a.count || a.range.localeCompare(b.range))
+    }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, MAX_PACKAGES);
+
+  const ecosystemSize = new Map();
+  read.forEach(snapshot => new Set(snapshot.dependencies.map(dep => dep.ecosystem))
+    .forEach(ecosystem => ecosystemSize.set(ecosystem, (ecosystemSize.get(ecosystem) || 0) + 1)));
+
+  // Pairs only within an ecosystem, among packages common enough to pair at all
+  const candidates = packages.filter(pkg => pkg.count >= MIN_PAIR_COUNT).slice(0, MAX_PAIR_CANDIDATES);
+  const pairs = [];
+  candidates.forEach((a, i) => {
+    candidates.slice(i + 1).forEach(b => {
+      if (a.ecosystem !== b.ecosystem) return;
+      const repos = a.repos.filter(repo => b.repos.includes(repo));
+      if (repos.length < MIN_PAIR_COUNT) return;
+      const size = ecosystemSize.get(a.ecosystem);
+      const lift = (repos.length * size) / (a.count * b.count);
+      if (lift < 1) return;
+      pairs.push({
+        packages: [a.name, b.name],
+        ecosystem: a.ecosystem,
+        count: repos.length,
+        support: round(repos.length / size),
+        // How often the rarer of the two comes with the other
+        confidence: round(repos.length / Math.min(a.count, b.count)),
+        lift: round(lift),
+        repos
+      });
+    });
+  });
+  pairs.sort((a, b) => b.lift - a.lift || b.count - a.count || pairKey(a.packages).localeCompare(pairKey(b.packages)));
+
+  return { analyzed: total, packages, pairs: pairs.slice(0, MAX_PAIRS) };
+}
+
+/**
+ * DeepPatternAnalysis.dependencies.pairedPackages built from the measured pairs.
+ * The model's reason is kept where it suggested the same pair.
+ */
+export function pairedPackages(stats, suggested = []) {
+  const reasons = new Map(suggested.map(item => [pairKey(item.packages), item.reason]));
+  return stats.pairs.map(pair => ({
+    packages: pair.packages,
+    reason: reasons.get(pairKey(pair.packages))
+      || `Declared together in ${pair.count} of ${stats.analyzed} repos (lift ${pair.lift})`,
+    sources: pair.repos
+  }));
+}
+
+/**
+ * The pairs as a prompt section, so the model explains the real ones. Empty
+ * when there are none.
+ */
+export function cooccurrencePrompt(stats) {
+  if (!stats || stats.pairs.length === 0) return '';
+  return `### Packages declared together
+${stats.pairs.map(pair => `- ${pair.packages.join(' + ')}: ${pair.count}/${stats.analyzed} repos, lift ${pair.lift} - ${pair.repos.join(', ')}`).join('\n')}
+`;
+}
+
+// "^18.2.0", "~5.1", ">=4.2 <5", "v1.21.0" -> [18, 2, 0]; null for tags, URLs, workspace: ...
+function parseVersion(range) {
+  const match = String(range).match(/^\s*(?:[\^~=]|>=)?\s*v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?/);
+  if (!match) return null;
+  return [match[1], match[2], match[3]].map(part => (/^\d+$/.test(part || '') ? Number(part) : 0));
+}
+
+const compareVersions = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+// Same major; for 0.x the minor is the breaking part
+const compatible = (a, b) => a[0] === b[0] && (a[0] !== 0 || a[1] === b[1]);
+
+/**
+ * Moves npm version ranges to the release the analyzed repos declare most
+ * (newest on ties). Only compatible releases are taken, and never one older
+ * than the template's: its code may rely on that minor.
+ * Returns { dependencies, aligned: [{ name, from, to, repos }] }.
+ */
+export function alignVersions(dependencies, stats) {
+  if (!stats || stats.analyzed === 0) return { dependencies, aligned: [] };
+  const observed = new Map(stats.packages.filter(pkg => pkg.ecosystem === 'npm').map(pkg => [pkg.name, pkg]));
+  const aligned = [];
+
+  const result = Object.fromEntries(Object.entries(dependencies).map(([name, range]) => {
+    const current = parseVersion(range);
+    if (!observed.has(name) || !current) return [name, range];
+
+    const releases = new Map();
+    observed.get(name).versions.forEach(({ range: declared, count }) => {
+      const version = parseVersion(declared);
+      if (!version || !compatible(version, current)) return;
+      const id = version.join('.');
+      releases.set(id, { version, count: (releases.get(id)?.count || 0) + count });
+    });
+    const best = [...releases.values()].sort((a, b) => b.count - a.count || compareVersions(b.version, a.version))[0];
+    if (!best || compareVersions(best.version, current) <= 0) return [name, range];
+
+    const next = `^${best.version.join('.')}`;
+    aligned.push({ name, from: range, to: next, repos: best.count });
+    return [name, next];
+  }));
+
+  return { dependencies: result, aligned };
+}
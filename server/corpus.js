@@ -0,0 +1,321 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { pathToFileURL } from 'url';
+import { describeFiles, readmeExcerpt } from './mining.js';
+
+// -----------------------------------------------------------------------------
+// LOCAL REPOSITORY CORPUS
+// -----------------------------------------------------------------------------
+// Git checkouts on this machine (templates, past projects, a company's private
+// repos) indexed by `node server/index-corpus.js <dir>`. Each checkout becomes
+//
+//   repo       a Repository (types.ts) with source 'local' and id 'local:<full_name>',
+//              plus a hash of the checkout's path when it has no remote
+//   snapshot   the same RepoSnapshot mining.js builds from GitHub, read from disk
+//
+// stored in DATA_DIR/corpus.json. The indexer also embeds each repo into the
+// vector store, so /api/rerank recalls local repos like any other stored repo.
+// /api/search matches the corpus by keyword and merges the hits with GitHub's;
+// deep analysis and the README signal read local repos from their snapshot
+// instead of the GitHub API.
+
+const run = promisify(execFile);
+
+const MAX_SCAN_DEPTH = 3;
+const GIT_TIMEOUT_MS = 10_000;
+const DESCRIPTION_LENGTH = 200;
+const MIN_QUERY_MATCH = 0.5;
+
+const SKIPPED_DIRS = new Set(['node_modules', 'vendor', 'dist', 'build', '.venv', 'venv', '__pycache__']);
+
+const LANGUAGES = {
+  '.ts': 'TypeScript', '.tsx': 'TypeScript', '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript',
+  '.vue': 'Vue', '.svelte': 'Svelte', '.py': 'Python', '.go': 'Go', '.rs': 'Rust', '.java': 'Java',
+  '.kt': 'Kotlin', '.swift': 'Swift', '.rb': 'Ruby', '.php': 'PHP', '.cs': 'C#', '.cpp': 'C++',
+  '.cc': 'C++', '.c': 'C', '.dart': 'Dart', '.ex': 'Elixir', '.scala': 'Scala'
+};
+
+// First lines of common license texts -> SPDX id
+const LICENSE_TEXTS = [
+  [/MIT License|Permission is hereby granted, free of charge/i, 'MIT'],
+  [/Apache License,?\s+Version 2\.0/i, 'Apache-2.0'],
+  [/GNU AFFERO GENERAL PUBLIC LICENSE\s+Version 3/i, 'AGPL-3.0'],
+  [/GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i, 'LGPL-3.0'],
+  [/GNU GENERAL PUBLIC LICENSE\s+Version 3/i, 'GPL-3.0'],
+  [/GNU GENERAL PUBLIC LICENSE\s+Version 2/i, 'GPL-2.0'],
+  [/Mozilla Public License,?\s+(version|v\.?)\s*2\.0/i, 'MPL-2.0'],
+  [/ISC License/i, 'ISC'],
+  [/Redistribution and use in source and binary forms[\s\S]*Neither the name/i, 'BSD-3-Clause'],
+  [/Redistribution and use in source and binary forms/i, 'BSD-2-Clause'],
+  [/This is free and unencumbered software released into the public domain/i, 'Unlicense']
+];
+
+// --- Reading a checkout ----------------------------------------------------------
+
+async function git(dir, args) {
+  try {
+    const { stdout } = await run('git', ['-C', dir, ...args], { timeout: GIT_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 });
+    return stdout;
+  } catch {
+    return null;
+  }
+}
+
+async function readText(dir, file) {
+  try {
+    return await fs.promises.readFile(path.join(dir, file), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Git checkouts at or below `root`, down to `maxDepth` directory levels. A
+ * checkout's own subdirectories are not searched (submodules are part of it).
+ */
+export function findCheckouts(root, { maxDepth = MAX_SCAN_DEPTH } = {}) {
+  const found = [];
+  const visit = (dir, depth) => {
+    if (fs.existsSync(path.join(dir, '.git'))) {
+      found.push(dir);
+      return;
+    }
+    if (depth >= maxDepth) return;
+    let children;
+    try {
+      children = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    children
+      .filter(child => child.isDirectory() && !child.name.startsWith('.') && !SKIPPED_DIRS.has(child.name))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(child => visit(path.join(dir, child.name), depth + 1));
+  };
+  visit(path.resolve(root), 0);
+  return found;
+}
+
+// git@github.com:owner/name.git, https://host/owner/name, ssh://git@host/group/owner/name.git
+function parseRemote(url) {
+  const match = url?.trim().match(/^(?:[\w+]+:\/\/)?(?:[^@/]+@)?([^:/]+)(?::\d+)?[:/](.+?)(?:\.git)?\/?$/);
+  if (!match) return null;
+  const parts = match[2].split('/').filter(Boolean);
+  if (parts.length < 2) return null;
+  return { host: match[1], owner: parts.slice(0, -1).join('/'), name: parts[parts.length - 1] };
+}
+
+function detectLanguage(files) {
+  const counts = new Map();
+  files.forEach(file => {
+    const language = LANGUAGES[path.extname(file).toLowerCase()];
+    if (language) counts.set(language, (counts.get(language) || 0) + 1);
+  });
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || 'N/A';
+}
+
+// description, keywords and license as declared by the root manifests
+function manifestMetadata(file, text) {
+  if (file === 'package.json') {
+    try {
+      const pkg = JSON.parse(text);
+      return {
+        description: typeof pkg.description === 'string' ? pkg.description : null,
+        keywords: Array.isArray(pkg.keywords) ? pkg.keywords.filter(keyword => typeof keyword === 'string') : [],
+        license: typeof pkg.license === 'string' ? pkg.license : null
+      };
+    } catch {
+      return {};
+    }
+  }
+  // pyproject.toml ([project] / [tool.poetry]) and Cargo.toml ([package]) share these keys
+  const keywords = text.match(/^\s*keywords\s*=\s*\[([^\]]*)\]/m);
+  return {
+    description: text.match(/^\s*description\s*=\s*["']([^"']*)["']/m)?.[1] || null,
+    keywords: keywords ? [...keywords[1].matchAll(/["']([^"']+)["']/g)].map(match => match[1]) : [],
+    license: text.match(/^\s*license\s*=\s*(?:\{\s*text\s*=\s*)?["']([^"']+)["']/m)?.[1] || null
+  };
+}
+
+function licenseFromText(text) {
+  return text ? LICENSE_TEXTS.find(([pattern]) => pattern.test(text.slice(0, 2000)))?.[1] ?? null : null;
+}
+
+// First prose paragraph of a README excerpt: no headings, one line
+function firstParagraph(readme) {
+  const paragraph = readme?.split(/\n\s*\n/)
+    .map(block => block.trim())
+    .find(block => block && !block.startsWith('#') && !block.startsWith('```') && !/^[-=*_\s]+$/.test(block));
+  if (!paragraph) return null;
+  const line = paragraph.replace(/\s+/g, ' ');
+  return line.length > DESCRIPTION_LENGTH ? `${line.slice(0, DESCRIPTION_LENGTH)}…` : line;
+}
+
+/**
+ * Reads one checkout into a corpus entry: { path, repo, snapshot, indexedAt }.
+ * Only committed files (git ls-files) count, so build output and secrets that
+ * are gitignored never reach the index.
+ */
+export async function readCheckout(dir) {
+  const files = (await git(dir, ['ls-files', '-z']) || '').split('\0').filter(Boolean);
+  const remote = parseRemote(await git(dir, ['remote', 'get-url', 'origin']));
+  const committedAt = (await git(dir, ['log', '-1', '--format=%cI']))?.trim();
+  const branch = (await git(dir, ['rev-parse', '--abbrev-ref', 'HEAD']))?.trim() || null;
+
+  const name = remote?.name || path.basename(dir);
+  const fullName = remote ? `${remote.owner}/${remote.name}` : `local/${name}`;
+  const url = remote ? `https://${remote.host}/${fullName}` : pathToFileURL(dir).href;
+  // Checkouts without a remote are told apart by where they are, not their name
+  const id = remote
+    ? `local:${fullName}`
+    : `local:${fullName}-${crypto.createHash('sha256').update(path.resolve(dir)).digest('hex').slice(0, 8)}`;
+
+  const rootFiles = files.filter(file => !file.includes('/'));
+  const readmeFile = rootFiles.find(file => /^readme(\.(md|markdown|rst|txt))?$/i.test(file));
+  const readmeText = readmeFile ? await readText(dir, readmeFile) : null;
+  const readme = readmeText ? readmeExcerpt(readmeText) : null;
+  const licenseFile = rootFiles.find(file => /^(licen[cs]e|copying)(\.\w+)?$/i.test(file));
+
+  const metadata = {};
+  for (const file of ['package.json', 'pyproject.toml', 'Cargo.toml'].filter(file => rootFiles.includes(file))) {
+    const text = await readText(dir, file);
+    if (!text) continue;
+    const declared = manifestMetadata(file, text);
+    metadata.description ||= declared.description;
+    metadata.license ||= declared.license;
+    if (!metadata.keywords?.length) metadata.keywords = declared.keywords;
+  }
+
+  const repo = {
+    id,
+    name,
+    full_name: fullName,
+    description: metadata.description || firstParagraph(readme) || 'No description available.',
+    stargazers_count: 0,
+    language: detectLanguage(files),
+    html_url: url,
+    owner: { login: remote?.owner || 'local', avatar_url: '' },
+    topics: (metadata.keywords || []).map(keyword => keyword.toLowerCase()),
+    pushed_at: committedAt && !Number.isNaN(Date.parse(committedAt)) ? new Date(committedAt).toISOString() : null,
+    open_issues_count: 0,
+    forks_count: 0,
+    license: metadata.license || licenseFromText(licenseFile ? await readText(dir, licenseFile) : null),
+    archived: false,
+    fork: false,
+    source: 'local'
+  };
+
+  const snapshot = {
+    repo: fullName,
+    url,
+    branch,
+    available: true,
+    ...await describeFiles(files, file => readText(dir, file)),
+    readme
+  };
+
+  return { path: dir, repo, snapshot, indexedAt: new Date().toISOString() };
+}
+
+// --- Keyword search --------------------------------------------------------------
+
+// "kanban board language:typescript stars:>100" -> ['kanban', 'board']
+const queryTerms = (query) => String(query).toLowerCase()
+  .replace(/\S+:\S+/g, ' ')
+  .split(/[^\w#+.-]+/)
+  .map(term => term.replace(/^[.-]+|[.-]+$/g, ''))
+  .filter(term => term.length > 1);
+
+function searchableText(entry) {
+  const { repo, snapshot } = entry;
+  return [
+    repo.full_name, repo.description, repo.language, ...repo.topics,
+    ...snapshot.dependencies.map(dep => dep.name), snapshot.readme || ''
+  ].join(' ').toLowerCase();
+}
+
+// minStars is not applied: local repos have no stars
+function matchesLocalFilters(repo, filters) {
+  if (filters.language && repo.language.toLowerCase() !== filters.language.toLowerCase()) return false;
+  if (filters.pushedAfter && (!repo.pushed_at || repo.pushed_at < filters.pushedAfter)) return false;
+  if (filters.license && repo.license?.toLowerCase() !== filters.license) return false;
+  return true;
+}
+
+/**
+ * Corpus repos matching the search queries: a repo matches a query when its
+ * name, description, topics, language, dependencies or README contain at least
+ * half of the query's terms (GitHub qualifiers are ignored). Up to
+ * filters.perPage per query, best match first, each repo once.
+ */
+export function searchCorpus(entries, queries, filters) {
+  const indexed = entries.map(entry => ({ entry, text: searchableText(entry) }))
+    .filter(({ entry }) => matchesLocalFilters(entry.repo, filters));
+
+  const hits = new Map();
+  queries.forEach(query => {
+    const terms = [...new Set(queryTerms(query))];
+    if (terms.length === 0) return;
+    indexed
+      .map(({ entry, text }) => ({ entry, score: terms.filter(term => text.includes(term)).length / terms.length }))
+      .filter(hit => hit.score >= MIN_QUERY_MATCH)
+      .sort((a, b) => b.score - a.score || String(b.entry.repo.pushed_at).localeCompare(String(a.entry.repo.pushed_at)))
+      .slice(0, filters.perPage)
+      .forEach(hit => {
+        if (!hits.has(hit.entry.repo.id)) hits.set(hit.entry.repo.id, hit.entry.repo);
+      });
+  });
+  return [...hits.values()];
+}
+
+// --- Storage ---------------------------------------------------------------------
+
+/**
+ * The corpus file, re-read whenever the indexer has rewritten it. A missing or
+ * unreadable file is an empty corpus.
+ */
+export function createCorpus(file) {
+  let loaded = { mtimeMs: null, entries: [] };
+
+  function entries() {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(file).mtimeMs;
+    } catch {
+      return [];
+    }
+    if (mtimeMs !== loaded.mtimeMs) {
+      try {
+        loaded = { mtimeMs, entries: JSON.parse(fs.readFileSync(file, 'utf8')).repos || [] };
+      } catch {
+        loaded = { mtimeMs, entries: [] };
+      }
+    }
+    return loaded.entries;
+  }
+
+  const entryOf = (repo) => (repo?.source === 'local' ? entries().find(entry => entry.repo.id === repo.id) : null);
+
+  return {
+    file,
+    entries,
+    search: (queries, filters) => searchCorpus(entries(), queries, filters),
+
+    /** The stored RepoSnapshot of a local repo, or null for GitHub repos. */
+    snapshotOf: (repo) => entryOf(repo)?.snapshot || null,
+
+    readmeOf: (repo) => entryOf(repo)?.snapshot.readme || null,
+
+    /** Replaces the whole corpus (temp file + rename, so readers never see half of it). */
+    save(next) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ repos: next }, null, 2));
+      fs.renameSync(tmp, file);
+      loaded = { mtimeMs: fs.statSync(file).mtimeMs, entries: next };
+    }
+  };
+}
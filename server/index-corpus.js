@@ -0,0 +1,94 @@
+import path from 'path';
+import dotenv from 'dotenv';
+import { loadLLMConfig, createLLMClient } from './llm.js';
+import { createVectorStore, contentHash } from './vectors.js';
+import { repoSummary } from './ranking.js';
+import { createCorpus, findCheckouts, readCheckout } from './corpus.js';
+
+// -----------------------------------------------------------------------------
+// LOCAL CORPUS INDEXER
+// -----------------------------------------------------------------------------
+//   node server/index-corpus.js <dir> [--depth N]
+//
+// Indexes every git checkout at or below <dir> into DATA_DIR/corpus.json and
+// embeds its summary and README into DATA_DIR/vectors/ (see corpus.js). Run it
+// again after the checkouts change: unchanged texts are not embedded again, and
+// checkouts under <dir> that are gone are dropped from the corpus. Uses the same
+// DATA_DIR and LLM_* settings as the server; without an embedding provider the
+// repos are still searchable by keyword, just not recalled by the reranker.
+
+dotenv.config();
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), '.ideatorepo');
+
+function parseArgs(argv) {
+  const args = { dir: null, depth: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--depth') args.depth = Number(argv[++i]);
+    else if (!args.dir) args.dir = argv[i];
+  }
+  return args;
+}
+
+const inside = (dir, root) => dir === root || dir.startsWith(`${root}${path.sep}`);
+
+async function embedEntries(llm, vectorStore, entries) {
+  const items = entries.flatMap(({ repo, snapshot }) => [
+    { repo, kind: 'summary', text: repoSummary(repo) },
+    { repo, kind: 'readme', text: snapshot.readme }
+  ]).filter(item => item.text);
+
+  const missing = items
+    .map(item => ({ ...item, hash: contentHash(item.text) }))
+    .filter(item => !vectorStore.get(item.kind, item.repo.id, item.hash));
+  if (missing.length === 0) return 0;
+
+  const vectors = await llm.embedBatch(missing.map(item => item.text.slice(0, 2048)));
+  let stored = 0;
+  vectors.forEach((vector, i) => {
+    if (!vector) return;
+    vectorStore.put(missing[i].kind, missing[i].repo.id, missing[i].hash, vector, missing[i].repo);
+    stored++;
+  });
+  return stored;
+}
+
+async function main() {
+  const { dir, depth } = parseArgs(process.argv.slice(2));
+  if (!dir || (depth !== undefined && !(Number.isInteger(depth) && depth >= 0))) {
+    console.error('Usage: node server/index-corpus.js <dir> [--depth N]');
+    process.exit(1);
+  }
+
+  const root = path.resolve(dir);
+  const checkouts = findCheckouts(root, { maxDepth: depth });
+  console.log(`Found ${checkouts.length} git checkout(s) under ${root}`);
+
+  const indexed = [];
+  for (const checkout of checkouts) {
+    const entry = await readCheckout(checkout);
+    console.log(`  ${entry.repo.full_name} - ${entry.snapshot.fileCount} files, ${entry.snapshot.dependencies.length} dependencies`);
+    indexed.push(entry);
+  }
+
+  // Entries from other roots stay; this root's are replaced by what was found now
+  const corpus = createCorpus(path.join(DATA_DIR, 'corpus.json'));
+  const kept = corpus.entries().filter(entry => !inside(entry.path, root) && !indexed.some(next => next.repo.id === entry.repo.id));
+  corpus.save([...kept, ...indexed]);
+  console.log(`Corpus: ${kept.length + indexed.length} repos in ${corpus.file}`);
+
+  const config = loadLLMConfig();
+  const llm = await createLLMClient(config);
+  if (!llm) {
+    console.warn(`No ${config.provider} credentials: repos were not embedded and will only match by keyword`);
+    return;
+  }
+  const vectorStore = createVectorStore(path.join(DATA_DIR, 'vectors'), { model: config.models.embedding });
+  const stored = await embedEntries(llm, vectorStore, indexed);
+  console.log(`Embedded ${stored} new text(s) with ${config.models.embedding}; ${vectorStore.size()} repos in the vector store`);
+}
+
+main().catch(error => {
+  console.error(`Indexing failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,181 @@
+import { enumValues } from './validation.js';
+
+// -----------------------------------------------------------------------------
+// INTENT REFINEMENT
+// -----------------------------------------------------------------------------
+// Intent analysis infers the four clarification fields (audience, scale,
+// monetization, timeline) and asks clarifying questions where the idea leaves
+// them open. The user answers, and can move features between MoSCoW tiers.
+// /api/intent-refine sends both back to the model for an updated analysis.
+//
+// The user's input wins: answered fields and moved features are pinned over
+// whatever the model returns. Each round adds an IntentRevision (types.ts),
+// so the analysis carries its own history. Allowed answers come from the JSON
+// Schema, i.e. from types.ts.
+
+export const CLARIFICATION_FIELDS = enumValues('ClarifyingQuestion', 'field');
+export const FEATURE_TIERS = ['mustHave', 'shouldHave', 'niceToHave'];
+
+const MAX_NOTE_LENGTH = 300;
+
+// Asked when the model asked nothing but the idea still scored low
+const DEFAULT_QUESTIONS = {
+  targetAudience: {
+    question: 'Who is this for?',
+    why: 'Businesses need accounts, roles and billing; consumers need onboarding and polish.'
+  },
+  expectedScale: {
+    question: 'How many users do you expect in the first year?',
+    why: 'Scale decides between a single database and caching, queues and multiple regions.'
+  },
+  monetization: {
+    question: 'How will it make money?',
+    why: 'Paid plans add payments, subscriptions and feature gating to the must-haves.'
+  },
+  timeline: {
+    question: 'When does the first working version need to ship?',
+    why: 'A shorter timeline moves features out of the must-have tier.'
+  }
+};
+
+export const clarificationOptions = (field) => enumValues('IntentAnalysis', 'clarification', field);
+
+/**
+ * The model's questions, one per known field, with the field's allowed values
+ * as options. Fields in `answered` are not asked again. With `fallback` and no
+ * usable question, every unanswered field gets a default question.
+ */
+export function clarifyingQuestions(analysis, { answered = [], fallback = false } = {}) {
+  const asked = new Map();
+  (Array.isArray(analysis.clarifyingQuestions) ? analysis.clarifyingQuestions : []).forEach(item => {
+    if (!CLARIFICATION_FIELDS.includes(item?.field) || answered.includes(item.field) || asked.has(item.field)) return;
+    if (typeof item.question !== 'string' || !item.question.trim()) return;
+    asked.set(item.field, {
+      field: item.field,
+      question: item.question.trim(),
+      why: typeof item.why === 'string' && item.why.trim() ? item.why.trim() : DEFAULT_QUESTIONS[item.field].why,
+      options: clarificationOptions(item.field)
+    });
+  });
+
+  if (asked.size === 0 && fallback) {
+    CLARIFICATION_FIELDS.filter(field => !answered.includes(field))
+      .forEach(field => asked.set(field, { field, ...DEFAULT_QUESTIONS[field], options: clarificationOptions(field) }));
+  }
+  return [...asked.values()];
+}
+
+/** Validates ClarificationAnswer[]. Returns { answers, errors }; a later answer to a field replaces an earlier one. */
+export function parseAnswers(input = []) {
+  if (!Array.isArray(input)) return { answers: [], errors: ['answers must be an array'] };
+  const errors = [];
+  const byField = new Map();
+
+  input.forEach((answer, i) => {
+    const field = answer?.field;
+    if (!CLARIFICATION_FIELDS.includes(field)) {
+      errors.push(`answers[${i}].field must be one of ${CLARIFICATION_FIELDS.join(', ')}`);
+      return;
+    }
+    const options = clarificationOptions(field);
+    if (!options.includes(answer.value)) {
+      errors.push(`answers[${i}].value must be one of ${options.join(', ')}`);
+      return;
+    }
+    const note = typeof answer.note === 'string' ? answer.note.trim().slice(0, MAX_NOTE_LENGTH) : '';
+    byField.set(field, { field, value: answer.value, ...(note ? { note } : {}) });
+  });
+
+  return { answers: [...byField.values()], errors };
+}
+
+const featureNames = (features) => FEATURE_TIERS.flatMap(tier => (features?.[tier] || []).map(feature => feature.name));
+
+/**
+ * Validates a rearrangement of `current.features`: the same features, each in
+ * exactly one tier. Returns { features, errors }.
+ */
+export function parseFeatureTiers(input, current) {
+  if (input === null || typeof input !== 'object' || FEATURE_TIERS.some(tier => !Array.isArray(input[tier]))) {
+    return { features: null, errors: [`features must have ${FEATURE_TIERS.join(', ')} arrays`] };
+  }
+  const errors = [];
+  const features = Object.fromEntries(FEATURE_TIERS.map(tier => [tier, input[tier].map(feature => ({
+    name: String(feature?.name ?? ''),
+    reason: String(feature?.reason ?? '')
+  }))]));
+
+  const known = new Set(featureNames(current));
+  const seen = new Set();
+  featureNames(features).forEach(name => {
+    if (!known.has(name)) errors.push(`unknown feature "${name}"`);
+    else if (seen.has(name)) errors.push(`feature "${name}" is in more than one tier`);
+    seen.add(name);
+  });
+  known.forEach(name => {
+    if (!seen.has(name)) errors.push(`feature "${name}" is missing`);
+  });
+
+  return { features: errors.length > 0 ? null : features, errors };
+}
+
+/** Features whose tier differs between two arrangements. */
+export function featureMoves(before, after) {
+  const tierOf = (features) => new Map(FEATURE_TIERS.flatMap(tier => (features?.[tier] || []).map(feature => [feature.name, tier])));
+  const from = tierOf(before);
+  return [...tierOf(after)]
+    .filter(([name, tier]) => from.has(name) && from.get(name) !== tier)
+    .map(([name, to]) => ({ name, from: from.get(name), to }));
+}
+
+/** The analysis as the refinement prompt shows it: no report, questions or history. */
+export function refinementContext(analysis) {
+  const { validation, clarifyingQuestions: questions, revisions, ...context } = analysis;
+  return context;
+}
+
+/**
+ * The refined analysis: the user's answers and feature tiers pinned over the
+ * model's output, open questions re-derived, and one more revision recorded.
+ */
+export function applyRefinement(previous, refined, { answers, features }) {
+  // Fields answered in any round are settled
+  const answeredFields = [...(previous.revisions || []).flatMap(revision => revision.answers), ...answers].map(answer => answer.field);
+  const clarification = { ...refined.clarification };
+  answers.forEach(answer => { clarification[answer.field] = answer.value; });
+  // A reply conformed from nothing has no strategies or features; keep the previous ones
+  const modelFeatures = featureNames(refined.features).length > 0 ? refined.features : previous.features;
+  const result = {
+    ...refined,
+    clarification,
+    features: features || modelFeatures,
+    searchStrategies: refined.searchStrategies?.length ? refined.searchStrategies : previous.searchStrategies,
+    clarifyingQuestions: clarifyingQuestions(refined, { answered: answeredFields })
+  };
+
+  const changes = [
+    ...CLARIFICATION_FIELDS
+      .filter(field => (previous.clarification?.[field] ?? null) !== (clarification[field] ?? null))
+      .map(field => `${field}: ${previous.clarification?.[field] ?? 'unset'} -> ${clarification[field] ?? 'unset'}`),
+    ...(previous.classification?.complexity !== result.classification?.complexity
+      ? [`complexity: ${previous.classification?.complexity} -> ${result.classification?.complexity}`]
+      : []),
+    ...featureMoves(previous.features, result.features).map(move => `${move.name}: ${move.from} -> ${move.to}`)
+  ];
+  const before = new Set(previous.searchStrategies || []);
+  const added = (result.searchStrategies || []).filter(query => !before.has(query)).length;
+  if (added > 0) changes.push(`${added} new search ${added === 1 ? 'strategy' : 'strategies'}`);
+
+  const revisions = previous.revisions || [];
+  return {
+    ...result,
+    revisions: [...revisions, {
+      revision: revisions.length + 1,
+      createdAt: new Date().toISOString(),
+      answers,
+      featureMoves: featureMoves(previous.features, features || previous.features),
+      feasibility: { before: previous.feasibility?.score ?? 0, after: result.feasibility?.score ?? 0 },
+      changes
+    }]
+  };
+}
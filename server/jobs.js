@@ -0,0 +1,190 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// -----------------------------------------------------------------------------
+// JOB STORE: one JSON document per generation job on local disk
+// -----------------------------------------------------------------------------
+// A job record carries everything needed to resume after a crash:
+// the architecture, every file produced so far, per-path status and the
+// generationLog. File contents do not go in the document: each finished file
+// is appended to <id>.files.jsonl, so a write costs the size of that file, not
+// of the whole project. The document itself is rewritten per plan and batch,
+// through a temp file + rename so a crash mid-write never leaves a truncated
+// document behind. get() folds the file log back in; later lines win, and a
+// line torn by a crash is skipped.
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  INTERRUPTED: 'interrupted'
+};
+
+// Jobs in these states can be picked up again by /resume; a completed job is final
+export const RESUMABLE_STATUSES = [
+  JOB_STATUS.FAILED,
+  JOB_STATUS.CANCELLED,
+  JOB_STATUS.INTERRUPTED
+];
+
+export function createJobStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+  const fileLogFor = (id) => path.join(dir, `${id}.files.jsonl`);
+
+  function save(job) {
+    job.updatedAt = new Date().toISOString();
+    const target = fileFor(job.id);
+    const tmp = `${target}.tmp`;
+    const { files, fileModels, ...document } = job;
+    fs.writeFileSync(tmp, JSON.stringify(document));
+    fs.renameSync(tmp, target);
+    return job;
+  }
+
+  // One finished file: { path, content, model?, status }
+  function recordFile(id, { path: filePath, content, model, status }) {
+    fs.appendFileSync(fileLogFor(id), `${JSON.stringify({ path: filePath, content, model, status })}\n`);
+  }
+
+  function readDocument(id) {
+    if (!/^[a-f0-9-]+$/i.test(id)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(id), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function get(id) {
+    const job = readDocument(id);
+    if (!job) return null;
+
+    job.files = {};
+    job.fileModels = {};
+    let lines = [];
+    try {
+      lines = fs.readFileSync(fileLogFor(id), 'utf8').split('\n');
+    } catch {
+      // No file finished yet
+    }
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      job.files[entry.path] = entry.content;
+      job.fileModels[entry.path] = entry.model;
+      job.fileStatus[entry.path] = entry.status;
+    }
+    return job;
+  }
+
+  // Documents only: progress comes from fileStatus, which the last save wrote
+  function list() {
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => readDocument(name.replace(/\.json$/, '')))
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  function create(architecture, options = {}, { idea = null } = {}) {
+    const now = new Date().toISOString();
+    return save({
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      projectName: architecture.projectName,
+      idea,             // the idea the architecture came from, if the client sent it
+      architecture,
+      options,          // generation options, e.g. { backend: 'express' }
+      files: {},        // path -> content (stored in the file log)
+      fileModels: {},   // path -> codegen model that wrote it (stored in the file log; none for templated files)
+      fileStatus: {},   // path -> 'complete' | 'failed'
+      total: 0,
+      generationLog: [],
+      attempts: 0,
+      checks: null,     // { linkReport, typeCheck, database, tests } once the project is complete
+      diagnostics: {},  // path -> type-check diagnostics left after the fix-up rounds
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Rewrites the file log with one line per path, dropping a line torn by a
+  // crash before anything is appended after it
+  function compactFiles(job) {
+    const target = fileLogFor(job.id);
+    const tmp = `${target}.tmp`;
+    const lines = Object.entries(job.files).map(([filePath, content]) =>
+      `${JSON.stringify({ path: filePath, content, model: job.fileModels[filePath], status: job.fileStatus[filePath] })}\n`);
+    fs.writeFileSync(tmp, lines.join(''));
+    fs.renameSync(tmp, target);
+  }
+
+  // Jobs that were mid-flight when the process died can't still be running;
+  // get() brings in the files that finished after the last save
+  function markInterrupted() {
+    const stale = list()
+      .filter(job => job.status === JOB_STATUS.RUNNING || job.status === JOB_STATUS.QUEUED)
+      .map(job => get(job.id));
+    stale.forEach(job => {
+      compactFiles(job);
+      save({ ...job, status: JOB_STATUS.INTERRUPTED });
+    });
+    return stale.length;
+  }
+
+  return { get, list, save, recordFile, create, markInterrupted };
+}
+
+// Paths that finished cleanly and can be skipped on resume
+export function completedPaths(job) {
+  return Object.entries(job.fileStatus)
+    .filter(([, status]) => status === 'complete')
+    .map(([filePath]) => filePath);
+}
+
+// The job's files as a project file list, with type-check diagnostics once checked
+export function jobFiles(job) {
+  return Object.entries(job.files).map(([filePath, content]) => ({
+    path: filePath,
+    content,
+    model: job.fileModels[filePath],
+    ...(job.diagnostics?.[filePath] && { diagnostics: job.diagnostics[filePath] })
+  }));
+}
+
+// Public view of a job: progress and log without the (large) architecture
+export function summarizeJob(job, { includeFiles = false } = {}) {
+  const statuses = Object.entries(job.fileStatus);
+  const summary = {
+    id: job.id,
+    status: job.status,
+    projectName: job.projectName,
+    progress: {
+      current: statuses.length,
+      total: job.total
+    },
+    completedPaths: statuses.filter(([, s]) => s === 'complete').map(([p]) => p),
+    failedPaths: statuses.filter(([, s]) => s === 'failed').map(([p]) => p),
+    generationLog: job.generationLog,
+    attempts: job.attempts,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+
+  if (includeFiles) {
+    summary.files = jobFiles(job);
+  }
+
+  return summary;
+}
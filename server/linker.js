@@ -0,0 +1,418 @@
+import path from 'path';
+import ts from 'typescript';
+import { isTypeCheckedFile } from './typecheck.js';
+
+// -----------------------------------------------------------------------------
+// GENERATED PROJECT LINKER
+// -----------------------------------------------------------------------------
+// Files are generated one at a time, so the model guesses how its neighbours
+// export things. The linker parses every file, builds the real import/export
+// graph, and repairs what it can without the model:
+//
+//   import Button from './Button'      (only `export function Button`) -> import { Button } from './Button'
+//   import { Header } from './Header'  (only `export default`)          -> import Header from './Header'
+//   import { Card } from './Card'      (file is src/components/ui/Card) -> import { Card } from './ui/Card'
+//
+// Anything it cannot repair is returned as `unresolved` for the model to fix.
+// It also diffs the real graph against architecture.componentGraph.
+//
+// Vue and Svelte single-file components are linked through their <script>
+// blocks and always have a default export (the component). Stack aliases such
+// as '@/' -> 'src/' resolve like relative paths.
+
+const RESOLVE_SUFFIXES = ['', '.ts', '.tsx', '.d.ts', '.js', '.jsx', '/index.ts', '/index.tsx'];
+
+// Which file is expected to import which for each planned relationship
+const EDGE_DIRECTION = {
+  imports: 'forward',   // from imports to
+  renders: 'forward',
+  consumes: 'forward',
+  provides: 'reverse',  // the consumer (to) imports the provider (from)
+  wraps: 'either'       // often both are wired up by a common parent
+};
+
+const SFC_EXTENSIONS = ['.vue', '.svelte'];
+
+const stem = (filePath) => path.posix.basename(filePath).replace(/\.(d\.ts|tsx?|jsx?|vue|svelte)$/, '');
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+const isRelative = (specifier) => specifier.startsWith('./') || specifier.startsWith('../');
+const isComponentFile = (filePath) => SFC_EXTENSIONS.includes(path.posix.extname(filePath));
+const isLinkedFile = (filePath) => isTypeCheckedFile(filePath) || isComponentFile(filePath);
+const aliasFor = (specifier, aliases) => Object.keys(aliases).find(prefix => specifier.startsWith(prefix));
+const isProjectSpecifier = (specifier, aliases) => isRelative(specifier) || Boolean(aliasFor(specifier, aliases));
+
+// Blanks everything outside <script> blocks so offsets and lines still match the file
+function scriptOnly(content) {
+  const blank = (text) => text.replace(/[^\n]/g, ' ');
+  let result = '';
+  let last = 0;
+  for (const match of content.matchAll(/(<script\b[^>]*>)([\s\S]*?)<\/script>/g)) {
+    const bodyStart = match.index + match[1].length;
+    result += blank(content.slice(last, bodyStart)) + match[2];
+    last = bodyStart + match[2].length;
+  }
+  return result + blank(content.slice(last));
+}
+
+function hasModifier(node, kind) {
+  return ts.canHaveModifiers(node) && (ts.getModifiers(node) || []).some(modifier => modifier.kind === kind);
+}
+
+// --- Parsing -------------------------------------------------------------------
+
+function parseModule(file) {
+  const component = isComponentFile(file.path);
+  const source = ts.createSourceFile(
+    file.path,
+    component ? scriptOnly(file.content) : file.content,
+    ts.ScriptTarget.Latest,
+    true,
+    file.path.endsWith('x') ? ts.ScriptKind.TSX : ts.ScriptKind.TS
+  );
+
+  const imports = [];
+  const exports = { hasDefault: false, named: new Set(), starFrom: [] };
+
+  for (const statement of source.statements) {
+    if (ts.isImportDeclaration(statement) && ts.isStringLiteral(statement.moduleSpecifier)) {
+      const clause = statement.importClause;
+      const bindings = clause?.namedBindings;
+      imports.push({
+        node: statement,
+        kind: 'import',
+        specifier: statement.moduleSpecifier.text,
+        typeOnly: Boolean(clause?.isTypeOnly),
+        defaultName: clause?.name?.text ?? null,
+        namespace: bindings && ts.isNamespaceImport(bindings) ? bindings.name.text : null,
+        named: bindings && ts.isNamedImports(bindings)
+          ? bindings.elements.map(element => ({
+            imported: element.propertyName?.text ?? element.name.text,
+            local: element.name.text,
+            typeOnly: element.isTypeOnly
+          }))
+          : []
+      });
+      continue;
+    }
+
+    if (ts.isExportDeclaration(statement)) {
+      const fromSpecifier = statement.moduleSpecifier && ts.isStringLiteral(statement.moduleSpecifier)
+        ? statement.moduleSpecifier.text
+        : null;
+
+      if (!statement.exportClause) {
+        if (fromSpecifier) exports.starFrom.push(fromSpecifier);
+      } else if (ts.isNamedExports(statement.exportClause)) {
+        for (const element of statement.exportClause.elements) {
+          if (element.name.text === 'default') exports.hasDefault = true;
+          else exports.named.add(element.name.text);
+        }
+      } else {
+        exports.named.add(statement.exportClause.name.text); // export * as ns from '...'
+      }
+
+      if (fromSpecifier) {
+        imports.push({ node: statement, kind: 'reexport', specifier: fromSpecifier, typeOnly: statement.isTypeOnly, defaultName: null, namespace: null, named: [] });
+      }
+      continue;
+    }
+
+    if (ts.isExportAssignment(statement)) {
+      exports.hasDefault = true;
+      continue;
+    }
+
+    if (!hasModifier(statement, ts.SyntaxKind.ExportKeyword)) continue;
+
+    if (hasModifier(statement, ts.SyntaxKind.DefaultKeyword)) {
+      exports.hasDefault = true;
+    } else if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations) {
+        if (ts.isIdentifier(declaration.name)) exports.named.add(declaration.name.text);
+      }
+    } else if (statement.name && ts.isIdentifier(statement.name)) {
+      exports.named.add(statement.name.text); // function, class, interface, type, enum
+    }
+  }
+
+  // A component's script exports props (Svelte) or nothing (Vue setup); importers get the component
+  if (component) {
+    exports.hasDefault = true;
+    exports.named.clear();
+  }
+
+  return { path: file.path, content: file.content, source, imports, exports };
+}
+
+function resolveSpecifier(fromPath, specifier, paths, aliases = {}) {
+  const alias = aliasFor(specifier, aliases);
+  if (!alias && !isRelative(specifier)) return null;
+  const base = alias
+    ? path.posix.normalize(aliases[alias] + specifier.slice(alias.length))
+    : path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), specifier));
+  for (const suffix of RESOLVE_SUFFIXES) {
+    if (paths.has(base + suffix)) return base + suffix;
+  }
+  return null;
+}
+
+// Keeps the original style: aliased specifiers stay aliased when the alias covers the target
+function rewriteSpecifier(fromPath, toPath, original, aliases) {
+  const alias = aliasFor(original, aliases);
+  let specifier = alias && toPath.startsWith(aliases[alias])
+    ? alias + toPath.slice(aliases[alias].length)
+    : path.posix.relative(path.posix.dirname(fromPath), toPath);
+  specifier = specifier.replace(/\.(tsx?|jsx?)$/, '');
+  if (specifier.endsWith('/index')) specifier = specifier.slice(0, -'/index'.length);
+  return alias || specifier.startsWith('.') ? specifier : `./${specifier}`;
+}
+
+// Export sets with `export * from` followed through the project
+function resolveExports(modules, paths, aliases) {
+  const resolved = new Map();
+
+  function visit(modulePath, seen) {
+    if (resolved.has(modulePath)) return resolved.get(modulePath);
+    const module = modules.get(modulePath);
+    const named = new Set(module.exports.named);
+    for (const specifier of module.exports.starFrom) {
+      const target = resolveSpecifier(modulePath, specifier, paths, aliases);
+      if (target && modules.has(target) && !seen.has(target)) {
+        visit(target, new Set([...seen, target])).named.forEach(name => named.add(name));
+      }
+    }
+    const result = { hasDefault: module.exports.hasDefault, named };
+    resolved.set(modulePath, result);
+    return result;
+  }
+
+  for (const modulePath of modules.keys()) visit(modulePath, new Set([modulePath]));
+  return resolved;
+}
+
+// --- Import repair --------------------------------------------------------------
+
+function printImport(spec, quote) {
+  const parts = [];
+  if (spec.defaultName) parts.push(spec.defaultName);
+  if (spec.namespace) parts.push(`* as ${spec.namespace}`);
+  if (spec.named.length > 0) {
+    const names = spec.named.map(({ imported, local, typeOnly }) =>
+      `${typeOnly ? 'type ' : ''}${imported === local ? local : `${imported} as ${local}`}`
+    );
+    parts.push(`{ ${names.join(', ')} }`);
+  }
+  const clause = parts.length > 0 ? `${spec.typeOnly ? 'type ' : ''}${parts.join(', ')} from ` : '';
+  return `import ${clause}${quote}${spec.specifier}${quote};`;
+}
+
+// Returns { spec, changes, issues } for one import declaration
+function repairImport(module, spec, context) {
+  const { paths, aliases, modules, exportsByPath, pathsByStem } = context;
+  const next = { ...spec, named: spec.named.map(binding => ({ ...binding })) };
+  const changes = [];
+  const issues = [];
+
+  let target = resolveSpecifier(module.path, spec.specifier, paths, aliases);
+
+  if (!target) {
+    const candidates = (pathsByStem.get(normalizeName(stem(spec.specifier))) || []).filter(candidate => candidate !== module.path);
+    if (candidates.length === 1) {
+      target = candidates[0];
+      next.specifier = rewriteSpecifier(module.path, target, spec.specifier, aliases);
+      changes.push(`'${spec.specifier}' -> '${next.specifier}' (module moved)`);
+    } else {
+      issues.push({
+        kind: 'missing-module',
+        message: `Cannot resolve '${spec.specifier}'${candidates.length > 1 ? ` (ambiguous: ${candidates.join(', ')})` : ''}`
+      });
+      return { spec: next, changes, issues };
+    }
+  }
+
+  // Non-code imports (CSS, JSON, images) and re-exports only need to resolve
+  if (!modules.has(target) || spec.kind === 'reexport') return { spec: next, changes, issues };
+
+  const targetExports = exportsByPath.get(target);
+  const targetStem = stem(target);
+  const findNamed = (name) => targetExports.named.has(name)
+    ? name
+    : [...targetExports.named].find(exported => normalizeName(exported) === normalizeName(name));
+
+  if (next.defaultName && !targetExports.hasDefault) {
+    const exported = findNamed(next.defaultName) || findNamed(targetStem);
+    if (exported) {
+      next.named.unshift({ imported: exported, local: next.defaultName, typeOnly: false });
+      changes.push(`default import ${next.defaultName} -> named import ${exported}`);
+      next.defaultName = null;
+    } else {
+      issues.push({ kind: 'missing-default-export', message: `${target} has no default export (imported as ${next.defaultName})` });
+    }
+  }
+
+  next.named = next.named.filter(binding => {
+    if (targetExports.named.has(binding.imported)) return true;
+
+    if (binding.imported === 'default') {
+      if (targetExports.hasDefault) return true;
+    } else if (targetExports.hasDefault && !next.defaultName && !binding.typeOnly && normalizeName(binding.imported) === normalizeName(targetStem)) {
+      next.defaultName = binding.local;
+      changes.push(`named import ${binding.imported} -> default import ${binding.local}`);
+      return false;
+    } else {
+      const exported = findNamed(binding.imported);
+      if (exported) {
+        changes.push(`named import ${binding.imported} -> ${exported}`);
+        binding.imported = exported;
+        return true;
+      }
+    }
+
+    issues.push({ kind: 'missing-export', message: `${target} does not export '${binding.imported}'` });
+    return true;
+  });
+
+  return { spec: next, changes, issues };
+}
+
+// --- Component graph diff -------------------------------------------------------
+
+function graphDiff(componentGraph, modules, edges, namedFiles) {
+  const nodes = componentGraph?.nodes || [];
+  const plannedEdges = componentGraph?.edges || [];
+  const codePaths = [...modules.keys()];
+  const fileByName = new Map(
+    Object.entries(namedFiles).filter(([, file]) => modules.has(file)).map(([name, file]) => [normalizeName(name), file])
+  );
+
+  // Stacks with file-system routing name pages after the route (page.tsx), so planned names come first
+  const fileForNode = new Map();
+  for (const node of nodes) {
+    const names = [node.name, node.id].filter(Boolean).map(normalizeName);
+    const file = names.map(name => fileByName.get(name)).find(Boolean)
+      || codePaths.find(filePath => names.includes(normalizeName(stem(filePath))));
+    if (file) fileForNode.set(node.id, file);
+  }
+
+  const nodeFor = (ref) => nodes.find(node => node.id === ref) || nodes.find(node => normalizeName(node.name) === normalizeName(ref));
+  const hasEdge = (from, to) => edges.some(edge => edge.from === from && edge.to === to);
+
+  const missingEdges = [];
+  const explained = new Set();
+  let matchedEdges = 0;
+
+  for (const edge of plannedEdges) {
+    const fromNode = nodeFor(edge.from);
+    const toNode = nodeFor(edge.to);
+    const fromFile = fromNode && fileForNode.get(fromNode.id);
+    const toFile = toNode && fileForNode.get(toNode.id);
+    if (fromFile) explained.add(`${fromFile}>${toFile}`).add(`${toFile}>${fromFile}`);
+
+    const direction = EDGE_DIRECTION[edge.relationship] || 'forward';
+    const found = Boolean(fromFile && toFile) && (
+      (direction !== 'reverse' && hasEdge(fromFile, toFile)) ||
+      (direction !== 'forward' && hasEdge(toFile, fromFile))
+    );
+    if (found) matchedEdges++;
+    else missingEdges.push({ from: edge.from, to: edge.to, relationship: edge.relationship });
+  }
+
+  const nodeByFile = new Map([...fileForNode].map(([id, file]) => [file, id]));
+  const extraEdges = edges
+    .filter(edge => nodeByFile.has(edge.from) && nodeByFile.has(edge.to) && !explained.has(`${edge.from}>${edge.to}`))
+    .map(edge => ({ from: nodeByFile.get(edge.from), to: nodeByFile.get(edge.to) }));
+
+  return {
+    nodes: nodes.length,
+    plannedEdges: plannedEdges.length,
+    matchedEdges,
+    missingNodes: nodes.filter(node => !fileForNode.has(node.id)).map(({ id, name, type }) => ({ id, name, type })),
+    missingEdges,
+    extraEdges
+  };
+}
+
+// --- Entry points --------------------------------------------------------------
+
+/**
+ * Links a generated project ([{ path, content }]) against itself. Returns
+ *   { files, rewrites: [{ file, line, changes }], unresolved: [{ file, line, specifier, kind, message }], graph }
+ * where `files` has every repairable import rewritten.
+ * Options: `aliases` ({ '@/': 'src/' }) and `namedFiles` ({ [plannedName]: path }) for the graph diff.
+ */
+export function linkProject(files, componentGraph, { aliases = {}, namedFiles = {} } = {}) {
+  const paths = new Set(files.map(file => file.path));
+  const modules = new Map(
+    files.filter(file => isLinkedFile(file.path)).map(file => [file.path, parseModule(file)])
+  );
+  const exportsByPath = resolveExports(modules, paths, aliases);
+
+  const pathsByStem = new Map();
+  for (const modulePath of modules.keys()) {
+    const key = normalizeName(stem(modulePath));
+    pathsByStem.set(key, [...(pathsByStem.get(key) || []), modulePath]);
+  }
+
+  const context = { paths, aliases, modules, exportsByPath, pathsByStem };
+  const rewrites = [];
+  const unresolved = [];
+  const edges = [];
+  const contentByPath = new Map();
+
+  for (const module of modules.values()) {
+    const edits = [];
+
+    for (const spec of module.imports) {
+      if (!isProjectSpecifier(spec.specifier, aliases)) continue;
+
+      const line = module.source.getLineAndCharacterOfPosition(spec.node.getStart(module.source)).line + 1;
+      const { spec: repaired, changes, issues } = repairImport(module, spec, context);
+
+      const target = resolveSpecifier(module.path, repaired.specifier, paths, aliases);
+      if (target && modules.has(target)) edges.push({ from: module.path, to: target });
+
+      issues.forEach(issue => unresolved.push({ file: module.path, line, specifier: spec.specifier, ...issue }));
+      if (changes.length === 0) continue;
+
+      const original = spec.node.getText(module.source);
+      const quote = original.includes('"') && !original.includes("'") ? '"' : "'";
+      const text = spec.kind === 'reexport'
+        ? original.replace(spec.specifier, repaired.specifier)
+        : printImport(repaired, quote);
+      edits.push({ start: spec.node.getStart(module.source), end: spec.node.getEnd(), text });
+      rewrites.push({ file: module.path, line, changes });
+    }
+
+    if (edits.length > 0) {
+      let content = module.content;
+      for (const edit of edits.sort((a, b) => b.start - a.start)) {
+        content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+      }
+      contentByPath.set(module.path, content);
+    }
+  }
+
+  return {
+    files: files.map(file => contentByPath.has(file.path) ? { ...file, content: contentByPath.get(file.path) } : file),
+    rewrites,
+    unresolved,
+    graph: graphDiff(componentGraph, modules, edges, namedFiles)
+  };
+}
+
+/**
+ * One line per code module listing what it exports, for repair prompts.
+ */
+export function describeExports(files) {
+  return files
+    .filter(file => isLinkedFile(file.path))
+    .map(file => {
+      const { exports } = parseModule(file);
+      const parts = [];
+      if (exports.hasDefault) parts.push('default');
+      if (exports.named.size > 0) parts.push(`{ ${[...exports.named].join(', ')} }`);
+      if (exports.starFrom.length > 0) parts.push(exports.starFrom.map(specifier => `* from '${specifier}'`).join(', '));
+      return `- ${file.path}: ${parts.join(', ') || '(no exports)'}`;
+    })
+    .join('\n');
+}
@@ -0,0 +1,274 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// -----------------------------------------------------------------------------
+// LLM PROVIDER LAYER
+// -----------------------------------------------------------------------------
+// Every AI call in the server goes through a client built here:
+//
+//   const llm = await createLLMClient(loadLLMConfig());
+//   const text = await llm.generate({ stage: 'intent', prompt, json: true });
+//   const vector = await llm.embed('some text');
+//   const vectors = await llm.embedBatch(['one', 'two']); // one request per EMBED_BATCH_SIZE
+//
+// The provider (gemini | openai | fixture) and the model used for each
+// pipeline stage come from environment config, never from the call site.
+
+export const PIPELINE_STAGES = ['intent', 'analysis', 'architecture', 'codegen', 'embedding'];
+
+// Texts per embedding request (Gemini's batch limit)
+export const EMBED_BATCH_SIZE = 100;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+const DEFAULT_MODELS = {
+  gemini: {
+    intent: 'gemini-2.0-flash',
+    analysis: 'gemini-2.0-flash',
+    architecture: 'gemini-2.0-flash',
+    codegen: 'gemini-2.0-flash-exp',
+    embedding: 'text-embedding-004'
+  },
+  openai: {
+    intent: 'llama3.1',
+    analysis: 'llama3.1',
+    architecture: 'llama3.1',
+    codegen: 'qwen2.5-coder',
+    embedding: 'nomic-embed-text'
+  },
+  fixture: {
+    intent: 'fixture',
+    analysis: 'fixture',
+    architecture: 'fixture',
+    codegen: 'fixture',
+    embedding: 'fixture'
+  }
+};
+
+/**
+ * Reads provider settings from the environment.
+ * LLM_PROVIDER picks the backend; LLM_MODEL_<STAGE> overrides the model per stage.
+ */
+export function loadLLMConfig(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const defaults = DEFAULT_MODELS[provider] || DEFAULT_MODELS.gemini;
+
+  const models = {};
+  for (const stage of PIPELINE_STAGES) {
+    models[stage] = env[`LLM_MODEL_${stage.toUpperCase()}`] || defaults[stage];
+  }
+
+  return {
+    provider,
+    models,
+    gemini: { apiKey: env.GEMINI_API_KEY },
+    openai: {
+      baseUrl: (env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, ''),
+      apiKey: env.OPENAI_API_KEY
+    },
+    fixture: { dir: env.LLM_FIXTURES_DIR }
+  };
+}
+
+/**
+ * Environment variables that must be set for the configured provider to work.
+ */
+export function requiredEnvFor(config) {
+  if (config.provider === 'gemini') return ['GEMINI_API_KEY'];
+  if (config.provider === 'openai') return ['OPENAI_BASE_URL'];
+  return [];
+}
+
+/**
+ * Builds the client for the configured provider.
+ * Returns null when the provider has no credentials (AI features go offline).
+ */
+export async function createLLMClient(config) {
+  const factories = {
+    gemini: createGeminiProvider,
+    openai: createOpenAICompatibleProvider,
+    fixture: createFixtureProvider
+  };
+
+  const factory = factories[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${config.provider}". Expected one of: ${Object.keys(factories).join(', ')}`);
+  }
+
+  const provider = await factory(config);
+  if (!provider) return null;
+
+  return {
+    provider: config.provider,
+    modelFor: (stage) => config.models[stage] || config.models.codegen,
+
+    async generate({ stage, prompt, json = false, systemInstruction }) {
+      const model = config.models[stage] || config.models.codegen;
+      return provider.generate({ stage, model, prompt, json, systemInstruction });
+    },
+
+    async embed(text) {
+      return provider.embed({ model: config.models.embedding, text });
+    },
+
+    // Vectors in input order; null where the provider returned none
+    async embedBatch(texts) {
+      const model = config.models.embedding;
+      const batches = await Promise.all(chunk(texts, EMBED_BATCH_SIZE).map(batch => provider.embedBatch
+        ? provider.embedBatch({ model, texts: batch })
+        : Promise.all(batch.map(text => provider.embed({ model, text })))));
+      return batches.flat();
+    }
+  };
+}
+
+// --- Gemini (@google/genai) ---------------------------------------------------
+
+async function createGeminiProvider(config) {
+  if (!config.gemini.apiKey) return null;
+
+  const { GoogleGenAI } = await import('@google/genai');
+  const client = new GoogleGenAI({ apiKey: config.gemini.apiKey });
+
+  return {
+    async generate({ model, prompt, json, systemInstruction }) {
+      const response = await client.models.generateContent({
+        model,
+        contents: prompt,
+        config: {
+          ...(json ? { responseMimeType: 'application/json' } : {}),
+          ...(systemInstruction ? { systemInstruction } : {})
+        }
+      });
+      return response.text || '';
+    },
+
+    async embed({ model, text }) {
+      const result = await client.models.embedContent({ model, contents: text });
+      return result.embeddings?.[0]?.values || null;
+    },
+
+    async embedBatch({ model, texts }) {
+      const result = await client.models.embedContent({ model, contents: texts });
+      return texts.map((_, i) => result.embeddings?.[i]?.values || null);
+    }
+  };
+}
+
+// --- OpenAI-compatible HTTP (OpenAI, llama.cpp server, Ollama, vLLM...) --------
+
+async function createOpenAICompatibleProvider(config) {
+  const { baseUrl, apiKey } = config.openai;
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+  };
+
+  async function post(endpoint, body) {
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`LLM HTTP ${response.status} from ${endpoint}: ${detail.slice(0, 200)}`);
+    }
+    return response.json();
+  }
+
+  return {
+    async generate({ model, prompt, json, systemInstruction }) {
+      const messages = [
+        ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+        { role: 'user', content: prompt }
+      ];
+      const data = await post('/chat/completions', {
+        model,
+        messages,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      });
+      return data.choices?.[0]?.message?.content || '';
+    },
+
+    async embed({ model, text }) {
+      const data = await post('/embeddings', { model, input: text });
+      return data.data?.[0]?.embedding || null;
+    },
+
+    async embedBatch({ model, texts }) {
+      const data = await post('/embeddings', { model, input: texts });
+      const byIndex = new Map((data.data || []).map(item => [item.index, item.embedding]));
+      return texts.map((_, i) => byIndex.get(i) || null);
+    }
+  };
+}
+
+// --- Fixture (deterministic, offline) -----------------------------------------
+// Looks up canned responses in LLM_FIXTURES_DIR:
+//   generate/<generateKey>.json  exact match for a request  { "text": "..." }
+//   generate/<stage>.json        fallback for a whole stage { "text": "..." }
+//   embed/<embedKey>.json        exact match for a text     { "vector": [...] }
+// Without a match it returns "{}" for JSON requests and a stub for code, and
+// embeddings fall back to hashed bag-of-words vectors (similar texts score higher).
+// Keys are the ones PIPELINE_MODE=record writes, model included: a recording
+// serves as fixtures when LLM_MODEL_<STAGE> names the models it was made with.
+
+export function fixtureKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 32);
+}
+
+// Everything that shapes a response is part of its key
+export function generateKey({ stage, model, prompt, systemInstruction = null, json = false }) {
+  return fixtureKey([stage, model, prompt, systemInstruction, json]);
+}
+
+export function embedKey({ model, text }) {
+  return fixtureKey([model, text]);
+}
+
+function readFixture(dir, name) {
+  if (!dir) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+export function hashedEmbedding(text, dimensions = 256) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+  for (const token of tokens) {
+    const digest = crypto.createHash('md5').update(token).digest();
+    vector[digest.readUInt32BE(0) % dimensions] += 1;
+  }
+  return vector;
+}
+
+async function createFixtureProvider(config) {
+  const { dir } = config.fixture;
+
+  return {
+    async generate(request) {
+      const { stage, json } = request;
+      const exact = readFixture(dir, path.join('generate', generateKey(request)));
+      if (exact) return exact.text;
+
+      const byStage = readFixture(dir, path.join('generate', stage));
+      if (byStage) return byStage.text;
+
+      return json ? '{}' : `// Fixture provider: no fixture for ${stage}\nexport {};\n`;
+    },
+
+    async embed({ model, text }) {
+      const recorded = readFixture(dir, path.join('embed', embedKey({ model, text })));
+      return recorded ? recorded.vector : hashedEmbedding(text);
+    }
+  };
+}
@@ -0,0 +1,26 @@
+// -----------------------------------------------------------------------------
+// LOGGING UTILITY
+// -----------------------------------------------------------------------------
+// One JSON line per entry, for the lines at or above the configured level
+// (LOG_LEVEL: INFO | WARN | ERROR, default INFO). The server writes them to
+// stdout; the CLI, which runs the pipeline in its own process and keeps stdout
+// for results, configures a stderr sink before it loads the server.
+
+const LOG_LEVELS = ['INFO', 'WARN', 'ERROR'];
+
+const levelIndex = (level) => Math.max(0, LOG_LEVELS.indexOf(String(level || 'INFO').toUpperCase()));
+
+let minLevel = levelIndex(process.env.LOG_LEVEL);
+let sink = (line) => process.stdout.write(`${line}\n`);
+
+/** Replaces the level and/or the sink, a function that takes one JSON line. */
+export function configureLogging(options = {}) {
+  if (options.level !== undefined) minLevel = levelIndex(options.level);
+  if (options.sink) sink = options.sink;
+}
+
+export function log(level, message, meta = {}) {
+  if (LOG_LEVELS.indexOf(level) < minLevel) return;
+  const timestamp = new Date().toISOString();
+  sink(JSON.stringify({ timestamp, level, message, ...meta }));
+}
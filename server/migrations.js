@@ -0,0 +1,584 @@
+import initSqlJs from 'sql.js';
+import { parse as parsePostgres } from 'libpg-query';
+import { singular, primaryKeyOf, tableForPath } from './backend.js';
+
+// -----------------------------------------------------------------------------
+// DATABASE MIGRATIONS
+// -----------------------------------------------------------------------------
+// Turns architecture.databaseSchema into an initial migration and a seed file,
+// for Postgres or SQLite:
+//
+//   tables          the planned columns plus created_at/updated_at, kept
+//                   current by an UPDATE trigger
+//   relationships   many-to-one / one-to-many become indexed foreign keys,
+//                   many-to-many becomes a join table
+//   RLS (Supabase)  one policy set per table, derived from the protected
+//                   routes and authenticated endpoints that read it
+//
+// Nothing is trusted blindly: checkDatabaseFiles() parses Postgres output with
+// libpg-query (Postgres' own parser) and runs SQLite output in an in-memory
+// sql.js database, and the errors are reported with the project.
+
+export const DIALECTS = ['postgres', 'sqlite'];
+export const DEFAULT_DIALECT = 'postgres';
+
+const SEED_ROWS = 3;
+
+// Columns that tie a row to the signed-in user, in order of preference
+const OWNER_COLUMNS = ['user_id', 'owner_id', 'author_id', 'created_by'];
+// Tables whose primary key is the auth user's id on Supabase
+const AUTH_USER_TABLES = ['users', 'profiles'];
+
+const RESERVED = new Set([
+  'all', 'analyse', 'analyze', 'and', 'any', 'as', 'asc', 'check', 'column', 'constraint', 'create',
+  'default', 'desc', 'distinct', 'do', 'else', 'end', 'except', 'from', 'grant', 'group', 'having',
+  'in', 'index', 'key', 'limit', 'not', 'null', 'offset', 'on', 'or', 'order', 'primary',
+  'references', 'select', 'table', 'then', 'to', 'union', 'unique', 'user', 'using', 'when', 'where'
+]);
+
+const SQLITE_UUID = '(lower(hex(randomblob(16))))';
+
+const ident = (name) => /^[a-z_][a-z0-9_]*$/.test(name) && !RESERVED.has(name)
+  ? name
+  : `"${String(name).replace(/"/g, '""')}"`;
+
+const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// --- Column types ----------------------------------------------------------------
+
+function columnKind(column) {
+  const t = String(column.type || 'text').toLowerCase().trim();
+  if (t.startsWith('uuid')) return 'uuid';
+  if (/serial|^(small|big)?int(eger|2|4|8)?$/.test(t)) return 'integer';
+  if (/numeric|decimal|float|double|real|number|money/.test(t)) return 'number';
+  if (/bool/.test(t)) return 'boolean';
+  if (/json/.test(t)) return 'json';
+  if (/\[\]$|^array/.test(t)) return 'array';
+  if (/timestamp|datetime/.test(t)) return 'timestamp';
+  if (t === 'date') return 'date';
+  return 'text';
+}
+
+// Common non-SQL names the architecture model uses for types
+const POSTGRES_ALIASES = {
+  string: 'text', number: 'numeric', int: 'integer', float: 'double precision', double: 'double precision',
+  bool: 'boolean', datetime: 'timestamptz', date_time: 'timestamptz', enum: 'text', array: 'text[]', object: 'jsonb'
+};
+
+function postgresType(type) {
+  const raw = String(type || 'text').trim();
+  if (raw.endsWith('[]')) return `${postgresType(raw.slice(0, -2))}[]`;
+  return POSTGRES_ALIASES[raw.toLowerCase()] || raw;
+}
+
+const SQLITE_TYPES = {
+  uuid: 'TEXT', integer: 'INTEGER', number: 'REAL', boolean: 'INTEGER', json: 'TEXT',
+  array: 'TEXT', timestamp: 'TEXT', date: 'TEXT', text: 'TEXT'
+};
+
+function sqlType(column, dialect) {
+  return dialect === 'sqlite' ? SQLITE_TYPES[columnKind(column)] : postgresType(column.type);
+}
+
+// The type a foreign key column needs to hold the referenced key
+function referenceType(column) {
+  const t = String(column.type || '').toLowerCase();
+  if (t === 'serial') return 'integer';
+  if (t === 'bigserial') return 'bigint';
+  if (t === 'smallserial') return 'smallint';
+  return column.type || 'uuid';
+}
+
+// Architecture defaults are free text: now(), 'pending', pending, false, '{}'::jsonb ...
+function defaultExpression(value, dialect) {
+  const raw = String(value).trim();
+  if (dialect === 'sqlite') {
+    if (/^now\(\)$/i.test(raw)) return 'CURRENT_TIMESTAMP';
+    if (/^(gen_random_uuid|uuid_generate_v4)\(\)$/i.test(raw)) return SQLITE_UUID;
+    if (/^true$/i.test(raw)) return '1';
+    if (/^false$/i.test(raw)) return '0';
+    if (/^'.*'::[a-z_ \[\]]+$/is.test(raw)) return raw.replace(/::[a-z_ \[\]]+$/i, '');
+  }
+  if (/^-?\d+(\.\d+)?$/.test(raw)) return raw;
+  if (/^(null|true|false|current_timestamp|current_date|current_time)$/i.test(raw)) return raw;
+  if (/^'.*'(::[a-z_ \[\]]+)?$/is.test(raw)) return raw;
+  if (/^[a-z_][a-z0-9_.]*\(.*\)$/is.test(raw)) return dialect === 'sqlite' ? `(${raw})` : raw;
+  return literal(raw.replace(/^"(.*)"$/s, '$1'));
+}
+
+// --- Planning --------------------------------------------------------------------
+
+/**
+ * Resolves relationships into foreign keys and join tables; `warnings` lists
+ * relationships that could not be honoured.
+ */
+export function planSchema(architecture, dialect = DEFAULT_DIALECT) {
+  const supabase = dialect === 'postgres' && architecture.authentication?.provider === 'Supabase';
+  const warnings = [];
+
+  const tables = (architecture.databaseSchema || [])
+    .filter(table => table.table && table.columns?.length)
+    .map(table => {
+      const declared = table.columns.filter(column => column.isPrimary).map(column => column.name);
+      return {
+        name: table.table,
+        source: table,
+        columns: table.columns.map(column => ({ ...column })),
+        primaryKey: declared.length > 0 ? declared : [primaryKeyOf(table)],
+        foreignKeys: [],
+        isJoin: false
+      };
+    });
+
+  const find = (name) => {
+    const key = normalizeName(singular(name));
+    return tables.find(table => table.name === name) ||
+      tables.find(table => normalizeName(singular(table.name)) === key) || null;
+  };
+
+  // Planned tables without their primary key column get a uuid one
+  tables.forEach(table => {
+    table.primaryKey.forEach(name => {
+      if (!table.columns.some(column => column.name === name)) {
+        table.columns.unshift({ name, type: 'uuid', isPrimary: true });
+      }
+    });
+  });
+
+  function addForeignKey(from, columnName, to) {
+    if (to.primaryKey.length !== 1) {
+      warnings.push(`${from.name}.${columnName}: ${to.name} has a composite primary key; foreign key skipped`);
+      return;
+    }
+    if (from.foreignKeys.some(fk => fk.column === columnName)) return;
+
+    const referenced = to.columns.find(column => column.name === to.primaryKey[0]);
+    let column = from.columns.find(c => c.name === columnName);
+    if (!column) {
+      column = { name: columnName, type: referenceType(referenced) };
+      from.columns.push(column);
+    }
+    from.foreignKeys.push({
+      column: columnName,
+      table: to.name,
+      references: to.primaryKey[0],
+      onDelete: column.isRequired || column.isPrimary ? 'CASCADE' : 'SET NULL'
+    });
+  }
+
+  function addJoinTable(a, b) {
+    const [left, right] = [a, b].sort((x, y) => x.name.localeCompare(y.name));
+    const name = `${left.name}_${right.name}`;
+    if (find(name) || tables.some(table => table.name === name)) return;
+    if (left.primaryKey.length !== 1 || right.primaryKey.length !== 1) {
+      warnings.push(`${name}: many-to-many needs single-column primary keys; join table skipped`);
+      return;
+    }
+
+    const leftColumn = `${singular(left.name)}_id`;
+    const rightColumn = left === right ? `related_${singular(right.name)}_id` : `${singular(right.name)}_id`;
+    const join = {
+      name,
+      source: null,
+      columns: [],
+      primaryKey: [leftColumn, rightColumn],
+      foreignKeys: [],
+      isJoin: true,
+      sides: [left.name, right.name]
+    };
+    tables.push(join);
+    addForeignKey(join, leftColumn, left);
+    addForeignKey(join, rightColumn, right);
+    join.columns.forEach(column => { column.isRequired = true; });
+    join.foreignKeys.forEach(fk => { fk.onDelete = 'CASCADE'; });
+  }
+
+  tables.filter(table => !table.isJoin).forEach(table => {
+    (table.source.relationships || []).forEach(relationship => {
+      const other = find(relationship.table);
+      if (!other) {
+        warnings.push(`${table.name}: relationship to unknown table '${relationship.table}' skipped`);
+        return;
+      }
+      switch (relationship.type) {
+        case 'many-to-one':
+          addForeignKey(table, relationship.foreignKey || `${singular(other.name)}_id`, other);
+          break;
+        case 'one-to-many':
+          addForeignKey(other, relationship.foreignKey || `${singular(table.name)}_id`, table);
+          break;
+        case 'many-to-many':
+          addJoinTable(table, other);
+          break;
+        default:
+          warnings.push(`${table.name}: unknown relationship type '${relationship.type}' skipped`);
+      }
+    });
+  });
+
+  tables.forEach(table => {
+    const names = new Set(table.columns.map(column => column.name));
+    if (!names.has('created_at')) table.columns.push({ name: 'created_at', type: 'timestamptz', isRequired: true, defaultValue: 'now()' });
+    if (!table.isJoin && !names.has('updated_at')) table.columns.push({ name: 'updated_at', type: 'timestamptz', isRequired: true, defaultValue: 'now()' });
+
+    // On Supabase a users/profiles row is keyed by the auth user's id
+    table.authUser = supabase && !table.isJoin && AUTH_USER_TABLES.includes(normalizeName(table.name)) &&
+      table.primaryKey.length === 1 && columnKind(table.columns.find(c => c.name === table.primaryKey[0])) === 'uuid';
+    table.owner = table.authUser
+      ? table.primaryKey[0]
+      : OWNER_COLUMNS.find(name => table.columns.some(column => column.name === name)) || null;
+  });
+
+  return { tables, warnings };
+}
+
+// Parents before children, so Postgres can create foreign keys inline; cycles keep declaration order
+function creationOrder(tables) {
+  const byName = new Map(tables.map(table => [table.name, table]));
+  const order = [];
+  const state = new Map();
+  const visit = (table) => {
+    if (state.has(table.name)) return;
+    state.set(table.name, 'visiting');
+    table.foreignKeys.forEach(fk => {
+      const parent = byName.get(fk.table);
+      if (parent && parent !== table) visit(parent);
+    });
+    state.set(table.name, 'done');
+    order.push(table);
+  };
+  tables.forEach(visit);
+  return order;
+}
+
+// Tables read by protected routes or authenticated endpoints, with the paths that protect them
+function protectedTables(architecture, tables) {
+  const schema = architecture.databaseSchema || [];
+  const paths = [
+    ...(architecture.authentication?.protectedRoutes || []),
+    ...(architecture.pages || []).filter(page => page.isProtected).map(page => page.route),
+    ...(architecture.apiEndpoints || []).filter(endpoint => endpoint.authentication).map(endpoint => endpoint.path)
+  ];
+
+  const reasons = new Map();
+  paths.forEach(routePath => {
+    const table = tableForPath(routePath, schema);
+    if (!table) return;
+    if (!reasons.has(table.table)) reasons.set(table.table, new Set());
+    reasons.get(table.table).add(routePath);
+  });
+
+  tables.filter(table => table.isJoin).forEach(join => {
+    const sides = join.sides.filter(side => reasons.has(side));
+    if (sides.length > 0) reasons.set(join.name, new Set(sides.map(side => `${side} (joined)`)));
+  });
+  return reasons;
+}
+
+// --- Migration -------------------------------------------------------------------
+
+function columnDefinition(table, column, dialect) {
+  const kind = columnKind(column);
+  const singlePrimary = table.primaryKey.length === 1 && table.primaryKey[0] === column.name;
+  const parts = [ident(column.name), sqlType(column, dialect)];
+
+  if (singlePrimary) parts.push('PRIMARY KEY');
+  else if (column.isRequired) parts.push('NOT NULL');
+
+  if (column.defaultValue !== undefined && column.defaultValue !== null && column.defaultValue !== '') {
+    parts.push(`DEFAULT ${defaultExpression(column.defaultValue, dialect)}`);
+  } else if (singlePrimary && kind === 'uuid' && !table.authUser) {
+    parts.push(`DEFAULT ${dialect === 'sqlite' ? SQLITE_UUID : 'gen_random_uuid()'}`);
+  }
+  return parts.join(' ');
+}
+
+function foreignKeyClause(table, fk) {
+  return `CONSTRAINT ${ident(`${table.name}_${fk.column}_fkey`)} FOREIGN KEY (${ident(fk.column)}) ` +
+    `REFERENCES ${ident(fk.table)} (${ident(fk.references)}) ON DELETE ${fk.onDelete}`;
+}
+
+function postgresPolicies(table, reasons) {
+  const name = ident(table.name);
+  const protectedBy = reasons.get(table.name);
+  const ownerColumn = table.owner && table.columns.find(column => column.name === table.owner);
+  const owner = ownerColumn && (columnKind(ownerColumn) === 'uuid'
+    ? `(select auth.uid()) = ${ident(table.owner)}`
+    : `(select auth.uid())::text = ${ident(table.owner)}::text`);
+  const policy = (suffix) => ident(`${table.name}_${suffix}`);
+
+  const lines = [
+    protectedBy
+      ? `-- ${table.name}: protected by ${[...protectedBy].join(', ')}`
+      : `-- ${table.name}: public read`,
+    `ALTER TABLE ${name} ENABLE ROW LEVEL SECURITY;`
+  ];
+
+  if (!protectedBy) {
+    lines.push(`CREATE POLICY ${policy('public_read')} ON ${name} FOR SELECT USING (true);`);
+  }
+  lines.push(owner
+    ? `CREATE POLICY ${policy('owner_all')} ON ${name} FOR ALL TO authenticated USING (${owner}) WITH CHECK (${owner});`
+    : `CREATE POLICY ${policy('authenticated_all')} ON ${name} FOR ALL TO authenticated USING (true) WITH CHECK (true);`);
+  return lines.join('\n');
+}
+
+/**
+ * The initial migration for `dialect` ('postgres' | 'sqlite'). Row Level
+ * Security is only emitted for Postgres projects that authenticate with Supabase.
+ */
+export function generateMigration(architecture, dialect = DEFAULT_DIALECT) {
+  const { tables, warnings } = planSchema(architecture, dialect);
+  const ordered = creationOrder(tables);
+  const created = new Set();
+  const deferred = [];
+  const sections = [
+    `-- Initial schema for ${architecture.projectName} (${dialect === 'sqlite' ? 'SQLite' : 'PostgreSQL'})`,
+    ...warnings.map(warning => `-- WARNING: ${warning}`)
+  ];
+
+  if (dialect === 'sqlite') sections.push('PRAGMA foreign_keys = ON;');
+
+  ordered.forEach(table => {
+    const definitions = table.columns.map(column => `  ${columnDefinition(table, column, dialect)}`);
+    if (table.primaryKey.length > 1) {
+      definitions.push(`  PRIMARY KEY (${table.primaryKey.map(ident).join(', ')})`);
+    }
+    if (table.authUser) {
+      definitions.push(`  CONSTRAINT ${ident(`${table.name}_${table.primaryKey[0]}_auth_fkey`)} FOREIGN KEY (${ident(table.primaryKey[0])}) REFERENCES auth.users (id) ON DELETE CASCADE`);
+    }
+    table.foreignKeys.forEach(fk => {
+      // SQLite resolves references lazily; Postgres needs the parent to exist first
+      if (dialect === 'sqlite' || created.has(fk.table) || fk.table === table.name) {
+        definitions.push(`  ${foreignKeyClause(table, fk)}`);
+      } else {
+        deferred.push(`ALTER TABLE ${ident(table.name)} ADD ${foreignKeyClause(table, fk)};`);
+      }
+    });
+    created.add(table.name);
+    sections.push(`CREATE TABLE IF NOT EXISTS ${ident(table.name)} (\n${definitions.join(',\n')}\n);`);
+  });
+
+  if (deferred.length > 0) sections.push(deferred.join('\n'));
+
+  // Foreign key columns are not indexed automatically; skip ones that lead a primary key
+  const indexes = tables.flatMap(table => table.foreignKeys
+    .filter(fk => table.primaryKey[0] !== fk.column)
+    .map(fk => `CREATE INDEX IF NOT EXISTS ${ident(`idx_${table.name}_${fk.column}`)} ON ${ident(table.name)} (${ident(fk.column)});`));
+  if (indexes.length > 0) sections.push(`-- Foreign key indexes\n${indexes.join('\n')}`);
+
+  const timestamped = tables.filter(table => table.columns.some(c => c.name === 'updated_at') && table.columns.some(c => c.name === 'created_at'));
+  if (timestamped.length > 0 && dialect === 'sqlite') {
+    sections.push(...timestamped.map(table => `CREATE TRIGGER IF NOT EXISTS ${ident(`${table.name}_set_updated_at`)}
+AFTER UPDATE ON ${ident(table.name)}
+FOR EACH ROW
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE ${ident(table.name)} SET updated_at = CURRENT_TIMESTAMP, created_at = OLD.created_at WHERE rowid = NEW.rowid;
+END;`));
+  } else if (timestamped.length > 0) {
+    sections.push(`-- created_at is fixed at insert; updated_at follows every UPDATE
+CREATE OR REPLACE FUNCTION set_updated_at() RETURNS trigger AS $$
+BEGIN
+  NEW.created_at = OLD.created_at;
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;`);
+    sections.push(...timestamped.map(table => `CREATE TRIGGER ${ident(`${table.name}_set_updated_at`)}
+BEFORE UPDATE ON ${ident(table.name)}
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();`));
+  }
+
+  if (dialect === 'postgres' && architecture.authentication?.provider === 'Supabase') {
+    const reasons = protectedTables(architecture, tables);
+    sections.push('-- Row Level Security', ...ordered.map(table => postgresPolicies(table, reasons)));
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+// --- Seed ------------------------------------------------------------------------
+
+const seedUuid = (tableIndex, row) =>
+  `${String(tableIndex + 1).padStart(8, '0')}-0000-4000-8000-${String(row).padStart(12, '0')}`;
+
+function seedKey(table, tableIndex, row) {
+  const column = table.columns.find(c => c.name === table.primaryKey[0]);
+  switch (columnKind(column)) {
+    case 'uuid': return literal(seedUuid(tableIndex, row));
+    case 'integer':
+    case 'number': return String(row);
+    default: return literal(`${singular(table.name)}-${row}`);
+  }
+}
+
+function seedValue(column, row, table, dialect) {
+  const name = column.name.toLowerCase();
+  switch (columnKind(column)) {
+    case 'uuid': return literal(seedUuid(99, row));
+    case 'integer': return String(row);
+    case 'number': return String(row * 10);
+    case 'boolean': return dialect === 'sqlite' ? String(row % 2) : (row % 2 === 1 ? 'true' : 'false');
+    case 'json': return literal('{}');
+    case 'array': return literal(dialect === 'sqlite' ? '[]' : '{}');
+    case 'timestamp': return literal(`2024-01-0${row}T09:00:00Z`);
+    case 'date': return literal(`2024-01-0${row}`);
+    default:
+      if (name.includes('email')) return literal(`user${row}@example.com`);
+      if (name.includes('url')) return literal(`https://example.com/${singular(table.name)}/${row}`);
+      if (/^(name|title|label)$/.test(name)) return literal(`${singular(table.name)} ${row}`);
+      return literal(`${column.name} ${row}`);
+  }
+}
+
+/**
+ * Sample rows for every table, inserted parents-first so foreign keys hold.
+ * Re-running the seed skips rows that already exist.
+ */
+export function generateSeed(architecture, dialect = DEFAULT_DIALECT) {
+  const { tables } = planSchema(architecture, dialect);
+  const ordered = creationOrder(tables);
+  const indexOf = new Map(tables.map((table, index) => [table.name, index]));
+  const insert = dialect === 'sqlite' ? 'INSERT OR IGNORE INTO' : 'INSERT INTO';
+  const onConflict = dialect === 'sqlite' ? '' : ' ON CONFLICT DO NOTHING';
+  const sections = [`-- Sample data for ${architecture.projectName}`];
+
+  const authTables = ordered.filter(table => table.authUser);
+  if (dialect === 'postgres' && authTables.length > 0) {
+    const ids = [...new Set(authTables.flatMap(table =>
+      Array.from({ length: SEED_ROWS }, (_, i) => seedKey(table, indexOf.get(table.name), i + 1))))];
+    sections.push(`-- Supabase auth users the seeded rows belong to
+INSERT INTO auth.users (id, email) VALUES
+${ids.map((id, i) => `  (${id}, ${literal(`seed${i + 1}@example.com`)})`).join(',\n')}
+ON CONFLICT DO NOTHING;`);
+  }
+
+  ordered.forEach(table => {
+    const index = indexOf.get(table.name);
+    const fkByColumn = new Map(table.foreignKeys.map(fk => [fk.column, fk]));
+    const columns = table.columns.filter(column =>
+      table.primaryKey.includes(column.name) ||
+      fkByColumn.has(column.name) ||
+      column.defaultValue === undefined || column.defaultValue === null || column.defaultValue === '');
+    const seeded = columns.filter(column => !['created_at', 'updated_at'].includes(column.name));
+
+    const rows = Array.from({ length: SEED_ROWS }, (_, i) => {
+      const row = i + 1;
+      return seeded.map(column => {
+        const fk = fkByColumn.get(column.name);
+        if (fk) {
+          const parent = tables[indexOf.get(fk.table)];
+          // Self references all point at the first row, which exists once the statement runs
+          return seedKey(parent, indexOf.get(fk.table), fk.table === table.name ? 1 : row);
+        }
+        if (table.primaryKey.length === 1 && column.name === table.primaryKey[0]) return seedKey(table, index, row);
+        return seedValue(column, row, table, dialect);
+      });
+    });
+
+    if (seeded.length === 0) return;
+    sections.push(`${insert} ${ident(table.name)} (${seeded.map(column => ident(column.name)).join(', ')}) VALUES
+${rows.map(values => `  (${values.join(', ')})`).join(',\n')}${onConflict};`);
+
+    // Explicit ids leave a serial's sequence behind
+    const key = table.columns.find(column => column.name === table.primaryKey[0]);
+    if (dialect === 'postgres' && table.primaryKey.length === 1 && /serial/i.test(key?.type || '')) {
+      sections.push(`SELECT setval(pg_get_serial_sequence(${literal(table.name)}, ${literal(key.name)}), (SELECT max(${ident(key.name)}) FROM ${ident(table.name)}));`);
+    }
+  });
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+// --- Files -----------------------------------------------------------------------
+
+/**
+ * Config-tier file specs for the migration and seed. Supabase projects use
+ * the Supabase CLI layout, which applies both on `supabase db reset`.
+ */
+export function databaseLayout(architecture) {
+  if (!(architecture.databaseSchema || []).length) return [];
+  const root = architecture.authentication?.provider === 'Supabase' ? 'supabase' : 'db';
+  return [
+    { type: 'migration', name: `${root}/migrations/001_initial_schema.sql`, priority: 4 },
+    { type: 'seed', name: `${root}/seed.sql`, priority: 4 }
+  ];
+}
+
+// --- Validation ------------------------------------------------------------------
+
+let sqlJs = null;
+const loadSqlJs = () => (sqlJs ||= initSqlJs());
+
+const lineAt = (text, offset) => text.slice(0, Math.max(0, offset)).split('\n').length;
+
+async function checkPostgres(file) {
+  try {
+    await parsePostgres(file.content);
+    return [];
+  } catch (error) {
+    const position = error.sqlDetails?.cursorPosition;
+    return [{
+      file: file.path,
+      ...(typeof position === 'number' ? { line: lineAt(file.content, position) } : {}),
+      message: error.message
+    }];
+  }
+}
+
+// Runs each file statement by statement in one in-memory database, so the seed
+// is checked against the tables the migration created
+async function checkSqlite(files) {
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database();
+  const errors = [];
+  try {
+    for (const file of files) {
+      let offset = 0;
+      try {
+        for (const statement of db.iterateStatements(file.content)) {
+          const text = statement.getSQL();
+          offset = Math.max(offset, file.content.indexOf(text, offset));
+          try {
+            statement.step();
+          } finally {
+            statement.free();
+          }
+          offset += text.length;
+        }
+      } catch (error) {
+        const skipped = file.content.slice(offset).search(/\S/);
+        errors.push({ file: file.path, line: lineAt(file.content, offset + Math.max(0, skipped)), message: error.message });
+      }
+    }
+  } finally {
+    db.close();
+  }
+  return errors;
+}
+
+/**
+ * Checks the generated migration and seed among `files` ([{ path, content }]).
+ * Resolves with { dialect, valid, files, errors: [{ file, line?, message }], warnings },
+ * or null when the project has no database files.
+ */
+export async function checkDatabaseFiles(files, architecture, dialect = DEFAULT_DIALECT) {
+  const paths = databaseLayout(architecture).map(spec => spec.name);
+  const sqlFiles = paths.map(filePath => files.find(file => file.path === filePath)).filter(Boolean);
+  if (sqlFiles.length === 0) return null;
+
+  const errors = dialect === 'sqlite'
+    ? await checkSqlite(sqlFiles)
+    : (await Promise.all(sqlFiles.map(checkPostgres))).flat();
+
+  return {
+    dialect,
+    valid: errors.length === 0,
+    files: sqlFiles.map(file => file.path),
+    errors,
+    warnings: planSchema(architecture, dialect).warnings
+  };
+}
@@ -0,0 +1,426 @@
+// -----------------------------------------------------------------------------
+// REPOSITORY CONTENT MINING
+// -----------------------------------------------------------------------------
+// Deep pattern analysis used to reason from repo names and topics alone. This
+// reads what the candidates actually contain - file tree, package.json /
+// requirements.txt / pyproject.toml / go.mod / Cargo.toml, README - through the
+// GitHub REST API and
+// turns it into facts the prompt can rely on:
+//
+//   dependencies   how many repos declare each package, and which ones
+//   folders        how many repos have each directory (up to 3 levels deep)
+//   signals        auth / state / data-fetching / framework libraries in use
+//
+// Every count names its repos, so findings built on them can cite sources.
+// Fetches go through the recorder-aware githubFetch and degrade per repo: a
+// repo that cannot be read is reported as unavailable, never fatal.
+
+import { frequencyFor } from './cooccurrence.js';
+
+const GITHUB_API = 'https://api.github.com';
+
+export const MAX_MINED_REPOS = 8;
+const CONCURRENCY = 4;
+const MAX_NESTED_MANIFESTS = 3;
+const FOLDER_DEPTH = 3;
+const README_EXCERPT = 800;
+
+const ROOT_MANIFESTS = ['package.json', 'requirements.txt', 'pyproject.toml', 'go.mod', 'Cargo.toml'];
+const IGNORED_DIRS = /(^|\/)(node_modules|\.git|\.github|dist|build|out|coverage|vendor|\.next|\.nuxt|\.svelte-kit|__pycache__|\.venv|venv|public|assets|static)(\/|$)/;
+
+// Package -> what it tells us about the repo
+const SIGNALS = [
+  { category: 'framework', name: 'Next.js', match: pkg => pkg === 'next' },
+  { category: 'framework', name: 'React', match: pkg => pkg === 'react' },
+  { category: 'framework', name: 'Vue', match: pkg => pkg === 'vue' || pkg === 'nuxt' },
+  { category: 'framework', name: 'SvelteKit', match: pkg => pkg === '@sveltejs/kit' },
+  { category: 'framework', name: 'Express', match: pkg => pkg === 'express' },
+  { category: 'framework', name: 'NestJS', match: pkg => pkg === '@nestjs/core' },
+  { category: 'framework', name: 'Django', match: pkg => pkg === 'django' },
+  { category: 'framework', name: 'FastAPI', match: pkg => pkg === 'fastapi' },
+  { category: 'framework', name: 'Flask', match: pkg => pkg === 'flask' },
+  { category: 'auth', name: 'Supabase', match: pkg => pkg.startsWith('@supabase/') },
+  { category: 'auth', name: 'Firebase', match: pkg => pkg === 'firebase' || pkg === 'firebase-admin' },
+  { category: 'auth', name: 'NextAuth', match: pkg => pkg === 'next-auth' || pkg.startsWith('@auth/') },
+  { category: 'auth', name: 'Clerk', match: pkg => pkg.startsWith('@clerk/') },
+  { category: 'auth', name: 'Auth0', match: pkg => pkg.startsWith('@auth0/') || pkg === 'auth0' },
+  { category: 'auth', name: 'Custom JWT', match: pkg => ['jsonwebtoken', 'jose', 'pyjwt'].includes(pkg) },
+  { category: 'auth', name: 'Passport', match: pkg => pkg === 'passport' },
+  { category: 'state', name: 'Zustand', match: pkg => pkg === 'zustand' },
+  { category: 'state', name: 'Redux Toolkit', match: pkg => pkg === '@reduxjs/toolkit' || pkg === 'redux' },
+  { category: 'state', name: 'Jotai', match: pkg => pkg === 'jotai' },
+  { category: 'state', name: 'Recoil', match: pkg => pkg === 'recoil' },
+  { category: 'state', name: 'MobX', match: pkg => pkg === 'mobx' },
+  { category: 'state', name: 'Pinia', match: pkg => pkg === 'pinia' },
+  { category: 'data-fetching', name: 'React Query', match: pkg => pkg === '@tanstack/react-query' || pkg === 'react-query' },
+  { category: 'data-fetching', name: 'SWR', match: pkg => pkg === 'swr' },
+  { category: 'data-fetching', name: 'Apollo GraphQL', match: pkg => pkg.startsWith('@apollo/') },
+  { category: 'data-fetching', name: 'tRPC', match: pkg => pkg.startsWith('@trpc/') },
+  { category: 'data-fetching', name: 'Axios', match: pkg => pkg === 'axios' },
+  { category: 'styling', name: 'Tailwind CSS', match: pkg => pkg === 'tailwindcss' },
+  { category: 'styling', name: 'styled-components', match: pkg => pkg === 'styled-components' },
+  { category: 'styling', name: 'MUI', match: pkg => pkg.startsWith('@mui/') },
+  { category: 'database', name: 'Prisma', match: pkg => pkg === 'prisma' || pkg === '@prisma/client' },
+  { category: 'database', name: 'Drizzle', match: pkg => pkg === 'drizzle-orm' },
+  { category: 'database', name: 'Mongoose', match: pkg => pkg === 'mongoose' },
+  { category: 'database', name: 'SQLAlchemy', match: pkg => pkg === 'sqlalchemy' },
+  { category: 'testing', name: 'Vitest', match: pkg => pkg === 'vitest' },
+  { category: 'testing', name: 'Jest', match: pkg => pkg === 'jest' },
+  { category: 'testing', name: 'Playwright', match: pkg => pkg === '@playwright/test' },
+  { category: 'testing', name: 'pytest', match: pkg => pkg === 'pytest' }
+];
+
+// --- Manifest parsing ------------------------------------------------------------
+// Each parser returns [{ name, version }]; version is the range as declared, or
+// null when the manifest does not pin one.
+
+function packageJsonDependencies(text) {
+  try {
+    const pkg = JSON.parse(text);
+    return Object.entries({ ...pkg.devDependencies, ...pkg.dependencies })
+      .map(([name, version]) => ({ name, version: typeof version === 'string' ? version : null }));
+  } catch {
+    return [];
+  }
+}
+
+// "fastapi[all]>=0.110 ; python_version > '3.8'" -> { name: 'fastapi', version: '>=0.110' }
+function pythonRequirement(requirement) {
+  const match = requirement.trim().match(/^([A-Za-z0-9_.-]+)\s*(?:\[[^\]]*\])?\s*([^;]*)/);
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), version: match[2].replace(/[()\s]/g, '') || null };
+}
+
+function requirementsDependencies(text) {
+  return text.split('\n')
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('-') && !/^(git\+|https?:)/.test(line))
+    .map(pythonRequirement)
+    .filter(Boolean);
+}
+
+// `name = "1.2"` or `name = { version = "1.2", ... }` lines of a TOML table
+function tomlTableDependencies(body) {
+  return body.split('\n')
+    .map(line => line.match(/^\s*([A-Za-z0-9_.-]+)\s*=\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, name, value]) => ({
+      name: name.toLowerCase(),
+      version: value.match(/^["']([^"']*)["']/)?.[1] ?? value.match(/version\s*=\s*["']([^"']*)["']/)?.[1] ?? null
+    }));
+}
+
+const tomlTables = (text, header) =>
+  [...text.matchAll(new RegExp(`^\\[${header}\\]\\s*\\n([\\s\\S]*?)(?=^\\[|(?![\\s\\S]))`, 'gm'))].map(match => match[1]);
+
+function pyprojectDependencies(text) {
+  const deps = [];
+  // PEP 621: dependencies = ["fastapi>=0.110", ...]
+  const list = text.match(/^\s*dependencies\s*=\s*\[([\s\S]*?)\]/m);
+  if (list) deps.push(...[...list[1].matchAll(/["']([^"']+)["']/g)].map(match => pythonRequirement(match[1])).filter(Boolean));
+  // Poetry: [tool.poetry.dependencies] with one `name = ...` per line
+  tomlTables(text, 'tool\\.poetry\\.(?:dev-)?dependencies')
+    .forEach(body => deps.push(...tomlTableDependencies(body).filter(dep => dep.name !== 'python')));
+  return deps;
+}
+
+function cargoDependencies(text) {
+  return tomlTables(text, '(?:dev-|build-)?dependencies').flatMap(tomlTableDependencies);
+}
+
+// require ( module v1.2.3 ... ) blocks and single-line requires
+function goModDependencies(text) {
+  const lines = [
+    ...[...text.matchAll(/^require\s*\(([\s\S]*?)^\)/gm)].flatMap(match => match[1].split('\n')),
+    ...[...text.matchAll(/^require\s+([^(\s].*)$/gm)].map(match => match[1])
+  ];
+  return lines
+    .map(line => line.replace(/\/\/.*$/, '').trim().match(/^(\S+)\s+(v\S+)/))
+    .filter(Boolean)
+    .map(([, name, version]) => ({ name, version }));
+}
+
+const MANIFEST_PARSERS = {
+  'package.json': { ecosystem: 'npm', parse: packageJsonDependencies },
+  'requirements.txt': { ecosystem: 'pypi', parse: requirementsDependencies },
+  'pyproject.toml': { ecosystem: 'pypi', parse: pyprojectDependencies },
+  'go.mod': { ecosystem: 'go', parse: goModDependencies },
+  'Cargo.toml': { ecosystem: 'cargo', parse: cargoDependencies }
+};
+
+function manifestDependencies(manifestPath, text) {
+  const { ecosystem, parse } = MANIFEST_PARSERS[manifestPath.split('/').pop()];
+  return { ecosystem, dependencies: parse(text) };
+}
+
+export function readmeExcerpt(text) {
+  const cleaned = text
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<[^>]+>/g, '')
+    .split('\n')
+    .filter(line => !/^\s*(\[!\[|!\[)/.test(line)) // badges and images
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return cleaned.length > README_EXCERPT ? `${cleaned.slice(0, README_EXCERPT)}…` : cleaned;
+}
+
+// --- Fetching --------------------------------------------------------------------
+
+const repoFullName = (repo) => repo.full_name || `${repo.owner?.login}/${repo.name}`;
+
+function createClient(githubFetch, token) {
+  const baseHeaders = {
+    'User-Agent': 'IdeaToRepo-Server',
+    'X-GitHub-Api-Version': '2022-11-28',
+    ...(token ? { 'Authorization': `bearer ${token}` } : {})
+  };
+
+  // Resolves with parsed JSON (or raw text), or null for 404
+  return async function get(route, { raw = false } = {}) {
+    const response = await githubFetch(`${GITHUB_API}${route}`, {
+      headers: { ...baseHeaders, 'Accept': raw ? 'application/vnd.github.raw+json' : 'application/vnd.github+json' }
+    });
+    if (response.status === 404) return null;
+    if (response.status === 401) throw new Error('AUTH_ERROR');
+    if (response.status === 403 || response.status === 429) throw new Error('RATE_LIMIT');
+    if (!response.ok) throw new Error(`GitHub responded ${response.status}`);
+    return raw ? response.text() : response.json();
+  };
+}
+
+/**
+ * File count, folders (up to FOLDER_DEPTH levels), manifests and declared
+ * dependencies of a repo, from its file paths. readText(path) resolves a
+ * file's text, or null when it cannot be read.
+ */
+export async function describeFiles(files, readText) {
+  const blobs = files.filter(file => !IGNORED_DIRS.test(file));
+  const folders = new Set();
+  blobs.forEach(file => {
+    const parts = file.split('/').slice(0, -1);
+    for (let depth = 1; depth <= Math.min(parts.length, FOLDER_DEPTH); depth++) folders.add(parts.slice(0, depth).join('/'));
+  });
+
+  const nested = blobs
+    .filter(file => file.endsWith('/package.json') && file.split('/').length <= 3)
+    .slice(0, MAX_NESTED_MANIFESTS);
+  const manifests = [...ROOT_MANIFESTS.filter(file => blobs.includes(file)), ...nested];
+
+  // First declaration wins: the root manifest's version over a nested package's
+  const declared = new Map();
+  for (const manifest of manifests) {
+    const text = await readText(manifest);
+    if (!text) continue;
+    const { ecosystem, dependencies } = manifestDependencies(manifest, text);
+    dependencies.forEach(dep => {
+      if (!declared.has(dep.name)) declared.set(dep.name, { name: dep.name, ecosystem, version: dep.version });
+    });
+  }
+
+  return { fileCount: blobs.length, folders: [...folders].sort(), manifests, dependencies: [...declared.values()] };
+}
+
+/**
+ * Reads one repository: default branch, recursive file tree, manifests
+ * (root plus a few nested package.json files for monorepos) and README.
+ */
+async function fetchRepoSnapshot(get, repo) {
+  const fullName = repoFullName(repo);
+  const snapshot = {
+    repo: fullName,
+    url: repo.html_url || `https://github.com/${fullName}`,
+    branch: null,
+    available: false,
+    fileCount: 0,
+    manifests: [],
+    dependencies: [],
+    folders: [],
+    readme: null
+  };
+
+  try {
+    const meta = await get(`/repos/${fullName}`);
+    if (!meta) return { ...snapshot, error: 'Repository not found' };
+    snapshot.branch = meta.default_branch;
+
+    const tree = await get(`/repos/${fullName}/git/trees/${encodeURIComponent(meta.default_branch)}?recursive=1`);
+    const blobs = (tree?.tree || []).filter(entry => entry.type === 'blob').map(entry => entry.path);
+    const ref = encodeURIComponent(meta.default_branch);
+    Object.assign(snapshot, await describeFiles(blobs, file =>
+      get(`/repos/${fullName}/contents/${file.split('/').map(encodeURIComponent).join('/')}?ref=${ref}`, { raw: true })));
+
+    const readme = await get(`/repos/${fullName}/readme`, { raw: true });
+    snapshot.readme = readme ? readmeExcerpt(readme) : null;
+
+    return { ...snapshot, available: true, ...(tree?.truncated ? { error: 'File tree truncated by GitHub' } : {}) };
+  } catch (error) {
+    return { ...snapshot, error: error.message };
+  }
+}
+
+/**
+ * README excerpt of one repository, or null when it has none or cannot be read.
+ */
+export async function fetchReadme(githubFetch, repo, { token } = {}) {
+  try {
+    const readme = await createClient(githubFetch, token)(`/repos/${repoFullName(repo)}/readme`, { raw: true });
+    return readme ? readmeExcerpt(readme) : null;
+  } catch {
+    return null;
+  }
+}
+
+// --- Aggregation -----------------------------------------------------------------
+
+function tally(snapshots, keysOf) {
+  const counts = new Map();
+  snapshots.forEach(snapshot => {
+    new Set(keysOf(snapshot)).forEach(key => {
+      if (!counts.has(key)) counts.set(key, []);
+      counts.get(key).push(snapshot.repo);
+    });
+  });
+  return counts;
+}
+
+const byCount = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+
+/**
+ * Deterministic facts across the snapshots that could be read. `share` is
+ * relative to that set, not to every candidate.
+ */
+export function summarizeSnapshots(snapshots) {
+  const read = snapshots.filter(snapshot => snapshot.available);
+  const share = (count) => read.length ? Math.round((count / read.length) * 100) / 100 : 0;
+
+  const ecosystemOf = new Map(read.flatMap(snapshot => snapshot.dependencies.map(dep => [dep.name, dep.ecosystem])));
+  const dependencies = [...tally(read, snapshot => snapshot.dependencies.map(dep => dep.name))]
+    .map(([name, repos]) => ({ name, ecosystem: ecosystemOf.get(name), count: repos.length, share: share(repos.length), repos }))
+    .sort(byCount)
+    .slice(0, 40);
+
+  const folders = [...tally(read, snapshot => snapshot.folders)]
+    .map(([name, repos]) => ({ name, count: repos.length, share: share(repos.length), repos }))
+    .sort((a, b) => byCount(a, b) || a.name.split('/').length - b.name.split('/').length)
+    .slice(0, 30);
+
+  const signals = SIGNALS
+    .map(signal => ({
+      category: signal.category,
+      name: signal.name,
+      repos: read.filter(snapshot => snapshot.dependencies.some(dep => signal.match(dep.name))).map(snapshot => snapshot.repo)
+    }))
+    .filter(signal => signal.repos.length > 0);
+
+  return { analyzed: read.length, repos: snapshots, dependencies, folders, signals };
+}
+
+/**
+ * Fetches up to MAX_MINED_REPOS candidates (a few at a time) and summarizes them.
+ * storedSnapshot(repo) may return a snapshot read earlier (the local corpus);
+ * such repos are not fetched. Resolves with RepoEvidence (see types.ts).
+ */
+export async function mineRepositories(githubFetch, repos, { token, storedSnapshot = () => null } = {}) {
+  const get = createClient(githubFetch, token);
+  const candidates = repos.slice(0, MAX_MINED_REPOS);
+  const snapshots = [];
+
+  for (let i = 0; i < candidates.length; i += CONCURRENCY) {
+    const batch = candidates.slice(i, i + CONCURRENCY);
+    snapshots.push(...await Promise.all(batch.map(repo => storedSnapshot(repo) || fetchRepoSnapshot(get, repo))));
+    // Out of quota: the rest would fail the same way
+    if (snapshots.some(snapshot => snapshot.error === 'RATE_LIMIT')) {
+      candidates.slice(i + CONCURRENCY).forEach(repo => snapshots.push({
+        repo: repoFullName(repo), url: repo.html_url, branch: null, available: false, fileCount: 0,
+        manifests: [], dependencies: [], folders: [], readme: null, error: 'RATE_LIMIT'
+      }));
+      break;
+    }
+  }
+
+  return summarizeSnapshots(snapshots);
+}
+
+// --- Prompt & citations ----------------------------------------------------------
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * The evidence as a prompt section. Empty when nothing could be read, so the
+ * prompt falls back to metadata-only analysis.
+ */
+export function evidencePrompt(evidence) {
+  if (!evidence || evidence.analyzed === 0) return '';
+  const list = (items) => items.map(item => `- ${item.name}: ${item.count}/${evidence.analyzed} repos (${percent(item.share)}) - ${item.repos.join(', ')}`).join('\n');
+  const repos = evidence.repos.filter(snapshot => snapshot.available).map(snapshot => `#### ${snapshot.repo} (${snapshot.fileCount} files)
+Manifests: ${snapshot.manifests.join(', ') || 'none'}
+Top-level folders: ${snapshot.folders.filter(folder => !folder.includes('/')).join(', ') || 'none'}
+README excerpt: ${snapshot.readme ? JSON.stringify(snapshot.readme) : 'none'}`).join('\n\n');
+
+  return `## OBSERVED REPOSITORY CONTENTS (FACTS)
+The file trees, manifests and READMEs of ${evidence.analyzed} of these repositories were read from GitHub. The counts below are exact; base findings on them instead of inferring from names and topics.
+
+### Dependency frequency (repos declaring each package)
+${list(evidence.dependencies) || '- none'}
+
+### Folder frequency
+${list(evidence.folders) || '- none'}
+
+### Detected libraries
+${evidence.signals.map(signal => `- ${signal.category}: ${signal.name} - ${signal.repos.join(', ')}`).join('\n') || '- none'}
+
+### Per-repository summaries
+${repos}
+`;
+}
+
+/**
+ * Makes the analysis' citations trustworthy: sources naming repos that were not
+ * candidates are dropped, and dependency / folder findings take their sources
+ * and frequency from the evidence rather than from the model.
+ */
+export function attachCitations(analysis, evidence, repos) {
+  const known = new Map();
+  repos.forEach(repo => {
+    const fullName = repoFullName(repo);
+    known.set(fullName.toLowerCase(), fullName);
+    known.set(String(repo.name).toLowerCase(), fullName);
+  });
+  const cite = (sources) => [...new Set((sources || []).map(source => known.get(String(source).toLowerCase())).filter(Boolean))];
+
+  const read = evidence.repos.filter(snapshot => snapshot.available);
+  const declaring = (packages) => read
+    .filter(snapshot => packages.every(pkg => snapshot.dependencies.some(dep => dep.name.toLowerCase() === String(pkg).toLowerCase())))
+    .map(snapshot => snapshot.repo);
+  const having = (folder) => {
+    const wanted = String(folder).replace(/^\.?\/+|\/+$/g, '').toLowerCase();
+    return read.filter(snapshot => snapshot.folders.some(path => path.toLowerCase() === wanted)).map(snapshot => snapshot.repo);
+  };
+
+  const result = structuredClone(analysis);
+  if (read.length === 0) {
+    // Nothing was read: all we can do is drop citations of repos that were never candidates
+    result.dependencies.core = result.dependencies.core.map(item => ({ ...item, sources: cite(item.sources) }));
+    result.dependencies.pairedPackages = result.dependencies.pairedPackages.map(item => ({ ...item, sources: cite(item.sources) }));
+    result.folderStructure.recommendedStructure = result.folderStructure.recommendedStructure.map(item => ({ ...item, sources: cite(item.sources) }));
+  } else {
+    result.dependencies.core = result.dependencies.core.map(item => {
+      const sources = declaring([item.package]);
+      return sources.length > 0
+        ? { ...item, frequency: frequencyFor(sources.length / read.length), sources }
+        : { ...item, sources };
+    });
+    result.dependencies.pairedPackages = result.dependencies.pairedPackages.map(item => ({ ...item, sources: declaring(item.packages) }));
+    result.folderStructure.recommendedStructure = result.folderStructure.recommendedStructure.map(item => ({ ...item, sources: having(item.folder) }));
+  }
+
+  result.authentication.implementations = result.authentication.implementations.map(item => ({ ...item, usedBy: cite(item.usedBy) }));
+  result.stateManagement.usage = result.stateManagement.usage.map(item => ({ ...item, sources: cite(item.sources) }));
+  result.apiPatterns.sources = cite(result.apiPatterns.sources);
+  result.architecture.patterns = result.architecture.patterns.map(item => ({ ...item, sources: cite(item.sources) }));
+  result.security.commonPractices = result.security.commonPractices.map(item => ({ ...item, sources: cite(item.sources) }));
+  result.scalability.strategies = result.scalability.strategies.map(item => ({ ...item, usedBy: cite(item.usedBy) }));
+
+  return result;
+}
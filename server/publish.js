@@ -0,0 +1,277 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+// -----------------------------------------------------------------------------
+// GIT PUBLISHING
+// -----------------------------------------------------------------------------
+// /api/publish turns a generated project into git history and pushes it to a
+// hosted repo or a Gitea instance over http(s) or ssh. Only the server's own
+// GIT_REMOTE may be something else, such as a bare repo on disk.
+//
+//   new      init a repository, commit, push `branch` (default main)
+//   branch   clone the remote at `base`, commit on a new `branch`, push it for
+//            review; for http(s) and ssh remotes the response has a compare URL
+//
+// There is one commit per generation tier (static, critical, core, ...). Its
+// message lists that tier's generationLog batches. Tiers that change nothing on
+// top of `base` are skipped. Everything happens in a temp directory that is
+// removed afterwards; HTTPS tokens go through git's environment, never argv.
+//
+// The server's credentials (GIT_TOKEN, its ssh keys) are only lent to
+// GIT_REMOTE and to hosts listed in GIT_TOKEN_HOSTS. Any other remote must be
+// an http(s) URL and the request must bring its own token.
+
+const run = promisify(execFile);
+
+const GIT_TIMEOUT_MS = 120_000;
+
+export const PUBLISH_MODES = ['new', 'branch'];
+
+const TIERS = [
+  ['static', 'static configuration'],
+  ['critical', 'critical infrastructure'],
+  ['core', 'core pages and components'],
+  ['supporting', 'supporting components and utilities'],
+  ['backend', 'API server'],
+  ['tests', 'test suite'],
+  ['config', 'docs, environment and database']
+];
+
+export class PublishError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PublishError';
+    this.status = status;
+  }
+}
+
+// Credentials in a remote URL never reach responses or logs
+export const redactRemote = (remote) => remote.replace(/(\w+:\/\/)[^@/\s]+@/g, '$1***@');
+
+export class GitError extends Error {
+  constructor(args, stderr) {
+    super(`git ${args[0]} failed: ${redactRemote(stderr.trim().split('\n').slice(-3).join(' ')) || 'unknown error'}`);
+    this.name = 'GitError';
+    // A push the remote refused (branch exists, non-fast-forward, protected)
+    this.rejected = args[0] === 'push' && /\[rejected\]|\[remote rejected\]|non-fast-forward/.test(stderr);
+  }
+}
+
+const isValidBranch = (name) => /^[A-Za-z0-9._/-]+$/.test(name)
+  && !name.startsWith('-') && !name.startsWith('/') && !name.endsWith('/') && !name.endsWith('.lock')
+  && !name.includes('..') && !name.includes('//');
+
+const slug = (name) => String(name || 'project').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+
+/** Publishing settings from the environment: the default remote and who may use GIT_TOKEN. */
+export function loadPublishConfig(env = process.env) {
+  return {
+    defaultRemote: env.GIT_REMOTE?.trim() || null,
+    token: env.GIT_TOKEN || null,
+    tokenHosts: (env.GIT_TOKEN_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+  };
+}
+
+// http(s) and ssh remotes, including scp-style git@host:owner/repo. Local
+// paths, file:// and transports such as ext:: run or read things on this host.
+const HTTP_REMOTE = /^https?:\/\//i;
+const SSH_REMOTE = /^ssh:\/\//i;
+const SCP_REMOTE = /^(?:[\w.-]+@)?([\w.-]+):(?![:/])/;
+
+/** Host of an http(s) or ssh remote, lowercased; null for anything else. */
+export function remoteHost(remote) {
+  if (HTTP_REMOTE.test(remote) || SSH_REMOTE.test(remote)) {
+    try {
+      return new URL(remote).hostname.toLowerCase() || null;
+    } catch {
+      return null;
+    }
+  }
+  return remote.match(SCP_REMOTE)?.[1].toLowerCase() ?? null;
+}
+
+const hasUserinfo = (remote) => /^\w+:\/\/[^@/\s]+@/.test(remote);
+
+/**
+ * Validates the publish options of a request against the server's publish
+ * config (loadPublishConfig). Returns { options, errors }; options.token is
+ * the token to push with, if any.
+ */
+export function parsePublishRequest(body, project, { defaultRemote = null, token: serverToken = null, tokenHosts = [] } = {}) {
+  const errors = [];
+  const remote = typeof body.remote === 'string' && body.remote.trim() ? body.remote.trim() : defaultRemote;
+  const mode = body.mode ?? 'new';
+  const requestToken = typeof body.token === 'string' && body.token ? body.token : null;
+  const host = remote ? remoteHost(remote) : null;
+  // The configured remote, or a host the operator lends the server's credentials to
+  const trusted = Boolean(remote) && (remote === defaultRemote || (host !== null && tokenHosts.includes(host)));
+
+  if (!remote) errors.push('remote is required (or set GIT_REMOTE on the server)');
+  else if (remote.startsWith('-')) errors.push('remote is not a valid git remote');
+  else if (!trusted && !host) errors.push('remote must be an http(s) or ssh URL');
+  else if (!trusted && !HTTP_REMOTE.test(remote)) errors.push(`remote ${redactRemote(remote)} is not GIT_REMOTE or on a GIT_TOKEN_HOSTS host; use an http(s) URL with a token`);
+  else if (!trusted && !requestToken && !hasUserinfo(remote)) errors.push(`token is required for ${host}: the server's GIT_TOKEN is only used for GIT_REMOTE and GIT_TOKEN_HOSTS`);
+  if (!PUBLISH_MODES.includes(mode)) errors.push(`mode must be one of ${PUBLISH_MODES.join(', ')}`);
+
+  const branch = body.branch || (mode === 'branch' ? `ideatorepo/${slug(project.name)}` : 'main');
+  if (!isValidBranch(branch)) errors.push(`branch "${branch}" is not a valid branch name`);
+  if (body.base !== undefined && (mode !== 'branch' || !isValidBranch(body.base))) {
+    errors.push(mode === 'branch' ? `base "${body.base}" is not a valid branch name` : 'base only applies to mode "branch"');
+  }
+
+  return {
+    options: errors.length > 0 ? null : { remote, mode, branch, base: body.base, token: requestToken || (trusted ? serverToken : null) },
+    errors
+  };
+}
+
+/**
+ * The commits for a project: one per tier in generation order, then one for
+ * files outside the plan. `tierOf` maps a path to its tier.
+ */
+export function commitPlan(project, tierOf = new Map()) {
+  const log = project.generationLog || [];
+  const logFor = (tier) => log.filter(entry => (tier === 'static' ? entry.phase === 'Static Config' : entry.phase.startsWith(`${tier} batch`)));
+  const batchLine = (entry) => `- ${entry.phase}: ${entry.count} ${entry.count === 1 ? 'file' : 'files'}, ${entry.status}`;
+
+  const groups = TIERS.map(([tier, title]) => ({ tier, title, files: project.files.filter(file => tierOf.get(file.path) === tier) }));
+  groups.push({ tier: 'other', title: 'remaining files', files: project.files.filter(file => !tierOf.has(file.path)) });
+
+  const used = new Set(TIERS.flatMap(([tier]) => logFor(tier)));
+  const commits = groups.filter(group => group.files.length > 0).map(group => ({
+    tier: group.tier,
+    title: group.title,
+    files: group.files,
+    body: logFor(group.tier).map(batchLine)
+  }));
+
+  // Regeneration rounds and the project-wide checks close the last commit
+  if (commits.length > 0) {
+    const last = commits[commits.length - 1];
+    last.body.push(...log.filter(entry => !used.has(entry)).map(batchLine), ...checkLines(project));
+  }
+  return commits;
+}
+
+function checkLines(project) {
+  const lines = [];
+  const { typeCheck, linkReport, database } = project;
+  if (typeCheck) {
+    lines.push(typeCheck.compiles === null
+      ? `Type-check: skipped (${typeCheck.skipped || 'not supported for this stack'})`
+      : `Type-check: ${typeCheck.compiles ? 'compiles' : `${typeCheck.errorCount} errors`}`);
+  }
+  if (linkReport) lines.push(`Imports: ${linkReport.unresolved.length} unresolved`);
+  if (database) lines.push(`SQL (${database.dialect}): ${database.valid ? 'valid' : `${database.errors.length} errors`}`);
+  return lines.length > 0 ? ['', ...lines] : [];
+}
+
+// Browser URL for comparing `branch` against `base`, for GitHub/Gitea-style hosts
+export function compareUrl(remote, base, branch) {
+  const http = remote.match(/^(https?):\/\/(?:[^@/]+@)?([^/]+)\/(.+?)(?:\.git)?\/?$/);
+  const ssh = remote.match(/^(?:ssh:\/\/)?[^@/]+@([^:/]+)[:/](.+?)(?:\.git)?\/?$/);
+  const [scheme, host, repoPath] = http ? http.slice(1) : ssh ? ['https', ...ssh.slice(1)] : [];
+  if (!host) return null;
+  return `${scheme}://${host}/${repoPath}/compare/${base}...${branch}`;
+}
+
+function gitEnv(token) {
+  const env = {
+    ...process.env,
+    GIT_TERMINAL_PROMPT: '0',
+    GIT_AUTHOR_NAME: process.env.GIT_AUTHOR_NAME || 'ideatorepo',
+    GIT_AUTHOR_EMAIL: process.env.GIT_AUTHOR_EMAIL || 'ideatorepo@localhost',
+    GIT_COMMITTER_NAME: process.env.GIT_COMMITTER_NAME || process.env.GIT_AUTHOR_NAME || 'ideatorepo',
+    GIT_COMMITTER_EMAIL: process.env.GIT_COMMITTER_EMAIL || process.env.GIT_AUTHOR_EMAIL || 'ideatorepo@localhost'
+  };
+  if (token) {
+    // GitHub and Gitea both take a token as the password of HTTP basic auth
+    Object.assign(env, {
+      GIT_CONFIG_COUNT: '1',
+      GIT_CONFIG_KEY_0: 'http.extraHeader',
+      GIT_CONFIG_VALUE_0: `Authorization: Basic ${Buffer.from(`x-access-token:${token}`).toString('base64')}`
+    });
+  }
+  return env;
+}
+
+async function git(dir, args, env) {
+  try {
+    const { stdout } = await run('git', args, { cwd: dir, env, timeout: GIT_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 });
+    return stdout;
+  } catch (error) {
+    throw new GitError(args, error.stderr || error.message);
+  }
+}
+
+async function writeFiles(dir, files) {
+  for (const file of files) {
+    const target = path.resolve(dir, file.path.replace(/^\/+/, ''));
+    const relative = path.relative(dir, target);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative) || relative.split(path.sep)[0] === '.git') {
+      throw new PublishError(`Refusing to write outside the repository: ${file.path}`);
+    }
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, file.content);
+  }
+}
+
+/**
+ * Commits the project tier by tier and pushes it. Resolves with
+ * { mode, remote, branch, base, commits: [{ sha, subject, files }], compareUrl }.
+ */
+export async function publishProject(project, { remote, mode, branch, base, token, tierOf }) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ideatorepo-publish-'));
+  const env = gitEnv(token);
+
+  try {
+    let baseBranch = null;
+    if (mode === 'branch') {
+      await git(dir, ['clone', '--quiet', '--depth', '1', ...(base ? ['--branch', base] : []), '--', remote, '.'], env);
+      baseBranch = (await git(dir, ['rev-parse', '--abbrev-ref', 'HEAD'], env).catch(() => '')).trim();
+      if (!baseBranch || baseBranch === 'HEAD') {
+        throw new PublishError('The remote has no branch to start from; publish with mode "new" first', 409);
+      }
+      await git(dir, ['checkout', '--quiet', '-b', branch], env);
+    } else {
+      await git(dir, ['init', '--quiet', '-b', branch], env);
+      await git(dir, ['remote', 'add', 'origin', remote], env);
+    }
+
+    const commits = [];
+    for (const commit of commitPlan(project, tierOf)) {
+      const paths = commit.files.map(file => file.path.replace(/^\/+/, ''));
+      await writeFiles(dir, commit.files);
+      // -f: the project's own .gitignore must not drop generated files
+      await git(dir, ['add', '-f', '--', ...paths], env);
+      // On top of an existing branch a tier may change only some files, or none
+      const changed = (await git(dir, ['status', '--porcelain', '--', ...paths], env)).split('\n').filter(Boolean).length;
+      if (changed === 0) continue;
+
+      const subject = `${baseBranch ? 'Update' : 'Add'} ${commit.title} (${changed} ${changed === 1 ? 'file' : 'files'})`;
+      const body = commit.body.join('\n').trim();
+      await git(dir, ['commit', '--quiet', '-m', subject, ...(body ? ['-m', body] : [])], env);
+      const sha = (await git(dir, ['rev-parse', 'HEAD'], env)).trim();
+      commits.push({ sha, subject, files: changed });
+    }
+    if (commits.length === 0) {
+      throw new PublishError(`Nothing to publish: the project matches ${baseBranch}`, 409);
+    }
+
+    await git(dir, ['push', '--quiet', 'origin', `HEAD:refs/heads/${branch}`], env);
+
+    return {
+      mode,
+      remote: redactRemote(remote),
+      branch,
+      base: baseBranch,
+      commits,
+      compareUrl: baseBranch ? compareUrl(remote, baseBranch, branch) : null
+    };
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
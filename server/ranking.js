@@ -0,0 +1,159 @@
+// -----------------------------------------------------------------------------
+// HYBRID RERANKING
+// -----------------------------------------------------------------------------
+// /api/rerank scores every candidate on five signals, each normalized to 0-1:
+//
+//   semantic    cosine similarity of the idea and name + description + topics
+//   popularity  stars, log-scaled (100k stars = 1)
+//   recency     last push, halving every 180 days
+//   license     permissive 1, weak copyleft 0.6, strong copyleft or custom 0.3, none 0
+//   readme      cosine similarity of the idea and the README excerpt
+//
+// and blends them with weights (RERANK_WEIGHTS, overridable per request). A
+// signal that cannot be measured for a repo - no embedding, no README - is left
+// out and the repo's other weights are rescaled, so a missing README does not
+// count as an irrelevant one. READMEs are only fetched for a shortlist picked
+// on the other signals. Embedding and fetching are passed in; this module does
+// no I/O of its own. Repo texts are embedded in one batch per pass.
+
+export const RANKING_SIGNALS = ['semantic', 'popularity', 'recency', 'license', 'readme'];
+export const DEFAULT_WEIGHTS = { semantic: 0.5, popularity: 0.15, recency: 0.15, license: 0.05, readme: 0.15 };
+export const DEFAULT_TOP_N = 5;
+export const MAX_TOP_N = 20;
+
+const STAR_CEILING = 5; // log10(100k)
+const RECENCY_HALF_LIFE_DAYS = 180;
+const MIN_README_SHORTLIST = 10;
+
+const LICENSE_SCORES = [
+  [1, /^(mit|apache-2\.0|bsd-[23]-clause|isc|0bsd|unlicense|cc0-1\.0|zlib|bsl-1\.0)$/i],
+  [0.6, /^(mpl-|lgpl-|epl-|cddl-)/i]
+];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const starsOf = (repo) => Number(repo.stargazers_count ?? 0);
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Reads weights from an object ({ semantic: 0.5 }) or a `signal=weight,...`
+ * string, on top of `base`, and normalizes them to sum to 1.
+ * Returns { weights, errors }; with errors the weights are `base`.
+ */
+export function parseWeights(input, base = DEFAULT_WEIGHTS) {
+  if (input == null || input === '') return { weights: base, errors: [] };
+
+  const entries = typeof input === 'string'
+    ? input.split(',').filter(Boolean).map(pair => pair.split('=').map(part => part.trim()))
+    : Object.entries(input);
+  const errors = [];
+  const weights = { ...base };
+
+  for (const [signal, raw] of entries) {
+    const value = Number(raw);
+    if (!RANKING_SIGNALS.includes(signal)) errors.push(`unknown signal "${signal}" (expected ${RANKING_SIGNALS.join(', ')})`);
+    else if (raw === '' || raw == null || !Number.isFinite(value) || value < 0) errors.push(`weight for ${signal} must be a non-negative number`);
+    else weights[signal] = value;
+  }
+
+  const total = RANKING_SIGNALS.reduce((sum, signal) => sum + weights[signal], 0);
+  if (errors.length === 0 && total === 0) errors.push('at least one weight must be positive');
+  if (errors.length > 0) return { weights: base, errors };
+
+  return { weights: Object.fromEntries(RANKING_SIGNALS.map(signal => [signal, round(weights[signal] / total)])), errors };
+}
+
+export function loadRankingWeights(env = process.env) {
+  return parseWeights(env.RERANK_WEIGHTS);
+}
+
+function licenseScore(license) {
+  if (!license) return 0;
+  return LICENSE_SCORES.find(([, pattern]) => pattern.test(license))?.[0] ?? 0.3;
+}
+
+// Signals that need no model: read straight off the Repository (types.ts)
+function metadataSignals(repo, now) {
+  const stars = starsOf(repo);
+  const days = repo.pushed_at ? Math.max(0, (now - Date.parse(repo.pushed_at)) / 86_400_000) : null;
+  return {
+    popularity: clamp(Math.log10(stars + 1) / STAR_CEILING),
+    recency: days == null || Number.isNaN(days) ? null : Math.pow(0.5, days / RECENCY_HALF_LIFE_DAYS),
+    license: licenseScore(repo.license)
+  };
+}
+
+/**
+ * Weighted sum over the signals that have a value. Returns the 0-1 score and
+ * one breakdown entry per signal (`weight` is the rescaled weight actually used).
+ */
+export function blendScore(values, weights) {
+  const measured = RANKING_SIGNALS.filter(signal => values[signal] != null && weights[signal] > 0);
+  const total = measured.reduce((sum, signal) => sum + weights[signal], 0);
+
+  const signals = RANKING_SIGNALS.map(signal => {
+    const value = values[signal] ?? null;
+    const weight = measured.includes(signal) ? weights[signal] / total : 0;
+    return { signal, value: value == null ? null : round(value), weight: round(weight), contribution: round((value ?? 0) * weight) };
+  });
+
+  return { score: round(signals.reduce((sum, entry) => sum + entry.contribution, 0)), signals };
+}
+
+// Archived repos go last whatever their score; then score, then stars
+const byRank = (a, b) => Number(Boolean(a.repo.archived)) - Number(Boolean(b.repo.archived))
+  || b.score - a.score
+  || starsOf(b.repo) - starsOf(a.repo);
+
+/** The text a repo's semantic signal (and its stored 'summary' vector) is built from. */
+export function repoSummary(repo) {
+  if (!repo.description && !repo.topics?.length) return null;
+  return `${repo.name} ${repo.description || ''} ${(repo.topics || []).join(' ')}`.trim();
+}
+
+/**
+ * Scores and orders candidates. Resolves with the top N as
+ * [{ ...candidate, ranking: { rank, score, signals } }] plus the candidate count.
+ *
+ * embed(text) resolves the idea's vector or null. embedRepos(items) takes
+ * [{ repo, kind: 'summary' | 'readme', text }] and resolves one vector (or null)
+ * per item. similarity(a, b) compares two vectors; readmeOf(candidate)
+ * resolves a README excerpt or null.
+ */
+export async function rankCandidates(idea, candidates, { weights, topN = DEFAULT_TOP_N, embed, embedRepos, similarity, readmeOf, now = Date.now() }) {
+  const ideaEmbedding = await embed(idea);
+
+  // Similarity of each item's text to the idea; null where there is no text or vector
+  const similarities = async (items) => {
+    const withText = items.filter(item => item.text);
+    const vectors = ideaEmbedding && withText.length > 0 ? await embedRepos(withText) : [];
+    const byItem = new Map(withText.map((item, i) => [item, vectors[i] ? clamp(similarity(ideaEmbedding, vectors[i])) : null]));
+    return items.map(item => byItem.get(item) ?? null);
+  };
+
+  const semantic = await similarities(candidates.map(repo => ({ repo, kind: 'summary', text: repoSummary(repo) })));
+  const scored = candidates.map((repo, i) => {
+    const values = { ...metadataSignals(repo, now), semantic: semantic[i], readme: null };
+    return { repo, values, ...blendScore(values, weights) };
+  });
+
+  // README similarity for the shortlist only: one fetch each, one embedding batch
+  if (weights.readme > 0 && ideaEmbedding) {
+    scored.sort(byRank);
+    const shortlist = scored.slice(0, Math.max(MIN_README_SHORTLIST, topN * 2));
+    const readmes = await Promise.all(shortlist.map(entry => readmeOf(entry.repo)));
+    const readme = await similarities(shortlist.map((entry, i) => ({ repo: entry.repo, kind: 'readme', text: readmes[i] })));
+    shortlist.forEach((entry, i) => {
+      entry.values.readme = readme[i];
+      Object.assign(entry, blendScore(entry.values, weights));
+    });
+  }
+
+  scored.sort(byRank);
+  return {
+    total: candidates.length,
+    repos: scored.slice(0, topN).map((entry, index) => ({
+      ...entry.repo,
+      ranking: { rank: index + 1, score: entry.score, signals: entry.signals }
+    }))
+  };
+}
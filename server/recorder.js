@@ -0,0 +1,153 @@
+import fs from 'fs';
+import path from 'path';
+import { fixtureKey, generateKey, embedKey } from './llm.js';
+
+// -----------------------------------------------------------------------------
+// RECORD / REPLAY
+// -----------------------------------------------------------------------------
+// PIPELINE_MODE=record  calls the real LLM provider and GitHub, and saves every
+//                       response under FIXTURES_DIR keyed by its request.
+// PIPELINE_MODE=replay  serves those saved responses back. No API keys, no
+//                       network; a request that was never recorded is an error.
+// PIPELINE_MODE=live    (default) neither.
+//
+// Layout (same as the fixture LLM provider, so recordings work there too):
+//   <dir>/generate/<key>.json  { stage, model, systemInstruction, json, prompt, text }
+//   <dir>/embed/<key>.json     { model, text, vector }
+//   <dir>/github/<key>.json    { url, body, status, response }
+//
+// Generate keys cover the stage, model, prompt, system instruction and JSON
+// mode; embed keys the model and text. Replay reads the models from the same
+// LLM_PROVIDER / LLM_MODEL_<STAGE> config as the recording run.
+
+export const PIPELINE_MODES = ['live', 'record', 'replay'];
+
+export class MissingFixtureError extends Error {
+  constructor(kind, key) {
+    super(`No recorded ${kind} fixture for key ${key}. Re-run the pipeline with PIPELINE_MODE=record.`);
+    this.name = 'MissingFixtureError';
+  }
+}
+
+export function loadRecorderConfig(env = process.env) {
+  const mode = (env.PIPELINE_MODE || 'live').toLowerCase();
+  if (!PIPELINE_MODES.includes(mode)) {
+    throw new Error(`Unknown PIPELINE_MODE "${mode}". Expected one of: ${PIPELINE_MODES.join(', ')}`);
+  }
+  return {
+    mode,
+    dir: env.FIXTURES_DIR || path.join(process.cwd(), 'fixtures')
+  };
+}
+
+export function createRecorder({ mode, dir }) {
+  const fileFor = (kind, key) => path.join(dir, kind, `${key}.json`);
+
+  function read(kind, key) {
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(kind, key), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function write(kind, key, payload) {
+    fs.mkdirSync(path.join(dir, kind), { recursive: true });
+    fs.writeFileSync(fileFor(kind, key), JSON.stringify(payload, null, 2));
+  }
+
+  return { mode, dir, read, write };
+}
+
+/**
+ * Wraps an LLM client so every generate/embed call is saved to disk.
+ */
+export function withRecording(llm, recorder) {
+  const embedding = llm.modelFor('embedding');
+  const recordEmbedding = (text, vector) => {
+    if (vector) recorder.write('embed', embedKey({ model: embedding, text }), { model: embedding, text, vector });
+  };
+
+  return {
+    ...llm,
+
+    async generate(request) {
+      const text = await llm.generate(request);
+      const { stage, prompt, systemInstruction = null, json = false } = request;
+      const model = llm.modelFor(stage);
+      recorder.write('generate', generateKey({ stage, model, prompt, systemInstruction, json }), { stage, model, systemInstruction, json, prompt, text });
+      return text;
+    },
+
+    async embed(text) {
+      const vector = await llm.embed(text);
+      recordEmbedding(text, vector);
+      return vector;
+    },
+
+    // Recorded per text, so replay answers batched and single calls alike
+    async embedBatch(texts) {
+      const vectors = await llm.embedBatch(texts);
+      vectors.forEach((vector, i) => recordEmbedding(texts[i], vector));
+      return vectors;
+    }
+  };
+}
+
+/**
+ * An LLM client that only answers from recordings. `models` maps each stage to
+ * the model the recording was made with (loadLLMConfig().models).
+ */
+export function createReplayLLM(recorder, models) {
+  const modelFor = (stage) => models[stage] || models.codegen;
+
+  return {
+    provider: 'replay',
+    modelFor,
+
+    async generate({ stage, prompt, systemInstruction, json }) {
+      const key = generateKey({ stage, model: modelFor(stage), prompt, systemInstruction, json });
+      const fixture = recorder.read('generate', key);
+      if (!fixture) throw new MissingFixtureError('generate', key);
+      return fixture.text;
+    },
+
+    async embed(text) {
+      const key = embedKey({ model: models.embedding, text });
+      const fixture = recorder.read('embed', key);
+      if (!fixture) throw new MissingFixtureError('embed', key);
+      return fixture.vector;
+    },
+
+    async embedBatch(texts) {
+      return Promise.all(texts.map(text => this.embed(text)));
+    }
+  };
+}
+
+/**
+ * fetch() replacement for GitHub API calls that records or replays responses.
+ * The auth header is deliberately not part of the key (or the fixture).
+ */
+export function createGitHubFetch(recorder) {
+  return async function githubFetch(url, init = {}) {
+    if (recorder.mode === 'live') return fetch(url, init);
+
+    const body = init.body || null;
+    const key = fixtureKey([init.method || 'GET', url, body]);
+
+    if (recorder.mode === 'replay') {
+      const fixture = recorder.read('github', key);
+      if (!fixture) throw new MissingFixtureError('github', key);
+      return new Response(fixture.response, {
+        status: fixture.status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const response = await fetch(url, init);
+    const text = await response.clone().text();
+    recorder.write('github', key, { url, body, status: response.status, response: text });
+    return response;
+  };
+}
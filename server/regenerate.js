@@ -0,0 +1,178 @@
+// -----------------------------------------------------------------------------
+// INCREMENTAL REGENERATION
+// -----------------------------------------------------------------------------
+// /api/regenerate takes a generated project, the architecture it was built from
+// and an edited architecture. It works out which planned files the edit touches
+// and regenerates only those:
+//
+//   page, component, store, API route   its own entry in the architecture changed
+//   page                                a component it imports changed its props
+//   App router, root layout, providers  routes, auth, caching or the stack changed
+//   types, API client, auth context     schema, endpoints or auth changed
+//   test                                the file it tests is regenerated
+//
+// Files the user asks for by path are always regenerated. Templated and static
+// files cost no model call, so after any architecture change they are rendered
+// again; the diff only lists them where the content actually changed.
+
+// Parts of the architecture that prompts read beyond a file's own metadata
+const FACETS = {
+  projectName: architecture => architecture.projectName,
+  techStack: architecture => architecture.techStack,
+  routes: architecture => (architecture.pages || []).map(({ name, route, isProtected, lazyLoad }) => ({ name, route, isProtected, lazyLoad })),
+  authentication: architecture => architecture.authentication,
+  authProvider: architecture => architecture.authentication?.provider,
+  stateApproach: architecture => architecture.stateManagement?.approach,
+  performance: architecture => architecture.performance,
+  databaseSchema: architecture => architecture.databaseSchema,
+  apiEndpoints: architecture => architecture.apiEndpoints
+};
+
+const FACET_LABELS = {
+  projectName: 'project name',
+  techStack: 'tech stack',
+  routes: 'routes',
+  authentication: 'authentication',
+  authProvider: 'auth provider',
+  stateApproach: 'state management approach',
+  performance: 'performance settings',
+  databaseSchema: 'database schema',
+  apiEndpoints: 'API endpoints'
+};
+
+// File spec type -> facets its prompt depends on (types are listed in server/stacks/index.js)
+const TYPE_FACETS = {
+  main: ['projectName', 'techStack', 'authProvider', 'stateApproach', 'performance'],
+  app: ['projectName', 'techStack', 'routes', 'authentication'],
+  router: ['projectName', 'techStack', 'routes', 'authentication'],
+  'root-layout': ['projectName', 'techStack', 'routes', 'performance'],
+  providers: ['projectName', 'authentication', 'performance'],
+  'auth-context': ['authentication'],
+  types: ['projectName', 'databaseSchema'],
+  'api-client': ['projectName', 'apiEndpoints', 'authentication'],
+  page: ['authProvider', 'stateApproach'],
+  component: ['authProvider', 'stateApproach'],
+  store: ['stateApproach']
+};
+
+// JSON with sorted keys, so edits that only reorder keys compare equal
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const same = (a, b) => canonical(a) === canonical(b);
+
+/** Facets (keys of FACETS) that differ between two architectures. */
+export function changedFacets(previous, next) {
+  return Object.keys(FACETS).filter(facet => !same(FACETS[facet](previous), FACETS[facet](next)));
+}
+
+const componentProps = (architecture, name) => (architecture.components || []).find(component => component.name === name)?.props ?? null;
+
+function reasonFor(spec, previousSpec, { previous, next, changes }) {
+  if (spec.metadata && !same(previousSpec.metadata, spec.metadata)) {
+    return `${spec.type} ${spec.metadata.name || spec.metadata.file || spec.name} changed`;
+  }
+  const facet = (TYPE_FACETS[spec.type] || []).find(name => changes.includes(name));
+  if (facet) return `${FACET_LABELS[facet]} changed`;
+  if (spec.type === 'page') {
+    const changedImport = (spec.metadata?.imports || []).find(name => !same(componentProps(previous, name), componentProps(next, name)));
+    if (changedImport) return `props of ${changedImport} changed`;
+  }
+  return null;
+}
+
+/**
+ * Which files an architecture edit touches.
+ *   previousSpecs/nextSpecs   file specs of both plans ({ type, name, metadata? })
+ *   previousPaths/nextPaths   every planned path, specs and static files
+ *   existingPaths             paths in the generated project
+ *   paths                     files the user asked for explicitly
+ *   isTemplated(spec)         true when the spec is rendered without a model call
+ * Returns { changes, architectureChanged, regenerate: [{ spec, reason }], removed: [path] }.
+ */
+export function planRegeneration({ previous, next, previousSpecs, nextSpecs, previousPaths, nextPaths, existingPaths, paths = [], isTemplated }) {
+  const changes = changedFacets(previous, next);
+  const architectureChanged = !same(previous, next);
+  const before = new Map(previousSpecs.map(spec => [spec.name, spec]));
+  const existing = new Set(existingPaths);
+  const requested = new Set(paths);
+
+  const regenerate = [];
+  nextSpecs.forEach(spec => {
+    let reason = null;
+    if (requested.has(spec.name)) reason = 'requested';
+    else if (!before.has(spec.name)) reason = 'new in the architecture';
+    else if (!existing.has(spec.name)) reason = 'missing from the project';
+    else if (isTemplated(spec)) reason = architectureChanged ? 'template rendered again' : null;
+    else reason = reasonFor(spec, before.get(spec.name), { previous, next, changes });
+    if (reason) regenerate.push({ spec, reason });
+  });
+
+  // A test follows the file it tests, unless that file is a template that was
+  // only rendered again with unchanged inputs
+  const reasons = new Map(regenerate.map(({ spec, reason }) => [spec.name, reason]));
+  nextSpecs.filter(spec => spec.metadata?.subject && !reasons.has(spec.name)).forEach(spec => {
+    const subject = nextSpecs.find(candidate => candidate.name === spec.metadata.subject);
+    const reason = subject && reasons.get(subject.name);
+    if (!reason) return;
+    if (reason === 'template rendered again' && !reasonFor(subject, before.get(subject.name), { previous, next, changes })) return;
+    regenerate.push({ spec, reason: `${subject.name} regenerated` });
+  });
+
+  const planned = new Set(nextPaths);
+  const removed = previousPaths.filter(path => !planned.has(path) && existing.has(path));
+
+  return { changes, architectureChanged, regenerate, removed };
+}
+
+const lines = (text) => (text ? text.split('\n') : []);
+
+// Lines only in `before` / only in `after`, counted as multisets (order is ignored)
+function lineDelta(before, after) {
+  const counts = new Map();
+  lines(before).forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+  let linesAdded = 0;
+  lines(after).forEach(line => {
+    const count = counts.get(line) || 0;
+    if (count > 0) counts.set(line, count - 1);
+    else linesAdded++;
+  });
+  const linesRemoved = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  return { linesAdded, linesRemoved };
+}
+
+/**
+ * File-level diff between two file lists. Unchanged files are left out;
+ * `reasons` maps a path to why it changed.
+ */
+export function diffFiles(before, after, reasons = new Map()) {
+  const previous = new Map(before.map(file => [file.path, file.content]));
+  const current = new Set(after.map(file => file.path));
+
+  const diff = after
+    .filter(file => previous.get(file.path) !== file.content)
+    .map(file => {
+      const added = !previous.has(file.path);
+      return {
+        path: file.path,
+        status: added ? 'added' : 'modified',
+        reason: reasons.get(file.path) || (added ? 'new file' : 'updated'),
+        ...lineDelta(added ? '' : previous.get(file.path), file.content)
+      };
+    });
+
+  before.filter(file => !current.has(file.path)).forEach(file => diff.push({
+    path: file.path,
+    status: 'removed',
+    reason: reasons.get(file.path) || 'no longer in the architecture',
+    ...lineDelta(file.content, '')
+  }));
+
+  return diff;
+}
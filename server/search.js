@@ -0,0 +1,183 @@
+// -----------------------------------------------------------------------------
+// GITHUB REPOSITORY SEARCH
+// -----------------------------------------------------------------------------
+// Query building, paging and result mapping for /api/search. Filters become
+// search qualifiers (language:, stars:>=, pushed:>=, license:, archived:,
+// fork:). Every strategy query is paged on its own: the response carries one
+// GraphQL cursor per query that still has results, and sending those cursors
+// back fetches the next page of exactly those queries. `sources` picks GitHub,
+// the local corpus (corpus.js) or both.
+
+export const DEFAULT_PER_PAGE = 10;
+export const MAX_PER_PAGE = 50;
+export const SORTS = ['stars', 'updated', 'best-match'];
+export const SOURCES = ['github', 'local'];
+
+const TOPICS_PER_REPO = 10;
+
+export const SEARCH_QUERY = `
+  query($searchQuery: String!, $first: Int!, $cursor: String) {
+    search(query: $searchQuery, type: REPOSITORY, first: $first, after: $cursor) {
+      repositoryCount
+      pageInfo {
+        endCursor
+        hasNextPage
+      }
+      nodes {
+        ... on Repository {
+          databaseId
+          name
+          nameWithOwner
+          description
+          stargazerCount
+          forkCount
+          url
+          pushedAt
+          isArchived
+          isFork
+          primaryLanguage {
+            name
+          }
+          licenseInfo {
+            spdxId
+            name
+          }
+          issues(states: OPEN) {
+            totalCount
+          }
+          owner {
+            login
+            avatarUrl
+          }
+          repositoryTopics(first: ${TOPICS_PER_REPO}) {
+            nodes {
+              topic {
+                name
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Validates the request's `filters` (SearchFilters in types.ts).
+ * Returns { filters, errors }; unknown keys are ignored.
+ */
+export function parseSearchFilters(input = {}) {
+  const errors = [];
+  const filters = { sort: 'stars', perPage: DEFAULT_PER_PAGE, sources: SOURCES };
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { filters, errors: ['filters must be an object'] };
+  }
+
+  if (input.language != null && input.language !== '') {
+    if (typeof input.language === 'string' && /^[\w+#.\- ]{1,40}$/.test(input.language.trim())) {
+      filters.language = input.language.trim();
+    } else {
+      errors.push('language must be a language name');
+    }
+  }
+
+  if (input.minStars != null && input.minStars !== '') {
+    const stars = Number(input.minStars);
+    if (Number.isInteger(stars) && stars >= 0) filters.minStars = stars;
+    else errors.push('minStars must be a non-negative integer');
+  }
+
+  if (input.pushedAfter != null && input.pushedAfter !== '') {
+    const date = String(input.pushedAfter);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(Date.parse(date))) filters.pushedAfter = date;
+    else errors.push('pushedAfter must be a YYYY-MM-DD date');
+  }
+
+  if (input.license != null && input.license !== '') {
+    if (typeof input.license === 'string' && /^[\w.\-]{1,40}$/.test(input.license.trim())) {
+      filters.license = input.license.trim().toLowerCase();
+    } else {
+      errors.push('license must be a license keyword such as mit or apache-2.0');
+    }
+  }
+
+  for (const flag of ['excludeArchived', 'excludeForks']) {
+    if (input[flag] == null) continue;
+    if (typeof input[flag] === 'boolean') filters[flag] = input[flag];
+    else errors.push(`${flag} must be a boolean`);
+  }
+
+  if (input.sort != null) {
+    if (SORTS.includes(input.sort)) filters.sort = input.sort;
+    else errors.push(`sort must be one of ${SORTS.join(', ')}`);
+  }
+
+  if (input.perPage != null) {
+    const perPage = Number(input.perPage);
+    if (Number.isInteger(perPage) && perPage >= 1 && perPage <= MAX_PER_PAGE) filters.perPage = perPage;
+    else errors.push(`perPage must be an integer from 1 to ${MAX_PER_PAGE}`);
+  }
+
+  if (input.sources != null) {
+    if (Array.isArray(input.sources) && input.sources.length > 0 && input.sources.every(source => SOURCES.includes(source))) {
+      filters.sources = SOURCES.filter(source => input.sources.includes(source));
+    } else {
+      errors.push(`sources must be a non-empty list of ${SOURCES.join(', ')}`);
+    }
+  }
+
+  return { filters, errors };
+}
+
+/** Strategy query + filter qualifiers, as sent to GitHub search. */
+export function buildSearchQuery(query, filters) {
+  const qualifiers = [];
+  if (filters.language) qualifiers.push(/\s/.test(filters.language) ? `language:"${filters.language}"` : `language:${filters.language}`);
+  if (filters.minStars != null) qualifiers.push(`stars:>=${filters.minStars}`);
+  if (filters.pushedAfter) qualifiers.push(`pushed:>=${filters.pushedAfter}`);
+  if (filters.license) qualifiers.push(`license:${filters.license}`);
+  if (filters.excludeArchived) qualifiers.push('archived:false');
+  if (filters.excludeForks) qualifiers.push('fork:false');
+  if (filters.sort !== 'best-match') qualifiers.push(`sort:${filters.sort}`);
+  return [query, ...qualifiers].join(' ');
+}
+
+/** GraphQL search node -> Repository (types.ts), or null for non-repository nodes. */
+export function mapRepository(item) {
+  if (!item || item.databaseId == null) return null;
+  const license = item.licenseInfo?.spdxId && item.licenseInfo.spdxId !== 'NOASSERTION'
+    ? item.licenseInfo.spdxId
+    : item.licenseInfo?.name || null;
+
+  return {
+    id: item.databaseId,
+    name: item.name,
+    full_name: item.nameWithOwner,
+    description: item.description || 'No description available.',
+    stargazers_count: item.stargazerCount,
+    language: item.primaryLanguage?.name || 'N/A',
+    html_url: item.url,
+    owner: {
+      login: item.owner?.login || 'Unknown',
+      avatar_url: item.owner?.avatarUrl || ''
+    },
+    topics: item.repositoryTopics?.nodes?.map(n => n.topic.name) || [],
+    pushed_at: item.pushedAt || null,
+    open_issues_count: item.issues?.totalCount ?? 0,
+    forks_count: item.forkCount ?? 0,
+    license,
+    archived: Boolean(item.isArchived),
+    fork: Boolean(item.isFork),
+    source: 'github'
+  };
+}
+
+/**
+ * Qualifiers are what GitHub enforces; this drops anything that slipped through
+ * (search results can lag behind an archive or fork change).
+ */
+export function matchesFilters(repo, filters) {
+  if (filters.excludeArchived && repo.archived) return false;
+  if (filters.excludeForks && repo.fork) return false;
+  return true;
+}
@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// -----------------------------------------------------------------------------
+// SESSION STORE: one JSON document per run of the pipeline on local disk
+// -----------------------------------------------------------------------------
+// A session holds what the client has built for one idea so far: the intent
+// analysis, the reranked repos, the mined patterns, the architecture and the
+// generated project. The client saves it as it goes and reopens it from the
+// history sidebar. Writes go through a temp file + rename, like the job store.
+//
+// The stage is never stored; it is the last stage whose result is set.
+
+export const SESSION_STAGES = ['idea', 'intent', 'search', 'patterns', 'architecture', 'project'];
+
+// Stage -> session fields it produces; the first one is its result
+const STAGE_FIELDS = {
+  idea: ['idea'],
+  intent: ['intentAnalysis'],
+  search: ['repos', 'searchFilters'],
+  patterns: ['deepPatterns'],
+  architecture: ['architecture', 'blueprint'],
+  project: ['generatedProject', 'generatedArchitecture']
+};
+
+export const SESSION_FIELDS = Object.values(STAGE_FIELDS).flat();
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Field -> check for a non-null value; null clears the field
+const FIELD_CHECKS = {
+  idea: value => typeof value === 'string' && value.trim().length > 0,
+  intentAnalysis: isObject,
+  searchFilters: isObject,
+  repos: Array.isArray,
+  deepPatterns: isObject,
+  blueprint: value => typeof value === 'string',
+  architecture: isObject,
+  generatedProject: value => isObject(value) && Array.isArray(value.files),
+  generatedArchitecture: isObject
+};
+
+/**
+ * Validates session state sent by the client. Unknown fields are errors; with
+ * `partial` only the fields present are checked, otherwise `idea` is required.
+ * Returns { state, errors }.
+ */
+export function parseSessionState(input, { partial = false } = {}) {
+  if (!isObject(input)) return { state: null, errors: ['session state must be an object'] };
+  const errors = [];
+  const state = {};
+
+  Object.keys(input).filter(key => !SESSION_FIELDS.includes(key)).forEach(key => errors.push(`unknown field "${key}"`));
+  SESSION_FIELDS.filter(key => key in input).forEach(key => {
+    const value = input[key];
+    if (key === 'idea' && value === null) errors.push('idea cannot be cleared');
+    else if (value !== null && !FIELD_CHECKS[key](value)) errors.push(`${key} is not valid`);
+    else state[key] = key === 'idea' ? value.trim() : value;
+  });
+  if (!partial && !('idea' in input)) errors.push('idea is required');
+
+  return { state: errors.length > 0 ? null : state, errors };
+}
+
+/** The furthest stage the session has a result for. */
+export function sessionStage(session) {
+  return [...SESSION_STAGES].reverse().find(stage => session[STAGE_FIELDS[stage][0]] != null) || 'idea';
+}
+
+/**
+ * State for a fork: the session's fields up to and including `upTo`, with
+ * `idea` replaced. A changed idea makes later results stale, so by default a
+ * fork with a new idea keeps only the idea.
+ */
+export function forkState(session, { idea, upTo } = {}) {
+  const nextIdea = idea?.trim() || session.idea;
+  const keepUpTo = upTo || (nextIdea !== session.idea ? 'idea' : sessionStage(session));
+  const kept = SESSION_STAGES.slice(0, SESSION_STAGES.indexOf(keepUpTo) + 1).flatMap(stage => STAGE_FIELDS[stage]);
+  return {
+    ...Object.fromEntries(kept.filter(field => session[field] != null).map(field => [field, session[field]])),
+    idea: nextIdea
+  };
+}
+
+export function createSessionStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  const writeJson = (target, value) => {
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value));
+    fs.renameSync(tmp, target);
+  };
+
+  // Id -> summary of every session, kept in index.json so the history list
+  // never parses whole runs; rebuilt from the session files when it is missing
+  const indexFile = path.join(dir, 'index.json');
+  let index = null;
+
+  function readIndex() {
+    if (index) return index;
+    try {
+      index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    } catch {
+      index = Object.fromEntries(fs.readdirSync(dir)
+        .filter(name => /^[a-f0-9-]+\.json$/i.test(name))
+        .map(name => get(name.replace(/\.json$/, '')))
+        .filter(Boolean)
+        .map(session => [session.id, summarizeSession(session)]));
+      writeJson(indexFile, index);
+    }
+    return index;
+  }
+
+  function save(session) {
+    session.updatedAt = new Date().toISOString();
+    writeJson(fileFor(session.id), session);
+    readIndex()[session.id] = summarizeSession(session);
+    writeJson(indexFile, index);
+    return session;
+  }
+
+  function get(id) {
+    if (!/^[a-f0-9-]+$/i.test(id)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(id), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /** Summaries of every session, most recently updated first. */
+  function list() {
+    return Object.values(readIndex()).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  function create(state, { forkedFrom = null } = {}) {
+    const now = new Date().toISOString();
+    return save({
+      id: crypto.randomUUID(),
+      ...state,
+      forkedFrom,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Fields set to null are dropped; the others replace what is stored
+  function update(id, state) {
+    const session = get(id);
+    if (!session) return null;
+    const next = { ...session, ...state };
+    Object.keys(state).filter(key => state[key] === null).forEach(key => delete next[key]);
+    return save(next);
+  }
+
+  function remove(id) {
+    if (!get(id)) return false;
+    fs.unlinkSync(fileFor(id));
+    delete readIndex()[id];
+    writeJson(indexFile, index);
+    return true;
+  }
+
+  return { get, list, save, create, update, remove };
+}
+
+// Public view of a session for the history list: no repos, architecture or files
+export function summarizeSession(session) {
+  return {
+    id: session.id,
+    idea: session.idea,
+    stage: sessionStage(session),
+    projectName: session.architecture?.projectName ?? null,
+    repoCount: session.repos?.length ?? 0,
+    fileCount: session.generatedProject?.files.length ?? 0,
+    forkedFrom: session.forkedFrom ?? null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
@@ -0,0 +1,1625 @@
+import path from 'path';
+
+// -----------------------------------------------------------------------------
+// AUTHENTICATION SCAFFOLDING
+// -----------------------------------------------------------------------------
+// Auth files are rendered from templates, never prompted. Three framework-free
+// modules under src/lib/auth/ follow architecture.authentication:
+//
+//   client.ts    `auth`: init(), onChange(), getToken() and one method per flow
+//                for the provider (Supabase, Firebase, Auth0, Clerk, NextAuth,
+//                or a Custom JWT API)
+//   storage.ts   where the session lives, per tokenStorage: localStorage,
+//                sessionStorage, memory, or nowhere in JS (httpOnly-cookie)
+//   routes.ts    PROTECTED_ROUTES, LOGIN_ROUTE and isProtectedPath()
+//
+// Each stack wraps `auth` in its own idiom (React context, Vue composable,
+// Svelte stores) and guards protected routes with it. Those templates are here
+// too, so every framework exposes the same actions:
+//
+//   email-password   signInWithPassword, signUp (+ verifySignUp on Clerk)
+//   oauth-google     signInWithOAuth('google')
+//   oauth-github     signInWithOAuth('github')
+//   magic-link       sendMagicLink
+//   password-reset   sendPasswordReset, completePasswordReset (not on Auth0,
+//                    whose hosted page finishes the reset)
+//
+// Phone sign-in is not scaffolded. Actions that hand over to a hosted page
+// resolve with null; the session arrives through init() on the way back.
+
+const SUPPORTED_FLOWS = ['email-password', 'oauth-google', 'oauth-github', 'magic-link', 'password-reset'];
+
+const DEFAULT_API_URL = "'http://localhost:3000'";
+
+export const AUTH_USER_SHAPE = '{ id, email, name, avatarUrl }';
+
+export const authEnabled = (architecture) => (architecture.authentication?.provider || 'None') !== 'None';
+
+const flowsOf = (architecture) => SUPPORTED_FLOWS.filter(flow => architecture.authentication.flows.includes(flow));
+
+const oauthProviders = (architecture) => flowsOf(architecture).filter(flow => flow.startsWith('oauth-')).map(flow => flow.slice('oauth-'.length));
+
+/** Action names the provider client exposes for the architecture's flows. */
+export function authActions(architecture) {
+  const { provider } = architecture.authentication;
+  const flows = flowsOf(architecture);
+  return [
+    ...(flows.includes('email-password') ? ['signInWithPassword', 'signUp', ...(provider === 'Clerk' ? ['verifySignUp'] : [])] : []),
+    ...(oauthProviders(architecture).length > 0 ? ['signInWithOAuth'] : []),
+    ...(flows.includes('magic-link') ? ['sendMagicLink'] : []),
+    ...(flows.includes('password-reset') ? ['sendPasswordReset', ...(provider === 'Auth0' ? [] : ['completePasswordReset'])] : []),
+    'signOut'
+  ];
+}
+
+/** "signInWithPassword(email, password), signOut()" for prompts of pages that use auth. */
+export function authActionSignatures(architecture) {
+  const oauth = oauthProviders(architecture).map(name => `'${name}'`).join(' | ');
+  const signatures = {
+    signInWithPassword: 'signInWithPassword(email, password)',
+    signUp: 'signUp(email, password)',
+    verifySignUp: 'verifySignUp(code)',
+    signInWithOAuth: `signInWithOAuth(${oauth})`,
+    sendMagicLink: 'sendMagicLink(email)',
+    sendPasswordReset: 'sendPasswordReset(email)',
+    completePasswordReset: 'completePasswordReset(code, newPassword)',
+    signOut: 'signOut()'
+  };
+  return `${authActions(architecture).map(name => signatures[name]).join(', ')}. Actions are async; after signing in, go to the ?redirect= query parameter when there is one`;
+}
+
+// --- Routes ----------------------------------------------------------------------
+
+// Same rule as isProtectedPath() in routes.ts: a route covers itself and every
+// path below it; :params and * match any one segment
+function routeCovers(route, pathname) {
+  const expected = route.split('/').filter(Boolean);
+  const actual = pathname.split(/[?#]/)[0].split('/').filter(Boolean);
+  return actual.length >= expected.length
+    && expected.every((segment, index) => segment === '*' || segment.startsWith(':') || segment === actual[index]);
+}
+
+// /tasks/:id -> /tasks/1
+const samplePath = (route) => route.replace(/:[^/]+/g, '1').replace(/\*/g, 'any');
+
+function loginRoute(architecture) {
+  const routes = [...(architecture.pages || []).map(page => page.route), ...(architecture.authentication.publicRoutes || [])];
+  return routes.find(route => !route.includes(':') && /(^|\/)(login|log-in|sign-?in|auth)(\/|$)/i.test(route)) || '/';
+}
+
+function resetRoute(architecture) {
+  const routes = (architecture.pages || []).map(page => page.route);
+  return routes.find(route => !route.includes(':') && /(reset|forgot)/i.test(route)) || loginRoute(architecture);
+}
+
+const protectedRoutes = (architecture) => [...new Set(architecture.authentication.protectedRoutes || [])];
+
+function routesModule(architecture) {
+  const hasReset = flowsOf(architecture).includes('password-reset');
+  return `// Routes that need a signed-in user, from the architecture's protectedRoutes.
+// A route covers itself and every path below it; :params and * match any one segment.
+export const PROTECTED_ROUTES: string[] = ${JSON.stringify(protectedRoutes(architecture))};
+
+// Where signed-out visitors of a protected route are sent
+export const LOGIN_ROUTE = '${loginRoute(architecture)}';
+${hasReset ? `
+// Where password reset emails link to
+export const RESET_ROUTE = '${resetRoute(architecture)}';
+` : ''}
+function covers(route: string, pathname: string) {
+  const expected = route.split('/').filter(Boolean);
+  const actual = pathname.split('/').filter(Boolean);
+  return actual.length >= expected.length
+    && expected.every((segment, index) => segment === '*' || segment.startsWith(':') || segment === actual[index]);
+}
+
+export function isProtectedPath(pathname: string): boolean {
+  const path = pathname.split(/[?#]/)[0] || '/';
+  return path !== LOGIN_ROUTE && PROTECTED_ROUTES.some(route => covers(route, path));
+}
+
+/** The login route, with ?redirect= set so sign-in can return to \`from\` */
+export function loginPath(from: string) {
+  return \`\${LOGIN_ROUTE}?redirect=\${encodeURIComponent(from)}\`;
+}
+`;
+}
+
+// --- Token storage ---------------------------------------------------------------
+
+function storageModule(architecture) {
+  const tokenStorage = architecture.authentication.tokenStorage || 'localStorage';
+  const key = String(architecture.projectName || 'app').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'app';
+  return `export type TokenStorage = 'httpOnly-cookie' | 'localStorage' | 'sessionStorage' | 'memory';
+
+export const TOKEN_STORAGE = '${tokenStorage}' as TokenStorage;
+
+// httpOnly-cookie: the server's cookie is the session, so scripts never see a
+// token and whatever the provider SDK keeps stays in memory
+export const USES_COOKIES = TOKEN_STORAGE === 'httpOnly-cookie';
+
+const TOKEN_KEY = '${key}.auth.token';
+
+const memory = new Map<string, string>();
+
+function webStorage(): Storage | null {
+  if (typeof window === 'undefined') return null;
+  if (TOKEN_STORAGE === 'localStorage') return window.localStorage;
+  if (TOKEN_STORAGE === 'sessionStorage') return window.sessionStorage;
+  return null;
+}
+
+/** Key-value storage for the provider's session, kept where TOKEN_STORAGE says */
+export const authStorage = {
+  getItem(key: string): string | null {
+    const store = webStorage();
+    return store ? store.getItem(key) : memory.get(key) ?? null;
+  },
+  setItem(key: string, value: string) {
+    const store = webStorage();
+    if (store) store.setItem(key, value);
+    else memory.set(key, value);
+  },
+  removeItem(key: string) {
+    const store = webStorage();
+    if (store) store.removeItem(key);
+    else memory.delete(key);
+  },
+  keys(): string[] {
+    const store = webStorage();
+    if (!store) return [...memory.keys()];
+    return Array.from({ length: store.length }, (_, index) => store.key(index)).filter((key): key is string => key !== null);
+  }
+};
+
+/** The bearer token for APIs that issue their own; always null with httpOnly cookies */
+export const tokenStore = {
+  get: () => (USES_COOKIES ? null : authStorage.getItem(TOKEN_KEY)),
+  set(token: string) {
+    if (!USES_COOKIES) authStorage.setItem(TOKEN_KEY, token);
+  },
+  clear: () => authStorage.removeItem(TOKEN_KEY)
+};
+`;
+}
+
+// --- Provider clients ----------------------------------------------------------
+// Each provider gives { note, imports, helpers, methods }. Helpers and imported
+// names are only emitted when the chosen methods use them, so a project
+// without magic links carries no magic-link code.
+
+const LISTENERS = {
+  listeners: `const listeners = new Set<(user: AuthUser | null) => void>();`,
+  notify: `function notify(user: AuthUser | null) {
+  listeners.forEach(listener => listener(user));
+  return user;
+}`
+};
+
+const LISTENER_METHOD = `  onChange(callback: (user: AuthUser | null) => void) {
+    listeners.add(callback);
+    return () => {
+      listeners.delete(callback);
+    };
+  }`;
+
+const cleanUrlHelper = `// Drops a one-time parameter from the address bar after reading it
+function removeParam(name: string) {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(name);
+  window.history.replaceState(null, '', url);
+}`;
+
+function supabaseClient(architecture, env) {
+  return {
+    note: 'Supabase keeps the session in TOKEN_STORAGE. It cannot set httpOnly cookies from the browser; with httpOnly-cookie the session lasts as long as the page unless a server (e.g. @supabase/ssr) manages it.',
+    imports: [
+      ['@supabase/supabase-js', ['createClient', 'type SupabaseClient', 'type User']],
+      ['./storage', ['authStorage', 'TOKEN_STORAGE']],
+      ['./routes', ['RESET_ROUTE']]
+    ],
+    helpers: {
+      supabase: `let client: SupabaseClient | null = null;
+
+function supabase() {
+  client ??= createClient(${env('SUPABASE_URL')} ?? '', ${env('SUPABASE_ANON_KEY')} ?? '', {
+    auth: {
+      storage: authStorage,
+      persistSession: TOKEN_STORAGE === 'localStorage' || TOKEN_STORAGE === 'sessionStorage',
+      detectSessionInUrl: true
+    }
+  });
+  return client;
+}`,
+      toUser: `const toUser = (user: User | null | undefined): AuthUser | null => (user ? {
+  id: user.id,
+  email: user.email ?? null,
+  name: user.user_metadata?.full_name ?? user.user_metadata?.name ?? null,
+  avatarUrl: user.user_metadata?.avatar_url ?? null
+} : null);`
+    },
+    methods: {
+      init: `  // OAuth and magic-link returns are picked up from the URL by the client
+  async init() {
+    const { data, error } = await supabase().auth.getSession();
+    if (error) throw error;
+    return toUser(data.session?.user);
+  }`,
+      onChange: `  onChange(callback: (user: AuthUser | null) => void) {
+    const { data } = supabase().auth.onAuthStateChange((_event, session) => callback(toUser(session?.user)));
+    return () => data.subscription.unsubscribe();
+  }`,
+      getToken: `  async getToken() {
+    const { data } = await supabase().auth.getSession();
+    return data.session?.access_token ?? null;
+  }`,
+      signInWithPassword: `  async signInWithPassword(email: string, password: string) {
+    const { data, error } = await supabase().auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    return toUser(data.user);
+  }`,
+      signUp: `  // null while the address waits for confirmation
+  async signUp(email: string, password: string) {
+    const { data, error } = await supabase().auth.signUp({ email, password, options: { emailRedirectTo: window.location.origin } });
+    if (error) throw error;
+    return toUser(data.session?.user);
+  }`,
+      signInWithOAuth: `  async signInWithOAuth(provider: OAuthProvider) {
+    const { error } = await supabase().auth.signInWithOAuth({ provider, options: { redirectTo: window.location.href } });
+    if (error) throw error;
+    return null;
+  }`,
+      sendMagicLink: `  async sendMagicLink(email: string) {
+    const { error } = await supabase().auth.signInWithOtp({ email, options: { emailRedirectTo: window.location.origin } });
+    if (error) throw error;
+  }`,
+      sendPasswordReset: `  async sendPasswordReset(email: string) {
+    const { error } = await supabase().auth.resetPasswordForEmail(email, { redirectTo: \`\${window.location.origin}\${RESET_ROUTE}\` });
+    if (error) throw error;
+  }`,
+      completePasswordReset: `  // The reset link already signed the user in; no code is needed
+  async completePasswordReset(_code: string, newPassword: string) {
+    const { error } = await supabase().auth.updateUser({ password: newPassword });
+    if (error) throw error;
+  }`,
+      signOut: `  async signOut() {
+    const { error } = await supabase().auth.signOut();
+    if (error) throw error;
+  }`
+    }
+  };
+}
+
+function firebaseClient(architecture, env) {
+  const oauth = oauthProviders(architecture);
+  return {
+    note: 'Firebase persistence follows TOKEN_STORAGE. With httpOnly-cookie it stays in memory; exchange the ID token for a session cookie on your server.',
+    imports: [
+      ['firebase/app', ['getApps', 'initializeApp']],
+      ['firebase/auth', [
+        'browserLocalPersistence', 'browserSessionPersistence', 'confirmPasswordReset', 'createUserWithEmailAndPassword',
+        'getAuth', 'GithubAuthProvider', 'GoogleAuthProvider', 'inMemoryPersistence', 'isSignInWithEmailLink', 'onAuthStateChanged',
+        'sendPasswordResetEmail', 'sendSignInLinkToEmail', 'setPersistence', 'signInWithEmailAndPassword', 'signInWithEmailLink',
+        'signInWithPopup', 'signOut as firebaseSignOut', 'type Auth', 'type AuthProvider', 'type Persistence', 'type User'
+      ]],
+      ['./storage', ['authStorage', 'TOKEN_STORAGE', 'type TokenStorage']],
+      ['./routes', ['RESET_ROUTE']]
+    ],
+    helpers: {
+      firebaseAuth: `let instance: Auth | null = null;
+
+function firebaseAuth() {
+  if (!instance) {
+    const app = getApps()[0] ?? initializeApp({
+      apiKey: ${env('FIREBASE_API_KEY')},
+      authDomain: ${env('FIREBASE_AUTH_DOMAIN')},
+      projectId: ${env('FIREBASE_PROJECT_ID')},
+      appId: ${env('FIREBASE_APP_ID')}
+    });
+    instance = getAuth(app);
+  }
+  return instance;
+}`,
+      PERSISTENCE: `const PERSISTENCE: Record<TokenStorage, Persistence> = {
+  localStorage: browserLocalPersistence,
+  sessionStorage: browserSessionPersistence,
+  memory: inMemoryPersistence,
+  'httpOnly-cookie': inMemoryPersistence
+};`,
+      OAUTH_PROVIDERS: `const OAUTH_PROVIDERS: Record<OAuthProvider, () => AuthProvider> = {
+${oauth.map(name => `  ${name}: () => new ${name === 'google' ? 'GoogleAuthProvider' : 'GithubAuthProvider'}()`).join(',\n')}
+};`,
+      EMAIL_KEY: `// The address a magic link was sent to; the link must be opened with it
+const EMAIL_KEY = 'auth.magicLinkEmail';`,
+      toUser: `const toUser = (user: User | null): AuthUser | null => (user ? {
+  id: user.uid,
+  email: user.email,
+  name: user.displayName,
+  avatarUrl: user.photoURL
+} : null);`
+    },
+    methods: {
+      init: flowsOf(architecture).includes('magic-link')
+        ? `  async init() {
+    const current = firebaseAuth();
+    await setPersistence(current, PERSISTENCE[TOKEN_STORAGE]);
+    if (isSignInWithEmailLink(current, window.location.href)) {
+      const email = authStorage.getItem(EMAIL_KEY) ?? window.prompt('Confirm your email address') ?? '';
+      await signInWithEmailLink(current, email, window.location.href);
+      authStorage.removeItem(EMAIL_KEY);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    await current.authStateReady();
+    return toUser(current.currentUser);
+  }`
+        : `  async init() {
+    const current = firebaseAuth();
+    await setPersistence(current, PERSISTENCE[TOKEN_STORAGE]);
+    await current.authStateReady();
+    return toUser(current.currentUser);
+  }`,
+      onChange: `  onChange(callback: (user: AuthUser | null) => void) {
+    return onAuthStateChanged(firebaseAuth(), user => callback(toUser(user)));
+  }`,
+      getToken: `  async getToken() {
+    return (await firebaseAuth().currentUser?.getIdToken()) ?? null;
+  }`,
+      signInWithPassword: `  async signInWithPassword(email: string, password: string) {
+    const { user } = await signInWithEmailAndPassword(firebaseAuth(), email, password);
+    return toUser(user);
+  }`,
+      signUp: `  async signUp(email: string, password: string) {
+    const { user } = await createUserWithEmailAndPassword(firebaseAuth(), email, password);
+    return toUser(user);
+  }`,
+      signInWithOAuth: `  async signInWithOAuth(provider: OAuthProvider) {
+    const { user } = await signInWithPopup(firebaseAuth(), OAUTH_PROVIDERS[provider]());
+    return toUser(user);
+  }`,
+      sendMagicLink: `  async sendMagicLink(email: string) {
+    await sendSignInLinkToEmail(firebaseAuth(), email, { url: window.location.href, handleCodeInApp: true });
+    authStorage.setItem(EMAIL_KEY, email);
+  }`,
+      sendPasswordReset: `  async sendPasswordReset(email: string) {
+    await sendPasswordResetEmail(firebaseAuth(), email, { url: \`\${window.location.origin}\${RESET_ROUTE}\` });
+  }`,
+      completePasswordReset: `  // code is the oobCode parameter of the reset link
+  async completePasswordReset(code: string, newPassword: string) {
+    await confirmPasswordReset(firebaseAuth(), code, newPassword);
+  }`,
+      signOut: `  async signOut() {
+    await firebaseSignOut(firebaseAuth());
+  }`
+    }
+  };
+}
+
+function auth0Client(architecture, env) {
+  const oauth = oauthProviders(architecture);
+  return {
+    note: 'Auth0 tokens are cached in TOKEN_STORAGE (memory with httpOnly-cookie). Password, sign-up and magic-link sign-in run on the Universal Login page.',
+    imports: [
+      ['@auth0/auth0-spa-js', ['createAuth0Client', 'type Auth0Client', 'type ICache', 'type User']],
+      ['./storage', ['authStorage']]
+    ],
+    helpers: {
+      ...LISTENERS,
+      DOMAIN: `const DOMAIN = ${env('AUTH0_DOMAIN')} ?? '';`,
+      CLIENT_ID: `const CLIENT_ID = ${env('AUTH0_CLIENT_ID')} ?? '';`,
+      auth0: `// Auth0's cache entries, kept in TOKEN_STORAGE
+const cache: ICache = {
+  get: (key) => {
+    const value = authStorage.getItem(key);
+    return value ? JSON.parse(value) : undefined;
+  },
+  set: (key, entry) => authStorage.setItem(key, JSON.stringify(entry)),
+  remove: (key) => authStorage.removeItem(key),
+  allKeys: () => authStorage.keys().filter(key => key.startsWith('@@auth0spajs@@'))
+};
+
+let client: Promise<Auth0Client> | null = null;
+
+function auth0() {
+  const audience = ${env('AUTH0_AUDIENCE')};
+  client ??= createAuth0Client({
+    domain: DOMAIN,
+    clientId: CLIENT_ID,
+    cache,
+    useRefreshTokens: true,
+    authorizationParams: {
+      redirect_uri: window.location.origin,
+      ...(audience ? { audience } : {})
+    }
+  });
+  return client;
+}`,
+      OAUTH_CONNECTIONS: `const OAUTH_CONNECTIONS: Record<OAuthProvider, string> = {
+${oauth.map(name => `  ${name}: '${name === 'google' ? 'google-oauth2' : 'github'}'`).join(',\n')}
+};`,
+      toUser: `const toUser = (user: User | undefined): AuthUser | null => (user?.sub ? {
+  id: user.sub,
+  email: user.email ?? null,
+  name: user.name ?? null,
+  avatarUrl: user.picture ?? null
+} : null);`
+    },
+    methods: {
+      init: `  async init() {
+    const client = await auth0();
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('code') && params.has('state')) {
+      await client.handleRedirectCallback();
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    return notify(toUser(await client.getUser()));
+  }`,
+      onChange: LISTENER_METHOD,
+      getToken: `  async getToken() {
+    const client = await auth0();
+    return (await client.isAuthenticated()) ? client.getTokenSilently() : null;
+  }`,
+      signInWithPassword: `  // The password is typed on Auth0's page; the email is prefilled
+  async signInWithPassword(email: string, _password: string) {
+    await (await auth0()).loginWithRedirect({ authorizationParams: { login_hint: email } });
+    return null;
+  }`,
+      signUp: `  async signUp(email: string, _password: string) {
+    await (await auth0()).loginWithRedirect({ authorizationParams: { screen_hint: 'signup', login_hint: email } });
+    return null;
+  }`,
+      signInWithOAuth: `  async signInWithOAuth(provider: OAuthProvider) {
+    await (await auth0()).loginWithRedirect({ authorizationParams: { connection: OAUTH_CONNECTIONS[provider] } });
+    return null;
+  }`,
+      sendMagicLink: `  // Needs the passwordless "email" connection enabled for the application
+  async sendMagicLink(email: string) {
+    await (await auth0()).loginWithRedirect({ authorizationParams: { connection: 'email', login_hint: email } });
+  }`,
+      sendPasswordReset: `  async sendPasswordReset(email: string) {
+    const response = await fetch(\`https://\${DOMAIN}/dbconnections/change_password\`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ client_id: CLIENT_ID, email, connection: 'Username-Password-Authentication' })
+    });
+    if (!response.ok) throw new Error(await response.text());
+  }`,
+      signOut: `  async signOut() {
+    await (await auth0()).logout({ logoutParams: { returnTo: window.location.origin } });
+    notify(null);
+  }`
+    }
+  };
+}
+
+function clerkClient(architecture, env) {
+  return {
+    note: 'Clerk keeps its session in its own cookies; TOKEN_STORAGE does not apply.',
+    imports: [
+      ['@clerk/clerk-js', ['default as Clerk']]
+    ],
+    helpers: {
+      loadClerk: `let clerk: Promise<Clerk> | null = null;
+
+function loadClerk() {
+  clerk ??= (async () => {
+    const instance = new Clerk(${env('CLERK_PUBLISHABLE_KEY')} ?? '');
+    await instance.load();
+    return instance;
+  })();
+  return clerk;
+}`,
+      signInFlow: `async function signInFlow() {
+  const instance = await loadClerk();
+  if (!instance.client) throw new Error('Clerk did not load');
+  return { instance, client: instance.client };
+}`,
+      callbackUrl: `// OAuth and email links come back here; init() finishes them
+const callbackUrl = (step: 'oauth' | 'link') => \`\${window.location.origin}\${window.location.pathname}?auth=\${step}\`;`,
+      toUser: `type ClerkUser = NonNullable<Clerk['user']>;
+
+const toUser = (user: ClerkUser | null | undefined): AuthUser | null => (user ? {
+  id: user.id,
+  email: user.primaryEmailAddress?.emailAddress ?? null,
+  name: user.fullName,
+  avatarUrl: user.imageUrl
+} : null);`
+    },
+    methods: {
+      init: oauthProviders(architecture).length > 0 || flowsOf(architecture).includes('magic-link')
+        ? `  async init() {
+    const instance = await loadClerk();
+    const step = new URLSearchParams(window.location.search).get('auth');
+    const backTo = window.location.pathname;
+    if (step === 'oauth') await instance.handleRedirectCallback({ redirectUrl: backTo, afterSignInUrl: backTo, afterSignUpUrl: backTo });
+    if (step === 'link') await instance.handleEmailLinkVerification({ redirectUrlComplete: backTo, redirectUrl: backTo });
+    return toUser(instance.user);
+  }`
+        : `  async init() {
+    return toUser((await loadClerk()).user);
+  }`,
+      onChange: `  onChange(callback: (user: AuthUser | null) => void) {
+    let unsubscribe: (() => void) | null = null;
+    let stopped = false;
+    loadClerk().then(instance => {
+      if (!stopped) unsubscribe = instance.addListener(({ user }) => callback(toUser(user)));
+    });
+    return () => {
+      stopped = true;
+      unsubscribe?.();
+    };
+  }`,
+      getToken: `  async getToken() {
+    return (await (await loadClerk()).session?.getToken()) ?? null;
+  }`,
+      signInWithPassword: `  async signInWithPassword(email: string, password: string) {
+    const { instance, client } = await signInFlow();
+    const attempt = await client.signIn.create({ identifier: email, password });
+    if (attempt.status !== 'complete') throw new Error(\`Sign-in needs another step (\${attempt.status})\`);
+    await instance.setActive({ session: attempt.createdSessionId });
+    return toUser(instance.user);
+  }`,
+      signUp: `  // Without instant sign-up, Clerk emails a code: finish with verifySignUp(code)
+  async signUp(email: string, password: string) {
+    const { instance, client } = await signInFlow();
+    const attempt = await client.signUp.create({ emailAddress: email, password });
+    if (attempt.status === 'complete') {
+      await instance.setActive({ session: attempt.createdSessionId });
+      return toUser(instance.user);
+    }
+    await attempt.prepareEmailAddressVerification({ strategy: 'email_code' });
+    return null;
+  }`,
+      verifySignUp: `  async verifySignUp(code: string) {
+    const { instance, client } = await signInFlow();
+    const attempt = await client.signUp.attemptEmailAddressVerification({ code });
+    if (attempt.status !== 'complete') throw new Error(\`Sign-up needs another step (\${attempt.status})\`);
+    await instance.setActive({ session: attempt.createdSessionId });
+    return toUser(instance.user);
+  }`,
+      signInWithOAuth: `  async signInWithOAuth(provider: OAuthProvider) {
+    const { client } = await signInFlow();
+    await client.signIn.authenticateWithRedirect({
+      strategy: \`oauth_\${provider}\`,
+      redirectUrl: callbackUrl('oauth'),
+      redirectUrlComplete: window.location.href
+    });
+    return null;
+  }`,
+      sendMagicLink: `  // Resolves once the email is sent; this tab signs in when the link is opened
+  async sendMagicLink(email: string) {
+    const { instance, client } = await signInFlow();
+    const attempt = await client.signIn.create({ identifier: email });
+    const factor = attempt.supportedFirstFactors.find(item => item.strategy === 'email_link');
+    if (!factor || !('emailAddressId' in factor)) throw new Error('Email links are not enabled for this Clerk application');
+    const { startEmailLinkFlow } = attempt.createEmailLinkFlow();
+    void startEmailLinkFlow({ emailAddressId: factor.emailAddressId, redirectUrl: callbackUrl('link') }).then(result => (
+      result.status === 'complete' ? instance.setActive({ session: result.createdSessionId }) : undefined
+    ));
+  }`,
+      sendPasswordReset: `  async sendPasswordReset(email: string) {
+    const { client } = await signInFlow();
+    await client.signIn.create({ strategy: 'reset_password_email_code', identifier: email });
+  }`,
+      completePasswordReset: `  // code is the one Clerk emailed by sendPasswordReset()
+  async completePasswordReset(code: string, newPassword: string) {
+    const { instance, client } = await signInFlow();
+    const attempt = await client.signIn.attemptFirstFactor({ strategy: 'reset_password_email_code', code, password: newPassword });
+    if (attempt.status === 'complete') await instance.setActive({ session: attempt.createdSessionId });
+  }`,
+      signOut: `  async signOut() {
+    await (await loadClerk()).signOut();
+  }`
+    }
+  };
+}
+
+// Sign-up and password reset for NextAuth and Custom JWT go to the project's API
+const API_HELPERS = (env) => ({
+  API_URL: `const API_URL = ${env('API_URL')} || ${DEFAULT_API_URL};`,
+  apiPost: `async function apiPost<T>(path: string, body: unknown): Promise<T> {
+  const token = tokenStore.get();
+  const response = await fetch(\`\${API_URL}/auth\${path}\`, {
+    method: 'POST',
+    // httpOnly-cookie: the API sets and reads its own cookie
+    credentials: USES_COOKIES ? 'include' : 'same-origin',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: \`Bearer \${token}\` } : {}) },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok) throw new Error(data?.error || data?.message || \`Request failed (\${response.status})\`);
+  return data as T;
+}`
+});
+
+function nextAuthClient(architecture, env, { sameOrigin }) {
+  return {
+    note: sameOrigin
+      ? 'NextAuth keeps the session in its own httpOnly cookie; TOKEN_STORAGE does not apply. The handler is src/app/api/auth/[...nextauth]/route.ts.'
+      : 'NextAuth keeps the session in its own httpOnly cookie on AUTH_URL; TOKEN_STORAGE does not apply. AUTH_URL must allow this origin (CORS with credentials).',
+    imports: [
+      ['./storage', ['tokenStore', 'USES_COOKIES']],
+      ['./routes', ['RESET_ROUTE']]
+    ],
+    helpers: {
+      ...LISTENERS,
+      ...API_HELPERS(env),
+      AUTH_BASE: sameOrigin
+        ? `const AUTH_BASE = '/api/auth';`
+        : `const AUTH_BASE = \`\${${env('AUTH_URL')} ?? ''}/api/auth\`;`,
+      session: `interface SessionResponse {
+  user?: { id?: string; email?: string | null; name?: string | null; image?: string | null };
+}
+
+async function session(): Promise<AuthUser | null> {
+  const response = await fetch(\`\${AUTH_BASE}/session\`, { credentials: 'include' });
+  const data = (await response.json().catch(() => null)) as SessionResponse | null;
+  const user = data?.user;
+  return user ? { id: user.id ?? user.email ?? '', email: user.email ?? null, name: user.name ?? null, avatarUrl: user.image ?? null } : null;
+}`,
+      authPost: `// NextAuth form posts: CSRF token first, then a JSON reply with the next URL
+async function authPost(path: string, fields: Record<string, string> = {}) {
+  const csrf = await fetch(\`\${AUTH_BASE}/csrf\`, { credentials: 'include' }).then(response => response.json()) as { csrfToken: string };
+  const response = await fetch(\`\${AUTH_BASE}/\${path}\`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ ...fields, csrfToken: csrf.csrfToken, callbackUrl: window.location.href, json: 'true' })
+  });
+  const { url } = (await response.json().catch(() => ({}))) as { url?: string };
+  const error = url ? new URL(url, window.location.origin).searchParams.get('error') : null;
+  if (!response.ok || !url || error) throw new Error(error || \`NextAuth \${path} failed (\${response.status})\`);
+  return url;
+}`
+    },
+    methods: {
+      init: `  async init() {
+    return notify(await session());
+  }`,
+      onChange: LISTENER_METHOD,
+      getToken: `  // The session cookie is the credential; there is no bearer token
+  async getToken(): Promise<string | null> {
+    return null;
+  }`,
+      signInWithPassword: `  async signInWithPassword(email: string, password: string) {
+    await authPost('callback/credentials', { email, password });
+    return notify(await session());
+  }`,
+      signUp: `  async signUp(email: string, password: string) {
+    await apiPost('/signup', { email, password });
+    await authPost('callback/credentials', { email, password });
+    return notify(await session());
+  }`,
+      signInWithOAuth: `  async signInWithOAuth(provider: OAuthProvider) {
+    window.location.assign(await authPost(\`signin/\${provider}\`));
+    return null;
+  }`,
+      sendMagicLink: `  // Needs NextAuth's EmailProvider (and a database adapter) on the server
+  async sendMagicLink(email: string) {
+    await authPost('signin/email', { email });
+  }`,
+      sendPasswordReset: `  async sendPasswordReset(email: string) {
+    await apiPost('/password-reset', { email, redirectUrl: \`\${window.location.origin}\${RESET_ROUTE}\` });
+  }`,
+      completePasswordReset: `  async completePasswordReset(code: string, newPassword: string) {
+    await apiPost('/password-reset/confirm', { token: code, password: newPassword });
+  }`,
+      signOut: `  async signOut() {
+    await authPost('signout');
+    notify(null);
+  }`
+    }
+  };
+}
+
+function customJwtClient(architecture, env) {
+  return {
+    note: `Custom JWT talks to the project's API under /auth:
+//   POST /auth/login, /auth/signup                    { email, password } -> { token?, user }
+//   GET  /auth/oauth/:provider?redirect=<url>         back to <url>?auth_token=<jwt>
+//   POST /auth/magic-link { email, redirectUrl }       link to <url>?magic_token=<token>
+//   POST /auth/magic-link/verify { token }            -> { token?, user }
+//   POST /auth/password-reset { email, redirectUrl }, /auth/password-reset/confirm { token, password }
+//   GET  /auth/me -> { user };  POST /auth/logout
+// The token is kept in TOKEN_STORAGE; with httpOnly-cookie the API sets a cookie and returns no token.`,
+    imports: [
+      ['./storage', ['tokenStore', 'USES_COOKIES']],
+      ['./routes', ['RESET_ROUTE']]
+    ],
+    helpers: {
+      ...LISTENERS,
+      ...API_HELPERS(env),
+      removeParam: cleanUrlHelper,
+      startSession: `interface SessionResponse {
+  token?: string;
+  user: AuthUser;
+}
+
+function startSession({ token, user }: SessionResponse) {
+  if (token) tokenStore.set(token);
+  return notify(user);
+}`,
+      currentUser: `async function currentUser(): Promise<AuthUser | null> {
+  if (!USES_COOKIES && !tokenStore.get()) return null;
+  const token = tokenStore.get();
+  const response = await fetch(\`\${API_URL}/auth/me\`, {
+    credentials: USES_COOKIES ? 'include' : 'same-origin',
+    headers: token ? { Authorization: \`Bearer \${token}\` } : {}
+  });
+  if (!response.ok) {
+    tokenStore.clear();
+    return null;
+  }
+  const { user } = (await response.json()) as { user: AuthUser };
+  return user;
+}`
+    },
+    methods: {
+      init: `  async init() {
+${oauthProviders(architecture).length > 0 || flowsOf(architecture).includes('magic-link') ? `    const params = new URLSearchParams(window.location.search);
+` : ''}${oauthProviders(architecture).length > 0 ? `    const oauthToken = params.get('auth_token');
+    if (oauthToken) {
+      tokenStore.set(oauthToken);
+      removeParam('auth_token');
+    }
+` : ''}${flowsOf(architecture).includes('magic-link') ? `    const magicToken = params.get('magic_token');
+    if (magicToken) {
+      removeParam('magic_token');
+      return startSession(await apiPost<SessionResponse>('/magic-link/verify', { token: magicToken }));
+    }
+` : ''}    return notify(await currentUser());
+  }`,
+      onChange: LISTENER_METHOD,
+      getToken: `  async getToken() {
+    return tokenStore.get();
+  }`,
+      signInWithPassword: `  async signInWithPassword(email: string, password: string) {
+    return startSession(await apiPost<SessionResponse>('/login', { email, password }));
+  }`,
+      signUp: `  async signUp(email: string, password: string) {
+    return startSession(await apiPost<SessionResponse>('/signup', { email, password }));
+  }`,
+      signInWithOAuth: `  async signInWithOAuth(provider: OAuthProvider) {
+    window.location.assign(\`\${API_URL}/auth/oauth/\${provider}?redirect=\${encodeURIComponent(window.location.href)}\`);
+    return null;
+  }`,
+      sendMagicLink: `  async sendMagicLink(email: string) {
+    await apiPost('/magic-link', { email, redirectUrl: window.location.href });
+  }`,
+      sendPasswordReset: `  async sendPasswordReset(email: string) {
+    await apiPost('/password-reset', { email, redirectUrl: \`\${window.location.origin}\${RESET_ROUTE}\` });
+  }`,
+      completePasswordReset: `  async completePasswordReset(code: string, newPassword: string) {
+    await apiPost('/password-reset/confirm', { token: code, password: newPassword });
+  }`,
+      signOut: `  async signOut() {
+    try {
+      await apiPost('/logout', {});
+    } finally {
+      tokenStore.clear();
+      notify(null);
+    }
+  }`
+    }
+  };
+}
+
+const PROVIDER_CLIENTS = {
+  Supabase: supabaseClient,
+  Firebase: firebaseClient,
+  Auth0: auth0Client,
+  Clerk: clerkClient,
+  NextAuth: nextAuthClient,
+  'Custom JWT': customJwtClient
+};
+
+const uses = (code, name) => new RegExp(`(^|[^\\w$.])${name.replace(/[$]/g, '\\$')}\\b`).test(code);
+
+/**
+ * src/lib/auth/client.ts for the architecture's provider. `sameOrigin` is set
+ * on stacks that serve NextAuth themselves.
+ */
+export function authClientModule(architecture, env, { sameOrigin = false } = {}) {
+  const { provider, tokenStorage } = architecture.authentication;
+  const client = (PROVIDER_CLIENTS[provider] || customJwtClient)(architecture, env, { sameOrigin });
+  const oauth = oauthProviders(architecture);
+  const methods = ['init', 'onChange', 'getToken', ...authActions(architecture)].map(name => client.methods[name]);
+  const body = `export const auth = {
+${methods.join(',\n\n')}
+};`;
+
+  // Helpers the methods use, and the helpers those use, in declaration order
+  const helpers = Object.entries(client.helpers);
+  const needed = new Set();
+  let reach = body;
+  for (let changed = true; changed;) {
+    changed = false;
+    helpers.forEach(([name, code]) => {
+      if (!needed.has(name) && uses(reach, name)) {
+        needed.add(name);
+        reach += `\n${code}`;
+        changed = true;
+      }
+    });
+  }
+  const helperCode = helpers.filter(([name]) => needed.has(name)).map(([, code]) => code);
+
+  const imports = client.imports.map(([from, names]) => {
+    const used = names.filter(name => uses(reach, name.split(' ').pop()));
+    return used.length > 0 ? `import { ${used.join(', ')} } from '${from}';` : null;
+  }).filter(Boolean);
+
+  return `// ${provider} sign-in for: ${flowsOf(architecture).join(', ') || 'no flows'} (token storage: ${tokenStorage})
+// ${client.note}
+${imports.join('\n')}
+
+export interface AuthUser {
+  id: string;
+  email: string | null;
+  name: string | null;
+  avatarUrl: string | null;
+}
+${oauth.length > 0 ? `
+export type OAuthProvider = ${oauth.map(name => `'${name}'`).join(' | ')};
+` : ''}
+${helperCode.join('\n\n')}
+
+/**
+ * init() loads the session (and finishes OAuth, magic-link and hosted-page
+ * returns); onChange() reports later changes. getToken() is the bearer token
+ * for the project's API. Actions that leave for a hosted page resolve with null.
+ */
+${body}
+`.replace(/\n{3,}/g, '\n\n');
+}
+
+// --- NextAuth route handler (Next.js) -----------------------------------------------
+
+function sessionSeconds(duration) {
+  const match = String(duration || '').match(/(\d+)\s*(minute|hour|day|week)/i);
+  if (!match) return 30 * 24 * 60 * 60;
+  const unit = { minute: 60, hour: 3600, day: 86400, week: 604800 }[match[2].toLowerCase()];
+  return Number(match[1]) * unit;
+}
+
+export function nextAuthRouteModule(architecture) {
+  const flows = flowsOf(architecture);
+  const oauth = oauthProviders(architecture);
+  const providers = [
+    flows.includes('email-password') && `    // The project's API checks the password and returns the user
+    CredentialsProvider({
+      name: 'Email',
+      credentials: {
+        email: { label: 'Email', type: 'email' },
+        password: { label: 'Password', type: 'password' }
+      },
+      async authorize(credentials) {
+        const response = await fetch(\`\${API_URL}/auth/login\`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email: credentials?.email, password: credentials?.password })
+        });
+        if (!response.ok) return null;
+        const { user } = await response.json();
+        return user ?? null;
+      }
+    })`,
+    oauth.includes('google') && `    GoogleProvider({ clientId: process.env.GOOGLE_CLIENT_ID ?? '', clientSecret: process.env.GOOGLE_CLIENT_SECRET ?? '' })`,
+    oauth.includes('github') && `    GithubProvider({ clientId: process.env.GITHUB_ID ?? '', clientSecret: process.env.GITHUB_SECRET ?? '' })`
+  ].filter(Boolean);
+
+  return `import NextAuth, { type NextAuthOptions } from 'next-auth';
+${flows.includes('email-password') ? "import CredentialsProvider from 'next-auth/providers/credentials';\n" : ''}${oauth.includes('google') ? "import GoogleProvider from 'next-auth/providers/google';\n" : ''}${oauth.includes('github') ? "import GithubProvider from 'next-auth/providers/github';\n" : ''}${flows.includes('email-password') ? `
+const API_URL = process.env.NEXT_PUBLIC_API_URL || ${DEFAULT_API_URL};
+` : ''}
+${flows.includes('magic-link') ? '// Magic links: add EmailProvider with a database adapter; NextAuth stores the\n// verification tokens there\n' : ''}const authOptions: NextAuthOptions = {
+  session: { strategy: 'jwt', maxAge: ${sessionSeconds(architecture.authentication.sessionDuration)} },
+  providers: [
+${providers.join(',\n')}
+  ],
+  callbacks: {
+    // Expose the user id through /api/auth/session
+    session({ session, token }) {
+      if (session.user) Object.assign(session.user, { id: token.sub });
+      return session;
+    }
+  }
+};
+
+const handler = NextAuth(authOptions);
+
+export { handler as GET, handler as POST };
+`;
+}
+
+// --- Framework glue --------------------------------------------------------------
+
+const actionLines = (architecture, indent, format) => authActions(architecture).map(name => `${indent}${format(name)}`).join('\n');
+
+const MESSAGE_OF = `const messageOf = (error: unknown) => (error instanceof Error ? error.message : String(error));`;
+
+/** React context + useAuth (React + Vite, Next.js); `clientImport` is the client module path. */
+export function reactAuthContextModule(architecture, { clientImport, directive = '' }) {
+  return `${directive ? `${directive}\n\n` : ''}import { createContext, useCallback, useContext, useEffect, useMemo, useState, type ReactNode } from 'react';
+import { auth, type AuthUser } from '${clientImport}';
+
+type AuthActions = Omit<typeof auth, 'init' | 'onChange' | 'getToken'>;
+
+export interface AuthContextType extends AuthActions {
+  user: AuthUser | null;
+  isLoading: boolean;
+  isAuthenticated: boolean;
+  error: string | null;
+}
+
+const AuthContext = createContext<AuthContextType | undefined>(undefined);
+
+${MESSAGE_OF}
+
+export function AuthProvider({ children }: { children: ReactNode }) {
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let active = true;
+    auth.init()
+      .then(current => {
+        if (active) setUser(current);
+      })
+      .catch(err => {
+        if (active) setError(messageOf(err));
+      })
+      .finally(() => {
+        if (active) setIsLoading(false);
+      });
+    const unsubscribe = auth.onChange(setUser);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  // Actions record their error for the UI and still reject for the caller
+  const run = useCallback(<A extends unknown[], R>(action: (...args: A) => Promise<R>) => async (...args: A) => {
+    setError(null);
+    try {
+      return await action(...args);
+    } catch (err) {
+      setError(messageOf(err));
+      throw err;
+    }
+  }, []);
+
+  const actions = useMemo<AuthActions>(() => ({
+${actionLines(architecture, '    ', name => `${name}: run(auth.${name}),`).replace(/,$/, '')}
+  }), [run]);
+
+  const value = useMemo<AuthContextType>(
+    () => ({ ...actions, user, isLoading, isAuthenticated: user !== null, error }),
+    [actions, user, isLoading, error]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error('useAuth must be used within AuthProvider');
+  return context;
+}
+`;
+}
+
+const STATUS_MESSAGE = 'Checking your session…';
+
+/** ProtectedRoute for React Router: wraps <Routes> once and guards PROTECTED_ROUTES. */
+export function reactRouterProtectedRouteModule() {
+  return `import type { ReactNode } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { isProtectedPath, loginPath } from '../lib/auth/routes';
+
+/**
+ * Guards the routes in PROTECTED_ROUTES: signed-out visitors go to the login
+ * route with ?redirect= set. Wrap <Routes> with it once, inside the router.
+ */
+export function ProtectedRoute({ children }: { children: ReactNode }) {
+  const { user, isLoading } = useAuth();
+  const { pathname, search } = useLocation();
+
+  if (!isProtectedPath(pathname)) return <>{children}</>;
+  if (isLoading) return <p role="status" className="p-8 text-center text-gray-500">${STATUS_MESSAGE}</p>;
+  if (!user) return <Navigate to={loginPath(pathname + search)} replace />;
+  return <>{children}</>;
+}
+`;
+}
+
+/** ProtectedRoute for the Next.js App Router, mounted once in providers.tsx. */
+export function nextProtectedRouteModule() {
+  return `'use client';
+
+import { useEffect, type ReactNode } from 'react';
+import { usePathname, useRouter } from 'next/navigation';
+import { useAuth } from '@/contexts/AuthContext';
+import { isProtectedPath, loginPath } from '@/lib/auth/routes';
+
+/**
+ * Guards the routes in PROTECTED_ROUTES: signed-out visitors go to the login
+ * route with ?redirect= set. Mounted once in app/providers.tsx.
+ */
+export function ProtectedRoute({ children }: { children: ReactNode }) {
+  const { user, isLoading } = useAuth();
+  const pathname = usePathname() ?? '/';
+  const router = useRouter();
+  const guarded = isProtectedPath(pathname);
+
+  useEffect(() => {
+    if (guarded && !isLoading && !user) router.replace(loginPath(pathname));
+  }, [guarded, isLoading, user, pathname, router]);
+
+  if (guarded && !user) return <p role="status" className="p-8 text-center text-gray-500">${STATUS_MESSAGE}</p>;
+  return <>{children}</>;
+}
+`;
+}
+
+/** useAuth composable (Vue): one shared session, loaded by the first call. */
+export function vueAuthComposableModule(architecture) {
+  return `import { computed, readonly, ref } from 'vue';
+import { auth, type AuthUser } from '@/lib/auth/client';
+
+type AuthActions = Omit<typeof auth, 'init' | 'onChange' | 'getToken'>;
+
+const user = ref<AuthUser | null>(null);
+const isLoading = ref(true);
+const error = ref<string | null>(null);
+let ready: Promise<void> | null = null;
+
+${MESSAGE_OF}
+
+function start() {
+  if (!ready) {
+    auth.onChange(next => {
+      user.value = next;
+    });
+    ready = auth.init()
+      .then(current => {
+        user.value = current;
+      })
+      .catch(err => {
+        error.value = messageOf(err);
+      })
+      .finally(() => {
+        isLoading.value = false;
+      });
+  }
+  return ready;
+}
+
+// Actions record their error for the UI and still reject for the caller
+function run<A extends unknown[], R>(action: (...args: A) => Promise<R>) {
+  return async (...args: A) => {
+    error.value = null;
+    try {
+      return await action(...args);
+    } catch (err) {
+      error.value = messageOf(err);
+      throw err;
+    }
+  };
+}
+
+const actions: AuthActions = {
+${actionLines(architecture, '  ', name => `${name}: run(auth.${name}),`).replace(/,$/, '')}
+};
+
+/** ready resolves once the session is known (route guards await it) */
+export function useAuth() {
+  return {
+    user: readonly(user),
+    isLoading: readonly(isLoading),
+    error: readonly(error),
+    isAuthenticated: computed(() => user.value !== null),
+    ready: start(),
+    ...actions
+  };
+}
+`;
+}
+
+/** Router guard (Vue): router.beforeEach(authGuard) protects PROTECTED_ROUTES. */
+export function vueAuthGuardModule() {
+  return `import type { RouteLocationNormalized } from 'vue-router';
+import { useAuth } from '@/composables/useAuth';
+import { isProtectedPath, loginPath } from '@/lib/auth/routes';
+
+/**
+ * router.beforeEach(authGuard): waits for the session on protected routes and
+ * sends signed-out visitors to the login route with ?redirect= set.
+ */
+export async function authGuard(to: RouteLocationNormalized) {
+  if (!isProtectedPath(to.path)) return true;
+  const { isAuthenticated, ready } = useAuth();
+  await ready;
+  return isAuthenticated.value ? true : loginPath(to.fullPath);
+}
+`;
+}
+
+/** Auth stores and actions (SvelteKit); the session only exists in the browser. */
+export function svelteAuthStoreModule(architecture) {
+  return `import { derived, writable } from 'svelte/store';
+import { browser } from '$app/environment';
+import { auth, type AuthUser } from '$lib/auth/client';
+
+export const user = writable<AuthUser | null>(null);
+export const loading = writable(true);
+export const error = writable<string | null>(null);
+export const isAuthenticated = derived(user, $user => $user !== null);
+
+${MESSAGE_OF}
+
+// During SSR everyone is signed out and loading; the browser loads the session
+if (browser) {
+  auth.onChange(user.set);
+  auth.init()
+    .then(user.set)
+    .catch(err => error.set(messageOf(err)))
+    .finally(() => loading.set(false));
+}
+
+// Actions record their error for the UI and still reject for the caller
+function run<A extends unknown[], R>(action: (...args: A) => Promise<R>) {
+  return async (...args: A) => {
+    error.set(null);
+    try {
+      return await action(...args);
+    } catch (err) {
+      error.set(messageOf(err));
+      throw err;
+    }
+  };
+}
+
+${actionLines(architecture, '', name => `export const ${name} = run(auth.${name});`)}
+`;
+}
+
+/** ProtectedRoute (SvelteKit): wraps the root layout's <slot />. */
+export function svelteProtectedRouteModule() {
+  return `<script lang="ts">
+  import { browser } from '$app/environment';
+  import { goto } from '$app/navigation';
+  import { page } from '$app/stores';
+  import { isProtectedPath, loginPath } from '$lib/auth/routes';
+  import { loading, user } from '$lib/stores/auth';
+
+  // Guards the routes in PROTECTED_ROUTES: signed-out visitors go to the login route with ?redirect= set
+  $: guarded = isProtectedPath($page.url.pathname);
+  $: if (browser && guarded && !$loading && !$user) goto(loginPath($page.url.pathname + $page.url.search), { replaceState: true });
+</script>
+
+{#if !guarded || $user}
+  <slot />
+{:else}
+  <p role="status" class="p-8 text-center text-gray-500">${STATUS_MESSAGE}</p>
+{/if}
+`;
+}
+
+// --- Tests -------------------------------------------------------------------------
+// Templated tests for the templates above; they run with the generated suite.
+
+function routesTest(architecture) {
+  const routes = protectedRoutes(architecture);
+  const login = loginRoute(architecture);
+  const isProtected = (pathname) => pathname !== login && routes.some(route => routeCovers(route, pathname));
+  const publicPaths = [...new Set((architecture.authentication.publicRoutes || []).map(samplePath))].filter(pathname => !isProtected(pathname));
+
+  const cases = [
+    ...routes.map(route => {
+      const pathname = samplePath(route);
+      const expectations = pathname === login
+        ? [`    expect(isProtectedPath('${pathname}')).toBe(false);`]
+        : [
+          `    expect(isProtectedPath('${pathname}')).toBe(true);`,
+          `    expect(isProtectedPath('${pathname.replace(/\/$/, '')}/nested?tab=1')).toBe(true);`
+        ];
+      return `  it('guards ${route}', () => {\n${expectations.join('\n')}\n  });`;
+    }),
+    ...publicPaths.map(pathname => `  it('leaves ${pathname} public', () => {\n    expect(isProtectedPath('${pathname}')).toBe(false);\n  });`)
+  ];
+
+  return `import { describe, it, expect } from 'vitest';
+import { LOGIN_ROUTE, PROTECTED_ROUTES, isProtectedPath, loginPath } from './routes';
+
+describe('auth routes', () => {
+  it('lists the protected routes', () => {
+    expect(PROTECTED_ROUTES).toEqual(${JSON.stringify(routes)});
+  });
+
+${cases.join('\n\n')}${cases.length > 0 ? '\n\n' : ''}  it('never guards the login route', () => {
+    expect(isProtectedPath(LOGIN_ROUTE)).toBe(false);
+  });
+
+  it('sends visitors back where they came from after sign-in', () => {
+    expect(loginPath('/account?tab=1')).toBe(\`\${LOGIN_ROUTE}?redirect=%2Faccount%3Ftab%3D1\`);
+  });
+});
+`;
+}
+
+function storageTest(architecture) {
+  const tokenStorage = architecture.authentication.tokenStorage || 'localStorage';
+  const web = ['localStorage', 'sessionStorage'].includes(tokenStorage);
+  const other = tokenStorage === 'localStorage' ? 'sessionStorage' : 'localStorage';
+
+  const placement = web
+    ? `  it('keeps the session in ${tokenStorage}', () => {
+    authStorage.setItem('session', 'value');
+    expect(window.${tokenStorage}.getItem('session')).toBe('value');
+    expect(window.${other}.getItem('session')).toBeNull();
+  });`
+    : `  it('keeps the session out of web storage', () => {
+    authStorage.setItem('session', 'value');
+    expect(authStorage.getItem('session')).toBe('value');
+    expect(window.localStorage.length).toBe(0);
+    expect(window.sessionStorage.length).toBe(0);
+  });`;
+
+  const token = tokenStorage === 'httpOnly-cookie'
+    ? `  it('never exposes a token to scripts', () => {
+    tokenStore.set('token-123');
+    expect(USES_COOKIES).toBe(true);
+    expect(tokenStore.get()).toBeNull();
+  });`
+    : `  it('stores and clears the bearer token', () => {
+    tokenStore.set('token-123');
+    expect(tokenStore.get()).toBe('token-123');
+    tokenStore.clear();
+    expect(tokenStore.get()).toBeNull();
+  });`;
+
+  return `import { describe, it, expect, beforeEach } from 'vitest';
+import { TOKEN_STORAGE, ${tokenStorage === 'httpOnly-cookie' ? 'USES_COOKIES, ' : ''}authStorage, tokenStore } from './storage';
+
+describe('auth storage (${tokenStorage})', () => {
+  beforeEach(() => {
+    authStorage.keys().forEach(key => authStorage.removeItem(key));
+    window.localStorage.clear();
+    window.sessionStorage.clear();
+  });
+
+  it('uses the configured token storage', () => {
+    expect(TOKEN_STORAGE).toBe('${tokenStorage}');
+  });
+
+${placement}
+
+  it('removes what it stored', () => {
+    authStorage.setItem('session', 'value');
+    authStorage.removeItem('session');
+    expect(authStorage.getItem('session')).toBeNull();
+    expect(authStorage.keys()).not.toContain('session');
+  });
+
+${token}
+});
+`;
+}
+
+const guardCases = (architecture, render) => protectedRoutes(architecture)
+  .map(samplePath)
+  .filter(pathname => pathname !== loginRoute(architecture))
+  .map(render)
+  .join('\n\n');
+
+function reactRouterProtectedRouteTest(architecture) {
+  const cases = guardCases(architecture, pathname => `  it('sends signed-out visitors from ${pathname} to the login route', () => {
+    mockAuth({ user: null, isLoading: false });
+    renderAt('${pathname}');
+    expect(screen.getByRole('heading', { name: 'Login page' })).toBeInTheDocument();
+  });
+
+  it('shows ${pathname} to signed-in users', () => {
+    mockAuth({ user, isLoading: false });
+    renderAt('${pathname}');
+    expect(screen.getByRole('heading', { name: 'Protected content' })).toBeInTheDocument();
+  });
+
+  it('waits for the session before leaving ${pathname}', () => {
+    mockAuth({ user: null, isLoading: true });
+    renderAt('${pathname}');
+    expect(screen.getByRole('status')).toHaveTextContent('${STATUS_MESSAGE}');
+  });`);
+
+  return `import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { ProtectedRoute } from './ProtectedRoute';
+import { useAuth } from '../contexts/AuthContext';
+import { LOGIN_ROUTE } from '../lib/auth/routes';
+
+vi.mock('../contexts/AuthContext', () => ({ useAuth: vi.fn() }));
+
+const user = { id: 'user-1', email: 'ada@example.com', name: 'Ada', avatarUrl: null };
+
+const mockAuth = (state: Partial<ReturnType<typeof useAuth>>) => {
+  vi.mocked(useAuth).mockReturnValue(state as ReturnType<typeof useAuth>);
+};
+
+function renderAt(path: string) {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <ProtectedRoute>
+        <Routes>
+          <Route path={LOGIN_ROUTE} element={<h1>Login page</h1>} />
+          <Route path="*" element={<h1>Protected content</h1>} />
+        </Routes>
+      </ProtectedRoute>
+    </MemoryRouter>
+  );
+}
+
+describe('ProtectedRoute', () => {
+  beforeEach(() => {
+    vi.mocked(useAuth).mockReset();
+  });
+
+${cases}${cases ? '\n\n' : ''}  it('lets signed-out visitors see the login route', () => {
+    mockAuth({ user: null, isLoading: false });
+    renderAt(LOGIN_ROUTE);
+    expect(screen.getByRole('heading', { name: 'Login page' })).toBeInTheDocument();
+  });
+});
+`;
+}
+
+function nextProtectedRouteTest(architecture) {
+  const cases = guardCases(architecture, pathname => `  it('sends signed-out visitors from ${pathname} to the login route', () => {
+    mockAuth({ user: null, isLoading: false });
+    renderAt('${pathname}');
+    expect(navigation.replace).toHaveBeenCalledWith(loginPath('${pathname}'));
+    expect(screen.queryByRole('heading', { name: 'Protected content' })).not.toBeInTheDocument();
+  });
+
+  it('shows ${pathname} to signed-in users', () => {
+    mockAuth({ user, isLoading: false });
+    renderAt('${pathname}');
+    expect(screen.getByRole('heading', { name: 'Protected content' })).toBeInTheDocument();
+    expect(navigation.replace).not.toHaveBeenCalled();
+  });`);
+
+  return `import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { ProtectedRoute } from './ProtectedRoute';
+import { useAuth } from '@/contexts/AuthContext';
+import { LOGIN_ROUTE, loginPath } from '@/lib/auth/routes';
+
+const navigation = vi.hoisted(() => ({ pathname: '/', replace: vi.fn() }));
+
+vi.mock('next/navigation', () => ({
+  usePathname: () => navigation.pathname,
+  useRouter: () => ({ replace: navigation.replace })
+}));
+vi.mock('@/contexts/AuthContext', () => ({ useAuth: vi.fn() }));
+
+const user = { id: 'user-1', email: 'ada@example.com', name: 'Ada', avatarUrl: null };
+
+const mockAuth = (state: Partial<ReturnType<typeof useAuth>>) => {
+  vi.mocked(useAuth).mockReturnValue(state as ReturnType<typeof useAuth>);
+};
+
+function renderAt(path: string) {
+  navigation.pathname = path;
+  return render(
+    <ProtectedRoute>
+      <h1>Protected content</h1>
+    </ProtectedRoute>
+  );
+}
+
+describe('ProtectedRoute', () => {
+  beforeEach(() => {
+    vi.mocked(useAuth).mockReset();
+    navigation.replace.mockReset();
+  });
+
+${cases}${cases ? '\n\n' : ''}  it('leaves the login route alone', () => {
+    mockAuth({ user: null, isLoading: false });
+    renderAt(LOGIN_ROUTE);
+    expect(screen.getByRole('heading', { name: 'Protected content' })).toBeInTheDocument();
+    expect(navigation.replace).not.toHaveBeenCalled();
+  });
+});
+`;
+}
+
+function vueAuthGuardTest(architecture) {
+  const cases = guardCases(architecture, pathname => `  it('sends signed-out visitors from ${pathname} to the login route', async () => {
+    mockAuth(false);
+    expect(await authGuard(route('${pathname}'))).toBe(loginPath('${pathname}'));
+  });
+
+  it('lets signed-in users into ${pathname}', async () => {
+    mockAuth(true);
+    expect(await authGuard(route('${pathname}'))).toBe(true);
+  });`);
+
+  return `import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { computed } from 'vue';
+import type { RouteLocationNormalized } from 'vue-router';
+import { authGuard } from './guard';
+import { useAuth } from '@/composables/useAuth';
+import { LOGIN_ROUTE, loginPath } from '@/lib/auth/routes';
+
+vi.mock('@/composables/useAuth', () => ({ useAuth: vi.fn() }));
+
+const route = (path: string) => ({ path, fullPath: path }) as RouteLocationNormalized;
+
+const mockAuth = (signedIn: boolean) => {
+  vi.mocked(useAuth).mockReturnValue({
+    isAuthenticated: computed(() => signedIn),
+    ready: Promise.resolve()
+  } as unknown as ReturnType<typeof useAuth>);
+};
+
+describe('authGuard', () => {
+  beforeEach(() => {
+    vi.mocked(useAuth).mockReset();
+  });
+
+${cases}${cases ? '\n\n' : ''}  it('leaves the login route alone', async () => {
+    mockAuth(false);
+    expect(await authGuard(route(LOGIN_ROUTE))).toBe(true);
+  });
+});
+`;
+}
+
+const AUTH_TESTS = {
+  routes: routesTest,
+  storage: storageTest,
+  'react-router-protected-route': reactRouterProtectedRouteTest,
+  'next-protected-route': nextProtectedRouteTest,
+  'vue-auth-guard': vueAuthGuardTest
+};
+
+// --- Specs and templates for stacks --------------------------------------------------
+
+export const AUTH_DIR = 'src/lib/auth';
+
+/** Import path of an auth module ('client', 'storage', 'routes') from `fromFile` */
+export function authImportPath(fromFile, name) {
+  const target = path.posix.relative(path.posix.dirname(fromFile), `${AUTH_DIR}/${name}`);
+  return target.startsWith('.') ? target : `./${target}`;
+}
+
+/** Framework-free auth specs every stack lays out (critical tier). */
+export function authLayout(architecture) {
+  if (!authEnabled(architecture)) return [];
+  return [
+    { type: 'auth-client', name: `${AUTH_DIR}/client.ts`, priority: 1 },
+    { type: 'auth-storage', name: `${AUTH_DIR}/storage.ts`, priority: 1 },
+    { type: 'auth-routes', name: `${AUTH_DIR}/routes.ts`, priority: 1 }
+  ];
+}
+
+/**
+ * Templated auth tests for the tests tier. `guard` is the stack's guard test:
+ * { template, name, subject }.
+ */
+export function authTestLayout(architecture, guard = null) {
+  if (!authEnabled(architecture)) return [];
+  return [
+    { type: 'auth-test', name: `${AUTH_DIR}/routes.test.ts`, priority: 4, metadata: { template: 'routes', subject: `${AUTH_DIR}/routes.ts` } },
+    { type: 'auth-test', name: `${AUTH_DIR}/storage.test.ts`, priority: 4, metadata: { template: 'storage', subject: `${AUTH_DIR}/storage.ts` } },
+    ...(guard ? [{ type: 'auth-test', name: guard.name, priority: 4, metadata: { template: guard.template, subject: guard.subject } }] : [])
+  ];
+}
+
+/** templates entries for the specs above; `env` is the stack's env reader. */
+export function authTemplates(env, options = {}) {
+  return {
+    'auth-client': (spec, architecture) => authClientModule(architecture, env, options),
+    'auth-storage': (spec, architecture) => storageModule(architecture),
+    'auth-routes': (spec, architecture) => routesModule(architecture),
+    'auth-test': (spec, architecture) => AUTH_TESTS[spec.metadata.template](architecture)
+  };
+}
+
+// --- Environment ---------------------------------------------------------------------
+
+// Provider -> public env vars [name, placeholder]
+const PUBLIC_ENV = {
+  Supabase: [['SUPABASE_URL', 'https://your-project.supabase.co'], ['SUPABASE_ANON_KEY', 'your-anon-key']],
+  Firebase: [
+    ['FIREBASE_API_KEY', 'your-api-key'],
+    ['FIREBASE_AUTH_DOMAIN', 'your-project.firebaseapp.com'],
+    ['FIREBASE_PROJECT_ID', 'your-project-id'],
+    ['FIREBASE_APP_ID', 'your-app-id']
+  ],
+  Auth0: [['AUTH0_DOMAIN', 'your-tenant.us.auth0.com'], ['AUTH0_CLIENT_ID', 'your-client-id'], ['AUTH0_AUDIENCE', '']],
+  Clerk: [['CLERK_PUBLISHABLE_KEY', 'pk_test_your-publishable-key']],
+  NextAuth: [['AUTH_URL', 'http://localhost:3000']]
+};
+
+/**
+ * .env.example lines for the auth provider. `prefix` is the stack's public env
+ * prefix; with `serverRoute` NextAuth runs in the project and needs its secrets.
+ */
+export function authEnv(architecture, prefix, { serverRoute = false } = {}) {
+  if (!authEnabled(architecture)) return '';
+  const { provider } = architecture.authentication;
+  const oauth = oauthProviders(architecture);
+
+  if (provider === 'NextAuth' && serverRoute) {
+    return `# NextAuth (server only)
+NEXTAUTH_URL=http://localhost:3000
+NEXTAUTH_SECRET=generate-with-openssl-rand-base64-32
+${oauth.includes('google') ? 'GOOGLE_CLIENT_ID=your-google-client-id\nGOOGLE_CLIENT_SECRET=your-google-client-secret\n' : ''}${oauth.includes('github') ? 'GITHUB_ID=your-github-client-id\nGITHUB_SECRET=your-github-client-secret\n' : ''}
+`;
+  }
+
+  const vars = PUBLIC_ENV[provider] || [];
+  if (vars.length === 0) return '';
+  return `# ${provider}
+${vars.map(([name, value]) => `${prefix}${name}=${value}`).join('\n')}
+
+`;
+}
+
+// --- README ------------------------------------------------------------------------
+
+const SETUP_STEPS = {
+  Supabase: ['Create a Supabase project', 'Add your Supabase URL and anon key to .env', 'Enable the sign-in providers for the flows below (Authentication → Providers)', 'Run database migrations (see below)'],
+  Firebase: ['Create a Firebase project and a web app', 'Add the web app config to .env', 'Enable the sign-in methods for the flows below (Authentication → Sign-in method)'],
+  Auth0: ['Create a Single Page Application in Auth0', "Add the app's URL to Allowed Callback URLs, Allowed Logout URLs and Allowed Web Origins", 'Add the domain and client ID to .env', 'Enable the connections for the flows below'],
+  Clerk: ['Create a Clerk application', 'Add the publishable key to .env', 'Enable the strategies for the flows below (User & Authentication)'],
+  NextAuth: ['Point AUTH_URL at the app that serves NextAuth (/api/auth) and allow this origin with credentials'],
+  'Custom JWT': ['Implement the endpoints below on the API']
+};
+
+/** "Authentication Setup" section of the generated README. */
+export function authReadme(architecture, { serverRoute = false } = {}) {
+  if (!authEnabled(architecture)) return '';
+  const { provider, tokenStorage } = architecture.authentication;
+  // The project's API serves every Custom JWT flow; with NextAuth only
+  // sign-up, password reset and the Credentials check go through it
+  const flows = flowsOf(architecture);
+  const jwt = provider === 'Custom JWT';
+  const endpoints = [
+    [flows.includes('email-password') && (jwt || serverRoute), '`POST /auth/login`', '`{ email, password }`', jwt ? '`{ token?, user }`' : '`{ user }`'],
+    [flows.includes('email-password'), '`POST /auth/signup`', '`{ email, password }`', jwt ? '`{ token?, user }`' : ''],
+    [jwt && oauthProviders(architecture).length > 0, '`GET /auth/oauth/:provider?redirect=<url>`', '', 'redirect to `<url>?auth_token=<jwt>`'],
+    [jwt && flows.includes('magic-link'), '`POST /auth/magic-link`', '`{ email, redirectUrl }`', 'emails `<redirectUrl>?magic_token=<token>`'],
+    [jwt && flows.includes('magic-link'), '`POST /auth/magic-link/verify`', '`{ token }`', '`{ token?, user }`'],
+    [flows.includes('password-reset'), '`POST /auth/password-reset`', '`{ email, redirectUrl }`', ''],
+    [flows.includes('password-reset'), '`POST /auth/password-reset/confirm`', '`{ token, password }`', ''],
+    [jwt, '`GET /auth/me`, `POST /auth/logout`', '', '`{ user }`']
+  ].filter(([applies]) => applies && (jwt || provider === 'NextAuth'));
+  const steps = [
+    ...(provider === 'NextAuth' && serverRoute ? ['Set NEXTAUTH_SECRET (and the OAuth app credentials) in .env'] : SETUP_STEPS[provider] || SETUP_STEPS['Custom JWT']),
+    ...(provider === 'NextAuth' && endpoints.length > 0 ? ['Implement the endpoints below on the API'] : [])
+  ];
+  const apiEndpoints = endpoints.length > 0
+    ? `
+| Endpoint | Body | Response |
+|----------|------|----------|
+${endpoints.map(([, endpoint, body, response]) => `| ${endpoint} | ${body} | ${response} |`).join('\n')}
+`
+    : '';
+
+  return `
+## Authentication Setup
+
+This project uses **${provider}** for authentication. The scaffolding in \`${AUTH_DIR}/\` is generated from templates:
+
+- Flows: ${flowsOf(architecture).join(', ') || 'none'}
+- Token storage: ${tokenStorage} (\`${AUTH_DIR}/storage.ts\`)
+- Protected routes: ${protectedRoutes(architecture).join(', ') || 'none'} (\`${AUTH_DIR}/routes.ts\`); signed-out visitors go to ${loginRoute(architecture)}
+
+${steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}
+${apiEndpoints}`;
+}
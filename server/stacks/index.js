@@ -0,0 +1,44 @@
+import { nextApp } from './next-app.js';
+import { vueVite } from './vue-vite.js';
+import { sveltekit } from './sveltekit.js';
+import { reactVite } from './react-vite.js';
+
+// -----------------------------------------------------------------------------
+// STACK TEMPLATES
+// -----------------------------------------------------------------------------
+// A stack template owns everything framework-specific about a generated project.
+// architecture.techStack.framework selects it (React + Vite when nothing matches):
+//
+//   id, name          identifiers shown in responses and prompts
+//   matches(techStack) true if this template should build the project
+//   env(name)         source expression that reads a public env var, e.g. import.meta.env.VITE_API_URL
+//   envPrefix         prefix for public env vars in .env.example
+//   aliases           import aliases the linker resolves, e.g. { '@/': 'src/' }
+//   typeCheck         false when plain tsc cannot check the project (see server/typecheck.js)
+//   scripts           package.json scripts
+//   testing           { library, extension, devDependencies, config(test), renderHint, storeHint }
+//                     Testing Library flavour and vitest.config.ts for the tests tier (server/testing.js)
+//   dependencies(architecture)  -> { dependencies, devDependencies }
+//   staticFiles(architecture)   -> [{ path, content }] config files, no AI
+//   layout(architecture)        -> { critical, core, supporting, tests? } file specs for prioritizeFiles;
+//                                  tests holds templated tests (the tests tier adds generated ones)
+//   prompts[type](spec, architecture)   -> prompt for an AI-generated file spec
+//   templates[type](spec, architecture) -> content for a deterministic file spec
+//
+// File specs are { type, name, priority, metadata? } where name is the file path.
+// Auth scaffolding (provider client, token storage, route guards) is shared
+// through ./auth.js and always templated.
+
+// Checked in order; React + Vite is the fallback
+export const STACKS = [nextApp, vueVite, sveltekit, reactVite];
+
+export const DEFAULT_STACK = reactVite;
+
+export function getStack(id) {
+  return STACKS.find(stack => stack.id === id) || null;
+}
+
+export function selectStack(architecture) {
+  const techStack = architecture?.techStack || {};
+  return STACKS.find(stack => stack.matches(techStack)) || DEFAULT_STACK;
+}
@@ -0,0 +1,334 @@
+import {
+  routeSegments,
+  authDependencies,
+  reactLibraryDependencies,
+  tailwindDevDependencies,
+  tailwindConfig,
+  postcssConfig,
+  tailwindBaseCss,
+  utilsModule,
+  constantsModule,
+  typesPrompt,
+  apiClientPrompt,
+  propsSummary
+} from './shared.js';
+import { hookModule, storePrompt } from './react-vite.js';
+import {
+  AUTH_USER_SHAPE,
+  authEnabled,
+  authActionSignatures,
+  authLayout,
+  authTestLayout,
+  authTemplates,
+  nextAuthRouteModule,
+  nextProtectedRouteModule,
+  reactAuthContextModule
+} from './auth.js';
+
+// -----------------------------------------------------------------------------
+// STACK: NEXT.JS 14 (APP ROUTER) + TAILWIND
+// -----------------------------------------------------------------------------
+
+const env = (name) => `process.env.NEXT_PUBLIC_${name}`;
+
+const CLIENT_DIRECTIVE = `Start the file with 'use client'; (it runs in the browser)`;
+
+// src/app/tasks/[id]/page.tsx for '/tasks/:id'
+function pagePath(route) {
+  const segments = routeSegments(route);
+  return `src/app/${segments ? `${segments}/` : ''}page.tsx`;
+}
+
+// --- Prompts -------------------------------------------------------------------
+
+// Root Layout
+function rootLayoutPrompt(architecture) {
+  return `Generate src/app/layout.tsx for: ${architecture.projectName} (Next.js 14 App Router)
+
+REQUIREMENTS:
+1. Import './globals.css'
+2. Import { Providers } from './providers'
+3. Export \`metadata: Metadata\` (from 'next') with title "${architecture.projectName}" and a description
+4. Default export RootLayout({ children }: { children: React.ReactNode })
+5. Render <html lang="en"><body> with children wrapped in <Providers>
+6. This is a Server Component: no hooks, no 'use client'
+
+Return ONLY the code. No markdown, no explanations.`;
+}
+
+// Client-side providers mounted by the root layout
+function providersPrompt(architecture) {
+  const wrappers = [
+    architecture.performance.caching.strategy === 'React Query' && 'QueryClientProvider (create the QueryClient with useState so it is stable)',
+    authEnabled(architecture) && "AuthProvider from '@/contexts/AuthContext', with ProtectedRoute from '@/components/ProtectedRoute' inside it (both named exports; ProtectedRoute redirects signed-out visitors of protected routes)"
+  ].filter(Boolean);
+
+  return `Generate src/app/providers.tsx for: ${architecture.projectName} (Next.js 14 App Router)
+
+REQUIREMENTS:
+1. ${CLIENT_DIRECTIVE}
+2. Export a named component Providers({ children }: { children: React.ReactNode })
+3. Wrap children with: ${wrappers.length ? wrappers.join(', ') : 'nothing yet, return <>{children}</>'}
+
+Return ONLY the code. No markdown, no explanations.`;
+}
+
+// Route page
+function pagePrompt(pageMetadata, architecture) {
+  const availableComponents = architecture.components.map(c => c.name);
+
+  return `Generate ${pagePath(pageMetadata.route)} - the ${pageMetadata.name} page (Next.js 14 App Router)
+
+PAGE CONTEXT:
+- Route: ${pageMetadata.route}
+- Description: ${pageMetadata.description}
+- Protected: ${pageMetadata.isProtected}
+- Imports: ${pageMetadata.imports.join(', ')}
+
+PROJECT CONTEXT:
+- Auth: ${architecture.authentication.provider}${authEnabled(architecture) ? `
+- Auth API: useAuth() from '@/contexts/AuthContext' returns { user: ${AUTH_USER_SHAPE} | null, isLoading, isAuthenticated, error, ${authActionSignatures(architecture)} }` : ''}
+- State: ${architecture.stateManagement.approach}
+- Available Components: ${availableComponents.join(', ')}
+
+REQUIREMENTS:
+1. Default export function ${pageMetadata.name}()
+2. Pages are Server Components by default. If the page uses state, effects, event handlers or useAuth, ${CLIENT_DIRECTIVE}
+3. ${pageMetadata.isProtected ? 'ProtectedRoute in providers.tsx already guards this route; use useAuth for the signed-in user' : ''}
+4. Import components as NAMED imports: ${pageMetadata.imports.map(imp => `import { ${imp} } from '@/components/${imp}'`).join('; ')}
+5. Dynamic segments arrive as props: { params }: { params: { [segment]: string } }
+6. Use next/link for navigation, Tailwind CSS for styling, lucide-react for icons
+7. Add loading and error states, responsive layout, ARIA labels
+
+Return ONLY production-ready code. No markdown, no explanations.`;
+}
+
+// Component Generator
+function componentPrompt(componentMetadata) {
+  return `Generate src/components/${componentMetadata.name}.tsx (Next.js 14 App Router)
+
+COMPONENT CONTEXT:
+- Description: ${componentMetadata.description}
+- Type: ${componentMetadata.isAtomic ? 'Atomic (small, reusable)' : 'Complex (feature-rich)'}
+- Category: ${componentMetadata.category}
+- Props: ${propsSummary(componentMetadata)}
+
+REQUIREMENTS:
+1. Create a TypeScript interface for props
+2. If the component uses state, effects or event handlers, ${CLIENT_DIRECTIVE}
+3. ${componentMetadata.category === 'form' ? 'Include form validation, onChange handlers' : ''}
+4. Use Tailwind CSS classes and lucide-react icons if needed
+5. Use next/link for internal links and next/image for images
+6. Make accessible (ARIA labels)
+7. Export as named export: export function ${componentMetadata.name}(...)
+
+Return ONLY the code.`;
+}
+
+// --- Static config -------------------------------------------------------------
+
+const nextConfig = () => `/** @type {import('next').NextConfig} */
+const nextConfig = {
+  reactStrictMode: true,
+};
+
+export default nextConfig;`;
+
+// The test runner needs its own React plugin and the @/ alias (see server/testing.js)
+const vitestConfig = (test) => `import { fileURLToPath, URL } from 'node:url';
+import { defineConfig } from 'vitest/config';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()],
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url)),
+    },
+  },
+  test: ${test},
+});`;
+
+const tsConfig = () => JSON.stringify({
+  "compilerOptions": {
+    "target": "ES2017",
+    "lib": ["dom", "dom.iterable", "esnext"],
+    "allowJs": true,
+    "skipLibCheck": true,
+    "strict": true,
+    "noEmit": true,
+    "esModuleInterop": true,
+    "module": "esnext",
+    "moduleResolution": "bundler",
+    "resolveJsonModule": true,
+    "isolatedModules": true,
+    "jsx": "preserve",
+    "incremental": true,
+    "plugins": [{ "name": "next" }],
+    "paths": { "@/*": ["./src/*"] }
+  },
+  "include": ["next-env.d.ts", "**/*.ts", "**/*.tsx", ".next/types/**/*.ts"],
+  "exclude": ["node_modules"]
+}, null, 2);
+
+const nextEnv = () => `/// <reference types="next" />
+/// <reference types="next/image-types/global" />
+
+// NOTE: This file should not be edited
+// see https://nextjs.org/docs/basic-features/typescript for more information.
+`;
+
+// --- Template ------------------------------------------------------------------
+
+export const nextApp = {
+  id: 'next-app',
+  name: 'Next.js (App Router)',
+  matches: (techStack) => /next/i.test(techStack.framework || ''),
+  env,
+  envPrefix: 'NEXT_PUBLIC_',
+  aliases: { '@/': 'src/' },
+  typeCheck: true,
+  scripts: {
+    "dev": "next dev",
+    "build": "next build",
+    "start": "next start",
+    "lint": "next lint"
+  },
+  testing: {
+    library: '@testing-library/react',
+    extension: '.test.ts',
+    devDependencies: { "@testing-library/react": "^14.2.1", "@vitejs/plugin-react": "^4.2.1" },
+    config: vitestConfig,
+    renderHint: "Mock next/navigation (useRouter, usePathname, useSearchParams, useParams) with vi.mock; render an async server component page with render(await Page({ params: {} }))",
+    storeHint: 'Zustand: call actions through useXStore.getState() and reset with useXStore.setState(initialState, true); Redux Toolkit: test the slice reducer and actions; Jotai: use createStore()'
+  },
+
+  dependencies(architecture) {
+    const deps = {
+      "next": "^14.1.3",
+      "react": "^18.2.0",
+      "react-dom": "^18.2.0",
+      "lucide-react": "^0.344.0",
+      "clsx": "^2.1.0",
+      "tailwind-merge": "^2.2.1",
+      ...reactLibraryDependencies(architecture),
+      ...authDependencies(architecture)
+    };
+
+    if (architecture.authentication.provider === 'NextAuth') {
+      deps['next-auth'] = "^4.24.7";
+    }
+
+    return {
+      dependencies: deps,
+      devDependencies: {
+        "@types/node": "^20.11.24",
+        "@types/react": "^18.2.64",
+        "@types/react-dom": "^18.2.21",
+        "eslint": "^8.57.0",
+        "eslint-config-next": "^14.1.3",
+        ...tailwindDevDependencies,
+        "typescript": "^5.2.2"
+      }
+    };
+  },
+
+  staticFiles: () => [
+    { path: 'next.config.mjs', content: nextConfig() },
+    { path: 'tsconfig.json', content: tsConfig() },
+    { path: 'next-env.d.ts', content: nextEnv() },
+    { path: '.eslintrc.json', content: JSON.stringify({ extends: 'next/core-web-vitals' }, null, 2) },
+    { path: 'tailwind.config.js', content: tailwindConfig(['./src/**/*.{js,ts,jsx,tsx,mdx}']) },
+    { path: 'postcss.config.js', content: postcssConfig() }
+  ],
+
+  layout(architecture) {
+    const files = { critical: [], core: [], supporting: [], tests: [] };
+
+    // CRITICAL: root layout, providers, types, API client
+    files.critical.push(
+      { type: 'root-layout', name: 'src/app/layout.tsx', priority: 1 },
+      { type: 'providers', name: 'src/app/providers.tsx', priority: 1 },
+      { type: 'styles', name: 'src/app/globals.css', priority: 1 },
+      { type: 'types', name: 'src/types/index.ts', priority: 1 },
+      { type: 'api-client', name: 'src/lib/api.ts', priority: 1 }
+    );
+
+    if (authEnabled(architecture)) {
+      files.critical.push(
+        ...authLayout(architecture),
+        { type: 'auth-context', name: 'src/contexts/AuthContext.tsx', priority: 1 },
+        { type: 'protected-route', name: 'src/components/ProtectedRoute.tsx', priority: 1 }
+      );
+      // NextAuth runs inside the app
+      if (architecture.authentication.provider === 'NextAuth') {
+        files.critical.push({ type: 'nextauth-route', name: 'src/app/api/auth/[...nextauth]/route.ts', priority: 1 });
+      }
+      files.tests.push(...authTestLayout(architecture, {
+        template: 'next-protected-route',
+        name: 'src/components/ProtectedRoute.test.tsx',
+        subject: 'src/components/ProtectedRoute.tsx'
+      }));
+    }
+
+    if (architecture.stateManagement.approach !== 'Context API') {
+      architecture.stateManagement.globalStores.forEach(store => {
+        files.critical.push({
+          type: 'store',
+          name: `src/stores/${store.name}.ts`,
+          priority: 1,
+          metadata: store
+        });
+      });
+    }
+
+    // CORE: one page.tsx per route; the first page planned for a route wins
+    const routes = new Set();
+    architecture.pages.forEach(page => {
+      const name = pagePath(page.route);
+      if (routes.has(name)) return;
+      routes.add(name);
+      files.core.push({ type: 'page', name, priority: 2, metadata: page });
+    });
+
+    // SUPPORTING: components, hooks, utilities (a planned ProtectedRoute is the templated one)
+    architecture.components.filter(component => !(authEnabled(architecture) && component.name === 'ProtectedRoute')).forEach(component => {
+      files.supporting.push({
+        type: 'component',
+        name: `src/components/${component.name}.tsx`,
+        priority: component.isAtomic ? 3 : 2,
+        metadata: component
+      });
+    });
+
+    files.supporting.push(
+      { type: 'hook', name: 'src/hooks/useLocalStorage.ts', priority: 3 },
+      { type: 'hook', name: 'src/hooks/useDebounce.ts', priority: 3 },
+      { type: 'utils', name: 'src/lib/utils.ts', priority: 3 },
+      { type: 'constants', name: 'src/lib/constants.ts', priority: 3 }
+    );
+
+    return files;
+  },
+
+  prompts: {
+    'root-layout': (spec, architecture) => rootLayoutPrompt(architecture),
+    'providers': (spec, architecture) => providersPrompt(architecture),
+    'types': (spec, architecture) => typesPrompt(spec.name, architecture),
+    'api-client': (spec, architecture) => apiClientPrompt(spec.name, architecture, env),
+    'store': (spec, architecture) => storePrompt(spec.metadata, architecture),
+    'page': (spec, architecture) => pagePrompt(spec.metadata, architecture),
+    'component': (spec) => componentPrompt(spec.metadata)
+  },
+
+  templates: {
+    'hook': (spec) => hookModule(spec.name),
+    'utils': () => utilsModule(),
+    'constants': () => constantsModule(env),
+    'styles': () => tailwindBaseCss(),
+    'auth-context': (spec, architecture) => reactAuthContextModule(architecture, { clientImport: '@/lib/auth/client', directive: "'use client';" }),
+    'protected-route': () => nextProtectedRouteModule(),
+    'nextauth-route': (spec, architecture) => nextAuthRouteModule(architecture),
+    ...authTemplates(env, { sameOrigin: true })
+  }
+};
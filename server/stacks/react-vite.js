@@ -0,0 +1,572 @@
+import {
+  authDependencies,
+  reactLibraryDependencies,
+  tailwindDevDependencies,
+  tailwindConfig,
+  postcssConfig,
+  utilsModule,
+  constantsModule,
+  typesPrompt,
+  apiClientPrompt
+} from './shared.js';
+import {
+  AUTH_USER_SHAPE,
+  authEnabled,
+  authActionSignatures,
+  authLayout,
+  authTestLayout,
+  authTemplates,
+  reactAuthContextModule,
+  reactRouterProtectedRouteModule
+} from './auth.js';
+
+// -----------------------------------------------------------------------------
+// STACK: REACT 18 + VITE + TAILWIND (default)
+// -----------------------------------------------------------------------------
+
+const env = (name) => `import.meta.env.VITE_${name}`;
+
+// --- Prompts -------------------------------------------------------------------
+
+// Main Entry Point
+function mainPrompt(architecture) {
+  return `Generate src/main.tsx for a React + TypeScript project.
+
+REQUIREMENTS:
+1. Import React, ReactDOM
+2. Import App from './App'
+3. Import './index.css'
+4. ${architecture.performance.caching.strategy === 'React Query' ? 'Wrap with QueryClientProvider' : ''}
+5. ${authEnabled(architecture) ? "Wrap App with AuthProvider from './contexts/AuthContext'" : ''}
+6. Use React.StrictMode
+7. Render to #root element
+
+Return ONLY the code. No markdown, no explanations.`;
+}
+
+// App Router
+function appPrompt(architecture) {
+  const pages = architecture.pages.map(p => ({
+    name: p.name,
+    route: p.route,
+    isProtected: p.isProtected,
+    lazyLoad: p.lazyLoad
+  }));
+
+  return `Generate src/App.tsx for: ${architecture.projectName}
+
+CONTEXT:
+- Authentication: ${architecture.authentication.provider}
+- Protected Routes: ${architecture.authentication.protectedRoutes.join(', ')}
+- Pages: ${JSON.stringify(pages)}
+
+REQUIREMENTS:
+1. Import BrowserRouter, Routes, Route from 'react-router-dom'
+2. Import all pages: ${pages.map(p => `import ${p.name} from './pages/${p.name}'`).join('; ')}
+3. ${authEnabled(architecture) ? "Wrap <Routes> with <ProtectedRoute> (import { ProtectedRoute } from './components/ProtectedRoute') inside BrowserRouter; it already redirects signed-out visitors of protected routes, so add no other guard" : ''}
+4. ${pages.some(p => p.lazyLoad) ? 'Use React.lazy() for heavy pages' : ''}
+5. Add Suspense fallback for lazy routes
+6. Return Router with all routes
+
+STRUCTURE:
+\`\`\`tsx
+import { BrowserRouter, Routes, Route } from 'react-router-dom';
+${pages.some(p => p.lazyLoad) ? "import { Suspense, lazy } from 'react';" : ''}
+// ... page imports
+
+function App() {
+  return (
+    <BrowserRouter>
+      <Routes>
+        <Route path="/" element={<HomePage />} />
+        {/* Add all routes */}
+      </Routes>
+    </BrowserRouter>
+  );
+}
+
+export default App;
+\`\`\`
+
+Return ONLY the complete code. No markdown fences.`;
+}
+
+// State Store (Zustand example)
+export function storePrompt(storeMetadata, architecture) {
+  return `Generate ${storeMetadata.name}.ts for Zustand store
+
+STORE PURPOSE: ${storeMetadata.purpose}
+STATE SHAPE: ${storeMetadata.stateShape.join(', ')}
+
+REQUIREMENTS:
+1. Import { create } from 'zustand'
+2. Define TypeScript interface for state
+3. Create store with create<T>()
+4. Include actions (getters/setters)
+5. Add persist middleware if needed
+6. Export useStore hook
+
+EXAMPLE:
+\`\`\`typescript
+import { create } from 'zustand';
+
+interface ${storeMetadata.name.replace('Store', '')}State {
+  ${storeMetadata.stateShape.map(s => `${s}: any;`).join('\n  ')}
+}
+
+export const use${storeMetadata.name.replace('Store', '')}Store = create<${storeMetadata.name.replace('Store', '')}State>((set) => ({
+  // Initial state
+  // Actions
+}));
+\`\`\`
+
+Return ONLY the code.`;
+}
+
+// Page Component
+function pagePrompt(pageMetadata, architecture) {
+  const availableComponents = architecture.components.map(c => c.name);
+
+  return `Generate src/pages/${pageMetadata.name}.tsx
+
+PAGE CONTEXT:
+- Route: ${pageMetadata.route}
+- Description: ${pageMetadata.description}
+- Protected: ${pageMetadata.isProtected}
+- Imports: ${pageMetadata.imports.join(', ')}
+
+PROJECT CONTEXT:
+- Auth: ${architecture.authentication.provider}${authEnabled(architecture) ? `
+- Auth API: useAuth() from '../contexts/AuthContext' returns { user: ${AUTH_USER_SHAPE} | null, isLoading, isAuthenticated, error, ${authActionSignatures(architecture)} }` : ''}
+- State: ${architecture.stateManagement.approach}
+- Available Components: ${availableComponents.join(', ')}
+
+REQUIREMENTS:
+1. Import React, necessary hooks
+2. ${pageMetadata.isProtected ? 'ProtectedRoute already guards this route; use useAuth for the signed-in user' : ''}
+3. Import components as NAMED imports (components use named exports): ${pageMetadata.imports.join(', ')}
+4. Use Tailwind CSS for styling
+5. Use lucide-react for icons
+6. Add loading state, error handling
+7. Make responsive (mobile-first)
+8. Add ARIA labels for accessibility
+9. Return functional component
+10. Export as default
+
+STRUCTURE:
+\`\`\`typescript
+import { useState, useEffect } from 'react';
+${pageMetadata.imports.map(imp => `import { ${imp} } from '../components/${imp}';`).join('\n')}
+
+export default function ${pageMetadata.name}() {
+  const [isLoading, setIsLoading] = useState(true);
+  
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <h1 className="text-3xl font-bold mb-6">{/* Title */}</h1>
+      {/* Content */}
+    </div>
+  );
+}
+\`\`\`
+
+Return ONLY production-ready code. No markdown, no explanations.`;
+}
+
+// Component Generator
+function componentPrompt(componentMetadata, architecture) {
+  const propsInfo = componentMetadata.props?.map(p => `${p.name}: ${p.type}${p.required ? '' : '?'}`).join('; ') || 'No props';
+
+  return `Generate src/components/${componentMetadata.name}.tsx
+
+COMPONENT CONTEXT:
+- Description: ${componentMetadata.description}
+- Type: ${componentMetadata.isAtomic ? 'Atomic (small, reusable)' : 'Complex (feature-rich)'}
+- Category: ${componentMetadata.category}
+- Props: ${propsInfo}
+
+REQUIREMENTS:
+1. Create TypeScript interface for props
+2. Use React.FC or function component
+3. ${componentMetadata.category === 'form' ? 'Include form validation, onChange handlers' : ''}
+4. ${componentMetadata.category === 'display' ? 'Focus on visual presentation' : ''}
+5. Use Tailwind CSS classes
+6. Use lucide-react icons if needed
+7. Add proper TypeScript types
+8. Include error states if applicable
+9. Make accessible (ARIA labels)
+10. Export as named export
+
+${componentMetadata.isAtomic ? `
+ATOMIC COMPONENT EXAMPLE:
+\`\`\`typescript
+interface ButtonProps {
+  children: React.ReactNode;
+  onClick?: () => void;
+  variant?: 'primary' | 'secondary';
+}
+
+export function Button({ children, onClick, variant = 'primary' }: ButtonProps) {
+  return (
+    <button
+      onClick={onClick}
+      className={\`px-4 py-2 rounded \${variant === 'primary' ? 'bg-blue-500 text-white' : 'bg-gray-200'}\`}
+    >
+      {children}
+    </button>
+  );
+}
+\`\`\`
+` : `
+COMPLEX COMPONENT EXAMPLE:
+\`\`\`typescript
+interface CardProps {
+  title: string;
+  description: string;
+  onAction?: () => void;
+}
+
+export function Card({ title, description, onAction }: CardProps) {
+  return (
+    <div className="p-6 bg-white rounded-lg shadow-md">
+      <h3 className="text-xl font-bold mb-2">{title}</h3>
+      <p className="text-gray-600 mb-4">{description}</p>
+      {onAction && <button onClick={onAction}>Action</button>}
+    </div>
+  );
+}
+\`\`\`
+`}
+
+Return ONLY the code.`;
+}
+
+// --- Deterministic files ---------------------------------------------------------
+
+export function hookModule(hookPath) {
+  const hookName = hookPath.split('/').pop().replace('.ts', '');
+
+  if (hookName === 'useLocalStorage') {
+    return `import { useState } from 'react';
+
+export function useLocalStorage<T>(key: string, initialValue: T) {
+  const [storedValue, setStoredValue] = useState<T>(() => {
+    try {
+      const item = window.localStorage.getItem(key);
+      return item ? JSON.parse(item) : initialValue;
+    } catch (error) {
+      console.error(error);
+      return initialValue;
+    }
+  });
+
+  const setValue = (value: T | ((previous: T) => T)) => {
+    try {
+      const valueToStore = value instanceof Function ? value(storedValue) : value;
+      setStoredValue(valueToStore);
+      window.localStorage.setItem(key, JSON.stringify(valueToStore));
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  return [storedValue, setValue] as const;
+}`;
+  }
+
+  if (hookName === 'useDebounce') {
+    return `import { useState, useEffect } from 'react';
+
+export function useDebounce<T>(value: T, delay = 500): T {
+  const [debouncedValue, setDebouncedValue] = useState<T>(value);
+
+  useEffect(() => {
+    const handler = setTimeout(() => {
+      setDebouncedValue(value);
+    }, delay);
+
+    return () => {
+      clearTimeout(handler);
+    };
+  }, [value, delay]);
+
+  return debouncedValue;
+}`;
+  }
+
+  return `// Custom hook: ${hookName}\nexport function ${hookName}() {\n  return null;\n}`;
+}
+
+function stylesheet() {
+  return `@tailwind base;
+@tailwind components;
+@tailwind utilities;
+
+@layer base {
+  :root {
+    --background: 0 0% 100%;
+    --foreground: 222.2 84% 4.9%;
+    --primary: 221.2 83.2% 53.3%;
+    --primary-foreground: 210 40% 98%;
+  }
+  
+  .dark {
+    --background: 222.2 84% 4.9%;
+    --foreground: 210 40% 98%;
+  }
+}
+
+@layer base {
+  * {
+    @apply border-border;
+  }
+  body {
+    @apply bg-background text-foreground;
+  }
+}
+
+/* Custom Scrollbar */
+::-webkit-scrollbar {
+  width: 8px;
+  height: 8px;
+}
+
+::-webkit-scrollbar-track {
+  @apply bg-gray-100 dark:bg-gray-900;
+}
+
+::-webkit-scrollbar-thumb {
+  @apply bg-gray-300 dark:bg-gray-700 rounded-md;
+}
+
+::-webkit-scrollbar-thumb:hover {
+  @apply bg-gray-400 dark:bg-gray-600;
+}`;
+}
+
+// --- Static config -------------------------------------------------------------
+
+const viteConfig = () => `import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// https://vitejs.dev/config/
+export default defineConfig({
+  plugins: [react()],
+})`;
+
+// Vite's own config plus the test runner (see server/testing.js)
+const vitestConfig = (test) => `import { defineConfig, mergeConfig } from 'vitest/config'
+import viteConfig from './vite.config'
+
+export default mergeConfig(viteConfig, defineConfig({
+  test: ${test},
+}))`;
+
+const tsConfig = () => JSON.stringify({
+  "compilerOptions": {
+    "target": "ES2020",
+    "useDefineForClassFields": true,
+    "lib": ["ES2020", "DOM", "DOM.Iterable"],
+    "module": "ESNext",
+    "skipLibCheck": true,
+    "moduleResolution": "bundler",
+    "allowImportingTsExtensions": true,
+    "resolveJsonModule": true,
+    "isolatedModules": true,
+    "noEmit": true,
+    "jsx": "react-jsx",
+    "strict": true,
+    "noUnusedLocals": true,
+    "noUnusedParameters": true,
+    "noFallthroughCasesInSwitch": true
+  },
+  "include": ["src"],
+  "references": [{ "path": "./tsconfig.node.json" }]
+}, null, 2);
+
+const tsConfigNode = () => JSON.stringify({
+  "compilerOptions": {
+    "composite": true,
+    "skipLibCheck": true,
+    "module": "ESNext",
+    "moduleResolution": "bundler",
+    "allowSyntheticDefaultImports": true
+  },
+  "include": ["vite.config.ts"]
+}, null, 2);
+
+const indexHtml = (arch) => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <link rel="icon" type="image/svg+xml" href="/vite.svg" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${arch.projectName}</title>
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="/src/main.tsx"></script>
+  </body>
+</html>`;
+
+// --- Template ------------------------------------------------------------------
+
+export const reactVite = {
+  id: 'react-vite',
+  name: 'React + Vite',
+  matches: (techStack) => /react/i.test(techStack.framework || ''),
+  env,
+  envPrefix: 'VITE_',
+  aliases: {},
+  typeCheck: true,
+  scripts: {
+    "dev": "vite",
+    "build": "tsc && vite build",
+    "lint": "eslint . --ext ts,tsx --report-unused-disable-directives --max-warnings 0",
+    "preview": "vite preview"
+  },
+  testing: {
+    library: '@testing-library/react',
+    extension: '.test.ts',
+    devDependencies: { "@testing-library/react": "^14.2.1" },
+    config: vitestConfig,
+    renderHint: 'Wrap pages in <MemoryRouter> from react-router-dom, with initialEntries set to the route',
+    storeHint: 'Zustand: call actions through useXStore.getState() and reset with useXStore.setState(initialState, true); Redux Toolkit: test the slice reducer and actions; Jotai: use createStore()'
+  },
+
+  dependencies(architecture) {
+    const deps = {
+      "react": "^18.2.0",
+      "react-dom": "^18.2.0",
+      "react-router-dom": "^6.22.3",
+      "lucide-react": "^0.344.0",
+      "clsx": "^2.1.0",
+      "tailwind-merge": "^2.2.1",
+      ...reactLibraryDependencies(architecture),
+      ...authDependencies(architecture)
+    };
+
+    return {
+      dependencies: deps,
+      devDependencies: {
+        "@types/react": "^18.2.64",
+        "@types/react-dom": "^18.2.21",
+        "@vitejs/plugin-react": "^4.2.1",
+        ...tailwindDevDependencies,
+        "typescript": "^5.2.2",
+        "vite": "^5.1.4"
+      }
+    };
+  },
+
+  staticFiles(architecture) {
+    return [
+      { path: 'vite.config.ts', content: viteConfig() },
+      { path: 'tsconfig.json', content: tsConfig() },
+      { path: 'tsconfig.node.json', content: tsConfigNode() },
+      { path: 'tailwind.config.js', content: tailwindConfig(['./index.html', './src/**/*.{js,ts,jsx,tsx}']) },
+      { path: 'postcss.config.js', content: postcssConfig() },
+      { path: 'index.html', content: indexHtml(architecture) },
+      { path: 'src/vite-env.d.ts', content: '/// <reference types="vite/client" />\n' }
+    ];
+  },
+
+  layout(architecture) {
+    const files = {
+      critical: [],    // Infrastructure: App, main, types, API client
+      core: [],        // Pages and key components
+      supporting: [],  // Utility components, hooks, contexts
+      tests: []        // Templated tests; the generated suite adds the rest
+    };
+
+    // CRITICAL: Infrastructure (must work for app to run)
+    files.critical.push(
+      { type: 'main', name: 'src/main.tsx', priority: 1 },
+      { type: 'app', name: 'src/App.tsx', priority: 1 },
+      { type: 'types', name: 'src/types/index.ts', priority: 1 },
+      { type: 'api-client', name: 'src/lib/api.ts', priority: 1 },
+      { type: 'styles', name: 'src/index.css', priority: 1 }
+    );
+
+    // Add auth scaffolding if authentication is enabled
+    if (authEnabled(architecture)) {
+      files.critical.push(
+        ...authLayout(architecture),
+        { type: 'auth-context', name: 'src/contexts/AuthContext.tsx', priority: 1 },
+        { type: 'protected-route', name: 'src/components/ProtectedRoute.tsx', priority: 1 }
+      );
+      files.tests.push(...authTestLayout(architecture, {
+        template: 'react-router-protected-route',
+        name: 'src/components/ProtectedRoute.test.tsx',
+        subject: 'src/components/ProtectedRoute.tsx'
+      }));
+    }
+
+    // Add state stores based on strategy
+    if (architecture.stateManagement.approach !== 'Context API') {
+      architecture.stateManagement.globalStores.forEach(store => {
+        files.critical.push({
+          type: 'store',
+          name: `src/stores/${store.name}.ts`,
+          priority: 1,
+          metadata: store
+        });
+      });
+    }
+
+    // CORE: Pages (main user-facing routes)
+    architecture.pages.forEach(page => {
+      files.core.push({
+        type: 'page',
+        name: `src/pages/${page.name}.tsx`,
+        priority: 2,
+        metadata: page
+      });
+    });
+
+    // SUPPORTING: Components (a planned ProtectedRoute is the templated one)
+    architecture.components.filter(component => !(authEnabled(architecture) && component.name === 'ProtectedRoute')).forEach(component => {
+      const priority = component.isAtomic ? 3 : 2; // Atomic components lower priority
+      files.supporting.push({
+        type: 'component',
+        name: `src/components/${component.name}.tsx`,
+        priority,
+        metadata: component
+      });
+    });
+
+    // Add custom hooks
+    files.supporting.push(
+      { type: 'hook', name: 'src/hooks/useLocalStorage.ts', priority: 3 },
+      { type: 'hook', name: 'src/hooks/useDebounce.ts', priority: 3 }
+    );
+
+    // Add utilities
+    files.supporting.push(
+      { type: 'utils', name: 'src/lib/utils.ts', priority: 3 },
+      { type: 'constants', name: 'src/lib/constants.ts', priority: 3 }
+    );
+
+    return files;
+  },
+
+  prompts: {
+    'main': (spec, architecture) => mainPrompt(architecture),
+    'app': (spec, architecture) => appPrompt(architecture),
+    'types': (spec, architecture) => typesPrompt(spec.name, architecture),
+    'api-client': (spec, architecture) => apiClientPrompt(spec.name, architecture, env),
+    'store': (spec, architecture) => storePrompt(spec.metadata, architecture),
+    'page': (spec, architecture) => pagePrompt(spec.metadata, architecture),
+    'component': (spec, architecture) => componentPrompt(spec.metadata, architecture)
+  },
+
+  templates: {
+    'hook': (spec) => hookModule(spec.name),
+    'utils': () => utilsModule(),
+    'constants': () => constantsModule(env),
+    'styles': () => stylesheet(),
+    'auth-context': (spec, architecture) => reactAuthContextModule(architecture, { clientImport: '../lib/auth/client' }),
+    'protected-route': () => reactRouterProtectedRouteModule(),
+    ...authTemplates(env)
+  }
+};
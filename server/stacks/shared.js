@@ -0,0 +1,218 @@
+import { authEnabled, authImportPath } from './auth.js';
+
+// -----------------------------------------------------------------------------
+// SHARED STACK PIECES
+// -----------------------------------------------------------------------------
+// Building blocks that are the same for every stack template, or differ only
+// by a parameter (file path, how env vars are read).
+
+export const projectSlug = (name) => String(name).toLowerCase().replace(/\s+/g, '-');
+
+/**
+ * '/' -> '', '/tasks/:id' -> 'tasks/[id]' (file-system routers use [param])
+ */
+export function routeSegments(route) {
+  return String(route || '/')
+    .split('/')
+    .filter(Boolean)
+    .map(segment => segment.startsWith(':') ? `[${segment.slice(1)}]` : segment)
+    .join('/');
+}
+
+// Framework-independent feature packages
+export function authDependencies(architecture) {
+  const provider = architecture.authentication.provider;
+  if (provider === 'Supabase') return { '@supabase/supabase-js': "^2.39.7" };
+  if (provider === 'Firebase') return { firebase: "^10.7.2" };
+  if (provider === 'Auth0') return { '@auth0/auth0-spa-js': "^2.1.3" };
+  if (provider === 'Clerk') return { '@clerk/clerk-js': "^4.73.14" };
+  return {};
+}
+
+// State and data-fetching libraries for React-based stacks
+export function reactLibraryDependencies(architecture) {
+  const deps = {};
+
+  // Add state management
+  if (architecture.stateManagement.approach === 'Zustand') {
+    deps.zustand = "^4.5.0";
+  } else if (architecture.stateManagement.approach === 'Redux Toolkit') {
+    deps['@reduxjs/toolkit'] = "^2.0.0";
+    deps['react-redux'] = "^9.0.0";
+  } else if (architecture.stateManagement.approach === 'Jotai') {
+    deps.jotai = "^2.6.0";
+  }
+
+  // Add data fetching
+  if (architecture.performance.caching.strategy === 'React Query') {
+    deps['@tanstack/react-query'] = "^5.17.0";
+  } else if (architecture.performance.caching.strategy === 'SWR') {
+    deps.swr = "^2.2.4";
+  }
+
+  return deps;
+}
+
+export const tailwindDevDependencies = {
+  "autoprefixer": "^10.4.18",
+  "postcss": "^8.4.35",
+  "tailwindcss": "^3.4.1"
+};
+
+export const tailwindConfig = (content) => `/** @type {import('tailwindcss').Config} */
+export default {
+  content: [
+${content.map(glob => `    "${glob}",`).join('\n')}
+  ],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+}`;
+
+export const postcssConfig = () => `export default {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {},
+  },
+}`;
+
+export const tailwindBaseCss = () => `@tailwind base;
+@tailwind components;
+@tailwind utilities;
+`;
+
+export function utilsModule() {
+  return `import { clsx, type ClassValue } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+
+/**
+ * Merge Tailwind CSS classes with clsx
+ */
+export function cn(...inputs: ClassValue[]) {
+  return twMerge(clsx(inputs));
+}
+
+/**
+ * Format date to readable string
+ */
+export function formatDate(date: string | number | Date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+/**
+ * Truncate text with ellipsis
+ */
+export function truncate(text: string, length: number) {
+  if (text.length <= length) return text;
+  return text.slice(0, length) + '...';
+}
+
+/**
+ * Sleep utility for delays
+ */
+export function sleep(ms: number) {
+  return new Promise<void>(resolve => setTimeout(resolve, ms));
+}`;
+}
+
+// `env` turns a variable name into the stack's expression for reading it
+export function constantsModule(env) {
+  return `export const APP_NAME = ${env('APP_NAME')} || 'My App';
+export const API_URL = ${env('API_URL')} || 'http://localhost:3000';
+export const APP_VERSION = '1.0.0';
+
+export const ROUTES = {
+  HOME: '/',
+  LOGIN: '/login',
+  DASHBOARD: '/dashboard',
+  SETTINGS: '/settings',
+};
+
+export const STORAGE_KEYS = {
+  TOKEN: 'auth_token',
+  USER: 'user_data',
+  THEME: 'theme',
+};`;
+}
+
+// --- Prompt fragments -----------------------------------------------------------
+
+export function typesPrompt(filePath, architecture) {
+  const tables = architecture.databaseSchema.map(t => t.table);
+
+  return `Generate ${filePath} for: ${architecture.projectName}
+
+DATABASE TABLES: ${tables.join(', ')}
+
+REQUIREMENTS:
+1. Create TypeScript interfaces for each database table
+2. Include all columns from schema: ${JSON.stringify(architecture.databaseSchema)}
+3. Add common utility types: ApiResponse<T>, PaginatedResponse<T>
+4. Add auth types: User, Session, AuthState
+5. Export all types
+
+EXAMPLE:
+\`\`\`typescript
+export interface User {
+  id: string;
+  email: string;
+  created_at: string;
+}
+
+export interface ApiResponse<T> {
+  data: T;
+  error?: string;
+}
+\`\`\`
+
+Return ONLY the code.`;
+}
+
+export function apiClientPrompt(filePath, architecture, env) {
+  const endpoints = architecture.apiEndpoints.slice(0, 10); // Limit to prevent token overflow
+
+  return `Generate ${filePath} - API client for: ${architecture.projectName}
+
+API ENDPOINTS:
+${JSON.stringify(endpoints, null, 2)}
+
+AUTH: ${architecture.authentication.provider}
+TOKEN STORAGE: ${architecture.authentication.tokenStorage}
+
+REQUIREMENTS:
+1. Create base API URL constant
+2. ${authEnabled(architecture) ? `Create fetch wrapper that sends \`Authorization: Bearer <token>\` when \`await auth.getToken()\` (import { auth } from '${authImportPath(filePath, 'client')}') is not null` : 'Create fetch wrapper with auth headers'}
+3. Create typed functions for each endpoint
+4. Handle errors gracefully
+5. ${authEnabled(architecture) ? 'The auth client stores and refreshes tokens; never store them yourself' : 'Include token refresh logic if using JWT'}
+6. Export all API functions
+
+EXAMPLE STRUCTURE:
+\`\`\`typescript
+const API_URL = ${env('API_URL')} || 'http://localhost:3000';
+
+async function apiRequest<T>(endpoint: string, options?: RequestInit): Promise<T> {
+  // Add auth headers
+  // Make request
+  // Handle errors
+}
+
+export const api = {
+  users: {
+    getAll: () => apiRequest<User[]>('/api/users'),
+    getById: (id: string) => apiRequest<User>(\`/api/users/\${id}\`)
+  }
+};
+\`\`\`
+
+Return ONLY the code.`;
+}
+
+export function propsSummary(componentMetadata) {
+  return componentMetadata.props?.map(p => `${p.name}: ${p.type}${p.required ? '' : '?'}`).join('; ') || 'No props';
+}
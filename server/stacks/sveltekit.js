@@ -0,0 +1,331 @@
+import {
+  routeSegments,
+  authDependencies,
+  tailwindDevDependencies,
+  tailwindConfig,
+  postcssConfig,
+  tailwindBaseCss,
+  utilsModule,
+  constantsModule,
+  typesPrompt,
+  apiClientPrompt,
+  propsSummary
+} from './shared.js';
+import {
+  AUTH_USER_SHAPE,
+  authEnabled,
+  authActionSignatures,
+  authLayout,
+  authTestLayout,
+  authTemplates,
+  svelteAuthStoreModule,
+  svelteProtectedRouteModule
+} from './auth.js';
+
+// -----------------------------------------------------------------------------
+// STACK: SVELTEKIT 2 + TAILWIND
+// -----------------------------------------------------------------------------
+// Not type-checked on the server: the project's tsconfig extends the one
+// `svelte-kit sync` writes to .svelte-kit/, and .svelte files need
+// svelte-check. Generated projects run `npm run check` themselves.
+
+const env = (name) => `import.meta.env.VITE_${name}`;
+
+const SVELTE_RULES = `Use Svelte 4 with <script lang="ts">. Style with Tailwind CSS classes; use lucide-svelte for icons.`;
+
+const storeName = (store) => store.name.replace(/Store$/, '');
+
+// src/routes/tasks/[id]/+page.svelte for '/tasks/:id'
+function pagePath(route) {
+  const segments = routeSegments(route);
+  return `src/routes/${segments ? `${segments}/` : ''}+page.svelte`;
+}
+
+// --- Prompts -------------------------------------------------------------------
+
+// Root layout
+function rootLayoutPrompt(architecture) {
+  return `Generate src/routes/+layout.svelte for: ${architecture.projectName} (SvelteKit 2)
+
+REQUIREMENTS:
+1. ${SVELTE_RULES}
+2. Import '../app.css'
+3. Render a header with links to: ${architecture.pages.filter(p => !p.route.includes(':')).map(p => `${p.name} (${p.route})`).join(', ')}
+4. ${architecture.performance.caching.strategy === 'React Query' ? "Wrap the page in QueryClientProvider from '@tanstack/svelte-query'" : ''}
+5. Render <slot /> as the main content${authEnabled(architecture) ? ", wrapped in <ProtectedRoute> (import ProtectedRoute from '$lib/components/ProtectedRoute.svelte'); it redirects signed-out visitors of protected routes" : ''}
+
+Return ONLY the code. No markdown, no explanations.`;
+}
+
+// Svelte store
+function storePrompt(storeMetadata) {
+  return `Generate src/lib/stores/${storeMetadata.name}.ts
+
+STORE PURPOSE: ${storeMetadata.purpose}
+STATE SHAPE: ${storeMetadata.stateShape.join(', ')}
+
+REQUIREMENTS:
+1. Use writable from 'svelte/store' with a typed state interface
+2. Export const ${storeName(storeMetadata).charAt(0).toLowerCase() + storeName(storeMetadata).slice(1)}Store with the store's subscribe plus action functions
+
+Return ONLY the code.`;
+}
+
+// Route page
+function pagePrompt(pageMetadata, architecture) {
+  return `Generate ${pagePath(pageMetadata.route)} - the ${pageMetadata.name} page (SvelteKit 2)
+
+PAGE CONTEXT:
+- Route: ${pageMetadata.route}
+- Description: ${pageMetadata.description}
+- Protected: ${pageMetadata.isProtected}
+- Imports: ${pageMetadata.imports.join(', ')}
+
+PROJECT CONTEXT:
+- Auth: ${architecture.authentication.provider}${authEnabled(architecture) ? `
+- Auth API: '$lib/stores/auth' exports the stores user (${AUTH_USER_SHAPE} | null), loading, error, isAuthenticated and the functions ${authActionSignatures(architecture)}` : ''}
+- Available Components: ${architecture.components.map(c => c.name).join(', ')}
+
+REQUIREMENTS:
+1. ${SVELTE_RULES}
+2. Import components: ${pageMetadata.imports.map(imp => `import ${imp} from '$lib/components/${imp}.svelte'`).join('; ')}
+3. Read route params from $page.params ('$app/stores')
+4. ${pageMetadata.isProtected ? "ProtectedRoute in the root layout already guards this route; read the signed-in user from '$lib/stores/auth'" : ''}
+5. Add loading and error states, responsive layout, ARIA labels
+
+Return ONLY production-ready code. No markdown, no explanations.`;
+}
+
+// Component Generator
+function componentPrompt(componentMetadata) {
+  return `Generate src/lib/components/${componentMetadata.name}.svelte
+
+COMPONENT CONTEXT:
+- Description: ${componentMetadata.description}
+- Type: ${componentMetadata.isAtomic ? 'Atomic (small, reusable)' : 'Complex (feature-rich)'}
+- Category: ${componentMetadata.category}
+- Props: ${propsSummary(componentMetadata)}
+
+REQUIREMENTS:
+1. ${SVELTE_RULES}
+2. Declare props with typed \`export let\`; dispatch events with createEventDispatcher
+3. ${componentMetadata.category === 'form' ? 'Include form validation and bind:value inputs' : ''}
+4. Make accessible (ARIA labels)
+
+Return ONLY the code.`;
+}
+
+// --- Static config -------------------------------------------------------------
+
+const svelteConfig = () => `import adapter from '@sveltejs/adapter-auto';
+import { vitePreprocess } from '@sveltejs/vite-plugin-svelte';
+
+/** @type {import('@sveltejs/kit').Config} */
+const config = {
+  preprocess: vitePreprocess(),
+  kit: {
+    adapter: adapter()
+  }
+};
+
+export default config;`;
+
+const viteConfig = () => `import { sveltekit } from '@sveltejs/kit/vite';
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+  plugins: [sveltekit()]
+});`;
+
+// Components are mounted in jsdom, so Svelte must resolve its browser build (see server/testing.js)
+const vitestConfig = (test) => `import { sveltekit } from '@sveltejs/kit/vite';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  plugins: [sveltekit()],
+  resolve: {
+    conditions: ['browser']
+  },
+  test: ${test}
+});`;
+
+const tsConfig = () => JSON.stringify({
+  "extends": "./.svelte-kit/tsconfig.json",
+  "compilerOptions": {
+    "allowJs": true,
+    "checkJs": true,
+    "esModuleInterop": true,
+    "forceConsistentCasingInFileNames": true,
+    "resolveJsonModule": true,
+    "skipLibCheck": true,
+    "sourceMap": true,
+    "strict": true,
+    "moduleResolution": "bundler"
+  }
+}, null, 2);
+
+const appHtml = () => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <link rel="icon" href="%sveltekit.assets%/favicon.png" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    %sveltekit.head%
+  </head>
+  <body data-sveltekit-preload-data="hover">
+    <div style="display: contents">%sveltekit.body%</div>
+  </body>
+</html>`;
+
+const appTypes = () => `// See https://kit.svelte.dev/docs/types#app
+// for information about these interfaces
+declare global {
+  namespace App {
+    // interface Error {}
+    // interface Locals {}
+    // interface PageData {}
+    // interface PageState {}
+    // interface Platform {}
+  }
+}
+
+export {};
+`;
+
+// --- Template ------------------------------------------------------------------
+
+export const sveltekit = {
+  id: 'sveltekit',
+  name: 'SvelteKit',
+  matches: (techStack) => /svelte/i.test(techStack.framework || ''),
+  env,
+  envPrefix: 'VITE_',
+  aliases: { '$lib/': 'src/lib/' },
+  typeCheck: false,
+  scripts: {
+    "dev": "vite dev",
+    "build": "vite build",
+    "preview": "vite preview",
+    "check": "svelte-kit sync && svelte-check --tsconfig ./tsconfig.json"
+  },
+  testing: {
+    library: '@testing-library/svelte',
+    extension: '.test.ts',
+    devDependencies: { "@testing-library/svelte": "^4.1.0" },
+    config: vitestConfig,
+    renderHint: "Render with render(Component, { props }) (pages get their load result as the data prop) and mock $app/navigation and $app/stores with vi.mock when the file imports them",
+    storeHint: "Read values with get(store) from 'svelte/store' and call the exported functions that update it"
+  },
+
+  dependencies(architecture) {
+    const deps = {
+      "lucide-svelte": "^0.344.0",
+      "clsx": "^2.1.0",
+      "tailwind-merge": "^2.2.1",
+      ...authDependencies(architecture)
+    };
+
+    if (architecture.performance.caching.strategy === 'React Query') {
+      deps['@tanstack/svelte-query'] = "^5.17.0";
+    }
+
+    return {
+      dependencies: deps,
+      devDependencies: {
+        "@sveltejs/adapter-auto": "^3.1.1",
+        "@sveltejs/kit": "^2.5.2",
+        "@sveltejs/vite-plugin-svelte": "^3.0.2",
+        "svelte": "^4.2.12",
+        "svelte-check": "^3.6.6",
+        ...tailwindDevDependencies,
+        "tslib": "^2.6.2",
+        "typescript": "^5.2.2",
+        "vite": "^5.1.4"
+      }
+    };
+  },
+
+  staticFiles: () => [
+    { path: 'svelte.config.js', content: svelteConfig() },
+    { path: 'vite.config.ts', content: viteConfig() },
+    { path: 'tsconfig.json', content: tsConfig() },
+    { path: 'tailwind.config.js', content: tailwindConfig(['./src/**/*.{html,js,svelte,ts}']) },
+    { path: 'postcss.config.js', content: postcssConfig() },
+    { path: 'src/app.html', content: appHtml() },
+    { path: 'src/app.d.ts', content: appTypes() }
+  ],
+
+  layout(architecture) {
+    const files = { critical: [], core: [], supporting: [], tests: [] };
+
+    // CRITICAL: root layout, types, API client, stores
+    files.critical.push(
+      { type: 'root-layout', name: 'src/routes/+layout.svelte', priority: 1 },
+      { type: 'styles', name: 'src/app.css', priority: 1 },
+      { type: 'types', name: 'src/lib/types.ts', priority: 1 },
+      { type: 'api-client', name: 'src/lib/api.ts', priority: 1 }
+    );
+
+    if (authEnabled(architecture)) {
+      files.critical.push(
+        ...authLayout(architecture),
+        { type: 'auth-context', name: 'src/lib/stores/auth.ts', priority: 1 },
+        { type: 'protected-route', name: 'src/lib/components/ProtectedRoute.svelte', priority: 1 }
+      );
+      files.tests.push(...authTestLayout(architecture));
+    }
+
+    architecture.stateManagement.globalStores.forEach(store => {
+      files.critical.push({
+        type: 'store',
+        name: `src/lib/stores/${store.name}.ts`,
+        priority: 1,
+        metadata: store
+      });
+    });
+
+    // CORE: one +page.svelte per route; the first page planned for a route wins
+    const routes = new Set();
+    architecture.pages.forEach(page => {
+      const name = pagePath(page.route);
+      if (routes.has(name)) return;
+      routes.add(name);
+      files.core.push({ type: 'page', name, priority: 2, metadata: page });
+    });
+
+    // SUPPORTING: components, utilities (a planned ProtectedRoute is the templated one)
+    architecture.components.filter(component => !(authEnabled(architecture) && component.name === 'ProtectedRoute')).forEach(component => {
+      files.supporting.push({
+        type: 'component',
+        name: `src/lib/components/${component.name}.svelte`,
+        priority: component.isAtomic ? 3 : 2,
+        metadata: component
+      });
+    });
+
+    files.supporting.push(
+      { type: 'utils', name: 'src/lib/utils.ts', priority: 3 },
+      { type: 'constants', name: 'src/lib/constants.ts', priority: 3 }
+    );
+
+    return files;
+  },
+
+  prompts: {
+    'root-layout': (spec, architecture) => rootLayoutPrompt(architecture),
+    'types': (spec, architecture) => typesPrompt(spec.name, architecture),
+    'api-client': (spec, architecture) => apiClientPrompt(spec.name, architecture, env),
+    'store': (spec) => storePrompt(spec.metadata),
+    'page': (spec, architecture) => pagePrompt(spec.metadata, architecture),
+    'component': (spec) => componentPrompt(spec.metadata)
+  },
+
+  templates: {
+    'utils': () => utilsModule(),
+    'constants': () => constantsModule(env),
+    'styles': () => tailwindBaseCss(),
+    'auth-context': (spec, architecture) => svelteAuthStoreModule(architecture),
+    'protected-route': () => svelteProtectedRouteModule(),
+    ...authTemplates(env)
+  }
+};
@@ -0,0 +1,427 @@
+import {
+  authDependencies,
+  tailwindDevDependencies,
+  tailwindConfig,
+  postcssConfig,
+  tailwindBaseCss,
+  utilsModule,
+  constantsModule,
+  typesPrompt,
+  apiClientPrompt,
+  propsSummary
+} from './shared.js';
+import {
+  AUTH_USER_SHAPE,
+  authEnabled,
+  authActionSignatures,
+  authLayout,
+  authTestLayout,
+  authTemplates,
+  vueAuthComposableModule,
+  vueAuthGuardModule
+} from './auth.js';
+
+// -----------------------------------------------------------------------------
+// STACK: VUE 3 + VITE + TAILWIND
+// -----------------------------------------------------------------------------
+
+const env = (name) => `import.meta.env.VITE_${name}`;
+
+const SFC_RULES = `Use a single-file component with <script setup lang="ts"> and a <template> block.
+Style with Tailwind CSS classes; use lucide-vue-next for icons.`;
+
+const storeName = (store) => store.name.replace(/Store$/, '');
+
+// --- Prompts -------------------------------------------------------------------
+
+// Main Entry Point
+function mainPrompt(architecture) {
+  return `Generate src/main.ts for a Vue 3 + TypeScript project.
+
+REQUIREMENTS:
+1. Import { createApp } from 'vue' and App from './App.vue'
+2. Import './style.css'
+3. Import router from './router' and app.use(router)
+4. ${architecture.stateManagement.globalStores.length ? "Create Pinia with createPinia() from 'pinia' and app.use(pinia)" : ''}
+5. ${architecture.performance.caching.strategy === 'React Query' ? "Install VueQueryPlugin from '@tanstack/vue-query'" : ''}
+6. Mount to #app
+
+Return ONLY the code. No markdown, no explanations.`;
+}
+
+// Root component
+function appPrompt(architecture) {
+  return `Generate src/App.vue for: ${architecture.projectName}
+
+REQUIREMENTS:
+1. ${SFC_RULES}
+2. Render a header with <RouterLink> navigation for: ${architecture.pages.filter(p => !p.route.includes(':')).map(p => `${p.name} (${p.route})`).join(', ')}
+3. Render <RouterView /> as the main content
+4. Responsive, accessible layout
+
+Return ONLY the code. No markdown fences.`;
+}
+
+// Router
+function routerPrompt(architecture) {
+  const pages = architecture.pages.map(p => ({
+    name: p.name,
+    route: p.route,
+    isProtected: p.isProtected,
+    lazyLoad: p.lazyLoad
+  }));
+
+  return `Generate src/router/index.ts for: ${architecture.projectName}
+
+CONTEXT:
+- Authentication: ${architecture.authentication.provider}
+- Pages: ${JSON.stringify(pages)}
+
+REQUIREMENTS:
+1. Import { createRouter, createWebHistory } from 'vue-router'
+2. One route per page; view files live at '@/views/<PageName>.vue'
+3. ${pages.some(p => p.lazyLoad) ? 'Lazy-load views marked lazyLoad with () => import(...)' : 'Import views statically'}
+4. ${authEnabled(architecture) ? "Register router.beforeEach(authGuard) with { authGuard } from './guard'; it already redirects signed-out visitors of protected routes, so add no meta-based guard" : ''}
+5. export default router
+
+Return ONLY the code.`;
+}
+
+// Pinia store
+function storePrompt(storeMetadata) {
+  return `Generate src/stores/${storeMetadata.name}.ts for a Pinia store
+
+STORE PURPOSE: ${storeMetadata.purpose}
+STATE SHAPE: ${storeMetadata.stateShape.join(', ')}
+
+REQUIREMENTS:
+1. Import { defineStore } from 'pinia'
+2. Use a setup store: defineStore('${storeName(storeMetadata)}', () => { ... })
+3. Typed refs for state, computed getters, functions for actions
+4. Export const use${storeName(storeMetadata)}Store
+
+Return ONLY the code.`;
+}
+
+// Routed view
+function pagePrompt(pageMetadata, architecture) {
+  return `Generate src/views/${pageMetadata.name}.vue
+
+PAGE CONTEXT:
+- Route: ${pageMetadata.route}
+- Description: ${pageMetadata.description}
+- Protected: ${pageMetadata.isProtected}
+- Imports: ${pageMetadata.imports.join(', ')}
+
+PROJECT CONTEXT:
+- Auth: ${architecture.authentication.provider}${authEnabled(architecture) ? `
+- Auth API: useAuth() from '@/composables/useAuth' returns readonly refs user (${AUTH_USER_SHAPE} | null), isLoading, error, a computed isAuthenticated, and ${authActionSignatures(architecture)}` : ''}
+- State: Pinia
+- Available Components: ${architecture.components.map(c => c.name).join(', ')}
+
+REQUIREMENTS:
+1. ${SFC_RULES}
+2. Import components by default import: ${pageMetadata.imports.map(imp => `import ${imp} from '@/components/${imp}.vue'`).join('; ')}
+3. Read route params with useRoute() from 'vue-router'
+4. Add loading and error states, responsive layout, ARIA labels
+
+Return ONLY production-ready code. No markdown, no explanations.`;
+}
+
+// Component Generator
+function componentPrompt(componentMetadata) {
+  return `Generate src/components/${componentMetadata.name}.vue
+
+COMPONENT CONTEXT:
+- Description: ${componentMetadata.description}
+- Type: ${componentMetadata.isAtomic ? 'Atomic (small, reusable)' : 'Complex (feature-rich)'}
+- Category: ${componentMetadata.category}
+- Props: ${propsSummary(componentMetadata)}
+
+REQUIREMENTS:
+1. ${SFC_RULES}
+2. Declare props with defineProps<{ ... }>() and events with defineEmits
+3. ${componentMetadata.category === 'form' ? 'Include form validation and v-model bindings' : ''}
+4. Make accessible (ARIA labels)
+
+Return ONLY the code.`;
+}
+
+// --- Deterministic files ---------------------------------------------------------
+
+function composableModule(composablePath) {
+  const name = composablePath.split('/').pop().replace('.ts', '');
+
+  if (name === 'useLocalStorage') {
+    return `import { ref, watch, type Ref } from 'vue';
+
+export function useLocalStorage<T>(key: string, initialValue: T): Ref<T> {
+  let initial = initialValue;
+  try {
+    const item = window.localStorage.getItem(key);
+    if (item) initial = JSON.parse(item);
+  } catch (error) {
+    console.error(error);
+  }
+
+  const stored = ref(initial) as Ref<T>;
+  watch(stored, value => {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  }, { deep: true });
+
+  return stored;
+}`;
+  }
+
+  if (name === 'useDebounce') {
+    return `import { ref, watch, type Ref } from 'vue';
+
+export function useDebounce<T>(source: Ref<T>, delay = 500): Ref<T> {
+  const debounced = ref(source.value) as Ref<T>;
+  let handler: ReturnType<typeof setTimeout> | undefined;
+
+  watch(source, value => {
+    clearTimeout(handler);
+    handler = setTimeout(() => {
+      debounced.value = value;
+    }, delay);
+  });
+
+  return debounced;
+}`;
+  }
+
+  return `// Composable: ${name}\nexport function ${name}() {\n  return null;\n}`;
+}
+
+// --- Static config -------------------------------------------------------------
+
+const viteConfig = () => `import { fileURLToPath, URL } from 'node:url'
+import { defineConfig } from 'vite'
+import vue from '@vitejs/plugin-vue'
+
+// https://vitejs.dev/config/
+export default defineConfig({
+  plugins: [vue()],
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url))
+    }
+  }
+})`;
+
+// Vite's own config plus the test runner (see server/testing.js)
+const vitestConfig = (test) => `import { defineConfig, mergeConfig } from 'vitest/config'
+import viteConfig from './vite.config'
+
+export default mergeConfig(viteConfig, defineConfig({
+  test: ${test},
+}))`;
+
+const tsConfig = () => JSON.stringify({
+  "compilerOptions": {
+    "target": "ES2020",
+    "useDefineForClassFields": true,
+    "lib": ["ES2020", "DOM", "DOM.Iterable"],
+    "module": "ESNext",
+    "skipLibCheck": true,
+    "moduleResolution": "bundler",
+    "allowImportingTsExtensions": true,
+    "resolveJsonModule": true,
+    "isolatedModules": true,
+    "noEmit": true,
+    "jsx": "preserve",
+    "strict": true,
+    "noUnusedLocals": true,
+    "noUnusedParameters": true,
+    "noFallthroughCasesInSwitch": true,
+    "paths": { "@/*": ["./src/*"] }
+  },
+  "include": ["src/**/*.ts", "src/**/*.tsx", "src/**/*.vue"],
+  "references": [{ "path": "./tsconfig.node.json" }]
+}, null, 2);
+
+const tsConfigNode = () => JSON.stringify({
+  "compilerOptions": {
+    "composite": true,
+    "skipLibCheck": true,
+    "module": "ESNext",
+    "moduleResolution": "bundler",
+    "allowSyntheticDefaultImports": true
+  },
+  "include": ["vite.config.ts"]
+}, null, 2);
+
+// Lets plain tsc (and the server-side type-check) import .vue files
+const envTypes = () => `/// <reference types="vite/client" />
+
+declare module '*.vue' {
+  import type { DefineComponent } from 'vue';
+  const component: DefineComponent<object, object, any>;
+  export default component;
+}
+`;
+
+const indexHtml = (arch) => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <link rel="icon" type="image/svg+xml" href="/vite.svg" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${arch.projectName}</title>
+  </head>
+  <body>
+    <div id="app"></div>
+    <script type="module" src="/src/main.ts"></script>
+  </body>
+</html>`;
+
+// --- Template ------------------------------------------------------------------
+
+export const vueVite = {
+  id: 'vue-vite',
+  name: 'Vue 3 + Vite',
+  matches: (techStack) => /vue/i.test(techStack.framework || ''),
+  env,
+  envPrefix: 'VITE_',
+  aliases: { '@/': 'src/' },
+  typeCheck: true,
+  scripts: {
+    "dev": "vite",
+    "build": "vue-tsc -b && vite build",
+    "preview": "vite preview"
+  },
+  testing: {
+    library: '@testing-library/vue',
+    extension: '.test.ts',
+    devDependencies: { "@testing-library/vue": "^8.0.2" },
+    config: vitestConfig,
+    renderHint: "Render with render(Component, { props, global: { plugins: [createPinia()], stubs: ['RouterLink', 'RouterView'] } }) and mock vue-router's useRoute/useRouter with vi.mock when the file uses them",
+    storeHint: 'Pinia: call setActivePinia(createPinia()) in beforeEach, then use the store outside components'
+  },
+
+  dependencies(architecture) {
+    const deps = {
+      "vue": "^3.4.21",
+      "vue-router": "^4.3.0",
+      "pinia": "^2.1.7",
+      "lucide-vue-next": "^0.344.0",
+      "clsx": "^2.1.0",
+      "tailwind-merge": "^2.2.1",
+      ...authDependencies(architecture)
+    };
+
+    if (architecture.performance.caching.strategy === 'React Query') {
+      deps['@tanstack/vue-query'] = "^5.17.0";
+    }
+
+    return {
+      dependencies: deps,
+      devDependencies: {
+        "@types/node": "^20.11.24",
+        "@vitejs/plugin-vue": "^5.0.4",
+        ...tailwindDevDependencies,
+        "typescript": "^5.2.2",
+        "vite": "^5.1.4",
+        "vue-tsc": "^2.0.6"
+      }
+    };
+  },
+
+  staticFiles: (architecture) => [
+    { path: 'vite.config.ts', content: viteConfig() },
+    { path: 'tsconfig.json', content: tsConfig() },
+    { path: 'tsconfig.node.json', content: tsConfigNode() },
+    { path: 'tailwind.config.js', content: tailwindConfig(['./index.html', './src/**/*.{vue,js,ts}']) },
+    { path: 'postcss.config.js', content: postcssConfig() },
+    { path: 'index.html', content: indexHtml(architecture) },
+    { path: 'src/env.d.ts', content: envTypes() }
+  ],
+
+  layout(architecture) {
+    const files = { critical: [], core: [], supporting: [], tests: [] };
+
+    // CRITICAL: entry, root component, router, types, API client
+    files.critical.push(
+      { type: 'main', name: 'src/main.ts', priority: 1 },
+      { type: 'app', name: 'src/App.vue', priority: 1 },
+      { type: 'router', name: 'src/router/index.ts', priority: 1 },
+      { type: 'styles', name: 'src/style.css', priority: 1 },
+      { type: 'types', name: 'src/types/index.ts', priority: 1 },
+      { type: 'api-client', name: 'src/lib/api.ts', priority: 1 }
+    );
+
+    if (authEnabled(architecture)) {
+      files.critical.push(
+        ...authLayout(architecture),
+        { type: 'auth-context', name: 'src/composables/useAuth.ts', priority: 1 },
+        { type: 'route-guard', name: 'src/router/guard.ts', priority: 1 }
+      );
+      files.tests.push(...authTestLayout(architecture, {
+        template: 'vue-auth-guard',
+        name: 'src/router/guard.test.ts',
+        subject: 'src/router/guard.ts'
+      }));
+    }
+
+    // Global state always lives in Pinia stores
+    architecture.stateManagement.globalStores.forEach(store => {
+      files.critical.push({
+        type: 'store',
+        name: `src/stores/${store.name}.ts`,
+        priority: 1,
+        metadata: store
+      });
+    });
+
+    // CORE: routed views
+    architecture.pages.forEach(page => {
+      files.core.push({
+        type: 'page',
+        name: `src/views/${page.name}.vue`,
+        priority: 2,
+        metadata: page
+      });
+    });
+
+    // SUPPORTING: components, composables, utilities
+    architecture.components.forEach(component => {
+      files.supporting.push({
+        type: 'component',
+        name: `src/components/${component.name}.vue`,
+        priority: component.isAtomic ? 3 : 2,
+        metadata: component
+      });
+    });
+
+    files.supporting.push(
+      { type: 'hook', name: 'src/composables/useLocalStorage.ts', priority: 3 },
+      { type: 'hook', name: 'src/composables/useDebounce.ts', priority: 3 },
+      { type: 'utils', name: 'src/lib/utils.ts', priority: 3 },
+      { type: 'constants', name: 'src/lib/constants.ts', priority: 3 }
+    );
+
+    return files;
+  },
+
+  prompts: {
+    'main': (spec, architecture) => mainPrompt(architecture),
+    'app': (spec, architecture) => appPrompt(architecture),
+    'router': (spec, architecture) => routerPrompt(architecture),
+    'types': (spec, architecture) => typesPrompt(spec.name, architecture),
+    'api-client': (spec, architecture) => apiClientPrompt(spec.name, architecture, env),
+    'store': (spec) => storePrompt(spec.metadata),
+    'page': (spec, architecture) => pagePrompt(spec.metadata, architecture),
+    'component': (spec) => componentPrompt(spec.metadata)
+  },
+
+  templates: {
+    'hook': (spec) => composableModule(spec.name),
+    'utils': () => utilsModule(),
+    'constants': () => constantsModule(env),
+    'styles': () => tailwindBaseCss(),
+    'auth-context': (spec, architecture) => vueAuthComposableModule(architecture),
+    'route-guard': () => vueAuthGuardModule(),
+    ...authTemplates(env)
+  }
+};
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { ArchiveError, MANIFEST_FILE, archivePath, archiveStream, buildManifest, verifyProject } from '../archive.js';
+
+// An archive extracts to exactly the files its manifest lists, whatever tool
+// unpacks it, and the verifier notices any file that changed since
+
+const LONG_NAME = `${'a'.repeat(120)}.ts`; // no ustar name or prefix fits: pax header
+const LONG_PATH = `src/${'nested/'.repeat(16)}deep.ts`; // over 100 bytes, splits into prefix + name
+
+const project = {
+  name: 'Habit Tracker',
+  stack: 'react-vite',
+  files: [
+    { path: 'README.md', content: '# Habits\n' },
+    { path: 'src/App.tsx', content: 'export const App = () => null;\n', model: 'fixture' },
+    { path: `src/${LONG_NAME}`, content: 'export {};\n' },
+    { path: LONG_PATH, content: 'export const deep = true;\n' }
+  ],
+  generationLog: [{ category: 'pages', batch: 1, files: ['src/App.tsx'] }]
+};
+
+const manifest = buildManifest(project, { idea: 'habit tracker', source: { type: 'job', id: 'job-1' } });
+
+// JSZip's stream is not async-iterable, so collect it the way a pipe reads it
+const archiveBytes = (format) => new Promise((resolve, reject) => {
+  const chunks = [];
+  archiveStream(project, manifest, format)
+    .on('data', chunk => chunks.push(Buffer.from(chunk)))
+    .on('end', () => resolve(Buffer.concat(chunks)))
+    .on('error', reject);
+});
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ideatorepo-archive-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('buildManifest records the size, hash and model of every file', () => {
+  assert.equal(manifest.format, 'ideatorepo-manifest');
+  assert.equal(manifest.name, 'Habit Tracker');
+  assert.deepEqual(manifest.source, { type: 'job', id: 'job-1' });
+  assert.deepEqual(manifest.files.map(file => file.path), project.files.map(file => file.path));
+  assert.deepEqual(manifest.files[0], {
+    path: 'README.md',
+    size: 9,
+    sha256: crypto.createHash('sha256').update('# Habits\n').digest('hex'),
+    model: null
+  });
+  assert.equal(manifest.files[1].model, 'fixture');
+});
+
+test('a zip round-trips every file and the manifest', async (t) => {
+  const zip = await JSZip.loadAsync(await archiveBytes('zip'));
+  const dir = tempDir(t);
+  for (const entry of Object.values(zip.files).filter(entry => !entry.dir)) {
+    const target = path.join(dir, entry.name);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, await entry.async('nodebuffer'));
+  }
+
+  assert.deepEqual(Object.keys(zip.files).filter(name => !zip.files[name].dir).sort(), [...project.files.map(file => file.path), MANIFEST_FILE].sort());
+  const report = verifyProject(dir);
+  assert.equal(report.valid, true);
+  assert.equal(report.checked, 4);
+  assert.deepEqual(report.untracked, []);
+});
+
+test('a tar.gz extracts with tar, paths over 100 bytes included', async (t) => {
+  const dir = tempDir(t);
+  const archive = path.join(dir, 'project.tar.gz');
+  fs.writeFileSync(archive, await archiveBytes('tar.gz'));
+  const out = path.join(dir, 'out');
+  fs.mkdirSync(out);
+  execFileSync('tar', ['-xzf', archive, '-C', out]);
+
+  assert.equal(fs.readFileSync(path.join(out, 'src', LONG_NAME), 'utf8'), 'export {};\n');
+  assert.equal(fs.readFileSync(path.join(out, LONG_PATH), 'utf8'), 'export const deep = true;\n');
+  assert.equal(fs.existsSync(path.join(out, 'PaxHeader')), false);
+
+  const report = verifyProject(out);
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.untracked, []);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(out, MANIFEST_FILE), 'utf8')).files, manifest.files);
+});
+
+test('verifyProject reports missing, modified and untracked files', async (t) => {
+  const dir = tempDir(t);
+  const archive = path.join(dir, 'project.tar.gz');
+  fs.writeFileSync(archive, await archiveBytes('tar.gz'));
+  const out = path.join(dir, 'out');
+  fs.mkdirSync(out);
+  execFileSync('tar', ['-xzf', archive, '-C', out]);
+
+  fs.rmSync(path.join(out, 'README.md'));
+  fs.appendFileSync(path.join(out, 'src/App.tsx'), '// edited\n');
+  fs.writeFileSync(path.join(out, '.env'), 'SECRET=1\n');
+  fs.mkdirSync(path.join(out, 'node_modules/react'), { recursive: true });
+  fs.writeFileSync(path.join(out, 'node_modules/react/index.js'), '');
+
+  const report = verifyProject(out);
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.missing, ['README.md']);
+  assert.deepEqual(report.modified, ['src/App.tsx']);
+  assert.deepEqual(report.untracked, ['.env']);
+});
+
+test('verifyProject refuses a directory without a manifest', (t) => {
+  assert.throws(() => verifyProject(tempDir(t)), ArchiveError);
+});
+
+test('archivePath keeps project paths inside the archive', () => {
+  assert.equal(archivePath('/src//App.tsx'), 'src/App.tsx');
+  assert.equal(archivePath('src\\components\\Button.tsx'), 'src/components/Button.tsx');
+  for (const filePath of ['../etc/passwd', 'src/../../escape.ts', '..', '.', '']) {
+    assert.throws(() => archivePath(filePath), ArchiveError, filePath);
+  }
+  assert.throws(() => buildManifest({ files: [{ path: '../outside.ts', content: '' }] }), ArchiveError);
+});
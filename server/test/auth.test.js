@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ts from 'typescript';
+import { getStack } from '../stacks/index.js';
+import { AUTH_DIR } from '../stacks/auth.js';
+import { typeCheckProject, formatDiagnostics } from '../typecheck.js';
+
+// The auth scaffolding is rendered from templates, never prompted, so every
+// provider and stack must come out complete, keep the session where
+// tokenStorage says, guard the protected routes, and type-check
+
+const PROVIDERS = ['Supabase', 'Firebase', 'Auth0', 'Clerk', 'NextAuth', 'Custom JWT'];
+const TOKEN_STORAGES = ['localStorage', 'sessionStorage', 'memory', 'httpOnly-cookie'];
+
+function architecture(authentication) {
+  return {
+    projectName: 'Habit Tracker',
+    description: 'Track daily habits',
+    techStack: { framework: 'React', styling: 'Tailwind CSS', stateManagement: 'Zustand' },
+    pages: [
+      { name: 'HomePage', route: '/', purpose: 'Landing', components: [], dataRequirements: [] },
+      { name: 'LoginPage', route: '/login', purpose: 'Sign in', components: [], dataRequirements: [] },
+      { name: 'ResetPasswordPage', route: '/reset-password', purpose: 'Reset', components: [], dataRequirements: [] },
+      { name: 'DashboardPage', route: '/dashboard', purpose: 'Habits', components: [], dataRequirements: [] },
+      { name: 'HabitPage', route: '/habits/:id', purpose: 'One habit', components: [], dataRequirements: [] }
+    ],
+    components: [],
+    databaseSchema: [{
+      table: 'habits',
+      columns: [{ name: 'id', type: 'uuid', isPrimary: true }, { name: 'user_id', type: 'uuid', isRequired: true }, { name: 'title', type: 'text', isRequired: true }]
+    }],
+    apiEndpoints: [],
+    stateManagement: { approach: 'Context API', globalStores: [] },
+    performance: { caching: { strategy: 'None', cachedEndpoints: [] } },
+    authentication: {
+      provider: 'Custom JWT',
+      flows: ['email-password', 'oauth-google', 'oauth-github', 'magic-link', 'password-reset'],
+      protectedRoutes: ['/dashboard', '/habits/:id'],
+      publicRoutes: ['/', '/login'],
+      tokenStorage: 'localStorage',
+      sessionDuration: '7 days',
+      ...authentication
+    }
+  };
+}
+
+// The templated files of a project, plus the manifest the type-check reads
+function templatedProject(stackId, arch) {
+  const stack = getStack(stackId);
+  const specs = Object.values(stack.layout(arch)).flat().filter(spec => stack.templates[spec.type]);
+  const { dependencies, devDependencies } = stack.dependencies(arch);
+  const manifest = { dependencies, devDependencies: { ...devDependencies, ...stack.testing.devDependencies, vitest: '^1.3.1' } };
+  return [
+    ...stack.staticFiles(arch),
+    { path: 'package.json', content: JSON.stringify(manifest) },
+    ...specs.map(spec => ({ path: spec.name, content: stack.templates[spec.type](spec, arch) }))
+  ];
+}
+
+const contentOf = (files, filePath) => files.find(file => file.path === filePath)?.content;
+
+// Runs a dependency-free module the templates emit
+async function load(files, filePath) {
+  const { outputText } = ts.transpileModule(contentOf(files, filePath), {
+    compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2020 }
+  });
+  return import(`data:text/javascript,${encodeURIComponent(outputText)}`);
+}
+
+class MemoryStorage {
+  #items = new Map();
+  get length() { return this.#items.size; }
+  key(index) { return [...this.#items.keys()][index] ?? null; }
+  getItem(key) { return this.#items.get(key) ?? null; }
+  setItem(key, value) { this.#items.set(key, String(value)); }
+  removeItem(key) { this.#items.delete(key); }
+}
+
+const GUARDS = {
+  'react-vite': 'src/components/ProtectedRoute.tsx',
+  'next-app': 'src/components/ProtectedRoute.tsx',
+  'vue-vite': 'src/router/guard.ts',
+  sveltekit: 'src/lib/components/ProtectedRoute.svelte'
+};
+
+test('every provider emits the client, storage, routes, guard and tests', () => {
+  for (const stackId of Object.keys(GUARDS)) {
+    for (const provider of PROVIDERS) {
+      const files = templatedProject(stackId, architecture({ provider }));
+      for (const name of ['client.ts', 'storage.ts', 'routes.ts', 'routes.test.ts', 'storage.test.ts']) {
+        assert.ok(contentOf(files, `${AUTH_DIR}/${name}`), `${stackId} ${provider}: ${name}`);
+      }
+      assert.ok(contentOf(files, GUARDS[stackId]), `${stackId} ${provider}: guard`);
+    }
+  }
+});
+
+test('a project without authentication gets no auth files', () => {
+  const files = templatedProject('react-vite', architecture({ provider: 'None' }));
+  assert.deepEqual(files.filter(file => file.path.startsWith(AUTH_DIR) || /ProtectedRoute|AuthContext/.test(file.path)), []);
+});
+
+test('guards send signed-out visitors of protected routes to the login route', async () => {
+  const files = templatedProject('react-vite', architecture({}));
+  const routes = await load(files, `${AUTH_DIR}/routes.ts`);
+
+  assert.deepEqual(routes.PROTECTED_ROUTES, ['/dashboard', '/habits/:id']);
+  assert.equal(routes.LOGIN_ROUTE, '/login');
+  assert.equal(routes.RESET_ROUTE, '/reset-password');
+  assert.equal(routes.isProtectedPath('/dashboard/today?tab=1'), true);
+  assert.equal(routes.isProtectedPath('/habits/42'), true);
+  assert.equal(routes.isProtectedPath('/habits'), false);
+  assert.equal(routes.isProtectedPath('/'), false);
+  assert.equal(routes.loginPath('/habits/42'), '/login?redirect=%2Fhabits%2F42');
+
+  for (const [stackId, guard] of Object.entries(GUARDS)) {
+    const content = contentOf(templatedProject(stackId, architecture({})), guard);
+    assert.match(content, /isProtectedPath/, stackId);
+    assert.match(content, /loginPath|LOGIN_ROUTE/, stackId);
+  }
+});
+
+test('the session is kept where tokenStorage says', async (t) => {
+  const local = new MemoryStorage();
+  const session = new MemoryStorage();
+  globalThis.window = { localStorage: local, sessionStorage: session };
+  t.after(() => {
+    delete globalThis.window;
+  });
+
+  for (const tokenStorage of TOKEN_STORAGES) {
+    local.removeItem('habit-tracker.auth.token');
+    session.removeItem('habit-tracker.auth.token');
+    const files = templatedProject('react-vite', architecture({ tokenStorage }));
+    const storage = await load(files, `${AUTH_DIR}/storage.ts`);
+
+    assert.equal(storage.TOKEN_STORAGE, tokenStorage);
+    assert.equal(storage.USES_COOKIES, tokenStorage === 'httpOnly-cookie');
+    storage.tokenStore.set('token-123');
+    assert.equal(storage.tokenStore.get(), tokenStorage === 'httpOnly-cookie' ? null : 'token-123', tokenStorage);
+    assert.equal(local.getItem('habit-tracker.auth.token'), tokenStorage === 'localStorage' ? 'token-123' : null, tokenStorage);
+    assert.equal(session.getItem('habit-tracker.auth.token'), tokenStorage === 'sessionStorage' ? 'token-123' : null, tokenStorage);
+  }
+});
+
+test('providers that own the session follow tokenStorage', () => {
+  const client = (provider, tokenStorage) => contentOf(templatedProject('react-vite', architecture({ provider, tokenStorage })), `${AUTH_DIR}/client.ts`);
+
+  assert.match(client('Supabase', 'sessionStorage'), /storage: authStorage/);
+  assert.match(client('Firebase', 'memory'), /setPersistence\(current, PERSISTENCE\[TOKEN_STORAGE\]\)/);
+  assert.match(client('Custom JWT', 'httpOnly-cookie'), /credentials: USES_COOKIES \? 'include' : 'same-origin'/);
+  assert.match(client('NextAuth', 'httpOnly-cookie'), /credentials: 'include'/);
+});
+
+for (const stackId of ['react-vite', 'next-app', 'vue-vite']) {
+  test(`every provider's auth files type-check on ${stackId}`, { timeout: 120_000 }, async () => {
+    for (const [index, provider] of PROVIDERS.entries()) {
+      const tokenStorage = TOKEN_STORAGES[index % TOKEN_STORAGES.length];
+      const result = await typeCheckProject(templatedProject(stackId, architecture({ provider, tokenStorage })));
+      assert.equal(result.compiles, true, `${provider} (${tokenStorage}):\n${formatDiagnostics([...result.global, ...Object.values(result.diagnostics).flat()])}`);
+    }
+  });
+}
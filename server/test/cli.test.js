@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CliError, writeProjectFiles } from '../cli.js';
+
+// The CLI runs the pipeline in its own process: it must write what it was
+// asked to, keep stdout for JSON, and exit without anything left open
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+const ARCHITECTURE = {
+  projectName: 'Habit Tracker',
+  description: 'Track daily habits',
+  techStack: { framework: 'React', language: 'TypeScript', styling: 'Tailwind CSS', icons: 'Lucide React', stateManagement: 'Zustand', dataFetching: 'React Query', routing: 'React Router DOM' },
+  folderStructure: [{ name: 'src', type: 'folder', purpose: 'source' }],
+  pages: [{ name: 'HomePage', route: '/', description: "Today's habits", imports: ['HabitCard'], isProtected: false }],
+  components: [{ name: 'HabitCard', description: 'One habit', isAtomic: false, category: 'display', props: [{ name: 'title', type: 'string', required: true }] }],
+  databaseSchema: [],
+  apiEndpoints: [],
+  stateManagement: { approach: 'Context API', globalStores: [], localStateComponents: [], rationale: 'small' },
+  authentication: { provider: 'None', flows: [], protectedRoutes: [], publicRoutes: ['/'], tokenStorage: 'localStorage', sessionDuration: '7 days' },
+  dataFlow: { pattern: 'Unidirectional', layers: { presentation: [], business: [], data: [] }, communicationFlow: 'props' },
+  performance: { codeSplitting: false, lazyLoading: { routes: [], components: [] }, caching: { strategy: 'None', cachedEndpoints: [] }, imageOptimization: false, bundleOptimization: [] },
+  componentGraph: {
+    nodes: [{ id: 'page-home', name: 'HomePage', type: 'page' }, { id: 'component-habit-card', name: 'HabitCard', type: 'component' }],
+    edges: [{ from: 'page-home', to: 'component-habit-card', relationship: 'renders' }]
+  }
+};
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ideatorepo-cli-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Resolves once the process has exited on its own; the test's timeout catches one that hangs
+function runCli(args, dataDir) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...args], {
+      env: { ...process.env, LLM_PROVIDER: 'fixture', DATA_DIR: dataDir, RUN_GENERATED_TESTS: 'false', GITHUB_TOKEN: '', LOG_LEVEL: '', IDEATOREPO_SERVER: '' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+test('generate writes the project files and project.json, then exits', { timeout: 120_000 }, async (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'architecture.json'), JSON.stringify(ARCHITECTURE));
+  const { code, stdout, stderr } = await runCli([
+    'generate',
+    '--architecture', path.join(dir, 'architecture.json'),
+    '--dir', path.join(dir, 'app'),
+    '--out', path.join(dir, 'project.json')
+  ], path.join(dir, 'data'));
+
+  assert.equal(code, 0, stderr);
+  assert.equal(stdout, '');
+  const project = JSON.parse(fs.readFileSync(path.join(dir, 'project.json'), 'utf8'));
+  assert.equal(project.name, 'Habit Tracker');
+  for (const filePath of ['package.json', 'src/App.tsx', 'src/pages/HomePage.tsx', 'src/components/HabitCard.tsx']) {
+    assert.ok(project.files.some(file => file.path === filePath), filePath);
+  }
+  for (const file of project.files) {
+    assert.equal(fs.readFileSync(path.join(dir, 'app', file.path), 'utf8'), file.content, file.path);
+  }
+});
+
+test('a stage without --out prints only its JSON on stdout', { timeout: 60_000 }, async (t) => {
+  const { code, stdout, stderr } = await runCli(['intent', 'habit tracker with streaks'], tempDir(t));
+
+  assert.equal(code, 0, stderr);
+  assert.ok(Array.isArray(JSON.parse(stdout).clarifyingQuestions));
+  assert.match(stderr, /Analyzing intent/);
+});
+
+test('a stage error exits with 1 and the reason', { timeout: 60_000 }, async (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'intent.json'), JSON.stringify({ searchStrategies: ['habit tracker'] }));
+  const { code, stdout, stderr } = await runCli(['search', '--intent', path.join(dir, 'intent.json')], path.join(dir, 'data'));
+
+  assert.equal(code, 1);
+  assert.equal(stdout, '');
+  assert.match(stderr, /ideatorepo: search failed \(401\): Missing GitHub Access Token/);
+});
+
+test('writeProjectFiles refuses paths outside the directory', (t) => {
+  const dir = tempDir(t);
+  writeProjectFiles(dir, [{ path: '/src/App.tsx', content: 'app' }]);
+  assert.equal(fs.readFileSync(path.join(dir, 'src/App.tsx'), 'utf8'), 'app');
+
+  for (const filePath of ['../escape.txt', 'src/../../escape.txt', '.']) {
+    assert.throws(() => writeProjectFiles(path.join(dir, 'out'), [{ path: filePath, content: 'x' }]), CliError, filePath);
+  }
+  assert.equal(fs.existsSync(path.join(dir, 'escape.txt')), false);
+});
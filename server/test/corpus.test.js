@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readCheckout } from '../corpus.js';
+
+// Corpus ids must stay unique across checkouts, remote or not
+
+// A fresh directory, removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ideatorepo-corpus-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function checkout(dir, remote) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'README.md'), '# app\n\nA habit tracker.\n');
+  const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'ignore' });
+  git('init', '-q');
+  if (remote) git('remote', 'add', 'origin', remote);
+  git('add', '-A');
+  git('-c', 'user.name=t', '-c', 'user.email=t@example.com', 'commit', '-qm', 'init');
+  return dir;
+}
+
+test('checkouts without a remote get distinct ids even with the same name', async (t) => {
+  const root = tempDir(t);
+  const first = await readCheckout(checkout(path.join(root, 'a', 'app')));
+  const second = await readCheckout(checkout(path.join(root, 'b', 'app')));
+
+  assert.equal(first.repo.full_name, 'local/app');
+  assert.equal(second.repo.full_name, 'local/app');
+  assert.match(first.repo.id, /^local:local\/app-[0-9a-f]{8}$/);
+  assert.notEqual(first.repo.id, second.repo.id);
+  assert.equal((await readCheckout(path.join(root, 'a', 'app'))).repo.id, first.repo.id);
+});
+
+test('checkouts with a remote are named after it', async (t) => {
+  const root = tempDir(t);
+  const entry = await readCheckout(checkout(path.join(root, 'app'), 'https://github.com/example/habits.git'));
+  assert.equal(entry.repo.id, 'local:example/habits');
+  assert.equal(entry.repo.html_url, 'https://github.com/example/habits');
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { linkProject } from '../linker.js';
+
+// Generated files guess how their neighbours export things; the linker must
+// fix every import it can prove, leave the rest for the model, and compare
+// the wiring it found with the planned component graph
+
+const contentOf = (result, filePath) => result.files.find(file => file.path === filePath).content;
+
+const BUTTON = { path: 'src/components/Button.tsx', content: 'export function Button() {\n  return null;\n}\n' };
+const HEADER = {
+  path: 'src/components/Header.tsx',
+  content: "import { useTheme } from '../context/ThemeContext';\n\nexport default function Header() {\n  useTheme();\n  return null;\n}\n"
+};
+const THEME = {
+  path: 'src/context/ThemeContext.tsx',
+  content: 'export function ThemeProvider() {\n  return null;\n}\n\nexport const useTheme = () => null;\n'
+};
+const APP = {
+  path: 'src/App.tsx',
+  content: "import Button from './components/Button';\nimport { Header } from './components/Header';\nimport './index.css';\n\nexport default function App() {\n  return null;\n}\n"
+};
+
+test('default and named imports are switched to what the module exports', () => {
+  const result = linkProject([BUTTON, HEADER, THEME, APP, { path: 'src/index.css', content: '' }]);
+
+  assert.equal(contentOf(result, 'src/App.tsx'), APP.content
+    .replace("import Button from './components/Button';", "import { Button } from './components/Button';")
+    .replace("import { Header } from './components/Header';", "import Header from './components/Header';"));
+  assert.deepEqual(result.rewrites, [
+    { file: 'src/App.tsx', line: 1, changes: ['default import Button -> named import Button'] },
+    { file: 'src/App.tsx', line: 2, changes: ['named import Header -> default import Header'] }
+  ]);
+  assert.deepEqual(result.unresolved, []);
+  assert.equal(contentOf(result, HEADER.path), HEADER.content);
+});
+
+test('imports of a module that moved follow it, aliased or relative', () => {
+  const files = [
+    { path: 'src/components/ui/Card.tsx', content: 'export function Card() {\n  return null;\n}\n' },
+    { path: 'src/components/List.tsx', content: "import { Card } from './Card';\n\nexport function List() {\n  return Card();\n}\n" },
+    { path: 'src/pages/Home.tsx', content: "import { List } from '@/components/List';\nimport { Card } from '@/components/Card';\n\nexport default function Home() {\n  return [List(), Card()];\n}\n" }
+  ];
+  const result = linkProject(files, null, { aliases: { '@/': 'src/' } });
+
+  assert.match(contentOf(result, 'src/components/List.tsx'), /^import \{ Card \} from '\.\/ui\/Card';\n/);
+  assert.match(contentOf(result, 'src/pages/Home.tsx'), /^import \{ List \} from '@\/components\/List';\nimport \{ Card \} from '@\/components\/ui\/Card';\n/);
+  assert.deepEqual(result.rewrites, [
+    { file: 'src/components/List.tsx', line: 1, changes: ["'./Card' -> './ui/Card' (module moved)"] },
+    { file: 'src/pages/Home.tsx', line: 2, changes: ["'@/components/Card' -> '@/components/ui/Card' (module moved)"] }
+  ]);
+  assert.deepEqual(result.unresolved, []);
+});
+
+test('what cannot be proven is left for the model', () => {
+  const files = [
+    { path: 'src/components/Card.tsx', content: 'export function Card() {\n  return null;\n}\n' },
+    { path: 'src/features/cards/Card.tsx', content: 'export function Card() {\n  return null;\n}\n' },
+    { path: 'src/utils/format.ts', content: 'export const formatDate = (date: Date) => date.toISOString();\n' },
+    {
+      path: 'src/App.tsx',
+      content: "import { Card } from './Card';\nimport { formatTime } from './utils/format';\nimport Format from './utils/format';\nimport { api } from './services/api';\n"
+    }
+  ];
+  const result = linkProject(files);
+
+  assert.deepEqual(result.rewrites, []);
+  assert.deepEqual(result.unresolved, [
+    { file: 'src/App.tsx', line: 1, specifier: './Card', kind: 'missing-module', message: "Cannot resolve './Card' (ambiguous: src/components/Card.tsx, src/features/cards/Card.tsx)" },
+    { file: 'src/App.tsx', line: 2, specifier: './utils/format', kind: 'missing-export', message: "src/utils/format.ts does not export 'formatTime'" },
+    { file: 'src/App.tsx', line: 3, specifier: './utils/format', kind: 'missing-default-export', message: 'src/utils/format.ts has no default export (imported as Format)' },
+    { file: 'src/App.tsx', line: 4, specifier: './services/api', kind: 'missing-module', message: "Cannot resolve './services/api'" }
+  ]);
+  assert.equal(contentOf(result, 'src/App.tsx'), files[3].content);
+});
+
+test('single-file components are linked through their <script> block', () => {
+  const item = {
+    path: 'src/components/TodoItem.vue',
+    content: '<template>\n  <li>{{ title }}</li>\n</template>\n\n<script setup lang="ts">\nimport { formatDate } from \'../utils/formatDate\';\ndefineProps<{ title: string }>();\n</script>\n'
+  };
+  const files = [
+    item,
+    { path: 'src/utils/formatDate.ts', content: 'export default function formatDate(date: Date) {\n  return date.toISOString();\n}\n' },
+    { path: 'src/App.vue', content: "<template><TodoItem title=\"a\" /></template>\n<script setup lang=\"ts\">\nimport { TodoItem } from './components/TodoItem.vue';\n</script>\n" }
+  ];
+  const result = linkProject(files);
+
+  assert.equal(contentOf(result, item.path), item.content.replace("import { formatDate } from '../utils/formatDate';", "import formatDate from '../utils/formatDate';"));
+  assert.match(contentOf(result, 'src/App.vue'), /^<template><TodoItem title="a" \/><\/template>\n<script setup lang="ts">\nimport TodoItem from '\.\/components\/TodoItem\.vue';\n<\/script>\n$/);
+  assert.deepEqual(result.rewrites, [
+    { file: item.path, line: 6, changes: ['named import formatDate -> default import formatDate'] },
+    { file: 'src/App.vue', line: 3, changes: ['named import TodoItem -> default import TodoItem'] }
+  ]);
+  assert.deepEqual(result.unresolved, []);
+});
+
+test('the import graph is compared with the planned component graph', () => {
+  const dashboard = { path: 'src/app/dashboard/page.tsx', content: "import Header from '../../components/Header';\n\nexport default function Page() {\n  return Header();\n}\n" };
+  const componentGraph = {
+    nodes: [
+      { id: 'app', name: 'App', type: 'page' },
+      { id: 'dashboard', name: 'DashboardPage', type: 'page' },
+      { id: 'header', name: 'Header', type: 'component' },
+      { id: 'button', name: 'Button', type: 'component' },
+      { id: 'footer', name: 'Footer', type: 'component' },
+      { id: 'theme', name: 'ThemeContext', type: 'context' }
+    ],
+    edges: [
+      { from: 'app', to: 'header', relationship: 'renders' },
+      { from: 'app', to: 'footer', relationship: 'renders' },
+      { from: 'dashboard', to: 'header', relationship: 'renders' },
+      { from: 'header', to: 'button', relationship: 'renders' },
+      { from: 'theme', to: 'header', relationship: 'provides' }
+    ]
+  };
+  const result = linkProject([BUTTON, HEADER, THEME, APP, dashboard], componentGraph, {
+    namedFiles: { DashboardPage: dashboard.path }
+  });
+
+  assert.deepEqual(result.graph, {
+    nodes: 6,
+    plannedEdges: 5,
+    matchedEdges: 3,
+    missingNodes: [{ id: 'footer', name: 'Footer', type: 'component' }],
+    missingEdges: [
+      { from: 'app', to: 'footer', relationship: 'renders' },
+      { from: 'header', to: 'button', relationship: 'renders' }
+    ],
+    extraEdges: [{ from: 'app', to: 'button' }]
+  });
+});
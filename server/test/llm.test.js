@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadLLMConfig, createLLMClient, generateKey, embedKey, hashedEmbedding } from '../llm.js';
+
+// The fixture provider: exact fixtures by key, per-stage fallbacks, and
+// deterministic defaults when neither exists
+
+// A fresh directory, removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ideatorepo-llm-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function writeFixture(dir, kind, name, payload) {
+  fs.mkdirSync(path.join(dir, kind), { recursive: true });
+  fs.writeFileSync(path.join(dir, kind, `${name}.json`), JSON.stringify(payload));
+}
+
+test('loadLLMConfig picks provider defaults and per-stage overrides', () => {
+  const config = loadLLMConfig({ LLM_PROVIDER: 'fixture', LLM_MODEL_CODEGEN: 'coder' });
+  assert.equal(config.provider, 'fixture');
+  assert.equal(config.models.intent, 'fixture');
+  assert.equal(config.models.codegen, 'coder');
+});
+
+test('createLLMClient rejects an unknown provider', async () => {
+  await assert.rejects(createLLMClient(loadLLMConfig({ LLM_PROVIDER: 'nope' })), /Unknown LLM_PROVIDER "nope"/);
+});
+
+test('the fixture provider answers exact fixtures, then stage fixtures, then defaults', async (t) => {
+  const dir = tempDir(t);
+  const llm = await createLLMClient(loadLLMConfig({ LLM_PROVIDER: 'fixture', LLM_FIXTURES_DIR: dir }));
+
+  writeFixture(dir, 'generate', generateKey({ stage: 'intent', model: 'fixture', prompt: 'exact', json: true }), { text: '{"exact":true}' });
+  writeFixture(dir, 'generate', 'analysis', { text: '{"stage":true}' });
+
+  assert.equal(await llm.generate({ stage: 'intent', prompt: 'exact', json: true }), '{"exact":true}');
+  assert.equal(await llm.generate({ stage: 'intent', prompt: 'other', json: true }), '{}');
+  assert.equal(await llm.generate({ stage: 'analysis', prompt: 'anything', json: true }), '{"stage":true}');
+  assert.match(await llm.generate({ stage: 'codegen', prompt: 'a file' }), /^\/\/ Fixture provider: no fixture for codegen/);
+});
+
+test('exact fixtures are keyed by system instruction and JSON mode too', async (t) => {
+  const dir = tempDir(t);
+  const llm = await createLLMClient(loadLLMConfig({ LLM_PROVIDER: 'fixture', LLM_FIXTURES_DIR: dir }));
+  writeFixture(dir, 'generate', generateKey({ stage: 'intent', model: 'fixture', prompt: 'p', systemInstruction: 'be terse', json: true }), { text: '{"terse":true}' });
+
+  assert.equal(await llm.generate({ stage: 'intent', prompt: 'p', systemInstruction: 'be terse', json: true }), '{"terse":true}');
+  assert.equal(await llm.generate({ stage: 'intent', prompt: 'p', json: true }), '{}');
+  assert.match(await llm.generate({ stage: 'intent', prompt: 'p', systemInstruction: 'be terse' }), /no fixture for intent/);
+});
+
+test('fixture embeddings are recorded vectors or hashed bag-of-words', async (t) => {
+  const dir = tempDir(t);
+  const llm = await createLLMClient(loadLLMConfig({ LLM_PROVIDER: 'fixture', LLM_FIXTURES_DIR: dir }));
+  writeFixture(dir, 'embed', embedKey({ model: 'fixture', text: 'recorded' }), { vector: [1, 2, 3] });
+
+  assert.deepEqual(await llm.embed('recorded'), [1, 2, 3]);
+  assert.deepEqual(await llm.embed('habit tracker'), hashedEmbedding('habit tracker'));
+  assert.deepEqual(await llm.embedBatch(['recorded', 'habit tracker']), [[1, 2, 3], hashedEmbedding('habit tracker')]);
+});
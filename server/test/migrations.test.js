@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkDatabaseFiles, databaseLayout, generateMigration, generateSeed } from '../migrations.js';
+
+// The migration and seed are templated from the planned schema, so both
+// dialects must come out parseable by the database's own parser, with the
+// relationships as constraints and Supabase tables behind Row Level Security
+
+function architecture(provider) {
+  return {
+    projectName: 'Habit Tracker',
+    databaseSchema: [
+      {
+        table: 'check_ins',
+        columns: [{ name: 'id', type: 'serial', isPrimary: true }, { name: 'done_on', type: 'date', isRequired: true }, { name: 'note', type: 'text' }],
+        relationships: [{ type: 'many-to-one', table: 'habits', foreignKey: 'habit_id' }]
+      },
+      {
+        table: 'habits',
+        columns: [
+          { name: 'id', type: 'uuid', isPrimary: true },
+          { name: 'user_id', type: 'uuid', isRequired: true },
+          { name: 'title', type: 'text', isRequired: true },
+          { name: 'archived', type: 'boolean', defaultValue: 'false' }
+        ],
+        relationships: [
+          { type: 'many-to-one', table: 'profiles', foreignKey: 'user_id' },
+          { type: 'many-to-many', table: 'tags', foreignKey: '' },
+          { type: 'many-to-one', table: 'streaks', foreignKey: 'streak_id' }
+        ]
+      },
+      { table: 'profiles', columns: [{ name: 'id', type: 'uuid', isPrimary: true }, { name: 'email', type: 'text', isRequired: true }] },
+      { table: 'tags', columns: [{ name: 'id', type: 'uuid', isPrimary: true }, { name: 'label', type: 'text', isRequired: true }] }
+    ],
+    apiEndpoints: [{ path: '/api/habits', method: 'GET', purpose: 'List habits', authentication: true }],
+    authentication: { provider, protectedRoutes: ['/habits'], publicRoutes: ['/'] }
+  };
+}
+
+function databaseFiles(arch, dialect) {
+  return databaseLayout(arch).map(spec => ({
+    path: spec.name,
+    content: spec.type === 'migration' ? generateMigration(arch, dialect) : generateSeed(arch, dialect)
+  }));
+}
+
+// The file with `search` replaced, and the line it was on
+function breakFile(file, search, replacement) {
+  const index = file.content.indexOf(search);
+  assert.notEqual(index, -1, search);
+  return {
+    file: { ...file, content: file.content.replace(search, replacement) },
+    line: file.content.slice(0, index).split('\n').length
+  };
+}
+
+for (const dialect of ['postgres', 'sqlite']) {
+  test(`the ${dialect} migration and seed parse`, async () => {
+    const arch = architecture(dialect === 'postgres' ? 'Supabase' : 'Custom JWT');
+    const report = await checkDatabaseFiles(databaseFiles(arch, dialect), arch, dialect);
+
+    assert.equal(report.dialect, dialect);
+    assert.deepEqual(report.errors, []);
+    assert.equal(report.valid, true);
+    assert.equal(report.files.length, 2);
+    assert.deepEqual(report.warnings, ["habits: relationship to unknown table 'streaks' skipped"]);
+  });
+
+  test(`a broken ${dialect} statement is reported with its file and line`, async () => {
+    const arch = architecture('Custom JWT');
+    const [migration, seed] = databaseFiles(arch, dialect);
+    const { file, line } = breakFile(migration, 'CREATE TABLE IF NOT EXISTS tags (', 'CREATE TABLE IF NOT EXISTS tags tags (');
+    const report = await checkDatabaseFiles([file, seed], arch, dialect);
+
+    assert.equal(report.valid, false);
+    assert.equal(report.errors[0].file, 'db/migrations/001_initial_schema.sql');
+    assert.equal(report.errors[0].line, line);
+    assert.match(report.errors[0].message, /syntax error/i);
+  });
+}
+
+test('relationships become foreign keys, indexes and join tables', () => {
+  const arch = architecture('Custom JWT');
+  const postgres = generateMigration(arch, 'postgres');
+
+  assert.match(postgres, /CONSTRAINT habits_user_id_fkey FOREIGN KEY \(user_id\) REFERENCES profiles \(id\) ON DELETE CASCADE/);
+  assert.match(postgres, /habit_id uuid,\n[\s\S]*CONSTRAINT check_ins_habit_id_fkey FOREIGN KEY \(habit_id\) REFERENCES habits \(id\) ON DELETE SET NULL/);
+  assert.match(postgres, /CREATE TABLE IF NOT EXISTS habits_tags \(\n  habit_id uuid NOT NULL,\n  tag_id uuid NOT NULL,[\s\S]*PRIMARY KEY \(habit_id, tag_id\)/);
+  assert.match(postgres, /CREATE INDEX IF NOT EXISTS idx_habits_user_id ON habits \(user_id\);/);
+  assert.match(postgres, /CREATE INDEX IF NOT EXISTS idx_habits_tags_tag_id ON habits_tags \(tag_id\);/);
+  assert.doesNotMatch(postgres, /idx_habits_tags_habit_id/); // leads the primary key
+  assert.match(postgres, /-- WARNING: habits: relationship to unknown table 'streaks' skipped/);
+
+  // Parents are created before the tables that reference them
+  const order = [...postgres.matchAll(/CREATE TABLE IF NOT EXISTS (\w+)/g)].map(match => match[1]);
+  assert.ok(order.indexOf('habits') < order.indexOf('check_ins'));
+  assert.ok(order.indexOf('profiles') < order.indexOf('habits'));
+
+  const sqlite = generateMigration(arch, 'sqlite');
+  assert.match(sqlite, /^PRAGMA foreign_keys = ON;$/m);
+  assert.match(sqlite, /CREATE TRIGGER IF NOT EXISTS habits_set_updated_at\nAFTER UPDATE ON habits/);
+  assert.doesNotMatch(sqlite, /ROW LEVEL SECURITY|gen_random_uuid/);
+});
+
+test('Supabase tables get Row Level Security from the protected routes', () => {
+  const migration = generateMigration(architecture('Supabase'), 'postgres');
+
+  for (const table of ['profiles', 'habits', 'check_ins', 'tags', 'habits_tags']) {
+    assert.match(migration, new RegExp(`ALTER TABLE ${table} ENABLE ROW LEVEL SECURITY;`), table);
+  }
+  assert.match(migration, /-- habits: protected by \/habits, \/api\/habits/);
+  assert.match(migration, /CREATE POLICY habits_owner_all ON habits FOR ALL TO authenticated USING \(\(select auth\.uid\(\)\) = user_id\) WITH CHECK \(\(select auth\.uid\(\)\) = user_id\);/);
+  assert.doesNotMatch(migration, /habits_public_read/);
+  assert.match(migration, /CREATE POLICY tags_public_read ON tags FOR SELECT USING \(true\);/);
+  assert.match(migration, /-- habits_tags: protected by habits \(joined\)/);
+  assert.match(migration, /CONSTRAINT profiles_id_auth_fkey FOREIGN KEY \(id\) REFERENCES auth\.users \(id\) ON DELETE CASCADE/);
+  assert.match(generateSeed(architecture('Supabase'), 'postgres'), /INSERT INTO auth\.users \(id, email\) VALUES/);
+
+  assert.doesNotMatch(generateMigration(architecture('Custom JWT'), 'postgres'), /ROW LEVEL SECURITY|auth\.users/);
+  assert.deepEqual(databaseLayout(architecture('Supabase')).map(spec => spec.name), ['supabase/migrations/001_initial_schema.sql', 'supabase/seed.sql']);
+});
+
+test('the SQLite check runs the seed against the migrated tables', async () => {
+  const arch = architecture('Custom JWT');
+  const [migration, seed] = databaseFiles(arch, 'sqlite');
+  const { file, line } = breakFile(seed, 'INSERT OR IGNORE INTO tags (id, label)', 'INSERT OR IGNORE INTO tags (id, name)');
+  const report = await checkDatabaseFiles([migration, file], arch, 'sqlite');
+
+  assert.deepEqual(report.errors, [{ file: 'db/seed.sql', line, message: 'table tags has no column named name' }]);
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_WEIGHTS, blendScore, loadRankingWeights, parseWeights, rankCandidates } from '../ranking.js';
+
+// Ranking takes its embedding and README fetching as parameters, so these
+// stubs stand in for the model and GitHub
+
+const NOW = Date.parse('2024-06-01T00:00:00Z');
+const WORDS = ['habit', 'streak', 'todo', 'journal'];
+
+// One dimension per keyword; texts with no keyword get no vector
+const vectorOf = (text) => {
+  const vector = WORDS.map(word => (String(text).toLowerCase().includes(word) ? 1 : 0));
+  return vector.some(Boolean) ? vector : null;
+};
+const cosine = (a, b) => {
+  const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+  const norm = (vector) => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+function stubs({ readmes = {}, ideaVector = true } = {}) {
+  const calls = { readmeOf: [], embedRepos: [] };
+  return {
+    calls,
+    options: {
+      embed: async (text) => (ideaVector ? vectorOf(text) : null),
+      embedRepos: async (items) => {
+        calls.embedRepos.push(items.map(item => `${item.kind}:${item.repo.name}`));
+        return items.map(item => vectorOf(item.text));
+      },
+      similarity: cosine,
+      readmeOf: async (repo) => {
+        calls.readmeOf.push(repo.name);
+        return readmes[repo.name] ?? null;
+      },
+      now: NOW
+    }
+  };
+}
+
+const repo = (name, description, extra = {}) => ({
+  id: name,
+  name,
+  full_name: `example/${name}`,
+  description,
+  topics: [],
+  stargazers_count: 100,
+  pushed_at: '2024-06-01T00:00:00Z',
+  license: 'mit',
+  ...extra
+});
+
+test('parseWeights reads RERANK_WEIGHTS strings and normalizes them', () => {
+  assert.deepEqual(parseWeights('semantic=2, popularity=1,recency=1,license=0,readme=0'), {
+    weights: { semantic: 0.5, popularity: 0.25, recency: 0.25, license: 0, readme: 0 },
+    errors: []
+  });
+  assert.equal(parseWeights({ semantic: 1 }, { ...DEFAULT_WEIGHTS, semantic: 0 }).weights.semantic, 0.667);
+  assert.deepEqual(parseWeights(''), { weights: DEFAULT_WEIGHTS, errors: [] });
+  assert.equal(loadRankingWeights({ RERANK_WEIGHTS: 'semantic=1,popularity=0,recency=0,license=0,readme=0' }).weights.semantic, 1);
+});
+
+test('parseWeights rejects bad weights and keeps the base', () => {
+  assert.deepEqual(parseWeights('semantic=x,stars=1,readme=-1,license='), {
+    weights: DEFAULT_WEIGHTS,
+    errors: [
+      'weight for semantic must be a non-negative number',
+      'unknown signal "stars" (expected semantic, popularity, recency, license, readme)',
+      'weight for readme must be a non-negative number',
+      'weight for license must be a non-negative number'
+    ]
+  });
+  assert.deepEqual(parseWeights('semantic=0,popularity=0,recency=0,license=0,readme=0').errors, ['at least one weight must be positive']);
+  assert.deepEqual(loadRankingWeights({ RERANK_WEIGHTS: 'popularity' }).errors, ['weight for popularity must be a non-negative number']);
+});
+
+test('a signal without a value gives its weight to the others', () => {
+  const { score, signals } = blendScore({ semantic: 0.8, popularity: 0.5, recency: null, license: 1, readme: null }, DEFAULT_WEIGHTS);
+
+  assert.equal(score, 0.749);
+  assert.deepEqual(signals, [
+    { signal: 'semantic', value: 0.8, weight: 0.714, contribution: 0.571 },
+    { signal: 'popularity', value: 0.5, weight: 0.214, contribution: 0.107 },
+    { signal: 'recency', value: null, weight: 0, contribution: 0 },
+    { signal: 'license', value: 1, weight: 0.071, contribution: 0.071 },
+    { signal: 'readme', value: null, weight: 0, contribution: 0 }
+  ]);
+  assert.equal(blendScore({ semantic: 1, popularity: 1, recency: 1, license: 1, readme: 1 }, DEFAULT_WEIGHTS).score, 1);
+});
+
+test('archived repos rank last whatever their score', async () => {
+  const candidates = [
+    repo('habit-streaks', 'habit streak tracker', { archived: true, stargazers_count: 100_000 }),
+    repo('todo', 'todo list'),
+    repo('habits', 'habit tracker')
+  ];
+  const { options } = stubs();
+  const { total, repos } = await rankCandidates('habit tracker with streaks', candidates, { ...options, weights: DEFAULT_WEIGHTS, topN: 3 });
+
+  assert.equal(total, 3);
+  assert.deepEqual(repos.map(ranked => ranked.name), ['habits', 'todo', 'habit-streaks']);
+  assert.deepEqual(repos.map(ranked => ranked.ranking.rank), [1, 2, 3]);
+  assert.ok(repos[2].ranking.score > repos[0].ranking.score);
+});
+
+test('READMEs are fetched for the shortlist only, in one embedding batch', async () => {
+  const candidates = [
+    ...Array.from({ length: 11 }, (_, i) => repo(`habit-${i}`, 'habit tracker', { stargazers_count: 1000 - i })),
+    repo('journal', 'journal app', { stargazers_count: 5 })
+  ];
+  const { calls, options } = stubs({ readmes: { 'habit-3': 'A habit tracker with streaks' } });
+  const { repos } = await rankCandidates('habit tracker with streaks', candidates, { ...options, weights: DEFAULT_WEIGHTS, topN: 2 });
+
+  // max(10, topN * 2) repos, the best by the other signals
+  assert.deepEqual(calls.readmeOf, Array.from({ length: 10 }, (_, i) => `habit-${i}`));
+  assert.deepEqual(calls.embedRepos, [candidates.map(candidate => `summary:${candidate.name}`), ['readme:habit-3']]);
+
+  // A README that matches better lifts its repo; a missing one is not a zero
+  assert.equal(repos[0].name, 'habit-3');
+  const readme = repos[0].ranking.signals.find(entry => entry.signal === 'readme');
+  assert.ok(readme.value > 0.8 && readme.weight > 0);
+  const missing = repos[1].ranking.signals.find(entry => entry.signal === 'readme');
+  assert.deepEqual(missing, { signal: 'readme', value: null, weight: 0, contribution: 0 });
+});
+
+test('no README is fetched when its weight is zero or the idea has no embedding', async () => {
+  const candidates = [repo('habits', 'habit tracker'), repo('todo', 'todo list')];
+
+  const unweighted = stubs();
+  await rankCandidates('habit tracker', candidates, { ...unweighted.options, weights: parseWeights({ readme: 0 }).weights });
+  assert.deepEqual(unweighted.calls.readmeOf, []);
+
+  const offline = stubs({ ideaVector: false });
+  const { repos } = await rankCandidates('habit tracker', candidates, { ...offline.options, weights: DEFAULT_WEIGHTS });
+  assert.deepEqual(offline.calls.readmeOf, []);
+  assert.deepEqual(offline.calls.embedRepos, []);
+  assert.equal(repos[0].ranking.signals[0].value, null);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadLLMConfig, createLLMClient } from '../llm.js';
+import { loadRecorderConfig, createRecorder, withRecording, createReplayLLM, createGitHubFetch, MissingFixtureError } from '../recorder.js';
+
+// PIPELINE_MODE=record writes what replay reads: a recording made through
+// withRecording must replay call for call, and nothing else may match it
+
+// A fresh directory, removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ideatorepo-recorder-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function recordingSetup(t, env = {}) {
+  const config = loadLLMConfig({ LLM_PROVIDER: 'fixture', ...env });
+  const recorder = createRecorder({ mode: 'record', dir: tempDir(t) });
+  const recording = withRecording(await createLLMClient(config), recorder);
+  return { config, recorder, recording };
+}
+
+test('loadRecorderConfig defaults to live and rejects unknown modes', () => {
+  assert.equal(loadRecorderConfig({}).mode, 'live');
+  assert.equal(loadRecorderConfig({ PIPELINE_MODE: 'REPLAY', FIXTURES_DIR: '/tmp/f' }).dir, '/tmp/f');
+  assert.throws(() => loadRecorderConfig({ PIPELINE_MODE: 'rewind' }), /Unknown PIPELINE_MODE "rewind"/);
+});
+
+test('recorded generate and embed calls replay with the same results', async (t) => {
+  const { config, recorder, recording } = await recordingSetup(t);
+  const request = { stage: 'codegen', prompt: 'write a component', systemInstruction: 'TypeScript only' };
+
+  const text = await recording.generate(request);
+  const vectors = await recording.embedBatch(['one repo', 'another repo']);
+  const vector = await recording.embed('an idea');
+
+  const replay = createReplayLLM(createRecorder({ mode: 'replay', dir: recorder.dir }), config.models);
+  assert.equal(await replay.generate(request), text);
+  assert.deepEqual(await replay.embedBatch(['one repo', 'another repo']), vectors);
+  assert.deepEqual(await replay.embed('another repo'), vectors[1]);
+  assert.deepEqual(await replay.embed('an idea'), vector);
+  assert.equal(replay.modelFor('codegen'), 'fixture');
+});
+
+test('replay misses when the system instruction, JSON mode or model differ', async (t) => {
+  const { config, recorder, recording } = await recordingSetup(t);
+  await recording.generate({ stage: 'intent', prompt: 'an idea', systemInstruction: 'one', json: true });
+
+  const replay = createReplayLLM(createRecorder({ mode: 'replay', dir: recorder.dir }), config.models);
+  assert.equal(await replay.generate({ stage: 'intent', prompt: 'an idea', systemInstruction: 'one', json: true }), '{}');
+  await assert.rejects(replay.generate({ stage: 'intent', prompt: 'an idea', systemInstruction: 'two', json: true }), MissingFixtureError);
+  await assert.rejects(replay.generate({ stage: 'intent', prompt: 'an idea', systemInstruction: 'one' }), MissingFixtureError);
+
+  const otherModels = loadLLMConfig({ LLM_PROVIDER: 'fixture', LLM_MODEL_INTENT: 'other' }).models;
+  const otherReplay = createReplayLLM(createRecorder({ mode: 'replay', dir: recorder.dir }), otherModels);
+  await assert.rejects(otherReplay.generate({ stage: 'intent', prompt: 'an idea', systemInstruction: 'one', json: true }), MissingFixtureError);
+});
+
+test('a recording serves as fixtures for the fixture provider', async (t) => {
+  const { recorder, recording } = await recordingSetup(t, { LLM_MODEL_ANALYSIS: 'recorded-model' });
+  const fixtures = createRecorder({ mode: 'record', dir: recorder.dir });
+  fixtures.write('generate', 'analysis', { text: '{"fallback":true}' });
+  const request = { stage: 'analysis', prompt: 'mine patterns', json: true };
+  const recorded = await recording.generate(request);
+
+  const llm = await createLLMClient(loadLLMConfig({ LLM_PROVIDER: 'fixture', LLM_FIXTURES_DIR: recorder.dir, LLM_MODEL_ANALYSIS: 'recorded-model' }));
+  assert.equal(await llm.generate(request), recorded);
+  assert.equal(await llm.generate({ ...request, prompt: 'something else' }), '{"fallback":true}');
+});
+
+test('GitHub responses replay without the network, keyed without the auth header', async (t) => {
+  const dir = tempDir(t);
+  const url = 'https://api.github.com/graphql';
+  const body = JSON.stringify({ query: '{ viewer { login } }' });
+
+  const replayFetch = createGitHubFetch(createRecorder({ mode: 'replay', dir }));
+  await assert.rejects(replayFetch(url, { method: 'POST', body }), MissingFixtureError);
+
+  // What a record run leaves behind for this request
+  const recordedFetch = createGitHubFetch(createRecorder({ mode: 'record', dir }));
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response('{"data":{"viewer":{"login":"octocat"}}}', { status: 200 });
+  try {
+    await recordedFetch(url, { method: 'POST', body, headers: { Authorization: 'bearer secret' } });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+
+  const response = await replayFetch(url, { method: 'POST', body, headers: { Authorization: 'bearer other' } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { data: { viewer: { login: 'octocat' } } });
+  assert.ok(!fs.readFileSync(path.join(dir, 'github', fs.readdirSync(path.join(dir, 'github'))[0]), 'utf8').includes('secret'));
+});
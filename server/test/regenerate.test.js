@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { changedFacets, diffFiles, planRegeneration } from '../regenerate.js';
+import { getStack } from '../stacks/index.js';
+import { testLayout } from '../testing.js';
+
+// An architecture edit regenerates the files whose prompt inputs changed and
+// nothing else: model calls are the expensive part of a regeneration
+
+const ARCHITECTURE = {
+  projectName: 'Habit Tracker',
+  techStack: { framework: 'React', styling: 'Tailwind CSS' },
+  pages: [
+    { name: 'HomePage', route: '/', imports: ['HabitCard'] },
+    { name: 'SettingsPage', route: '/settings', imports: ['Footer'] }
+  ],
+  components: [
+    { name: 'HabitCard', props: [{ name: 'habit', type: 'Habit', required: true }] },
+    { name: 'Footer', props: [] }
+  ],
+  stateManagement: { approach: 'Zustand', globalStores: [] },
+  databaseSchema: [],
+  apiEndpoints: [{ path: '/api/habits', method: 'GET', purpose: 'List habits', authentication: false }],
+  authentication: { provider: 'None' }
+};
+
+const edited = (edit) => {
+  const architecture = structuredClone(ARCHITECTURE);
+  edit(architecture);
+  return architecture;
+};
+
+// The spec shapes a stack plans; the hook and the API client (with a backend) are templated
+const TEMPLATED = ['hook', 'api-client'];
+const isTemplated = (spec) => TEMPLATED.includes(spec.type);
+
+function specsFor(architecture) {
+  const specs = [
+    { type: 'main', name: 'src/main.tsx' },
+    { type: 'app', name: 'src/App.tsx' },
+    { type: 'api-client', name: 'src/lib/api.ts' },
+    { type: 'hook', name: 'src/hooks/useDebounce.ts' },
+    ...architecture.pages.map(page => ({ type: 'page', name: `src/pages/${page.name}.tsx`, metadata: page })),
+    ...architecture.components.map(component => ({ type: 'component', name: `src/components/${component.name}.tsx`, metadata: component }))
+  ];
+  return [...specs, ...testLayout(specs, getStack('react-vite'))];
+}
+
+function regeneration(previous, next, { paths, existingPaths } = {}) {
+  const previousSpecs = specsFor(previous);
+  const nextSpecs = specsFor(next);
+  return planRegeneration({
+    previous,
+    next,
+    previousSpecs,
+    nextSpecs,
+    previousPaths: ['package.json', ...previousSpecs.map(spec => spec.name)],
+    nextPaths: ['package.json', ...nextSpecs.map(spec => spec.name)],
+    existingPaths: existingPaths ?? ['package.json', ...previousSpecs.map(spec => spec.name)],
+    paths,
+    isTemplated
+  });
+}
+
+const reasons = (plan) => Object.fromEntries(plan.regenerate.map(({ spec, reason }) => [spec.name, reason]));
+
+test('an unchanged architecture regenerates nothing', () => {
+  const plan = regeneration(ARCHITECTURE, structuredClone(ARCHITECTURE));
+  assert.deepEqual(plan, { changes: [], architectureChanged: false, regenerate: [], removed: [] });
+});
+
+test('a prop change regenerates the component, the pages that import it and their tests', () => {
+  const plan = regeneration(ARCHITECTURE, edited(architecture => {
+    architecture.components[0].props.push({ name: 'onToggle', type: '() => void', required: false });
+  }));
+
+  assert.deepEqual(plan.changes, []);
+  assert.equal(plan.architectureChanged, true);
+  assert.deepEqual(reasons(plan), {
+    'src/lib/api.ts': 'template rendered again',
+    'src/hooks/useDebounce.ts': 'template rendered again',
+    'src/pages/HomePage.tsx': 'props of HabitCard changed',
+    'src/components/HabitCard.tsx': 'component HabitCard changed',
+    'src/components/HabitCard.test.tsx': 'test HabitCard changed',
+    'src/pages/HomePage.test.tsx': 'src/pages/HomePage.tsx regenerated'
+  });
+});
+
+test('a test of a templated file follows it only when its inputs changed', () => {
+  const propEdit = reasons(regeneration(ARCHITECTURE, edited(architecture => {
+    architecture.components[1].props.push({ name: 'year', type: 'number', required: true });
+  })));
+  assert.equal(propEdit['src/lib/api.ts'], 'template rendered again');
+  assert.equal(propEdit['src/lib/api.test.ts'], undefined);
+
+  const endpointEdit = reasons(regeneration(ARCHITECTURE, edited(architecture => {
+    architecture.apiEndpoints.push({ path: '/api/habits', method: 'POST', purpose: 'Create a habit', authentication: false });
+  })));
+  assert.equal(endpointEdit['src/lib/api.test.ts'], 'src/lib/api.ts regenerated');
+});
+
+test('templated files are rendered again only when the architecture changed', () => {
+  const plan = regeneration(ARCHITECTURE, structuredClone(ARCHITECTURE), { paths: ['src/components/Footer.tsx', 'src/hooks/useDebounce.ts'] });
+
+  assert.equal(plan.architectureChanged, false);
+  assert.deepEqual(reasons(plan), {
+    'src/hooks/useDebounce.ts': 'requested',
+    'src/components/Footer.tsx': 'requested',
+    'src/components/Footer.test.tsx': 'src/components/Footer.tsx regenerated'
+  });
+});
+
+test('route changes regenerate the router; dropped pages are removed', () => {
+  const next = edited(architecture => {
+    architecture.pages[1] = { name: 'ProfilePage', route: '/profile', imports: ['Footer'] };
+  });
+  const plan = regeneration(ARCHITECTURE, next, {
+    existingPaths: specsFor(ARCHITECTURE).map(spec => spec.name).filter(name => name !== 'src/main.tsx')
+  });
+
+  assert.deepEqual(plan.changes, ['routes']);
+  assert.deepEqual(reasons(plan), {
+    'src/main.tsx': 'missing from the project',
+    'src/App.tsx': 'routes changed',
+    'src/lib/api.ts': 'template rendered again',
+    'src/hooks/useDebounce.ts': 'template rendered again',
+    'src/pages/ProfilePage.tsx': 'new in the architecture',
+    'src/pages/ProfilePage.test.tsx': 'new in the architecture'
+  });
+  assert.deepEqual(plan.removed, ['src/pages/SettingsPage.tsx', 'src/pages/SettingsPage.test.tsx']);
+});
+
+test('changedFacets ignores key order and reports what prompts read', () => {
+  const reordered = { ...ARCHITECTURE, techStack: { styling: 'Tailwind CSS', framework: 'React' } };
+  assert.deepEqual(changedFacets(ARCHITECTURE, reordered), []);
+  assert.deepEqual(changedFacets(ARCHITECTURE, edited(architecture => {
+    architecture.authentication = { provider: 'Supabase' };
+    architecture.stateManagement.approach = 'Redux';
+  })), ['authentication', 'authProvider', 'stateApproach']);
+});
+
+test('diffFiles lists added, modified and removed files with line counts', () => {
+  const before = [
+    { path: 'README.md', content: '# Habits\n' },
+    { path: 'src/App.tsx', content: 'a\nb\nc' },
+    { path: 'src/pages/SettingsPage.tsx', content: 'x\ny' }
+  ];
+  const after = [
+    { path: 'README.md', content: '# Habits\n' },
+    { path: 'src/App.tsx', content: 'a\nc\nd\ne' },
+    { path: 'src/pages/ProfilePage.tsx', content: 'p' }
+  ];
+
+  assert.deepEqual(diffFiles(before, after, new Map([['src/App.tsx', 'routes changed']])), [
+    { path: 'src/App.tsx', status: 'modified', reason: 'routes changed', linesAdded: 2, linesRemoved: 1 },
+    { path: 'src/pages/ProfilePage.tsx', status: 'added', reason: 'new file', linesAdded: 1, linesRemoved: 0 },
+    { path: 'src/pages/SettingsPage.tsx', status: 'removed', reason: 'no longer in the architecture', linesAdded: 0, linesRemoved: 2 }
+  ]);
+});
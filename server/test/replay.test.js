@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Runs the server itself in live, record and replay mode against the fixture
+// provider. A replay must answer exactly like the recording it replays, even
+// when DATA_DIR already holds state from earlier live runs.
+
+const SERVER = fileURLToPath(new URL('../index.js', import.meta.url));
+
+// A fresh directory, removed when the test ends
+function tempDir(t, prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer().listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  }).on('error', reject);
+});
+
+async function startServer(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ...env, PORT: String(port), LLM_PROVIDER: 'fixture', RUN_GENERATED_TESTS: 'false', LOG_LEVEL: 'ERROR', GITHUB_TOKEN: '' },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  const base = `http://127.0.0.1:${port}`;
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (child.exitCode !== null) throw new Error(`The server exited with code ${child.exitCode}`);
+    try {
+      if ((await fetch(`${base}/api/health`)).ok) break;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  return {
+    post: async (route, body) => {
+      const response = await fetch(`${base}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    stop: () => new Promise(resolve => {
+      child.once('exit', resolve);
+      child.kill();
+    })
+  };
+}
+
+const candidate = (id, name, description) => ({
+  id,
+  name,
+  full_name: `example/${name}`,
+  description,
+  stargazers_count: 10 * id,
+  language: 'TypeScript',
+  topics: [],
+  source: 'local',
+  path: `/nonexistent/${name}`
+});
+
+const RERANK = {
+  idea: 'habit tracker with daily streaks',
+  topN: 2,
+  candidates: [
+    candidate(1, 'habits', 'track daily habits and streaks'),
+    candidate(2, 'todo', 'a simple todo list'),
+    candidate(3, 'journal', 'daily journal with reminders')
+  ]
+};
+
+async function rerankIn(env, request = RERANK) {
+  const server = await startServer(env);
+  try {
+    return await server.post('/api/rerank?meta=true', request);
+  } finally {
+    await server.stop();
+  }
+}
+
+test('a replayed rerank matches its recording, recalled repos included', { timeout: 60_000 }, async (t) => {
+  const dataDir = tempDir(t, 'ideatorepo-data-');
+  const fixturesDir = tempDir(t, 'ideatorepo-fixtures-');
+
+  // A live run leaves vectors in DATA_DIR that the recording must not lean on
+  const live = await rerankIn({ DATA_DIR: dataDir, PIPELINE_MODE: 'live' }, {
+    ...RERANK,
+    candidates: [candidate(4, 'streaks', 'habit streak counter'), ...RERANK.candidates]
+  });
+  assert.equal(live.status, 200);
+
+  const recorded = await rerankIn({ DATA_DIR: dataDir, PIPELINE_MODE: 'record', FIXTURES_DIR: fixturesDir });
+  assert.equal(recorded.status, 200);
+  assert.equal(recorded.body.repos.length, 2);
+  assert.equal(recorded.body.recalled, 0);
+
+  const replayed = await rerankIn({ DATA_DIR: dataDir, PIPELINE_MODE: 'replay', FIXTURES_DIR: fixturesDir });
+  assert.equal(replayed.status, 200);
+  assert.deepEqual(replayed.body, recorded.body);
+});
+
+test('a replay that leaves its recording fails instead of degrading', { timeout: 60_000 }, async (t) => {
+  const fixturesDir = tempDir(t, 'ideatorepo-fixtures-');
+  const dataDir = tempDir(t, 'ideatorepo-data-');
+
+  const replayed = await rerankIn({ DATA_DIR: dataDir, PIPELINE_MODE: 'replay', FIXTURES_DIR: fixturesDir });
+  assert.equal(replayed.status, 500);
+  assert.match(replayed.body.details, /No recorded embed fixture/);
+});
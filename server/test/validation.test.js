@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateValidatedJSON, validateAgainst } from '../validation.js';
+
+// A model that always answers the same text
+const answering = (text) => ({ generate: async () => text });
+
+test('output that never validates is conformed and flagged as degraded', async () => {
+  const { data, report } = await generateValidatedJSON(answering('{"feasibility":{"score":"8"}}'), {
+    stage: 'intent',
+    prompt: 'p',
+    typeName: 'IntentAnalysis',
+    parse: JSON.parse,
+    maxRepairs: 1
+  });
+
+  assert.equal(validateAgainst('IntentAnalysis', data).valid, true);
+  assert.equal(data.feasibility.score, 8);
+  assert.equal(report.valid, false);
+  assert.equal(report.attempts, 2);
+  assert.equal(report.conformed, true);
+  assert.equal(report.degraded, true);
+  assert.ok(report.defaulted.includes('/searchStrategies'));
+  assert.ok(!report.defaulted.includes('/feasibility/score'));
+});
+
+test('unparseable output after every repair is an error', async () => {
+  await assert.rejects(generateValidatedJSON(answering('not json'), {
+    stage: 'intent',
+    prompt: 'p',
+    typeName: 'IntentAnalysis',
+    parse: JSON.parse,
+    maxRepairs: 0
+  }), /did not return parseable JSON after 1 attempt/);
+});
+
+test('a repaired answer is valid and not degraded', async () => {
+  const question = { field: 'timeline', question: 'When?', why: 'Scope', options: ['weekend'] };
+  const answers = [JSON.stringify({ ...question, field: 'deadline' }), JSON.stringify(question)];
+  const { data, report } = await generateValidatedJSON({ generate: async () => answers.shift() }, {
+    stage: 'intent',
+    prompt: 'p',
+    typeName: 'ClarifyingQuestion',
+    parse: JSON.parse
+  });
+
+  assert.deepEqual(data, question);
+  assert.equal(report.valid, true);
+  assert.equal(report.repaired, true);
+  assert.equal(report.degraded, false);
+  assert.deepEqual(report.defaulted, []);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createVectorStore, contentHash } from '../vectors.js';
+
+// The server and index-corpus share one vector file; each must see what the
+// other wrote without a restart
+
+// A fresh directory, removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ideatorepo-vectors-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+const repo = (id) => ({ id, name: `repo-${id}` });
+
+test('a store recalls vectors another store wrote to the same file', (t) => {
+  const dir = tempDir(t);
+  const server = createVectorStore(dir, { model: 'fixture' });
+  const indexer = createVectorStore(dir, { model: 'fixture' });
+
+  server.put('summary', 1, contentHash('one'), [1, 0], repo(1));
+  assert.equal(server.size(), 1);
+
+  indexer.put('summary', 2, contentHash('two'), [0, 1], repo(2));
+  assert.equal(indexer.size(), 2);
+  assert.equal(server.size(), 2);
+  assert.deepEqual(server.get('summary', 2, contentHash('two')), [0, 1]);
+  assert.deepEqual(server.nearest([0, 1], { limit: 1 }).map(hit => hit.repo.id), [2]);
+});
+
+test('a store without a directory keeps vectors in memory only', () => {
+  const store = createVectorStore(null, { model: 'fixture' });
+  store.put('summary', 1, contentHash('one'), [1, 0], repo(1));
+  assert.deepEqual(store.get('summary', 1, contentHash('one')), [1, 0]);
+  assert.equal(store.get('summary', 1, contentHash('changed')), null);
+});
@@ -0,0 +1,365 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+// -----------------------------------------------------------------------------
+// GENERATED TEST SUITE
+// -----------------------------------------------------------------------------
+// The tests tier: one Vitest + Testing Library file next to every page,
+// component, store and API client the stack lays out. Test files are generated
+// after the code they test, and their prompt includes that code, so queries
+// match the real labels and props.
+//
+//   page, component   renders, props show up, callbacks fire, every control has
+//                     an accessible name (queried by role, never by test id)
+//   store             initial state and every action, reset between tests
+//   api-client        fetch is stubbed under apiRequest: method, path, body,
+//                     auth header and error handling of each endpoint function
+//
+// The framework-specific parts (Testing Library flavour, vitest.config.ts,
+// render and store hints) come from stack.testing.
+//
+// runProjectTests() runs the suite on the server: it installs the project's
+// dependencies once per dependency set (cached under `depsDir`), then runs
+// `vitest run` in a temp copy of the project with a bare environment, since
+// it executes generated code. The report is pass/fail per test file.
+
+const run = promisify(execFile);
+
+export const TESTED_TYPES = ['page', 'component', 'store', 'api-client'];
+
+const SETUP_FILE = 'src/test/setup.ts';
+const REPORT_FILE = '.vitest-report.json';
+const MAX_SOURCE_CHARS = 12_000;
+const MAX_FAILURE_CHARS = 1_000;
+const KEPT_INSTALLS = 3;
+
+// Vitest options every stack's vitest.config.ts uses
+const VITEST_OPTIONS = `{
+    environment: 'jsdom',
+    setupFiles: ['./${SETUP_FILE}'],
+    include: ['src/**/*.test.{ts,tsx}']
+  }`;
+
+export const isTestFile = (filePath) => /\.test\.tsx?$/.test(filePath);
+
+// src/components/Card.tsx -> src/components/Card.test.tsx; src/routes/+page.svelte -> src/routes/page.test.ts
+function testPathFor(filePath, stack) {
+  const { dir, name, ext } = path.posix.parse(filePath);
+  const extension = ext === '.tsx' ? '.test.tsx' : stack.testing.extension;
+  return path.posix.join(dir, `${name.replace(/^\+/, '')}${extension}`);
+}
+
+/**
+ * File specs for the tests tier, derived from the stack's own specs.
+ * metadata.subject is the file under test; metadata.details is its metadata.
+ */
+export function testLayout(specs, stack) {
+  return specs.filter(spec => TESTED_TYPES.includes(spec.type)).map(spec => ({
+    type: 'test',
+    name: testPathFor(spec.name, stack),
+    priority: 4,
+    metadata: {
+      kind: spec.type,
+      subject: spec.name,
+      name: spec.metadata?.name ?? null,
+      details: spec.metadata ?? null
+    }
+  }));
+}
+
+export function testStaticFiles(stack) {
+  return [
+    { path: 'vitest.config.ts', content: stack.testing.config(VITEST_OPTIONS) },
+    {
+      path: SETUP_FILE,
+      content: `import '@testing-library/jest-dom/vitest';
+import { afterEach } from 'vitest';
+import { cleanup } from '${stack.testing.library}';
+
+afterEach(() => {
+  cleanup();
+});
+`
+    }
+  ];
+}
+
+export function testDependencies(stack) {
+  return {
+    dependencies: {},
+    devDependencies: {
+      "@testing-library/jest-dom": "^6.4.2",
+      "@testing-library/user-event": "^14.5.2",
+      "jsdom": "^24.0.0",
+      "vitest": "^1.3.1",
+      ...stack.testing.devDependencies
+    }
+  };
+}
+
+export const testScripts = {
+  "test": "vitest run",
+  "test:watch": "vitest"
+};
+
+// Import path of `target` as written in `from`, e.g. '../lib/api'
+function importPath(from, target) {
+  const relative = path.posix.relative(path.posix.dirname(from), target).replace(/\.(tsx?|js)$/, '');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function subjectRequirements(spec, architecture, stack, modules) {
+  const { kind, details } = spec.metadata;
+  const mocks = [
+    modules.api && `- Mock the API client with vi.mock('${importPath(spec.name, modules.api)}') and give each mocked call a resolved value`,
+    modules.auth && `- Mock the auth module with vi.mock('${importPath(spec.name, modules.auth)}') and return a signed-in user`
+  ].filter(Boolean);
+
+  switch (kind) {
+    case 'page':
+      return `PAGE: ${details.name} at ${details.route}${details.isProtected ? ' (protected)' : ''}
+DESCRIPTION: ${details.description}
+
+TESTS:
+1. Renders without crashing and shows its main heading
+2. If it loads data: the loading state, then the content once mocked data resolves
+3. If it loads data: an error message when a mocked API call rejects
+4. Accessibility: every button, link and form field has an accessible name
+${mocks.join('\n')}
+- ${stack.testing.renderHint}`;
+
+    case 'component':
+      return `COMPONENT: ${details.name} (${details.category})
+DESCRIPTION: ${details.description}
+PROPS: ${(details.props || []).map(p => `${p.name}: ${p.type}${p.required ? '' : '?'}`).join('; ') || 'none'}
+
+TESTS:
+1. Renders with only the required props
+2. Each prop that is displayed shows up; each callback prop fires on the matching user event
+3. Accessibility: every button, link and form field has an accessible name
+- ${stack.testing.renderHint}`;
+
+    case 'store':
+      return `STORE: ${details.name}
+PURPOSE: ${details.purpose}
+STATE: ${(details.stateShape || []).join(', ')}
+STATE MANAGEMENT: ${architecture.stateManagement.approach}
+
+TESTS:
+1. The initial state
+2. Every action, one test each, asserting the state after it runs
+- ${stack.testing.storeHint}
+- Reset the store before each test so tests do not share state`;
+
+    case 'api-client':
+      return `API ENDPOINTS:
+${JSON.stringify(architecture.apiEndpoints.slice(0, 10), null, 2)}
+
+TESTS:
+1. Stub fetch, the transport under apiRequest, with vi.stubGlobal('fetch', vi.fn()) and restore it after each test
+2. For each exported endpoint function: the request method, path and JSON body
+3. The Authorization header when a token is stored
+4. A non-2xx response rejects`;
+
+    default:
+      throw new Error(`Unknown test kind: ${kind}`);
+  }
+}
+
+/**
+ * Prompt for a test spec. spec.source is the generated file under test; without
+ * it the test is written from the architecture alone.
+ */
+export function testPrompt(spec, architecture, stack) {
+  const specs = Object.values(stack.layout(architecture)).flat();
+  const modules = {
+    api: specs.find(s => s.type === 'api-client')?.name,
+    auth: spec.metadata.kind === 'page' ? specs.find(s => s.type === 'auth-context')?.name : undefined
+  };
+  const source = spec.source && spec.source.length > MAX_SOURCE_CHARS
+    ? `${spec.source.slice(0, MAX_SOURCE_CHARS)}\n// ... truncated`
+    : spec.source;
+
+  return `Generate ${spec.name}: ${stack.name} tests for ${spec.metadata.subject} in ${architecture.projectName}
+
+${subjectRequirements(spec, architecture, stack, modules)}
+${source ? `
+FILE UNDER TEST (${spec.metadata.subject}):
+${source}
+` : ''}
+REQUIREMENTS:
+- Vitest: import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest' (no globals)
+- ${stack.testing.library} for rendering and queries; @testing-library/user-event for interaction
+- Query by role, label or text (getByRole('button', { name: ... })); never by test id or class name
+- jest-dom matchers (toBeInTheDocument, toHaveAccessibleName) are set up in ${SETUP_FILE}
+- Import the file under test as ${importPath(spec.name, spec.metadata.subject)}, matching its export style
+- Only assert behaviour the file under test actually has
+- No snapshots, no real network calls, no timers left running
+
+Return ONLY the test file. No markdown, no explanations.`;
+}
+
+// --- Running the suite ---------------------------------------------------------
+
+const installs = new Map(); // dependency set -> promise of its node_modules directory
+const inUse = new Map();    // dependency set -> runs currently using it
+
+function dependencyKey(manifest) {
+  const deps = { dependencies: manifest.dependencies || {}, devDependencies: manifest.devDependencies || {} };
+  return crypto.createHash('sha256').update(JSON.stringify(deps)).digest('hex').slice(0, 16);
+}
+
+// Drops all but the most recently used installs
+async function pruneInstalls(depsDir) {
+  const entries = await fs.promises.readdir(depsDir, { withFileTypes: true });
+  const dirs = await Promise.all(entries
+    .filter(entry => entry.isDirectory() && !installs.has(entry.name) && !inUse.has(entry.name))
+    .map(async entry => ({ name: entry.name, mtime: (await fs.promises.stat(path.join(depsDir, entry.name))).mtimeMs })));
+  const stale = dirs.sort((a, b) => b.mtime - a.mtime).slice(KEPT_INSTALLS);
+  await Promise.all(stale.map(dir => fs.promises.rm(path.join(depsDir, dir.name), { recursive: true, force: true })));
+}
+
+async function installDependencies(key, manifest, depsDir, timeoutMs) {
+  if (!installs.has(key)) {
+    const dir = path.join(depsDir, key);
+    const install = (async () => {
+      const modules = path.join(dir, 'node_modules');
+      if (fs.existsSync(path.join(dir, '.installed'))) {
+        await fs.promises.utimes(dir, new Date(), new Date());
+        return modules;
+      }
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, 'package.json'), JSON.stringify({
+        name: 'ideatorepo-test-deps',
+        private: true,
+        dependencies: manifest.dependencies || {},
+        devDependencies: manifest.devDependencies || {}
+      }));
+      // No lifecycle scripts: package versions can come from analyzed repos
+      await run('npm', ['install', '--no-audit', '--no-fund', '--ignore-scripts', '--no-package-lock', '--loglevel=error'], {
+        cwd: dir,
+        timeout: timeoutMs,
+        maxBuffer: 16 * 1024 * 1024
+      });
+      await fs.promises.writeFile(path.join(dir, '.installed'), new Date().toISOString());
+      return modules;
+    })();
+    installs.set(key, install);
+    install.catch(() => {}).finally(() => {
+      installs.delete(key);
+      pruneInstalls(depsDir).catch(() => {});
+    });
+  }
+  return installs.get(key);
+}
+
+const lastLine = (text) => String(text || '').trim().split('\n').filter(Boolean).pop() || 'unknown error';
+
+const skipped = (reason) => ({ passed: null, fileCount: 0, failedFiles: 0, files: [], durationMs: 0, skipped: reason });
+
+function toReport(raw, rootDir, testPaths, durationMs) {
+  // Messages name files by their temp path; report them by project path
+  const clean = (message) => String(message).split(`${rootDir}${path.sep}`).join('').slice(0, MAX_FAILURE_CHARS);
+  const results = new Map((raw.testResults || []).map(result => [
+    path.relative(rootDir, result.name).split(path.sep).join('/'),
+    result
+  ]));
+
+  const files = testPaths.map(filePath => {
+    const result = results.get(filePath);
+    if (!result) {
+      return { path: filePath, status: 'failed', tests: 0, failures: [{ name: filePath, message: 'Not run: vitest did not collect this file' }] };
+    }
+    const assertions = result.assertionResults || [];
+    const failures = assertions
+      .filter(assertion => assertion.status === 'failed')
+      .map(assertion => ({ name: (assertion.fullName || assertion.title).trim(), message: clean((assertion.failureMessages || []).join('\n')) }));
+    // A file that fails to import or defines no tests has no assertion results, only a message
+    if (result.status === 'failed' && failures.length === 0) {
+      failures.push({ name: filePath, message: clean(result.message || 'Test file failed') });
+    }
+    return {
+      path: filePath,
+      status: result.status === 'passed' ? 'passed' : 'failed',
+      tests: assertions.length,
+      failures
+    };
+  });
+
+  const failedFiles = files.filter(file => file.status === 'failed').length;
+  return { passed: failedFiles === 0, fileCount: files.length, failedFiles, files, durationMs };
+}
+
+/**
+ * Runs a generated project's test files ([{ path, content }]). Resolves with
+ * { passed, fileCount, failedFiles, files: [{ path, status, tests, failures }], durationMs }
+ * or, when the suite cannot run here, passed: null and the reason in `skipped`.
+ */
+export async function runProjectTests(files, { depsDir, installTimeoutMs = 600_000, timeoutMs = 300_000 }) {
+  const testPaths = files.map(file => file.path).filter(isTestFile);
+  if (testPaths.length === 0) return skipped('the project has no test files');
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files.find(file => file.path === 'package.json')?.content ?? '');
+  } catch {
+    return skipped('package.json is missing or not valid JSON');
+  }
+
+  const key = dependencyKey(manifest);
+  inUse.set(key, (inUse.get(key) || 0) + 1);
+  try {
+    return await runInstalled(files, testPaths, manifest, { key, depsDir, installTimeoutMs, timeoutMs });
+  } finally {
+    if (inUse.get(key) > 1) inUse.set(key, inUse.get(key) - 1);
+    else inUse.delete(key);
+  }
+}
+
+async function runInstalled(files, testPaths, manifest, { key, depsDir, installTimeoutMs, timeoutMs }) {
+  let modules;
+  try {
+    await fs.promises.mkdir(depsDir, { recursive: true });
+    modules = await installDependencies(key, manifest, depsDir, installTimeoutMs);
+  } catch (error) {
+    return skipped(`dependencies could not be installed: ${lastLine(error.stderr || error.message)}`);
+  }
+
+  const rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ideatorepo-test-'));
+  const started = Date.now();
+  try {
+    for (const file of files) {
+      const target = path.join(rootDir, file.path);
+      if (!target.startsWith(rootDir + path.sep)) continue; // ignore paths escaping the project
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, file.content ?? '');
+    }
+    await fs.promises.symlink(modules, path.join(rootDir, 'node_modules'), 'dir');
+
+    const reportPath = path.join(rootDir, REPORT_FILE);
+    try {
+      await run(path.join(modules, '.bin', 'vitest'), ['run', '--reporter=json', `--outputFile=${reportPath}`], {
+        cwd: rootDir,
+        timeout: timeoutMs,
+        maxBuffer: 16 * 1024 * 1024,
+        // Generated code runs here: no server secrets in its environment
+        env: { PATH: process.env.PATH, HOME: rootDir, TMPDIR: os.tmpdir(), CI: 'true', NODE_ENV: 'test' }
+      });
+    } catch (error) {
+      // Failing tests exit 1 with a report; anything else has none
+      if (!fs.existsSync(reportPath)) {
+        return skipped(error.killed ? `vitest timed out after ${timeoutMs} ms` : `vitest failed to start: ${lastLine(error.stderr || error.message)}`);
+      }
+    }
+
+    const raw = JSON.parse(await fs.promises.readFile(reportPath, 'utf8'));
+    return toReport(raw, rootDir, testPaths, Date.now() - started);
+  } finally {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,200 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ts from 'typescript';
+
+// -----------------------------------------------------------------------------
+// GENERATED PROJECT TYPE-CHECK
+// -----------------------------------------------------------------------------
+// Writes a generated project to a temp dir and runs the TypeScript compiler
+// against its own tsconfig.json (and the backend's, when it has one), the
+// same check `tsc` does in its build script.
+//
+// The project's npm dependencies are not installed here, so diagnostics that
+// only exist because a declared package is missing are dropped: unresolved
+// imports of packages listed in package.json, React's JSX typings (and the
+// children prop they supply), Node's
+// globals (process.env in Next.js, console in a backend), and implicit-any callback parameters that the package's types would have
+// contextually typed. Imports of undeclared packages and broken relative
+// imports still fail, which is what we want to catch.
+
+const CHECKED_EXTENSIONS = ['.ts', '.tsx'];
+
+// Stands in for vite/client; written next to the project, never returned
+const ENV_SHIM_FILE = '__ideatorepo_env.d.ts';
+const ENV_SHIM = `declare module '*.css';
+declare module '*.svg';
+declare module '*.png';
+declare module '*.jpg';
+interface ImportMeta {
+  readonly env: Record<string, string | undefined>;
+}
+`;
+
+const MISSING_MODULE = 2307;            // Cannot find module 'x'
+const MISSING_TYPE_REFERENCE = 2688;    // Cannot find type definition file for 'x'
+const MISSING_JSX_RUNTIME = 2875;       // JSX tag requires 'react/jsx-runtime'
+const MISSING_JSX_ELEMENTS = 7026;      // No interface 'JSX.IntrinsicElements'
+const MISSING_PROPERTY = 2741;          // Property 'children' is missing (no JSX.ElementChildrenAttribute)
+const MISSING_NODE_GLOBAL = [2580, 2584, 2591]; // Cannot find name 'process' / 'console'; install @types/node
+const IMPLICIT_ANY_PARAMETER = [7006, 7031];
+
+export function isTypeCheckedFile(filePath) {
+  return CHECKED_EXTENSIONS.includes(path.extname(filePath)) && !filePath.endsWith('.d.ts');
+}
+
+function declaredPackages(files) {
+  const manifest = files.find(file => file.path === 'package.json');
+  if (!manifest) return new Set();
+  try {
+    const pkg = JSON.parse(manifest.content);
+    return new Set(Object.keys({ ...pkg.dependencies, ...pkg.devDependencies }));
+  } catch {
+    return new Set();
+  }
+}
+
+function packageName(specifier) {
+  if (specifier.startsWith('.') || specifier.startsWith('/')) return null;
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+function nodeAt(sourceFile, position) {
+  let node = sourceFile;
+  for (;;) {
+    const child = node.getChildren(sourceFile).find(c => c.getStart(sourceFile) <= position && position < c.getEnd());
+    if (!child) return node;
+    node = child;
+  }
+}
+
+// A function expression gets its parameter types from context (a call argument,
+// a JSX prop, an annotated variable), and so does a method of an object
+// literal, through the object. With the package untyped there is no context,
+// so the implicit any is ours, not the generated code's.
+const isObjectMethod = (node) => ts.isMethodDeclaration(node) && ts.isObjectLiteralExpression(node.parent);
+
+function isContextuallyTyped(diagnostic) {
+  let node = nodeAt(diagnostic.file, diagnostic.start);
+  while (node && !ts.isArrowFunction(node) && !ts.isFunctionExpression(node) && !isObjectMethod(node)) {
+    if (ts.isFunctionDeclaration(node) || ts.isMethodDeclaration(node) || ts.isSourceFile(node)) return false;
+    node = node.parent;
+  }
+  if (!node) return false;
+  const parent = isObjectMethod(node) ? node.parent.parent : node.parent;
+  return !(ts.isVariableDeclaration(parent) && !parent.type);
+}
+
+function isMissingPackageArtifact(diagnostic, packages) {
+  const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+  switch (diagnostic.code) {
+    case MISSING_MODULE:
+    case MISSING_TYPE_REFERENCE: {
+      const specifier = message.match(/'([^']+)'/)?.[1];
+      return Boolean(specifier) && packages.has(packageName(specifier));
+    }
+    case MISSING_JSX_RUNTIME:
+    case MISSING_JSX_ELEMENTS:
+      return packages.has('react');
+    case MISSING_PROPERTY:
+      // Without React's typings, JSX children are not passed as the children prop
+      return packages.has('react') && /^Property 'children' is missing/.test(message);
+    default:
+      if (MISSING_NODE_GLOBAL.includes(diagnostic.code)) return packages.has('@types/node');
+      return IMPLICIT_ANY_PARAMETER.includes(diagnostic.code) && Boolean(diagnostic.file) && isContextuallyTyped(diagnostic);
+  }
+}
+
+function toDiagnostic(diagnostic, rootDir) {
+  const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+  const base = {
+    code: diagnostic.code,
+    category: ts.DiagnosticCategory[diagnostic.category].toLowerCase(),
+    message
+  };
+  if (!diagnostic.file) return { file: null, ...base };
+
+  const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start ?? 0);
+  return {
+    file: path.relative(rootDir, diagnostic.file.fileName).split(path.sep).join('/'),
+    line: line + 1,
+    column: character + 1,
+    ...base
+  };
+}
+
+// Diagnostics from one tsconfig; config-level problems come back unfiltered
+function checkConfig(rootDir, configFile, rootNames, packages) {
+  const configPath = path.join(rootDir, configFile);
+  if (!fs.existsSync(configPath)) return [];
+
+  const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+  if (error) return [toDiagnostic(error, rootDir)];
+
+  const parsed = ts.parseJsonConfigFileContent(config, ts.sys, path.dirname(configPath), undefined, configPath);
+  // Project references would need the referenced builds; the app sources are all we check
+  const program = ts.createProgram({
+    rootNames: [...parsed.fileNames, ...rootNames],
+    options: { ...parsed.options, noEmit: true, types: [] }
+  });
+
+  return [...parsed.errors, ...ts.getPreEmitDiagnostics(program)]
+    .filter(diagnostic => diagnostic.category === ts.DiagnosticCategory.Error)
+    .filter(diagnostic => !isMissingPackageArtifact(diagnostic, packages))
+    .map(diagnostic => toDiagnostic(diagnostic, rootDir));
+}
+
+/**
+ * Type-checks a generated project ([{ path, content }]) against each of
+ * `configs` that the project contains (a separate server/tsconfig.json for a
+ * generated backend, say); files shared between them are reported once.
+ * Resolves with { compiles, errorCount, diagnostics: { [path]: [...] }, global: [...] }
+ * where `global` holds config-level problems that belong to no file.
+ */
+export async function typeCheckProject(files, { configs = ['tsconfig.json'] } = {}) {
+  const rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ideatorepo-tsc-'));
+
+  try {
+    for (const file of files) {
+      const target = path.join(rootDir, file.path);
+      if (!target.startsWith(rootDir + path.sep)) continue; // ignore paths escaping the project
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, file.content ?? '');
+    }
+
+    const shimPath = path.join(rootDir, ENV_SHIM_FILE);
+    await fs.promises.writeFile(shimPath, ENV_SHIM);
+    const packages = declaredPackages(files);
+
+    const seen = new Set();
+    const all = configs
+      .flatMap(configFile => checkConfig(rootDir, configFile, [shimPath], packages))
+      .filter(diagnostic => {
+        const key = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.code}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+    const diagnostics = {};
+    const global = [];
+    for (const diagnostic of all) {
+      if (!diagnostic.file || diagnostic.file === ENV_SHIM_FILE) {
+        global.push(diagnostic);
+      } else {
+        (diagnostics[diagnostic.file] ||= []).push(diagnostic);
+      }
+    }
+
+    return { compiles: all.length === 0, errorCount: all.length, diagnostics, global };
+  } finally {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  }
+}
+
+export function formatDiagnostics(diagnostics) {
+  return diagnostics
+    .map(d => `${d.file ?? '(project)'}${d.line ? `(${d.line},${d.column})` : ''}: error TS${d.code}: ${d.message}`)
+    .join('\n');
+}
@@ -0,0 +1,259 @@
+import fs from 'fs';
+import Ajv from 'ajv';
+
+// -----------------------------------------------------------------------------
+// AI OUTPUT VALIDATION & REPAIR
+// -----------------------------------------------------------------------------
+// JSON Schemas are generated from types.ts (`npm run schemas`), so the server
+// checks AI responses against exactly the shapes the client compiles against.
+//
+// generateValidatedJSON() asks the model, validates, and on failure re-prompts
+// with the precise validation errors up to AI_REPAIR_ATTEMPTS times. Whatever
+// is still wrong after that is conformed to the schema (missing or mistyped
+// fields replaced with type-appropriate defaults), so callers always get the
+// full shape. The returned report says which of these happened; a conformed
+// result is `degraded` when any field holds a default rather than model
+// output (`defaulted` lists them). Callers must not cache conformed results.
+
+const schema = JSON.parse(fs.readFileSync(new URL('./schemas/types.schema.json', import.meta.url), 'utf8'));
+const definitions = schema.definitions;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+ajv.addSchema(schema, 'types');
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const MAX_ERRORS_IN_PROMPT = 20;
+
+function formatError(error) {
+  const where = error.instancePath || '(root)';
+  if (error.keyword === 'enum') {
+    return `${where} must be one of: ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+  }
+  return `${where} ${error.message}`;
+}
+
+/**
+ * Validates data against a type from types.ts, e.g. validateAgainst('IntentAnalysis', data).
+ */
+export function validateAgainst(typeName, data) {
+  const validate = ajv.getSchema(`types#/definitions/${typeName}`);
+  if (!validate) throw new Error(`No JSON Schema for type "${typeName}"`);
+  const valid = validate(data);
+  return { valid, errors: valid ? [] : validate.errors.map(formatError) };
+}
+
+/**
+ * Allowed values of a string-union property, e.g.
+ * enumValues('IntentAnalysis', 'clarification', 'timeline'). Empty for non-enums.
+ */
+export function enumValues(typeName, ...propertyPath) {
+  let node = resolve(definitions[typeName]);
+  for (const key of propertyPath) node = resolve(node.properties?.[key]);
+  return node.enum || [];
+}
+
+// --- Schema conformance --------------------------------------------------------
+
+function resolve(node) {
+  while (node && node.$ref) {
+    node = definitions[node.$ref.replace('#/definitions/', '')];
+  }
+  return node || {};
+}
+
+const normalize = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function typeOf(node) {
+  return Array.isArray(node.type) ? node.type[0] : node.type;
+}
+
+function defaultFor(rawNode) {
+  const node = resolve(rawNode);
+  if (node.default !== undefined) return structuredClone(node.default);
+  if (node.const !== undefined) return node.const;
+  if (node.enum) return node.enum[0];
+  if (node.anyOf) return defaultFor(node.anyOf[0]);
+
+  switch (typeOf(node)) {
+    case 'string': return '';
+    case 'number':
+    case 'integer': return 0;
+    case 'boolean': return false;
+    case 'array': return [];
+    case 'null': return null;
+    case 'object': {
+      const result = {};
+      for (const key of node.required || []) {
+        result[key] = defaultFor(node.properties?.[key] || {});
+      }
+      return result;
+    }
+    default: return null;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Returns a value that satisfies the schema node, or undefined if `value`
+// cannot sensibly be coerced (callers then drop it or use the default).
+// Paths of required values replaced with defaults are pushed onto `defaulted`.
+function coerce(rawNode, value, at = '', defaulted = []) {
+  const node = resolve(rawNode);
+
+  if (node.anyOf) {
+    for (const branch of node.anyOf) {
+      const branchDefaulted = [];
+      const result = coerce(branch, value, at, branchDefaulted);
+      if (result !== undefined) {
+        defaulted.push(...branchDefaulted);
+        return result;
+      }
+    }
+    return undefined;
+  }
+
+  if (node.enum) {
+    if (node.enum.includes(value)) return value;
+    // Tolerate formatting drift: "2 weeks" -> "2-weeks", "simple crud" -> "Simple CRUD"
+    return node.enum.find(option => normalize(option) === normalize(value));
+  }
+
+  switch (typeOf(node)) {
+    case 'string':
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      return undefined;
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return undefined;
+    case 'array': {
+      const items = Array.isArray(value) ? value : value === undefined || value === null ? undefined : [value];
+      if (!items) return undefined;
+      return items.map((item, i) => coerce(node.items || {}, item, `${at}/${i}`, defaulted)).filter(item => item !== undefined);
+    }
+    case 'object': {
+      if (!isPlainObject(value)) return undefined;
+      const result = { ...value };
+      for (const [key, propNode] of Object.entries(node.properties || {})) {
+        const required = (node.required || []).includes(key);
+        if (result[key] === undefined) {
+          if (required) {
+            result[key] = defaultFor(propNode);
+            defaulted.push(`${at}/${key}`);
+          }
+          continue;
+        }
+        const coerced = coerce(propNode, result[key], `${at}/${key}`, defaulted);
+        if (coerced !== undefined) {
+          result[key] = coerced;
+        } else if (required) {
+          result[key] = defaultFor(propNode);
+          defaulted.push(`${at}/${key}`);
+        } else {
+          delete result[key];
+        }
+      }
+      return result;
+    }
+    default:
+      return value;
+  }
+}
+
+// The conformed data and the paths it got defaults for ('(root)' for all of it)
+function conform(typeName, data) {
+  const node = definitions[typeName];
+  if (!node) throw new Error(`No JSON Schema for type "${typeName}"`);
+  const defaulted = [];
+  const result = coerce(node, data, '', defaulted);
+  return result === undefined ? { data: defaultFor(node), defaulted: ['(root)'] } : { data: result, defaulted };
+}
+
+/**
+ * Forces data into the shape of a type from types.ts, keeping every valid value.
+ */
+export function conformToSchema(typeName, data) {
+  return conform(typeName, data).data;
+}
+
+// --- Generate -> validate -> repair loop ---------------------------------------
+
+// Read per call: this module is imported before dotenv has loaded .env.
+function repairAttemptsFromEnv() {
+  const value = Number.parseInt(process.env.AI_REPAIR_ATTEMPTS, 10);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+function repairPrompt(originalPrompt, previousResponse, errors) {
+  const listed = errors.slice(0, MAX_ERRORS_IN_PROMPT).map(error => `- ${error}`).join('\n');
+  const more = errors.length > MAX_ERRORS_IN_PROMPT ? `\n- ...and ${errors.length - MAX_ERRORS_IN_PROMPT} more` : '';
+
+  return `${originalPrompt}
+
+## YOUR PREVIOUS RESPONSE WAS INVALID
+It failed JSON Schema validation with these errors:
+${listed}${more}
+
+Previous response:
+${String(previousResponse).slice(0, 12000)}
+
+Return the COMPLETE corrected JSON object. Fix every error listed above and keep all valid content. Return ONLY valid JSON.`;
+}
+
+/**
+ * Generates JSON for `typeName`, repairing it with the model when it fails validation.
+ * `parse` turns raw model text into a value (throwing on malformed JSON).
+ * Resolves with { data, report }.
+ */
+export async function generateValidatedJSON(llm, { stage, prompt, typeName, parse, maxRepairs = repairAttemptsFromEnv() }) {
+  let currentPrompt = prompt;
+  let best = null; // { data, errors } with the fewest errors so far
+  let attempts = 0;
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    attempts++;
+    const raw = await llm.generate({ stage, prompt: currentPrompt, json: true });
+
+    let data;
+    let errors;
+    try {
+      data = parse(raw);
+      errors = validateAgainst(typeName, data).errors;
+    } catch (error) {
+      errors = [`(root) is not valid JSON: ${error.message}`];
+    }
+
+    if (data !== undefined && (!best || errors.length < best.errors.length)) {
+      best = { data, errors };
+    }
+    if (errors.length === 0) break;
+
+    currentPrompt = repairPrompt(prompt, raw, errors);
+  }
+
+  if (!best) {
+    throw new Error(`${typeName}: model did not return parseable JSON after ${attempts} attempt(s)`);
+  }
+
+  const valid = best.errors.length === 0;
+  const { data, defaulted } = valid ? { data: best.data, defaulted: [] } : conform(typeName, best.data);
+  return {
+    data,
+    report: {
+      schema: typeName,
+      valid,
+      attempts,
+      repaired: valid && attempts > 1,
+      conformed: !valid,
+      degraded: defaulted.length > 0,
+      defaulted,
+      errors: best.errors
+    }
+  };
+}
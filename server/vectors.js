@@ -0,0 +1,167 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// -----------------------------------------------------------------------------
+// VECTOR STORE: repo embeddings on local disk
+// -----------------------------------------------------------------------------
+// Every repo embedding the server computes is kept here, keyed by
+//
+//   kind     what was embedded: 'summary' (name + description + topics) or 'readme'
+//   id       the repo's id
+//   hash     content hash of the embedded text
+//
+// A stored vector is reused while the text's hash still matches, so repos are
+// embedded once, not once per request. nearest() searches every summary ever
+// stored, which lets an idea match repos that today's GitHub search missed.
+//
+// One append-only JSONL file per embedding model (vectors from different
+// models are not comparable). Later lines supersede earlier ones for the same
+// key; the file is compacted through a temp file + rename when superseded
+// lines outnumber live ones. The file is re-read when another process (the
+// corpus indexer) has changed it. Without a directory the store is memory-only.
+
+const COMPACT_MIN_LINES = 100;
+
+/** Key for "has this text changed since it was embedded". */
+export const contentHash = (text) => crypto.createHash('sha256').update(String(text)).digest('hex').slice(0, 16);
+
+// Float32 + base64: about a third of the size of a JSON number array
+const encodeVector = (vector) => Buffer.from(new Float32Array(vector).buffer).toString('base64');
+
+function decodeVector(text) {
+  const bytes = Buffer.from(text, 'base64');
+  return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+}
+
+function norm(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+  return Math.sqrt(sum);
+}
+
+export function createVectorStore(dir, { model }) {
+  const file = dir ? path.join(dir, `${String(model).replace(/[^\w.-]+/g, '_')}.jsonl`) : null;
+  const entries = new Map();
+  let lines = 0;
+
+  const keyOf = (kind, id) => `${kind}:${id}`;
+
+  function remember(record) {
+    const vector = decodeVector(record.vector);
+    entries.set(keyOf(record.kind, record.id), { ...record, vector, norm: norm(vector) });
+  }
+
+  const serialize = (entry) => JSON.stringify({
+    kind: entry.kind,
+    id: entry.id,
+    hash: entry.hash,
+    vector: encodeVector(entry.vector),
+    repo: entry.repo,
+    updatedAt: entry.updatedAt
+  });
+
+  function compact() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, [...entries.values()].map(entry => `${serialize(entry)}\n`).join(''));
+    fs.renameSync(tmp, file);
+    lines = entries.size;
+  }
+
+  // mtime and size of the file as last read or written by this store
+  let loaded = null;
+
+  const stamp = () => {
+    const stat = fs.statSync(file);
+    return { mtimeMs: stat.mtimeMs, size: stat.size };
+  };
+
+  function load() {
+    let current;
+    try {
+      current = stamp();
+    } catch {
+      return;
+    }
+    if (loaded && current.mtimeMs === loaded.mtimeMs && current.size === loaded.size) return;
+
+    entries.clear();
+    lines = 0;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      lines++;
+      try {
+        remember(JSON.parse(line));
+      } catch {
+        // A line cut short by a crash; the next compaction drops it
+      }
+    }
+    loaded = current;
+    if (lines >= COMPACT_MIN_LINES && lines > entries.size * 2) {
+      compact();
+      loaded = stamp();
+    }
+  }
+
+  const refresh = () => {
+    if (file) load();
+  };
+
+  if (file) {
+    fs.mkdirSync(dir, { recursive: true });
+    load();
+  }
+
+  return {
+    model,
+
+    /** The stored vector, or null when missing or embedded from different text. */
+    get(kind, id, hash) {
+      refresh();
+      const entry = entries.get(keyOf(kind, String(id)));
+      return entry && entry.hash === hash ? Array.from(entry.vector) : null;
+    },
+
+    /** Stores a vector with the repo it describes (returned by nearest()). */
+    put(kind, id, hash, vector, repo) {
+      const record = { kind, id: String(id), hash, vector: encodeVector(vector), repo, updatedAt: new Date().toISOString() };
+      if (file) {
+        refresh();
+        remember(record);
+        fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+        lines++;
+        loaded = stamp();
+      } else {
+        remember(record);
+      }
+    },
+
+    /**
+     * Stored repos most similar to `vector` by cosine similarity, best first:
+     * [{ repo, score }]. Linear scan; fine for the tens of thousands of repos a
+     * single server sees.
+     */
+    nearest(vector, { kind = 'summary', limit = 10, minScore = 0, exclude = new Set() } = {}) {
+      const queryNorm = norm(vector);
+      if (queryNorm === 0) return [];
+      refresh();
+
+      const hits = [];
+      for (const entry of entries.values()) {
+        if (entry.kind !== kind || exclude.has(entry.id) || entry.vector.length !== vector.length || entry.norm === 0) continue;
+        let dot = 0;
+        for (let i = 0; i < vector.length; i++) dot += vector[i] * entry.vector[i];
+        const score = dot / (queryNorm * entry.norm);
+        if (score >= minScore) hits.push({ repo: entry.repo, score: Math.round(score * 1000) / 1000 });
+      }
+      return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+    },
+
+    size(kind = 'summary') {
+      refresh();
+      let count = 0;
+      for (const entry of entries.values()) if (entry.kind === kind) count++;
+      return count;
+    }
+  };
+}
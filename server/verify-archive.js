@@ -0,0 +1,43 @@
+import path from 'path';
+import { verifyProject, MANIFEST_FILE } from './archive.js';
+
+// -----------------------------------------------------------------------------
+// ARCHIVE VERIFIER
+// -----------------------------------------------------------------------------
+//   node server/verify-archive.js <dir>
+//
+// Checks a project extracted from /api/projects/:id/archive against its
+// IDEATOREPO_MANIFEST.json: every listed file must exist with the recorded
+// size and SHA-256. Exits 1 when a file is missing or modified. Files the
+// manifest does not list are reported but allowed.
+
+const list = (label, paths) => {
+  if (paths.length === 0) return;
+  console.log(`${label} (${paths.length}):`);
+  paths.forEach(filePath => console.log(`  ${filePath}`));
+};
+
+function main() {
+  const [dir] = process.argv.slice(2);
+  if (!dir) {
+    console.error('Usage: node server/verify-archive.js <dir>');
+    process.exit(1);
+  }
+
+  const report = verifyProject(path.resolve(dir));
+  const { manifest } = report;
+  console.log(`${manifest.name ?? 'Project'}: ${report.checked} file(s) in ${MANIFEST_FILE}${manifest.source ? ` (${manifest.source.type} ${manifest.source.id})` : ''}`);
+  list('Missing', report.missing);
+  list('Modified', report.modified);
+  list('Untracked', report.untracked);
+
+  console.log(report.valid ? 'OK: the project matches its manifest' : 'FAILED: the project does not match its manifest');
+  process.exit(report.valid ? 0 : 1);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Verification failed: ${error.message}`);
+  process.exit(1);
+}
@@ -1,5 +1,7 @@
+export type RepoSource = 'github' | 'local';
+
 export interface Repository {
-  id: number;
+  id: number | string; // GitHub databaseId, or 'local:<full_name>' for the local corpus
   name: string;
   full_name: string;
   description: string;
@@ -11,6 +13,57 @@ export interface Repository {
     avatar_url: string;
   };
   topics: string[];
+  // Activity signals from search
+  pushed_at: string | null;
+  open_issues_count: number;
+  forks_count: number;
+  license: string | null; // SPDX id where GitHub knows it
+  archived: boolean;
+  fork: boolean;
+  ranking?: RepoRanking; // set by the reranker
+  recalled?: boolean;    // came from the server's vector index, not this search
+  source?: RepoSource;   // GitHub search or the local corpus (server/corpus.js)
+}
+
+// Hybrid reranking (see server/ranking.js); every value is 0-1
+export type RankingSignal = 'semantic' | 'popularity' | 'recency' | 'license' | 'readme';
+export type RankingWeights = Record<RankingSignal, number>;
+
+export interface RepoRanking {
+  rank: number;
+  score: number;
+  signals: {
+    signal: RankingSignal;
+    value: number | null; // null: could not be measured, weight went to the others
+    weight: number;       // weight actually applied to this repo
+    contribution: number; // value * weight
+  }[];
+}
+
+export interface RerankOptions {
+  topN?: number; // 1-20, default 5
+  weights?: Partial<RankingWeights>;
+  token?: string; // for README fetches
+  recall?: boolean; // include previously indexed repos near the idea (default true)
+}
+
+// /api/search filters, sent to GitHub as search qualifiers (see server/search.js)
+export interface SearchFilters {
+  language?: string;
+  minStars?: number;
+  pushedAfter?: string; // YYYY-MM-DD
+  license?: string;     // license keyword, e.g. mit, apache-2.0
+  excludeArchived?: boolean;
+  excludeForks?: boolean;
+  sort?: 'stars' | 'updated' | 'best-match';
+  perPage?: number;     // per query, 1-50 (default 10)
+  sources?: RepoSource[]; // default both; 'local' is the indexed corpus
+}
+
+export interface SearchPage {
+  repos: Repository[];
+  cursors: Record<string, string>; // next-page cursor per query that has more results
+  hasMore: boolean;
 }
 
 export interface MVPAnalysis {
@@ -43,6 +96,100 @@ export interface GeneratedProject {
 export interface GeneratedFile {
   path: string;
   content: string;
+  model?: string; // codegen model that wrote the file; absent for static and templated files
+  diagnostics?: TypeDiagnostic[];
+}
+
+// TypeScript compiler error in a generated project (see server/typecheck.js)
+export interface TypeDiagnostic {
+  file: string | null;
+  line?: number;
+  column?: number;
+  code: number;
+  category: string;
+  message: string;
+}
+
+// Cross-file import linking of a generated project (see server/linker.js)
+export interface ImportRewrite {
+  file: string;
+  line: number;
+  changes: string[];
+}
+
+export interface UnresolvedImport {
+  file: string;
+  line: number;
+  specifier: string;
+  kind: 'missing-module' | 'missing-export' | 'missing-default-export';
+  message: string;
+}
+
+// Actual import graph compared with EnhancedArchitecture.componentGraph
+export interface ComponentGraphDiff {
+  nodes: number;
+  plannedEdges: number;
+  matchedEdges: number;
+  missingNodes: { id: string; name: string; type: string }[];
+  missingEdges: { from: string; to: string; relationship: string }[];
+  extraEdges: { from: string; to: string }[];
+}
+
+export interface LinkReport {
+  rewrites: ImportRewrite[];
+  regenerated: string[];
+  unresolved: UnresolvedImport[];
+  graph: ComponentGraphDiff;
+}
+
+// Final verdict of the server-side type-check and fix-up rounds
+export interface TypeCheckReport {
+  // null when the stack cannot be checked with plain tsc (see `skipped`)
+  compiles: boolean | null;
+  errorCount: number;
+  rounds: number;
+  fixedFiles: string[];
+  global: TypeDiagnostic[];
+  skipped?: string;
+}
+
+// Parse check of the generated migration and seed (see server/migrations.js)
+export interface SqlError {
+  file: string;
+  line?: number;
+  message: string;
+}
+
+export interface DatabaseReport {
+  dialect: SqlDialect;
+  valid: boolean;
+  files: string[];
+  errors: SqlError[];
+  warnings: string[]; // relationships that could not be turned into constraints
+}
+
+export type SqlDialect = 'postgres' | 'sqlite';
+
+// Vitest run of the generated tests tier (see server/testing.js)
+export interface TestFailure {
+  name: string; // full test name, or the file when it failed to load
+  message: string;
+}
+
+export interface TestFileResult {
+  path: string;
+  status: 'passed' | 'failed';
+  tests: number;
+  failures: TestFailure[];
+}
+
+export interface TestReport {
+  passed: boolean | null; // null when the suite could not run
+  fileCount: number;
+  failedFiles: number;
+  files: TestFileResult[];
+  durationMs: number;
+  skipped?: string;
 }
 
 export interface GenerationLog {
@@ -51,20 +198,112 @@ export interface GenerationLog {
   status: 'complete' | 'failed' | 'partial';
 }
 
+// Options sent with an architecture to the generation endpoints
+export interface GenerationOptions {
+  backend?: 'express'; // also generate an API server from apiEndpoints
+  database?: SqlDialect; // migration dialect; Supabase and the backend always use postgres
+}
+
 export interface EnhancedGeneratedProject extends GeneratedProject {
+  stack?: string; // id of the stack template that built the project, e.g. 'next-app'
+  backend?: 'express' | null;
   files: GeneratedFile[];
   generationLog: GenerationLog[];
+  linkReport?: LinkReport;
+  typeCheck?: TypeCheckReport;
+  database?: DatabaseReport | null;
+  tests?: TestReport;
+}
+
+export type GenerationTier = 'static' | 'critical' | 'core' | 'supporting' | 'backend' | 'tests' | 'config';
+
+export interface GenerationProgress {
+  phase: string;
+  current: number;
+  total: number;
+  lastFile?: string;
+  failed?: number;
+}
+
+// Server-Sent Events from /api/generate-project-enhanced/stream
+export type GenerationStreamEvent =
+  | { type: 'plan'; total: number; paths: string[] }
+  | { type: 'file'; path: string; tier: GenerationTier; status: 'complete' | 'failed'; content: string; model?: string; error?: string }
+  | { type: 'batch'; phase: string; count: number; status: GenerationLog['status'] }
+  | { type: 'typecheck'; round: number; compiles: boolean; errorCount: number; files: string[] }
+  | { type: 'fix'; path: string; content: string; model?: string }
+  | ({ type: 'link' } & LinkReport)
+  | ({ type: 'tests' } & TestReport)
+  | { type: 'complete'; name: string; stack: string; backend: 'express' | null; dependencies: Record<string, string>; installCommand: string; startCommand: string; totalFiles: number; generationLog: GenerationLog[]; linkReport: LinkReport; typeCheck: TypeCheckReport; database: DatabaseReport | null; tests: TestReport; diagnostics: Record<string, TypeDiagnostic[]> }
+  | { type: 'error'; error: string; details?: string };
+
+// File-level change from /api/regenerate against the previous project (see server/regenerate.js)
+export interface FileChange {
+  path: string;
+  status: 'added' | 'modified' | 'removed';
+  reason: string; // e.g. 'requested', 'page LoginPage changed', 'routes changed'
+  linesAdded: number;
+  linesRemoved: number;
+}
+
+export interface RegenerationResult {
+  project: EnhancedGeneratedProject;
+  changes: string[]; // parts of the architecture that differ, e.g. 'routes', 'databaseSchema'
+  regenerated: string[];
+  failed: string[];
+  diff: FileChange[];
+}
+
+// --- GIT PUBLISHING (see server/publish.js) ---
+
+// new: init and push `branch`; branch: clone `base`, push `branch` for review
+export type PublishMode = 'new' | 'branch';
+
+export interface PublishRequest {
+  remote?: string; // defaults to the server's GIT_REMOTE
+  mode?: PublishMode;
+  branch?: string; // default main, or ideatorepo/<project> in branch mode
+  base?: string; // branch mode only; default is the remote's default branch
+  token?: string; // required unless the remote is GIT_REMOTE or on a GIT_TOKEN_HOSTS host (which use GIT_TOKEN)
+}
+
+export interface PublishedCommit {
+  sha: string;
+  subject: string;
+  files: number;
+}
+
+export interface PublishResult {
+  mode: PublishMode;
+  remote: string; // credentials redacted
+  branch: string;
+  base: string | null;
+  commits: PublishedCommit[];
+  compareUrl: string | null;
 }
 
 // ProjectArchitecture is now defined as EnhancedArchitecture (see end of file)
 
 export interface TreeNode {
   name: string;
+  path?: string; // full project path of a file
   type: 'file' | 'folder';
   children?: TreeNode[];
   content?: string;
 }
 
+// Result of checking an AI response against its JSON Schema (see server/validation.js)
+export interface ValidationReport {
+  schema: string;
+  valid: boolean;
+  attempts: number;
+  repaired: boolean;
+  conformed: boolean;
+  degraded: boolean;   // some fields hold schema defaults, not model output
+  defaulted: string[]; // their paths, e.g. "/feasibility/score"
+  errors: string[];
+}
+
 export interface IntentAnalysis {
   entities: {
     projectName: string;
@@ -104,6 +343,103 @@ export interface IntentAnalysis {
   };
 
   searchStrategies: string[];
+
+  // Asked when the idea leaves a clarification open; answered through /api/intent-refine
+  clarifyingQuestions?: ClarifyingQuestion[];
+  revisions?: IntentRevision[]; // oldest first
+
+  validation?: ValidationReport;
+}
+
+// Intent refinement (see server/intent.js)
+export type ClarificationField = 'targetAudience' | 'expectedScale' | 'monetization' | 'timeline';
+export type FeatureTier = 'mustHave' | 'shouldHave' | 'niceToHave';
+
+export interface ClarifyingQuestion {
+  field: ClarificationField;
+  question: string;
+  why: string;       // what the answer changes in the plan
+  options: string[]; // the field's allowed values
+}
+
+export interface ClarificationAnswer {
+  field: ClarificationField;
+  value: string;  // one of the question's options
+  note?: string;  // free-text detail passed on to the model
+}
+
+export interface FeatureMove {
+  name: string;
+  from: FeatureTier;
+  to: FeatureTier;
+}
+
+export interface IntentRevision {
+  revision: number;
+  createdAt: string;
+  answers: ClarificationAnswer[];
+  featureMoves: FeatureMove[];
+  feasibility: { before: number; after: number };
+  changes: string[]; // e.g. "timeline: month -> 2-weeks"
+}
+
+// What deep analysis read from the candidates' contents (see server/mining.js).
+// `sources` on DeepPatternAnalysis findings are full names (owner/name) from `repos`.
+export type PackageEcosystem = 'npm' | 'pypi' | 'go' | 'cargo';
+
+export interface RepoSnapshot {
+  repo: string;
+  url: string;
+  branch: string | null;
+  available: boolean;
+  error?: string;
+  fileCount: number;
+  manifests: string[];
+  dependencies: { name: string; ecosystem: PackageEcosystem; version: string | null }[];
+  folders: string[];
+  readme: string | null; // excerpt
+}
+
+export interface EvidenceCount {
+  name: string;
+  count: number;
+  share: number; // of the repos that could be read
+  repos: string[];
+}
+
+export interface RepoEvidence {
+  analyzed: number;
+  repos: RepoSnapshot[];
+  dependencies: (EvidenceCount & { ecosystem: PackageEcosystem })[];
+  folders: EvidenceCount[];
+  signals: {
+    category: 'framework' | 'auth' | 'state' | 'data-fetching' | 'styling' | 'database' | 'testing';
+    name: string;
+    repos: string[];
+  }[];
+}
+
+// Co-occurrence statistics over the same manifests (see server/cooccurrence.js)
+export interface PackageUsage extends EvidenceCount {
+  ecosystem: PackageEcosystem;
+  frequency: 'Always' | 'Very Common' | 'Common' | 'Occasional';
+  versions: { range: string; count: number }[]; // as declared, most common first
+}
+
+export interface PackagePair {
+  packages: [string, string];
+  ecosystem: PackageEcosystem;
+  count: number;
+  support: number;    // share of repos declaring both
+  confidence: number; // share of the rarer package's repos that also declare the other
+  lift: number;       // > 1: together more often than chance
+  repos: string[];
+}
+
+export interface DependencyStats {
+  analyzed: number;
+  packages: PackageUsage[];
+  pairs: PackagePair[];
 }
 
 export interface DeepPatternAnalysis {
@@ -113,6 +449,7 @@ export interface DeepPatternAnalysis {
       folder: string;
       purpose: string;
       isRequired: boolean;
+      sources: string[];
     }[];
     notes?: string;
   };
@@ -122,10 +459,12 @@ export interface DeepPatternAnalysis {
       package: string;
       purpose: string;
       frequency: 'Always' | 'Very Common' | 'Common' | 'Occasional';
+      sources: string[];
     }[];
     pairedPackages: {
       packages: string[];
       reason: string;
+      sources: string[];
     }[];
     avoidPatterns?: string[];
   };
@@ -147,6 +486,7 @@ export interface DeepPatternAnalysis {
       library: string;
       useCases: string[];
       complexity: 'Simple' | 'Moderate' | 'Complex';
+      sources: string[];
     }[];
     bestFit: string;
   };
@@ -158,6 +498,7 @@ export interface DeepPatternAnalysis {
       patterns: string[];
     };
     recommendation: string;
+    sources: string[];
   };
 
   architecture: {
@@ -165,6 +506,7 @@ export interface DeepPatternAnalysis {
       name: string;
       description: string;
       frequency: 'Dominant' | 'Common' | 'Occasional' | 'Rare';
+      sources: string[];
     }[];
     layering: {
       hasLayeredArchitecture: boolean;
@@ -176,6 +518,7 @@ export interface DeepPatternAnalysis {
     commonPractices: {
       practice: string;
       implementation: string;
+      sources: string[];
     }[];
     criticalMustHaves: string[];
     observedWeaknesses?: string[];
@@ -201,6 +544,10 @@ export interface DeepPatternAnalysis {
     antiPatterns: string[];
     confidenceScore: number;
   };
+
+  evidence?: RepoEvidence;
+  dependencyStats?: DependencyStats;
+  validation?: ValidationReport;
 }
 
 // Enhanced Architecture Interface (Phase 3)
@@ -333,7 +680,80 @@ export interface EnhancedArchitecture {
       relationship: 'imports' | 'renders' | 'wraps' | 'consumes' | 'provides';
     }[];
   };
+
+  // From deep analysis; generated package.json versions are aligned to it
+  dependencyStats?: DependencyStats;
+  validation?: ValidationReport;
 }
 
 // Backward compatibility: ProjectArchitecture now extends EnhancedArchitecture
 export type ProjectArchitecture = EnhancedArchitecture;
+
+// --- SESSIONS (see server/sessions.js) ---
+
+export type SessionStage = 'idea' | 'intent' | 'search' | 'patterns' | 'architecture' | 'project';
+
+// What the client saves for one run; every field but idea is filled in stage by stage
+export interface SessionState {
+  idea: string;
+  intentAnalysis?: IntentAnalysis;
+  searchFilters?: SearchFilters;
+  repos?: Repository[];
+  deepPatterns?: DeepPatternAnalysis;
+  blueprint?: string;
+  architecture?: EnhancedArchitecture;
+  generatedProject?: EnhancedGeneratedProject;
+  generatedArchitecture?: EnhancedArchitecture; // the architecture generatedProject was built from
+}
+
+export interface Session extends SessionState {
+  id: string;
+  stage: SessionStage;
+  forkedFrom: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SessionSummary {
+  id: string;
+  idea: string;
+  stage: SessionStage;
+  projectName: string | null;
+  repoCount: number;
+  fileCount: number;
+  forkedFrom: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// GET /api/sessions/:id/export
+export interface SessionExport {
+  format: 'ideatorepo-session';
+  version: 1;
+  exportedAt: string;
+  session: Session;
+}
+
+// --- ARCHIVES (see server/archive.js) ---
+
+export type ArchiveFormat = 'zip' | 'tar.gz';
+
+// IDEATOREPO_MANIFEST.json at the root of GET /api/projects/:id/archive
+export interface ArchiveManifest {
+  format: 'ideatorepo-manifest';
+  version: 1;
+  createdAt: string;
+  source: { type: 'job' | 'session'; id: string } | null;
+  name: string | null;
+  stack: string | null;
+  backend: 'express' | null;
+  idea: string | null;
+  architecture: EnhancedArchitecture | null;
+  files: {
+    path: string;
+    size: number; // bytes
+    sha256: string;
+    model: string | null; // codegen model that wrote the file; null for static and templated files
+  }[];
+  generationLog: GenerationLog[];
+}
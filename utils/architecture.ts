@@ -0,0 +1,286 @@
+import { EnhancedArchitecture } from '../types';
+
+/**
+ * Architecture editing
+ * Pure helpers behind the architecture editor: edits that keep cross-references
+ * (page imports, route lists, componentGraph, lazy-loading lists) in step, and a
+ * validator for what the model or the user left inconsistent. Errors block code
+ * generation; warnings do not.
+ */
+
+type Arch = EnhancedArchitecture;
+export type ArchPage = Arch['pages'][number];
+export type ArchComponent = Arch['components'][number];
+export type ArchTable = Arch['databaseSchema'][number];
+export type GraphNode = Arch['componentGraph']['nodes'][number];
+
+export const STATE_APPROACHES: Arch['stateManagement']['approach'][] = ['Context API', 'Redux Toolkit', 'Zustand', 'Jotai', 'Recoil', 'Mixed'];
+export const AUTH_PROVIDERS: Arch['authentication']['provider'][] = ['Supabase', 'Firebase', 'Auth0', 'NextAuth', 'Custom JWT', 'Clerk', 'None'];
+export const RELATIONSHIP_TYPES: NonNullable<ArchTable['relationships']>[number]['type'][] = ['one-to-many', 'many-to-one', 'many-to-many'];
+export const COMPONENT_CATEGORIES: NonNullable<ArchComponent['category']>[] = ['layout', 'form', 'display', 'navigation', 'feedback', 'utility'];
+
+export interface ArchitectureIssue {
+  severity: 'error' | 'warning';
+  section: 'pages' | 'components' | 'database' | 'routes' | 'graph' | 'auth';
+  message: string;
+}
+
+// Page and component names become file names, export names and JSX tags
+const IDENTIFIER = /^[A-Z][A-Za-z0-9]*$/;
+const SQL_NAME = /^[a-z_][a-z0-9_]*$/;
+
+const without = (list: string[], value: string) => list.filter(item => item !== value);
+const swap = (list: string[], from: string, to: string) => list.map(item => (item === from ? to : item));
+
+// Graph nodes are matched by id or name: the model uses either for pages and components
+function renameInGraph(graph: Arch['componentGraph'], from: string, to: string): Arch['componentGraph'] {
+  const ids = new Set(graph.nodes.filter(node => node.id === from || node.name === from).map(node => node.id));
+  const newId = (id: string) => (ids.has(id) && id === from ? to : id);
+  return {
+    nodes: graph.nodes.map(node => (ids.has(node.id) ? { ...node, id: newId(node.id), name: node.name === from ? to : node.name } : node)),
+    edges: graph.edges.map(edge => ({ ...edge, from: newId(edge.from), to: newId(edge.to) }))
+  };
+}
+
+function removeFromGraph(graph: Arch['componentGraph'], name: string): Arch['componentGraph'] {
+  const ids = new Set(graph.nodes.filter(node => node.id === name || node.name === name).map(node => node.id));
+  return {
+    nodes: graph.nodes.filter(node => !ids.has(node.id)),
+    edges: graph.edges.filter(edge => !ids.has(edge.from) && !ids.has(edge.to))
+  };
+}
+
+const addToGraph = (graph: Arch['componentGraph'], name: string, type: GraphNode['type']): Arch['componentGraph'] =>
+  graph.nodes.some(node => node.id === name || node.name === name) ? graph : { ...graph, nodes: [...graph.nodes, { id: name, name, type }] };
+
+// Puts a route in protectedRoutes or publicRoutes, and only there
+function placeRoute(auth: Arch['authentication'], route: string, isProtected: boolean): Arch['authentication'] {
+  return {
+    ...auth,
+    protectedRoutes: isProtected ? [...without(auth.protectedRoutes, route), route] : without(auth.protectedRoutes, route),
+    publicRoutes: isProtected ? without(auth.publicRoutes, route) : [...without(auth.publicRoutes, route), route]
+  };
+}
+
+const uniqueName = (base: string, taken: string[]) => {
+  let name = base;
+  for (let i = 2; taken.includes(name); i++) name = `${base}${i}`;
+  return name;
+};
+
+// --- Pages -------------------------------------------------------------------------
+
+export function addPage(arch: Arch): Arch {
+  const name = uniqueName('NewPage', arch.pages.map(page => page.name));
+  const route = `/${name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+  return {
+    ...arch,
+    pages: [...arch.pages, { name, route, description: '', imports: [], isProtected: false, lazyLoad: false }],
+    authentication: placeRoute(arch.authentication, route, false),
+    componentGraph: addToGraph(arch.componentGraph, name, 'page')
+  };
+}
+
+export function removePage(arch: Arch, index: number): Arch {
+  const page = arch.pages[index];
+  return {
+    ...arch,
+    pages: arch.pages.filter((_, i) => i !== index),
+    authentication: {
+      ...arch.authentication,
+      protectedRoutes: without(arch.authentication.protectedRoutes, page.route),
+      publicRoutes: without(arch.authentication.publicRoutes, page.route)
+    },
+    performance: { ...arch.performance, lazyLoading: { ...arch.performance.lazyLoading, routes: without(arch.performance.lazyLoading.routes, page.route) } },
+    componentGraph: removeFromGraph(arch.componentGraph, page.name)
+  };
+}
+
+/** Edits one page; a new name or route is carried to the graph and route lists. */
+export function updatePage(arch: Arch, index: number, patch: Partial<ArchPage>): Arch {
+  const page = arch.pages[index];
+  const next = { ...page, ...patch };
+  let result: Arch = { ...arch, pages: arch.pages.map((item, i) => (i === index ? next : item)) };
+
+  if (next.name !== page.name) result = { ...result, componentGraph: renameInGraph(result.componentGraph, page.name, next.name) };
+  if (next.route !== page.route) {
+    const auth = result.authentication;
+    result = {
+      ...result,
+      authentication: { ...auth, protectedRoutes: swap(auth.protectedRoutes, page.route, next.route), publicRoutes: swap(auth.publicRoutes, page.route, next.route) },
+      performance: { ...result.performance, lazyLoading: { ...result.performance.lazyLoading, routes: swap(result.performance.lazyLoading.routes, page.route, next.route) } }
+    };
+  }
+  if (patch.isProtected !== undefined && Boolean(patch.isProtected) !== Boolean(page.isProtected)) {
+    result = { ...result, authentication: placeRoute(result.authentication, next.route, Boolean(next.isProtected)) };
+  }
+  return result;
+}
+
+// --- Components --------------------------------------------------------------------
+
+export function addComponent(arch: Arch): Arch {
+  const name = uniqueName('NewComponent', arch.components.map(component => component.name));
+  return {
+    ...arch,
+    components: [...arch.components, { name, description: '', isAtomic: true, category: 'display', props: [] }],
+    componentGraph: addToGraph(arch.componentGraph, name, 'component')
+  };
+}
+
+// Every list that names components
+function mapComponentRefs(arch: Arch, map: (list: string[]) => string[]): Arch {
+  return {
+    ...arch,
+    pages: arch.pages.map(page => ({ ...page, imports: map(page.imports) })),
+    stateManagement: { ...arch.stateManagement, localStateComponents: map(arch.stateManagement.localStateComponents) },
+    performance: { ...arch.performance, lazyLoading: { ...arch.performance.lazyLoading, components: map(arch.performance.lazyLoading.components) } },
+    dataFlow: { ...arch.dataFlow, layers: { ...arch.dataFlow.layers, presentation: map(arch.dataFlow.layers.presentation) } }
+  };
+}
+
+export function removeComponent(arch: Arch, index: number): Arch {
+  const { name } = arch.components[index];
+  const result = mapComponentRefs({ ...arch, components: arch.components.filter((_, i) => i !== index) }, list => without(list, name));
+  return { ...result, componentGraph: removeFromGraph(arch.componentGraph, name) };
+}
+
+/** Edits one component; a new name is carried to page imports, the graph and the lists naming it. */
+export function updateComponent(arch: Arch, index: number, patch: Partial<ArchComponent>): Arch {
+  const component = arch.components[index];
+  const next = { ...component, ...patch };
+  const result = { ...arch, components: arch.components.map((item, i) => (i === index ? next : item)) };
+  if (next.name === component.name) return result;
+  const renamed = mapComponentRefs(result, list => swap(list, component.name, next.name));
+  return { ...renamed, componentGraph: renameInGraph(arch.componentGraph, component.name, next.name) };
+}
+
+// --- Database ----------------------------------------------------------------------
+
+export function addTable(arch: Arch): Arch {
+  const table = uniqueName('new_table', arch.databaseSchema.map(item => item.table));
+  return {
+    ...arch,
+    databaseSchema: [...arch.databaseSchema, {
+      table,
+      columns: [{ name: 'id', type: 'uuid', isPrimary: true, isRequired: true }],
+      relationships: []
+    }]
+  };
+}
+
+export function removeTable(arch: Arch, index: number): Arch {
+  return { ...arch, databaseSchema: arch.databaseSchema.filter((_, i) => i !== index) };
+}
+
+/** Edits one table; a new table name is carried to other tables' relationships. */
+export function updateTable(arch: Arch, index: number, patch: Partial<ArchTable>): Arch {
+  const table = arch.databaseSchema[index];
+  const next = { ...table, ...patch };
+  return {
+    ...arch,
+    databaseSchema: arch.databaseSchema.map((item, i) => {
+      const current = i === index ? next : item;
+      if (next.table === table.table || !current.relationships) return current;
+      return { ...current, relationships: current.relationships.map(rel => (rel.table === table.table ? { ...rel, table: next.table } : rel)) };
+    })
+  };
+}
+
+// --- Validation --------------------------------------------------------------------
+
+const duplicates = (names: string[]) => [...new Set(names.filter((name, i) => names.indexOf(name) !== i))];
+
+export function validateArchitecture(arch: Arch): ArchitectureIssue[] {
+  const issues: ArchitectureIssue[] = [];
+  const add = (severity: ArchitectureIssue['severity'], section: ArchitectureIssue['section'], message: string) =>
+    issues.push({ severity, section, message });
+
+  const pageNames = arch.pages.map(page => page.name);
+  const componentNames = arch.components.map(component => component.name);
+  const routes = arch.pages.map(page => page.route);
+
+  arch.pages.forEach(page => {
+    if (!IDENTIFIER.test(page.name)) add('error', 'pages', `Page "${page.name}" must be a PascalCase identifier`);
+    if (!page.route.startsWith('/')) add('error', 'pages', `Route "${page.route}" of ${page.name} must start with /`);
+    page.imports.filter(name => !componentNames.includes(name)).forEach(name =>
+      add('error', 'pages', `${page.name} imports "${name}", which is not a component`));
+  });
+  duplicates(pageNames).forEach(name => add('error', 'pages', `Two pages are named ${name}`));
+  duplicates(routes).forEach(route => add('error', 'pages', `Two pages use the route ${route}`));
+
+  arch.components.forEach(component => {
+    if (!IDENTIFIER.test(component.name)) add('error', 'components', `Component "${component.name}" must be a PascalCase identifier`);
+    if (pageNames.includes(component.name)) add('error', 'components', `${component.name} is both a page and a component`);
+    duplicates((component.props || []).map(prop => prop.name)).forEach(prop =>
+      add('error', 'components', `${component.name} has two props named ${prop}`));
+    (component.props || []).filter(prop => !/^[A-Za-z_$][\w$]*$/.test(prop.name) || !prop.type.trim()).forEach(prop =>
+      add('error', 'components', `${component.name}: prop "${prop.name}" needs an identifier name and a type`));
+  });
+  duplicates(componentNames).forEach(name => add('error', 'components', `Two components are named ${name}`));
+
+  // Every page route in exactly one list, and no list entries without a page
+  const { protectedRoutes, publicRoutes, provider } = arch.authentication;
+  arch.pages.forEach(page => {
+    const inProtected = protectedRoutes.includes(page.route);
+    const inPublic = publicRoutes.includes(page.route);
+    if (!inProtected && !inPublic) add('error', 'routes', `${page.route} is in neither protectedRoutes nor publicRoutes`);
+    if (inProtected && inPublic) add('error', 'routes', `${page.route} is in both protectedRoutes and publicRoutes`);
+    if (inProtected !== Boolean(page.isProtected) && inProtected !== inPublic) {
+      add('warning', 'routes', `${page.name} is marked ${page.isProtected ? 'protected' : 'public'} but ${page.route} is listed as ${inProtected ? 'protected' : 'public'}`);
+    }
+  });
+  [...protectedRoutes, ...publicRoutes].filter(route => !routes.includes(route)).forEach(route =>
+    add('warning', 'routes', `${route} is listed but no page has that route`));
+  if (provider === 'None' && protectedRoutes.length > 0) add('warning', 'auth', 'Protected routes need an auth provider');
+
+  const nodeIds = new Set(arch.componentGraph.nodes.map(node => node.id));
+  arch.componentGraph.edges.forEach(edge => {
+    [edge.from, edge.to].filter(id => !nodeIds.has(id)).forEach(id =>
+      add('error', 'graph', `Edge ${edge.from} -${edge.relationship}-> ${edge.to} points at missing node "${id}"`));
+  });
+  duplicates(arch.componentGraph.nodes.map(node => node.id)).forEach(id => add('error', 'graph', `Two graph nodes have the id ${id}`));
+
+  const tableNames = arch.databaseSchema.map(table => table.table);
+  duplicates(tableNames).forEach(name => add('error', 'database', `Two tables are named ${name}`));
+  arch.databaseSchema.forEach(table => {
+    if (!SQL_NAME.test(table.table)) add('error', 'database', `Table "${table.table}" must be lower_snake_case`);
+    if (!table.columns.some(column => column.isPrimary)) add('warning', 'database', `${table.table} has no primary key`);
+    duplicates(table.columns.map(column => column.name)).forEach(name => add('error', 'database', `${table.table} has two columns named ${name}`));
+    table.columns.filter(column => !SQL_NAME.test(column.name) || !column.type.trim()).forEach(column =>
+      add('error', 'database', `${table.table}: column "${column.name}" needs a lower_snake_case name and a type`));
+    (table.relationships || []).filter(rel => !tableNames.includes(rel.table)).forEach(rel =>
+      add('error', 'database', `${table.table} relates to unknown table "${rel.table}"`));
+  });
+
+  return issues;
+}
+
+/**
+ * Fixes what has a single obvious fix: dangling imports and graph edges are
+ * dropped, uncovered routes are listed by their page's isProtected, and list
+ * entries without a page are removed.
+ */
+export function autoFixArchitecture(arch: Arch): Arch {
+  const componentNames = new Set(arch.components.map(component => component.name));
+  const routes = arch.pages.map(page => page.route);
+  const nodeIds = new Set(arch.componentGraph.nodes.map(node => node.id));
+
+  let authentication = {
+    ...arch.authentication,
+    protectedRoutes: arch.authentication.protectedRoutes.filter(route => routes.includes(route)),
+    publicRoutes: arch.authentication.publicRoutes.filter(route => routes.includes(route))
+  };
+  arch.pages.forEach(page => {
+    const inProtected = authentication.protectedRoutes.includes(page.route);
+    const inPublic = authentication.publicRoutes.includes(page.route);
+    if (inProtected === inPublic) authentication = placeRoute(authentication, page.route, Boolean(page.isProtected));
+  });
+
+  return {
+    ...arch,
+    pages: arch.pages.map(page => ({ ...page, imports: page.imports.filter(name => componentNames.has(name)) })),
+    authentication,
+    componentGraph: { ...arch.componentGraph, edges: arch.componentGraph.edges.filter(edge => nodeIds.has(edge.from) && nodeIds.has(edge.to)) }
+  };
+}
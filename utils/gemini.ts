@@ -1,4 +1,4 @@
-import { Repository, MVPAnalysis, ScaffoldData, ProjectArchitecture, GeneratedProject, DeepPatternAnalysis, IntentAnalysis, EnhancedArchitecture, EnhancedGeneratedProject } from "../types";
+import { Repository, MVPAnalysis, ScaffoldData, ProjectArchitecture, GeneratedProject, DeepPatternAnalysis, IntentAnalysis, EnhancedArchitecture, EnhancedGeneratedProject, GeneratedFile, GenerationStreamEvent, GenerationOptions, RerankOptions, ClarificationAnswer, RegenerationResult, PublishRequest, PublishResult, Session, SessionState, SessionStage, SessionSummary, ArchiveFormat } from "../types";
 
 // Helper to handle API responses
 async function postToApi(endpoint: string, body: any) {
@@ -14,6 +14,20 @@ async function postToApi(endpoint: string, body: any) {
   return response.json();
 }
 
+/**
+ * Phase 1b: Intent Refinement
+ * Proxies to backend /api/intent-refine. Returns the updated analysis with one
+ * more entry in `revisions`. `features` is only sent when the user moved some.
+ */
+export async function refineIntent(
+  userIdea: string,
+  analysis: IntentAnalysis,
+  answers: ClarificationAnswer[],
+  features?: IntentAnalysis['features']
+): Promise<IntentAnalysis> {
+  return postToApi('/api/intent-refine', { idea: userIdea, analysis, answers, features });
+}
+
 /**
  * Layer 1: Intent Understanding
  * Proxies to backend /api/strategy
@@ -30,33 +44,31 @@ export async function generateSearchStrategies(userIdea: string): Promise<string
 }
 
 /**
- * Layer 3: Semantic Reranking
- * Proxies to backend /api/rerank
+ * Layer 3: Hybrid Reranking
+ * Proxies to backend /api/rerank. Returns the top N in rank order, each with its
+ * score breakdown in `ranking`. Previously indexed repos may join (`recalled`).
  */
-export async function rankReposWithGemini(userIdea: string, candidates: Repository[]): Promise<Repository[]> {
+export async function rankReposWithGemini(userIdea: string, candidates: Repository[], options: RerankOptions = {}): Promise<Repository[]> {
   if (candidates.length === 0) return [];
-
-  // Simplify list to save bandwidth
-  const simplifiedList = candidates.map(r => ({
-    id: r.id,
-    name: r.name,
-    desc: r.description,
-    stars: r.stargazers_count,
-    url: r.html_url
-  }));
+  const topN = options.topN ?? 5;
 
   try {
-    const selectedSimple = await postToApi('/api/rerank', { idea: userIdea, candidates: simplifiedList });
+    // Candidates go whole: the server stores them in its vector index for later recall
+    const ranked: Repository[] = await postToApi('/api/rerank', { idea: userIdea, candidates, ...options, topN });
 
-    // Map back to full repository objects
-    const selectedIds = new Set(selectedSimple.map((s: any) => s.id));
-    const finalRepos = candidates.filter(r => selectedIds.has(r.id));
+    // Keep the server's order; recalled repos only exist in the response
+    const byId = new Map(candidates.map(r => [r.id, r]));
+    const finalRepos: Repository[] = ranked.map((s: Repository) => ({
+      ...(byId.get(s.id) ?? s),
+      ranking: s.ranking,
+      recalled: s.recalled
+    }));
 
-    return finalRepos.length > 0 ? finalRepos : candidates.slice(0, 5);
+    return finalRepos.length > 0 ? finalRepos : candidates.slice(0, topN);
 
   } catch (error) {
     console.error("Gemini Layer 3 Error:", error);
-    return candidates.slice(0, 5);
+    return candidates.slice(0, topN);
   }
 }
 
@@ -92,12 +104,15 @@ export async function extractPatterns(userIdea: string, repos: Repository[]): Pr
  */
 export async function deepPatternMining(
   userIdea: string,
-  repos: Repository[]
+  repos: Repository[],
+  token?: string
 ): Promise<DeepPatternAnalysis> {
   try {
+    // The token lets the server read repo contents (trees, manifests, READMEs)
     const data = await postToApi('/api/deep-analysis', {
       repos,
-      userIdea
+      userIdea,
+      token
     });
     return data;
   } catch (error: any) {
@@ -108,15 +123,15 @@ export async function deepPatternMining(
       folderStructure: {
         commonPattern: "Standard React",
         recommendedStructure: [
-          { folder: "src/components", purpose: "Reusable UI components", isRequired: true },
-          { folder: "src/pages", purpose: "Page-level components", isRequired: true },
-          { folder: "src/lib", purpose: "Utilities and helpers", isRequired: true }
+          { folder: "src/components", purpose: "Reusable UI components", isRequired: true, sources: [] },
+          { folder: "src/pages", purpose: "Page-level components", isRequired: true, sources: [] },
+          { folder: "src/lib", purpose: "Utilities and helpers", isRequired: true, sources: [] }
         ]
       },
       dependencies: {
         core: [
-          { package: "react", purpose: "UI framework", frequency: "Always" },
-          { package: "typescript", purpose: "Type safety", frequency: "Always" }
+          { package: "react", purpose: "UI framework", frequency: "Always", sources: [] },
+          { package: "typescript", purpose: "Type safety", frequency: "Always", sources: [] }
         ],
         pairedPackages: []
       },
@@ -136,7 +151,8 @@ export async function deepPatternMining(
           library: "React Query",
           patterns: []
         },
-        recommendation: "REST API with React Query"
+        recommendation: "REST API with React Query",
+        sources: []
       },
       architecture: {
         patterns: [],
@@ -257,11 +273,13 @@ export async function generateArchitecture(
  * Generates ALL project files with tiered batching
  */
 export async function generateEnhancedProject(
-  architecture: EnhancedArchitecture
+  architecture: EnhancedArchitecture,
+  options: GenerationOptions = {}
 ): Promise<EnhancedGeneratedProject> {
   try {
     const data = await postToApi('/api/generate-project-enhanced', {
-      architecture
+      architecture,
+      options
     });
     return data;
   } catch (error: any) {
@@ -270,6 +288,177 @@ export async function generateEnhancedProject(
   }
 }
 
+/**
+ * Phase 4 (Streaming): Enhanced Project Code Generation
+ * Reads the SSE stream from /api/generate-project-enhanced/stream and
+ * reports every event as it arrives. Resolves with the assembled project.
+ */
+export async function streamEnhancedProject(
+  architecture: EnhancedArchitecture,
+  onEvent: (event: GenerationStreamEvent) => void,
+  options: GenerationOptions = {}
+): Promise<EnhancedGeneratedProject> {
+  const response = await fetch('/api/generate-project-enhanced/stream', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ architecture, options })
+  });
+
+  if (!response.ok || !response.body) {
+    throw new Error(`API Error: ${response.status}`);
+  }
+
+  const files: GeneratedFile[] = [];
+  let project: EnhancedGeneratedProject | null = null;
+
+  const handleMessage = (raw: string) => {
+    let eventName = 'message';
+    let data = '';
+    raw.split('\n').forEach(line => {
+      if (line.startsWith('event:')) eventName = line.slice(6).trim();
+      if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    if (!data) return;
+
+    const event = { type: eventName, ...JSON.parse(data) } as GenerationStreamEvent;
+    if (event.type === 'file') {
+      files.push({ path: event.path, content: event.content, model: event.model });
+    }
+    if (event.type === 'fix') {
+      const fixed = files.find(file => file.path === event.path);
+      if (fixed) Object.assign(fixed, { content: event.content, model: event.model });
+    }
+    if (event.type === 'complete') {
+      const { type, totalFiles, diagnostics, ...summary } = event;
+      project = {
+        ...summary,
+        files: files.map(file => diagnostics[file.path] ? { ...file, diagnostics: diagnostics[file.path] } : file)
+      };
+    }
+    if (event.type === 'error') {
+      throw new Error(event.details || event.error);
+    }
+    onEvent(event);
+  };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      handleMessage(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (!project) {
+    throw new Error('Generation stream ended before completion');
+  }
+  return project;
+}
+
+/**
+ * Phase 4 (Incremental): Regenerate part of a generated project
+ * Proxies to backend /api/regenerate. With both architectures the server
+ * regenerates the files the edit touches; `paths` adds files explicitly, and
+ * `instructions` go to their prompts. Resolves with the updated project and
+ * a file-level diff.
+ */
+export async function regenerateProject(
+  project: EnhancedGeneratedProject,
+  previousArchitecture: EnhancedArchitecture,
+  architecture: EnhancedArchitecture,
+  request: { paths?: string[]; instructions?: string; options?: GenerationOptions } = {}
+): Promise<RegenerationResult> {
+  return postToApi('/api/regenerate', { project, previousArchitecture, architecture, ...request });
+}
+
+/**
+ * Phase 4 (Publish): Push a generated project to git
+ * Proxies to backend /api/publish. Commits the project one generation tier at
+ * a time and pushes it; `architecture` is what sorts files into tiers. Errors
+ * carry the server's reason (rejected branch, nothing to publish, auth).
+ */
+export async function publishProject(
+  project: GeneratedProject,
+  architecture: ProjectArchitecture | null,
+  request: PublishRequest = {}
+): Promise<PublishResult> {
+  const response = await fetch('/api/publish', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ project, architecture, ...request })
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.details ? `${data.error}: ${data.details}` : data.error || `API Error: ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Sessions: every run of the pipeline, kept on the server
+ * The client saves its state as stages finish; the history sidebar lists,
+ * reopens, forks, exports and deletes them. Sending null clears a field.
+ */
+export type SessionUpdate = { [K in keyof SessionState]?: SessionState[K] | null };
+
+export async function listSessions(): Promise<SessionSummary[]> {
+  const response = await fetch('/api/sessions');
+  if (!response.ok) {
+    throw new Error(`API Error: ${response.status}`);
+  }
+  return response.json();
+}
+
+export async function getSession(sessionId: string): Promise<Session> {
+  const response = await fetch(`/api/sessions/${sessionId}`);
+  if (!response.ok) {
+    throw new Error(`API Error: ${response.status}`);
+  }
+  return response.json();
+}
+
+export async function createSession(state: SessionState): Promise<SessionSummary> {
+  return postToApi('/api/sessions', state);
+}
+
+export async function updateSession(sessionId: string, state: SessionUpdate): Promise<SessionSummary> {
+  const response = await fetch(`/api/sessions/${sessionId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(state)
+  });
+  if (!response.ok) {
+    throw new Error(`API Error: ${response.status}`);
+  }
+  return response.json();
+}
+
+export async function deleteSession(sessionId: string): Promise<void> {
+  const response = await fetch(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+  if (!response.ok) {
+    throw new Error(`API Error: ${response.status}`);
+  }
+}
+
+// A changed idea keeps only the idea unless upTo names a later stage to keep
+export async function forkSession(sessionId: string, request: { idea?: string; upTo?: SessionStage } = {}): Promise<SessionSummary> {
+  return postToApi(`/api/sessions/${sessionId}/fork`, request);
+}
+
+export const sessionExportUrl = (sessionId: string) => `/api/sessions/${sessionId}/export`;
+
+// Zip or tarball of a session's (or completed job's) project, with IDEATOREPO_MANIFEST.json
+export const projectArchiveUrl = (id: string, format: ArchiveFormat = 'zip') => `/api/projects/${id}/archive?format=${format}`;
+
 /**
  * Phase 3: Project Configuration Generation
  * Proxies to backend /api/generate-project-enhanced
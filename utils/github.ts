@@ -1,5 +1,5 @@
 
-import { Repository } from '../types';
+import { SearchFilters, SearchPage } from '../types';
 
 export class RateLimitError extends Error {
   constructor(message: string) {
@@ -11,18 +11,25 @@ export class RateLimitError extends Error {
 /**
  * Layer 2: Candidate Retrieval
  * Fetches repositories by proxying through the secure backend.
+ * Pass the previous page's `cursors` to fetch the next page of the queries that have more.
  */
-export async function fetchCandidates(queries: string[], token?: string): Promise<Repository[]> {
+export async function fetchCandidates(
+  queries: string[],
+  token?: string,
+  filters: SearchFilters = {},
+  cursors?: Record<string, string>
+): Promise<SearchPage> {
   try {
     // We pass the client-side token to the backend.
     // The backend prioritizes this token if provided, falling back to process.env.GITHUB_TOKEN.
 
-    const response = await fetch('/api/search', {
+    // meta=true: the page with its cursors, not just the repos
+    const response = await fetch('/api/search?meta=true', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ queries, token }),
+      body: JSON.stringify({ queries, token, filters, cursors }),
     });
 
     if (response.status === 429) {
@@ -33,12 +40,17 @@ export async function fetchCandidates(queries: string[], token?: string): Promis
       throw new Error("Authentication Failed: Check GitHub Token");
     }
 
+    if (response.status === 400) {
+      const body = await response.json();
+      throw new Error(`Invalid Search: ${body.details || body.error}`);
+    }
+
     if (!response.ok) {
       throw new Error(`Backend Error: ${response.status}`);
     }
 
-    const repos: Repository[] = await response.json();
-    return repos;
+    const page: SearchPage = await response.json();
+    return page;
 
   } catch (error: any) {
     if (error instanceof RateLimitError) throw error;